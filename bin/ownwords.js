@@ -12,14 +12,28 @@
  *   convert <input> [output]     Convert HTML to Markdown
  *   verify <html> <markdown>     Verify conversion quality
  *   batch <urls-file>            Batch convert multiple articles
+ *   pull                         Pull every post and page from a site
+ *   import-wxr <export.xml>      Import a WordPress WXR export file
  *   export <markdown> [output]   Export markdown to WordPress HTML
+ *   export-ssg <content> <site>  Export content to Hugo, Jekyll, Eleventy or Astro
+ *   build <content> <out>        Build a static HTML site from content
+ *   feeds <content> <out>        Generate RSS, Atom and JSON feeds from content
+ *   sitemap <content> <out>      Generate sitemap.xml and redirects from old WordPress URLs
+ *   preview <md|dir>             Preview rendered articles locally with live reload
  *   config-wp <action>           Manage WordPress site configurations
+ *   types                        List a site's post types and taxonomies
+ *   terms <action> <taxonomy>    Rename, merge and delete a site's categories and tags
  *   publish <markdown>           Publish markdown to WordPress
+ *   sync <markdown|dir>          Three-way sync of local markdown with WordPress
+ *   watch <markdown|dir>         Re-publish drafts to WordPress on save
+ *   schedule <markdown|dir>      Push publish_at articles as scheduled WordPress posts
+ *   roundtrip <html|md|dir>      Check convert → export round-trip fidelity
  */
 
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const matter = require('gray-matter');
 const { fetchArticle, extractSlugFromUrl, extractDateFromUrl } = require('../lib/fetch');
 const { convertFile } = require('../lib/convert');
 const { verifyConversion, verifyBatch } = require('../lib/verify');
@@ -29,11 +43,29 @@ const {
   addWordPressSite,
   removeWordPressSite,
   listWordPressSites,
+  setCustomFields,
+  setRequestLimits,
+  getSsgSettings,
   checkConfigPermissions,
   getConfigPath
 } = require('../lib/config');
 const { WpClient } = require('../lib/wp-api');
+const { mapConcurrent, parseConcurrency } = require('../lib/pool');
 const { fetchViaApi, fetchViaApiMultiple, generateDatePrefixedFilename, generateHierarchicalPath } = require('../lib/fetch-api');
+const { importWxr } = require('../lib/wxr-import');
+const { pullSite } = require('../lib/pull');
+const { syncArticle, syncDirectory } = require('../lib/sync');
+const { roundtripFile, roundtripCorpus, CONSTRUCTS } = require('../lib/roundtrip');
+const { buildCustomFieldsPayload } = require('../lib/custom-fields');
+const { exportToSsg, SSG_TARGETS } = require('../lib/ssg-export');
+const { buildSite } = require('../lib/build');
+const { generateFeeds } = require('../lib/feeds');
+const { generateSitemap } = require('../lib/sitemap');
+const { generateRedirects } = require('../lib/redirects');
+const { startPreview } = require('../lib/preview');
+const { watchAndPublish } = require('../lib/watch');
+const { scheduleArticles } = require('../lib/schedule');
+const { listTerms, renameTerm, mergeTerms, deleteTerm, describeTerm } = require('../lib/terms');
 const {
   compareFiles,
   compareBatch,
@@ -51,6 +83,7 @@ const {
   readWordPressMetadata,
   readFrontMatterType,
   extractLocalImages,
+  getFeaturedImage,
   loadSidecar,
   getImagesToUpload
 } = require('../lib/image-utils');
@@ -78,22 +111,42 @@ Commands:
   convert <input> [output]       Convert HTML file to Markdown
   verify <html> <markdown>       Verify conversion quality
   batch <urls-file> [options]    Batch convert multiple articles
+  pull [options]                 Pull every post and page from a WordPress site
+  import-wxr <export.xml>        Import a WordPress export file (offline, no API)
   export <markdown> [output]     Export markdown to WordPress HTML
+  export-ssg <content> <site>    Export content to a Hugo, Jekyll, Eleventy or Astro site
+  build <content> <out>          Build a static HTML site (no other toolchain needed)
+  feeds <content> <out>          Generate RSS, Atom and JSON feeds from content
+  sitemap <content> <out>        Generate sitemap.xml and redirects from old WordPress URLs
+  preview <md|dir>               Preview rendered articles locally, reloading on save
 
   config-wp <action> [args]      Manage WordPress site configurations
     add <name> <url>             Add a new WordPress site
     remove <name>                Remove a WordPress site
     list                         List configured sites
     test [name]                  Test connection to a site
+    fields <name>                Show or set the custom fields publish may write (--meta, --acf)
+    limits <name>                Show or set request retries and rate (--retries, --rate-limit)
+  types [options]                List post types and taxonomies registered on a site
+  terms <action> <taxonomy>      Manage a site's categories or tags (and local front matter)
+    list <tax>                   List terms with post counts (tax: categories or tags)
+    rename <tax> <term> <name>   Rename a term
+    merge <tax> <from> <to>      Move every post to another term, then delete the first
+    delete <tax> <term>          Delete a term
+    describe <tax> <term> [text] Show or set a term's description
 
   publish <markdown> [options]   Publish markdown to WordPress
   publish-all <dir> [options]    Batch publish all markdown files
+  sync <markdown|dir> [options]  Merge local and WordPress changes (three-way)
+  watch <md|dir> [options]       Re-publish changed articles to WordPress on save
+  schedule <md|dir> [options]    List upcoming publish_at articles and schedule them in WordPress
 
   update-metadata <markdown>     Update only categories, tags, excerpt (no content changes)
   update-metadata-all <dir>      Batch update metadata for all markdown files
 
   compare <file1> <file2>        Compare two markdown files for content drift
   compare-batch <mapping.json>   Compare multiple file pairs from a JSON mapping
+  roundtrip <html|md|dir>        Report structure lost in an HTML → Markdown → HTML cycle
 
   config-claude <action>         Manage Claude API configuration
     set-key                      Set Claude API key
@@ -116,9 +169,10 @@ Fetch Options:
   --output-dir=<dir>             Output directory (default: ./raw or ./content for --hierarchical)
   --api                          Use WordPress REST API instead of HTML scraping
   --site=<name>                  WordPress site to use (for --api mode)
-  --type=<type>                  Content type: posts (default) or pages
+  --type=<type>                  Content type: posts (default), pages, or a custom post type's REST base
   --hierarchical                 Use hierarchical directory structure (posts/YYYY/MM/DD-slug/)
   --no-date-prefix               Don't add date prefix to filename (flat mode only)
+  --concurrency=<n>              Images downloaded at once (--api mode, default: 1)
 
 Convert Options:
   --slug=<slug>                  Override the slug
@@ -140,15 +194,73 @@ Batch Options:
   --hierarchical                 Use hierarchical directory structure (posts/YYYY/MM/DD-slug/)
   --no-date-prefix               Don't add date prefix to filename (flat mode only)
   --no-images                    Skip downloading images (default: images are downloaded)
+  --concurrency=<n>              Articles (and each article's images) fetched at once (--api mode, default: 1)
+
+Pull Options:
+  --site=<name>                  WordPress site to pull from (default: default site)
+  --output-dir=<dir>             Content root directory (default: ./content)
+  --type=<list>                  Content types: posts,pages or custom REST bases (default: posts,pages)
+  --status=<list>                Only these statuses, e.g. publish,draft (default: any)
+  --after=<date>                 Only items published after this date (YYYY-MM-DD)
+  --before=<date>                Only items published before this date (YYYY-MM-DD)
+  --category=<name>              Only posts in this category (name, slug or ID)
+  --tag=<name>                   Only posts with this tag (name, slug or ID)
+  --author=<name>                Only items by this author (name, slug or ID)
+  --force                        Overwrite files that already exist locally
+  --incremental                  Only fetch items modified since the last incremental pull
+  --flat                         Use flat YYYY-MM-DD-slug.md files instead of hierarchical
+  --no-images                    Skip downloading images
+
+Import-WXR Options:
+  --output-dir=<dir>             Content root directory (default: ./content)
+  --types=<list>                 WordPress post types to import (default: post,page)
+  --status=<list>                Only import these statuses (e.g., publish,draft)
+  --images                       Download images (requires network access)
+  --force                        Overwrite existing files (default: error on conflict)
 
 Publish Options:
   --site=<name>                  WordPress site to publish to (default: default site)
-  --type=<type>                  Content type: posts (default) or pages
+  --type=<type>                  Content type: posts (default), pages, or a custom post type's REST base
   --status=<status>              Post status: publish, draft, future, private (default: publish)
   --update                       Update existing post/page if found by slug
-  --date=<iso-date>              Publish date in ISO 8601 format (e.g., 2025-12-07T23:00:00)
+  --date=<iso-date>              Publish date, with an offset or in the site's timezone (e.g., 2025-12-07T23:00:00-08:00)
   --dryrun                       Show what would be published without publishing
   --yes                          Skip confirmation prompts (for automation)
+  --force                        Update even if the post was edited in WordPress since the last sync
+  --blocks                       Publish native Gutenberg blocks (opens in the block editor)
+  --concurrency=<n>              Files published at once by publish-all (default: 1)
+
+Sync Options:
+  --site=<name>                  WordPress site to sync with (default: default site)
+  --type=<type>                  Content type REST base (default: from front matter)
+  --dryrun                       Report what would change without writing or publishing
+  --no-push                      Merge WordPress changes locally but don't publish
+  --init                         Record the current WordPress version as the merge base
+  --blocks                       Publish merged changes as native Gutenberg blocks
+
+Watch Options:
+  --site=<name>                  WordPress site to publish to (default: default site)
+  --status=<status>              Post status to publish with (default: draft)
+  --type=<type>                  Content type REST base (default: from front matter)
+  --create                       Create posts for articles without a wordpress.post_id
+  --force                        Update even if the post was edited in WordPress since the last sync
+  --blocks                       Publish native Gutenberg blocks
+  --debounce=<ms>                Wait for saves to settle before publishing (default: 1000)
+
+Schedule Options:
+  --site=<name>                  WordPress site to schedule on (default: default site)
+  --type=<type>                  Content type REST base (default: from front matter)
+  --dryrun                       List the queue and compare with WordPress without pushing
+  --force                        Push even if the post was edited in WordPress since the last sync
+
+Terms Options:
+  --site=<name>                  WordPress site to manage (default: default site)
+  --content=<dir>                Update categories and tags in this content directory's front matter
+  --slug=<slug>                  New slug for rename (default: WordPress keeps the old slug)
+  --sort=count                   List the most used terms first (default: by name)
+  --dryrun                       Report what would change without changing anything
+  --yes                          Skip the confirmation prompt for merge and delete
+  --concurrency=<n>              Posts updated at once by merge (default: 1)
 
 Update-Metadata Options:
   --site=<name>                  WordPress site to update (default: default site)
@@ -156,21 +268,66 @@ Update-Metadata Options:
   --categories-only              Only update categories
   --tags-only                    Only update tags
   --excerpt-only                 Only update excerpt/description
+  --custom-fields-only           Only update allowlisted custom fields (post meta, ACF)
+  --seo-only                     Only update SEO fields (Yoast or Rank Math)
   --use-singular-category        Use 'category:' field (singular) instead of 'categories:' (plural)
 
 Safeguards:
   - If wordpress.post_id exists in front matter, --update is auto-enabled
   - Creating new posts requires confirmation (use --yes to skip)
+  - Updates are refused if the post was edited in WordPress since the last sync (use --force)
   - Use --dryrun to preview changes before publishing
 
 Export Options:
-  --include-wrapper              Add WordPress block editor comments
+  --blocks                       Emit native Gutenberg block markup
+  --include-wrapper              Alias for --blocks
+
+Export-SSG Options:
+  --target=<name>                Static site generator: hugo, jekyll, eleventy, astro (required)
+  --map=<from:to,...>            Rename front matter keys (empty target drops the key)
+  --dryrun                       Show where each file would go without writing
+
+Build Options:
+  --templates=<dir>              Templates overriding the built-in ones (layout, article, list, list-item)
+  --title=<title>                Site title (default: ownwords)
+  --site-url=<url>               Site URL for canonical links (e.g., https://mirror.example.com)
+  --per-page=<n>                 Posts per index and archive page (default: 10)
+  --drafts                       Include drafts
+  --feeds                        Also write RSS, Atom and JSON feeds (needs --site-url)
+  --term-feeds                   Also write per-category and per-tag feeds
+
+Feeds Options:
+  --site-url=<url>               Site URL for absolute links (required)
+  --title=<title>                Feed title (default: ownwords)
+  --description=<text>           Feed description
+  --language=<code>              Feed language (default: en-US)
+  --limit=<n>                    Posts per feed, 0 for all (default: 10)
+  --formats=<list>               Formats to write: rss,atom,json (default: all)
+  --terms                        Also write per-category and per-tag feeds
+  --drafts                       Include drafts
+
+Sitemap Options:
+  --site-url=<url>               Site URL for absolute links (required)
+  --redirects=<list>             Redirect files to write: netlify,nginx,apache (default: all)
+  --no-redirects                 Write only the sitemap
+  --feeds                        Also redirect WordPress feed URLs (/feed/) to feed files
+  --term-feeds                   Also redirect per-category and per-tag feed URLs
+
+Preview Options:
+  --port=<n>                     Port to listen on (default: 4000)
+  --host=<host>                  Interface to listen on (default: 127.0.0.1)
+  --theme=<url>                  Style pages with a theme stylesheet (downloaded once, then cached)
+  --refresh-theme                Download the theme stylesheet again
 
 Compare Options:
   --normalize                    Normalize typography before comparing (quotes, spaces)
   --verbose                      Show detailed context for differences
   --json                         Output comparison results as JSON
 
+Roundtrip Options:
+  --verbose                      List every differing item (default: first 5 per construct)
+  --json                         Output round-trip results as JSON
+
 Tag Analysis Options:
   --output-dir=<dir>             Directory for analysis output (default: ./tag-analysis)
   --batch-size=<n>               Articles per progress report (default: 20)
@@ -197,6 +354,39 @@ Examples:
   # Batch convert from URLs file
   ownwords batch urls.txt --verify
 
+  # Mirror a large archive via the API, eight articles at a time
+  ownwords batch urls.txt --api --site=myblog --hierarchical --concurrency=8
+
+  # Check that a fetch-edit-publish cycle keeps structure; corpus report for a directory
+  ownwords roundtrip ./raw/my-article.html
+  ownwords roundtrip ./content
+
+  # Mirror a whole site, or just one category's published posts
+  ownwords pull --site=myblog
+  ownwords pull --site=myblog --status=publish --category=Engineering --after=2024-01-01
+
+  # Nightly sync: only what changed remotely since the previous run
+  ownwords pull --site=myblog --incremental
+
+  # Import a WordPress export (Tools → Export) without API credentials
+  ownwords import-wxr ./export.xml --output-dir=./content
+
+  # Export the same content to a static site generator, keeping WordPress URLs
+  ownwords export-ssg ./content ./my-hugo-site --target=hugo
+  ownwords export-ssg ./content ./my-astro-site --target=astro --map=description:summary
+
+  # Build a static mirror (e.g., for Cloudflare Pages) with custom templates
+  ownwords build ./content ./public --title="My Blog" --site-url=https://mirror.example.com --templates=./templates
+
+  # Generate feeds, including one per category and tag
+  ownwords feeds ./content ./public --site-url=https://example.com --title="My Blog" --terms
+
+  # Preview articles while editing, styled like the live site
+  ownwords preview ./content --theme=https://example.com/wp-content/themes/mytheme/style.css
+
+  # Generate sitemap.xml and _redirects for Netlify or Cloudflare Pages
+  ownwords sitemap ./content ./public --site-url=https://example.com --redirects=netlify --feeds
+
   # Configure WordPress site
   ownwords config-wp add myblog https://myblog.com --username=author
 
@@ -204,8 +394,38 @@ Examples:
   ownwords publish ./content/articles/my-article.md --status=draft  # Only if you explicitly want a draft
   ownwords publish ./content/articles/my-article.md --status=publish --update
 
+  # Publish as native blocks so the post opens cleanly in the block editor
+  ownwords publish ./content/articles/my-article.md --update --blocks
+
+  # Let publish and update-metadata write these custom fields (front matter custom_fields:)
+  ownwords config-wp fields myblog --meta=subtitle --acf=speaker_bio,slides_url
+
+  # Retry failed requests up to 5 times and send at most 2 requests a second
+  ownwords config-wp limits myblog --retries=5 --rate-limit=2
+
   # Publish a page (not a post)
   ownwords publish ./content/pages/about/index.md --type=pages --update
+
+  # Custom post types: find the REST base, then fetch and publish with --type
+  ownwords types --site=myblog
+  ownwords fetch my-talk --api --type=talks --hierarchical
+  ownwords publish ./content/talks/2025/03/12-my-talk/index.md --type=talks --update
+
+  # Clean up tags in WordPress and in local front matter (e.g., after apply-tags)
+  ownwords terms list tags --site=myblog --sort=count
+  ownwords terms merge tags "JS" "JavaScript" --site=myblog --content=./content
+  ownwords terms rename categories "Misc" "Notes" --site=myblog --content=./content
+
+  # Merge edits made in wp-admin with local edits, then publish the result
+  ownwords sync ./content/posts/2025/01/15-my-article/index.md
+  ownwords sync ./content --dryrun
+
+  # Keep the WordPress drafts current while editing (wp-admin reviewers see each save)
+  ownwords watch ./content/posts/2025/01/15-my-article --site=myblog --status=draft
+
+  # Schedule every article with a future publish_at (e.g., publish_at: "2025-03-01 09:00 America/New_York")
+  ownwords schedule ./content --site=myblog --dryrun
+  ownwords schedule ./content --site=myblog
 `);
 }
 
@@ -275,7 +495,8 @@ async function cmdFetch(options) {
         force: options.flags.force === true,
         noDatePrefix: options.flags.nodateprefix === true,
         hierarchical: options.flags.hierarchical === true,
-        images: options.flags.noimages !== true
+        images: options.flags.noimages !== true,
+        concurrency: parseConcurrency(options.flags.concurrency)
       });
 
       if (!options.silent) {
@@ -313,7 +534,7 @@ async function cmdFetch(options) {
   const output = options.positional[1] || path.join(outputDir, `${slug || 'article'}.html`);
 
   try {
-    fetchArticle(urlOrSlug, output, { silent: options.silent });
+    await fetchArticle(urlOrSlug, output, { silent: options.silent });
     if (!options.silent) {
       console.log(`\nFetched successfully: ${output}`);
     }
@@ -524,6 +745,9 @@ async function cmdBatch(options) {
     console.log(`  Raw directory: ${rawDir}`);
   }
   console.log(`  Output directory: ${outputDir}`);
+  if (useApi && options.flags.concurrency) {
+    console.log(`  Concurrency: ${options.flags.concurrency}`);
+  }
   console.log('='.repeat(60));
 
   // REST API mode - fetch directly to markdown with enriched metadata
@@ -535,7 +759,8 @@ async function cmdBatch(options) {
         silent: options.silent,
         force: options.flags.force === true,
         noDatePrefix: options.flags.nodateprefix === true,
-        hierarchical: options.flags.hierarchical === true
+        hierarchical: options.flags.hierarchical === true,
+        concurrency: parseConcurrency(options.flags.concurrency)
       });
 
       // Summary
@@ -612,7 +837,7 @@ async function cmdBatch(options) {
 
       // Fetch if not skipping
       if (!options.flags.skipFetch) {
-        fetchArticle(url, htmlPath, { silent: options.silent });
+        await fetchArticle(url, htmlPath, { silent: options.silent });
       } else if (!fs.existsSync(htmlPath)) {
         console.error(`  HTML file not found and --skip-fetch is set: ${htmlPath}`);
         results.push({ url, slug, success: false, error: 'HTML not found' });
@@ -679,6 +904,149 @@ async function cmdBatch(options) {
   }
 }
 
+async function cmdPull(options) {
+  const outputDir = options.flags.outputdir || './content';
+  const types = options.flags.type ? options.flags.type.split(',').map(t => t.trim()) : ['posts', 'pages'];
+
+  console.log('='.repeat(60));
+  console.log('ownwords Site Pull');
+  console.log('='.repeat(60));
+  console.log(`  Site: ${options.flags.site || '(default)'}`);
+  console.log(`  Content types: ${types.join(', ')}`);
+  const filters = ['status', 'after', 'before', 'category', 'tag', 'author']
+    .filter(key => options.flags[key])
+    .map(key => `${key}=${options.flags[key]}`);
+  if (filters.length > 0) {
+    console.log(`  Filters: ${filters.join(', ')}`);
+  }
+  console.log(`  Output directory: ${outputDir}`);
+  console.log('='.repeat(60));
+
+  try {
+    const results = await pullSite(outputDir, {
+      site: options.flags.site,
+      types,
+      status: options.flags.status,
+      after: options.flags.after,
+      before: options.flags.before,
+      category: options.flags.category,
+      tag: options.flags.tag,
+      author: options.flags.author,
+      silent: options.silent,
+      force: options.flags.force === true,
+      incremental: options.flags.incremental === true,
+      hierarchical: options.flags.flat !== true,
+      images: options.flags.noimages !== true
+    });
+
+    if (options.flags.incremental) {
+      const created = results.changes.filter(c => c.change === 'new');
+      const updated = results.changes.filter(c => c.change === 'updated');
+
+      console.log(`\n${'='.repeat(60)}`);
+      console.log('REMOTE CHANGES');
+      console.log('='.repeat(60));
+      if (results.changes.length === 0) {
+        console.log('  No changes since the last pull');
+      }
+      created.forEach(c => {
+        console.log(`  + ${c.slug} (${c.type}) - new: "${c.title}"`);
+      });
+      updated.forEach(c => {
+        console.log(`  ~ ${c.slug} (${c.type}) - ${c.fields.length > 0 ? c.fields.join(', ') : 'modified'}`);
+        if (c.previousPath) {
+          console.log(`      moved from ${c.previousPath} (old copy left in place)`);
+        }
+      });
+      results.skipped.forEach(c => {
+        console.log(`  ! ${c.slug} (${c.type}) - edited locally, not overwritten; run 'ownwords sync ${c.mdPath}'`);
+      });
+      for (const [type, mark] of Object.entries(results.watermarks)) {
+        console.log(`  Watermark (${type}): ${mark.modifiedGmt} UTC`);
+      }
+    }
+
+    console.log(`\n${'='.repeat(60)}`);
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`  Found: ${results.total}`);
+    console.log(`  Pulled: ${results.success}`);
+    if (!options.flags.incremental) {
+      console.log(`  Already local: ${results.skipped.length}${results.skipped.length > 0 ? ' (use --force to overwrite)' : ''}`);
+    }
+    console.log(`  Failed: ${results.failed}`);
+
+    if (results.errors.length > 0) {
+      console.log('\nFailed:');
+      results.errors.forEach(e => {
+        console.log(`  ❌ ${e.input}: ${e.error}`);
+      });
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+async function cmdImportWxr(options) {
+  const xmlPath = options.positional[0];
+
+  if (!xmlPath) {
+    console.error('Error: WXR export file required');
+    console.log('Usage: ownwords import-wxr <export.xml> [--output-dir=<dir>]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(xmlPath)) {
+    console.error(`Error: File not found: ${xmlPath}`);
+    process.exit(1);
+  }
+
+  const outputDir = options.flags.outputdir || './content';
+  const types = options.flags.types ? options.flags.types.split(',').map(t => t.trim()) : ['post', 'page'];
+  const statuses = options.flags.status ? options.flags.status.split(',').map(s => s.trim()) : null;
+
+  console.log('='.repeat(60));
+  console.log('ownwords WXR Import');
+  console.log('='.repeat(60));
+  console.log(`  Export file: ${xmlPath}`);
+  console.log(`  Post types: ${types.join(', ')}`);
+  if (statuses) {
+    console.log(`  Statuses: ${statuses.join(', ')}`);
+  }
+  console.log(`  Output directory: ${outputDir}`);
+  console.log('='.repeat(60));
+
+  try {
+    const results = await importWxr(xmlPath, outputDir, {
+      types,
+      statuses,
+      silent: options.silent,
+      force: options.flags.force === true,
+      images: options.flags.images === true
+    });
+
+    console.log(`\n${'='.repeat(60)}`);
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`  Total: ${results.total}`);
+    console.log(`  Imported: ${results.success}`);
+    console.log(`  Failed: ${results.failed}`);
+
+    if (results.errors.length > 0) {
+      console.log('\nFailed:');
+      results.errors.forEach(e => {
+        console.log(`  ❌ ${e.input}: ${e.error}`);
+      });
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 function cmdExport(options) {
   const mdPath = options.positional[0];
 
@@ -698,7 +1066,7 @@ function cmdExport(options) {
 
   try {
     const result = exportToWordPress(mdPath, output, {
-      includeWrapper: options.flags.includewrapper || false
+      blocks: options.flags.blocks === true || options.flags.includewrapper === true
     });
 
     if (!options.silent) {
@@ -712,6 +1080,300 @@ function cmdExport(options) {
   }
 }
 
+function cmdExportSsg(options) {
+  const [contentDir, siteDir] = options.positional;
+  const target = options.flags.target;
+  const targets = Object.keys(SSG_TARGETS).join('|');
+
+  if (!contentDir || !siteDir || typeof target !== 'string') {
+    console.error('Error: Content directory, site directory and --target required');
+    console.log(`Usage: ownwords export-ssg <contentDir> <siteDir> --target=${targets}`);
+    process.exit(1);
+  }
+
+  if (!SSG_TARGETS[target]) {
+    console.error(`Error: Unknown target: ${target} (expected ${targets})`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(contentDir)) {
+    console.error(`Error: Directory not found: ${contentDir}`);
+    process.exit(1);
+  }
+
+  // Key mapping: config file (ssg.<target>.frontMatter), then --map=from:to (empty 'to' drops the key)
+  const frontMatter = { ...getSsgSettings(target).frontMatter };
+  if (typeof options.flags.map === 'string') {
+    for (const pair of options.flags.map.split(',')) {
+      const [from, to = ''] = pair.split(':').map(part => part.trim());
+      if (from) frontMatter[from] = to || null;
+    }
+  }
+
+  const dryRun = options.flags.dryrun === true;
+
+  try {
+    const result = exportToSsg(contentDir, siteDir, { target, frontMatter, dryRun });
+
+    if (!options.silent) {
+      console.log(`\nExporting ${contentDir} to ${target} site: ${siteDir}${dryRun ? ' (DRY RUN)' : ''}`);
+      for (const item of result.exported) {
+        const images = item.images > 0 ? ` (${item.images} image${item.images === 1 ? '' : 's'})` : '';
+        console.log(`  ✅ ${path.relative(contentDir, item.sourcePath)} → ${path.relative(siteDir, item.outputPath)}${images}`);
+        for (const missing of item.missingImages) {
+          console.log(`     ⚠️  Image not found: ${missing}`);
+        }
+      }
+      for (const failure of result.errors) {
+        console.log(`  ❌ ${path.relative(contentDir, failure.sourcePath)}: ${failure.error}`);
+      }
+
+      console.log(`\n${'='.repeat(60)}`);
+      console.log(`Exported: ${result.exported.length}`);
+      console.log(`Images: ${result.exported.reduce((sum, item) => sum + item.images, 0)}`);
+      console.log(`Failed: ${result.errors.length}`);
+    }
+
+    if (result.errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function cmdBuild(options) {
+  const [contentDir, outDir] = options.positional;
+
+  if (!contentDir || !outDir) {
+    console.error('Error: Content directory and output directory required');
+    console.log('Usage: ownwords build <contentDir> <outDir> [options]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(contentDir)) {
+    console.error(`Error: Directory not found: ${contentDir}`);
+    process.exit(1);
+  }
+
+  const perPage = options.flags.perpage ? parseInt(options.flags.perpage, 10) : 10;
+  if (!(perPage > 0)) {
+    console.error(`Error: Invalid --per-page: ${options.flags.perpage}`);
+    process.exit(1);
+  }
+
+  try {
+    const result = buildSite(contentDir, outDir, {
+      templatesDir: typeof options.flags.templates === 'string' ? options.flags.templates : undefined,
+      siteTitle: typeof options.flags.title === 'string' ? options.flags.title : undefined,
+      siteUrl: typeof options.flags.siteurl === 'string' ? options.flags.siteurl : undefined,
+      perPage,
+      drafts: options.flags.drafts === true,
+      feeds: options.flags.feeds === true,
+      termFeeds: options.flags.termfeeds === true
+    });
+
+    if (!options.silent) {
+      console.log(`\nBuilt ${contentDir} → ${outDir}`);
+      for (const failure of result.errors) {
+        console.log(`  ❌ ${path.relative(contentDir, failure.sourcePath)}: ${failure.error}`);
+      }
+
+      console.log(`\n${'='.repeat(60)}`);
+      console.log(`Articles: ${result.articles.length}`);
+      console.log(`Index and archive pages: ${result.listings.length}`);
+      console.log(`Images: ${result.images}`);
+      if (result.feeds.length > 0) {
+        console.log(`Feeds: ${result.feeds.length}`);
+      }
+      console.log(`Failed: ${result.errors.length}`);
+    }
+
+    if (result.errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function cmdFeeds(options) {
+  const [contentDir, outDir] = options.positional;
+
+  if (!contentDir || !outDir) {
+    console.error('Error: Content directory and output directory required');
+    console.log('Usage: ownwords feeds <contentDir> <outDir> --site-url=<url> [options]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(contentDir)) {
+    console.error(`Error: Directory not found: ${contentDir}`);
+    process.exit(1);
+  }
+
+  if (typeof options.flags.siteurl !== 'string' || !options.flags.siteurl) {
+    console.error('Error: --site-url is required (feeds use absolute links)');
+    process.exit(1);
+  }
+
+  const limit = options.flags.limit !== undefined ? parseInt(options.flags.limit, 10) : 10;
+  if (!(limit >= 0)) {
+    console.error(`Error: Invalid --limit: ${options.flags.limit}`);
+    process.exit(1);
+  }
+
+  try {
+    const result = generateFeeds(contentDir, outDir, {
+      siteUrl: options.flags.siteurl,
+      siteTitle: typeof options.flags.title === 'string' ? options.flags.title : undefined,
+      description: typeof options.flags.description === 'string' ? options.flags.description : undefined,
+      language: typeof options.flags.language === 'string' ? options.flags.language : undefined,
+      limit,
+      formats: typeof options.flags.formats === 'string' ? options.flags.formats.split(',').map(f => f.trim()) : undefined,
+      terms: options.flags.terms === true,
+      drafts: options.flags.drafts === true
+    });
+
+    if (!options.silent) {
+      console.log(`\nFeeds for ${contentDir} → ${outDir}`);
+      for (const feed of result.feeds) {
+        console.log(`  ✅ ${path.relative(outDir, feed.outputPath)}${feed.wordpressPath ? ` (replaces ${feed.wordpressPath})` : ''}`);
+      }
+      for (const failure of result.errors) {
+        console.log(`  ❌ ${path.relative(contentDir, failure.sourcePath)}: ${failure.error}`);
+      }
+
+      console.log(`\n${'='.repeat(60)}`);
+      console.log(`Posts: ${result.posts}`);
+      console.log(`Feeds: ${result.feeds.length}`);
+      console.log(`Failed: ${result.errors.length}`);
+    }
+
+    if (result.errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function cmdSitemap(options) {
+  const [contentDir, outDir] = options.positional;
+
+  if (!contentDir || !outDir) {
+    console.error('Error: Content directory and output directory required');
+    console.log('Usage: ownwords sitemap <contentDir> <outDir> --site-url=<url> [options]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(contentDir)) {
+    console.error(`Error: Directory not found: ${contentDir}`);
+    process.exit(1);
+  }
+
+  if (typeof options.flags.siteurl !== 'string' || !options.flags.siteurl) {
+    console.error('Error: --site-url is required (sitemaps use absolute links)');
+    process.exit(1);
+  }
+
+  try {
+    const sitemap = generateSitemap(contentDir, outDir, { siteUrl: options.flags.siteurl });
+    const redirects = options.flags.noredirects
+      ? null
+      : generateRedirects(contentDir, outDir, {
+        formats: typeof options.flags.redirects === 'string' ? options.flags.redirects.split(',').map(f => f.trim()) : undefined,
+        feeds: options.flags.feeds === true,
+        termFeeds: options.flags.termfeeds === true
+      });
+    const errors = redirects ? redirects.errors : sitemap.errors;
+
+    if (!options.silent) {
+      console.log(`\nSitemap for ${contentDir} → ${outDir}`);
+      for (const file of [...sitemap.files, ...(redirects ? redirects.files : [])]) {
+        console.log(`  ✅ ${path.relative(outDir, file)}`);
+      }
+      if (options.verbose && redirects) {
+        for (const redirect of redirects.redirects) {
+          console.log(`  ↪️  ${redirect.from} → ${redirect.to}`);
+        }
+      }
+      for (const failure of errors) {
+        console.log(`  ❌ ${failure.sourcePath ? path.relative(contentDir, failure.sourcePath) : 'feeds'}: ${failure.error}`);
+      }
+
+      console.log(`\n${'='.repeat(60)}`);
+      console.log(`URLs: ${sitemap.urls}`);
+      if (redirects) {
+        console.log(`Redirects: ${redirects.redirects.length}`);
+      }
+      console.log(`Failed: ${errors.length}`);
+    }
+
+    if (errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+async function cmdPreview(options) {
+  const target = options.positional[0];
+
+  if (!target) {
+    console.error('Error: Markdown file or directory required');
+    console.log('Usage: ownwords preview <md|dir> [--port=4000] [--theme=<css-url>]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(target)) {
+    console.error(`Error: Not found: ${target}`);
+    process.exit(1);
+  }
+
+  const port = options.flags.port !== undefined ? parseInt(options.flags.port, 10) : 4000;
+  if (!(port >= 0 && port < 65536)) {
+    console.error(`Error: Invalid --port: ${options.flags.port}`);
+    process.exit(1);
+  }
+
+  try {
+    if (options.flags.theme && !options.silent) {
+      console.log(`Loading theme stylesheet: ${options.flags.theme}`);
+    }
+
+    const preview = await startPreview(target, {
+      port,
+      host: typeof options.flags.host === 'string' ? options.flags.host : undefined,
+      themeCss: typeof options.flags.theme === 'string' ? options.flags.theme : undefined,
+      refreshTheme: options.flags.refreshtheme === true,
+      onReload: files => {
+        if (!options.silent) {
+          console.log(`  🔄 ${files.map(file => path.relative(process.cwd(), file)).join(', ')}`);
+        }
+      }
+    });
+
+    if (!options.silent) {
+      console.log(`\n👀 Previewing ${target}`);
+      console.log(`   ${preview.url}`);
+      console.log('   Pages reload when you save. Press Ctrl+C to stop.\n');
+    }
+
+    process.once('SIGINT', async () => {
+      await preview.close();
+      process.exit(0);
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 /**
  * Prompt for input (used for password entry)
  */
@@ -766,7 +1428,7 @@ async function cmdConfigWp(options) {
 
   if (!action) {
     console.error('Error: Action required');
-    console.log('Usage: ownwords config-wp <add|remove|list|test> [args]');
+    console.log('Usage: ownwords config-wp <add|remove|list|test|fields|limits> [args]');
     process.exit(1);
   }
 
@@ -849,6 +1511,14 @@ async function cmdConfigWp(options) {
           console.log(`  ${site.name}${defaultTag}`);
           console.log(`    URL: ${site.url}`);
           console.log(`    Username: ${site.username}`);
+          const fields = getWordPressSite(site.name)?.customFields;
+          if (fields) {
+            console.log(`    Custom fields: meta [${fields.meta.join(', ')}], acf [${fields.acf.join(', ')}]`);
+          }
+          const { retries, rateLimit } = getWordPressSite(site.name);
+          if (retries !== undefined || rateLimit !== undefined) {
+            console.log(`    Requests: ${retries !== undefined ? retries : 3} retries, ${rateLimit ? `${rateLimit}/s` : 'unlimited rate'}`);
+          }
           console.log('');
         }
       }
@@ -884,17 +1554,280 @@ async function cmdConfigWp(options) {
           console.log(`\n❌ Connection failed: ${result.error}`);
           process.exit(1);
         }
-      } catch (error) {
-        console.error(`\n❌ Error: ${error.message}`);
-        process.exit(1);
+      } catch (error) {
+        console.error(`\n❌ Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'fields': {
+      const name = options.positional[1];
+      const site = name ? getWordPressSite(name) : null;
+
+      if (!site) {
+        console.error(name ? `Error: Site not found: ${name}` : 'Error: Site name required');
+        console.log('Usage: ownwords config-wp fields <name> [--meta=key1,key2] [--acf=field1,field2]');
+        process.exit(1);
+      }
+
+      const toList = value => (typeof value === 'string' ? value.split(',').map(k => k.trim()).filter(Boolean) : []);
+      if (options.flags.meta !== undefined || options.flags.acf !== undefined) {
+        const current = site.customFields || { meta: [], acf: [] };
+        setCustomFields(name, {
+          meta: options.flags.meta !== undefined ? toList(options.flags.meta) : current.meta,
+          acf: options.flags.acf !== undefined ? toList(options.flags.acf) : current.acf
+        });
+        console.log(`\n✅ Updated custom field allowlist for: ${name}`);
+      }
+
+      const fields = getWordPressSite(name).customFields || { meta: [], acf: [] };
+      console.log(`\nCustom fields publish may write on ${name}:`);
+      console.log(`   Post meta: ${fields.meta.length > 0 ? fields.meta.join(', ') : '(none)'}`);
+      console.log(`   ACF: ${fields.acf.length > 0 ? fields.acf.join(', ') : '(none)'}`);
+      break;
+    }
+
+    case 'limits': {
+      const name = options.positional[1];
+      const site = name ? getWordPressSite(name) : null;
+
+      if (!site) {
+        console.error(name ? `Error: Site not found: ${name}` : 'Error: Site name required');
+        console.log('Usage: ownwords config-wp limits <name> [--retries=<n>] [--rate-limit=<per-second>]');
+        process.exit(1);
+      }
+
+      // 'default' removes the setting
+      const toLimit = (value, flag, isValid) => {
+        if (value === undefined) return undefined;
+        if (value === 'default') return null;
+        if (value === true || !isValid(Number(value))) {
+          console.error(`Error: Invalid --${flag}: ${value} (use a number, or "default")`);
+          process.exit(1);
+        }
+        return Number(value);
+      };
+      const retries = toLimit(options.flags.retries, 'retries', n => Number.isInteger(n) && n >= 0);
+      const rateLimit = toLimit(options.flags.ratelimit, 'rate-limit', n => Number.isFinite(n) && n > 0);
+
+      if (retries !== undefined || rateLimit !== undefined) {
+        setRequestLimits(name, { retries, rateLimit });
+        console.log(`\n✅ Updated request limits for: ${name}`);
+      }
+
+      const limits = getWordPressSite(name);
+      console.log(`\nRequests to ${name}:`);
+      console.log(`   Retries: ${limits.retries !== undefined ? limits.retries : '3 (default)'}`);
+      console.log(`   Rate limit: ${limits.rateLimit ? `${limits.rateLimit} per second` : 'unlimited'}`);
+      break;
+    }
+
+    default:
+      console.error(`Unknown action: ${action}`);
+      console.log('Usage: ownwords config-wp <add|remove|list|test|fields|limits> [args]');
+      process.exit(1);
+  }
+}
+
+async function cmdTypes(options) {
+  const siteName = options.flags.site;
+  const site = getWordPressSite(siteName);
+
+  if (!site) {
+    if (siteName) {
+      console.error(`Error: Site not found: ${siteName}`);
+    } else {
+      console.error('Error: No WordPress site configured');
+      console.log('Add one with: ownwords config-wp add <name> <url>');
+    }
+    process.exit(1);
+  }
+
+  try {
+    const client = new WpClient(site);
+    const [types, taxonomies] = await Promise.all([client.getPostTypes(), client.getTaxonomies()]);
+
+    console.log(`\nPost types on ${site.url} (use the REST base with --type):\n`);
+    for (const type of types) {
+      const details = [type.slug, type.hierarchical ? 'hierarchical' : null].filter(Boolean).join(', ');
+      const taxonomyList = type.taxonomies.length > 0 ? `  taxonomies: ${type.taxonomies.join(', ')}` : '';
+      console.log(`  ${type.restBase.padEnd(24)} ${type.name} (${details})${taxonomyList}`);
+    }
+
+    console.log(`\nTaxonomies (front matter 'taxonomies:' keys):\n`);
+    for (const taxonomy of taxonomies) {
+      const typeList = taxonomy.types.length > 0 ? `  types: ${taxonomy.types.join(', ')}` : '';
+      console.log(`  ${taxonomy.slug.padEnd(24)} ${taxonomy.name} (REST base: ${taxonomy.restBase})${typeList}`);
+    }
+  } catch (error) {
+    console.error(`\n❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// TERMS COMMAND
+// ============================================================================
+
+const TERMS_USAGE = 'Usage: ownwords terms <list|rename|merge|delete|describe> <categories|tags> [args] [--site=<name>] [--content=<dir>]';
+
+function printTermFiles(files, dryRun) {
+  if (files.length === 0) return;
+  console.log(`   ${dryRun ? 'Would update' : 'Updated'} front matter in ${files.length} file(s):`);
+  files.forEach(file => console.log(`      ${file}`));
+}
+
+async function confirmTermChange(options, warning) {
+  if (options.flags.yes === true) return;
+
+  console.log(`\n⚠️  ${warning}`);
+  console.log('   This changes posts in WordPress and cannot be undone.\n');
+
+  const answer = await prompt('Continue? (y/N): ');
+  if (answer.toLowerCase() !== 'y' && answer.toLowerCase() !== 'yes') {
+    console.log('Aborted.');
+    process.exit(0);
+  }
+}
+
+async function cmdTerms(options) {
+  const [action, taxonomy, ...args] = options.positional;
+
+  if (!action || !taxonomy) {
+    console.error('Error: Action and taxonomy required');
+    console.log(TERMS_USAGE);
+    process.exit(1);
+  }
+
+  const contentDir = typeof options.flags.content === 'string' ? options.flags.content : undefined;
+  if (contentDir && !fs.existsSync(contentDir)) {
+    console.error(`Error: Content directory not found: ${contentDir}`);
+    process.exit(1);
+  }
+
+  let concurrency;
+  try {
+    concurrency = parseConcurrency(options.flags.concurrency);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const dryRun = options.flags.dryrun === true;
+  if (dryRun) {
+    console.log('DRY RUN - nothing will be changed\n');
+  }
+  const common = { site: options.flags.site, contentDir, dryRun };
+
+  try {
+    switch (action) {
+      case 'list': {
+        const terms = await listTerms(taxonomy, { site: options.flags.site, sort: options.flags.sort });
+        if (terms.length === 0) {
+          console.log(`No ${taxonomy} found`);
+          break;
+        }
+        console.log(`\n${terms.length} ${taxonomy} (posts, name, slug, ID):\n`);
+        for (const term of terms) {
+          console.log(`  ${String(term.count).padStart(5)}  ${term.name} (${term.slug}, ID ${term.id})`);
+        }
+        break;
+      }
+
+      case 'rename': {
+        const [term, name] = args;
+        if (!term || !name) {
+          console.error('Error: Term and new name required');
+          console.log('Usage: ownwords terms rename <categories|tags> <term> <new-name> [--slug=<slug>]');
+          process.exit(1);
+        }
+        const result = await renameTerm(taxonomy, term, name, {
+          ...common,
+          slug: typeof options.flags.slug === 'string' ? options.flags.slug : undefined
+        });
+        console.log(`✅ ${dryRun ? 'Would rename' : 'Renamed'} "${result.previous.name}" to "${result.term.name}" (ID ${result.term.id}, slug ${result.term.slug})`);
+        printTermFiles(result.files, dryRun);
+        break;
+      }
+
+      case 'merge': {
+        const [source, target] = args;
+        if (!source || !target) {
+          console.error('Error: Source and target terms required');
+          console.log('Usage: ownwords terms merge <categories|tags> <from> <to> [--content=<dir>]');
+          process.exit(1);
+        }
+        if (!dryRun) {
+          await confirmTermChange(options, `Moving every post from "${source}" to "${target}", then deleting "${source}"`);
+        }
+
+        const result = await mergeTerms(taxonomy, source, target, { ...common, concurrency });
+        console.log(`\n🔀 ${result.source.name} (ID ${result.source.id}) → ${result.target.name} (ID ${result.target.id})`);
+        console.log(`   Posts with "${result.source.name}": ${result.posts}`);
+        if (!dryRun) {
+          console.log(`   Reassigned: ${result.reassigned}`);
+        }
+        result.errors.forEach(e => {
+          console.log(`   ❌ Post ${e.postId}: ${e.error}`);
+        });
+        if (result.deleted) {
+          console.log(`   🗑️  Deleted "${result.source.name}"`);
+        }
+        printTermFiles(result.files, dryRun);
+
+        if (result.errors.length > 0) {
+          console.log(`\n"${result.source.name}" was kept because some posts still have it; run the merge again to finish.`);
+          process.exit(1);
+        }
+        break;
+      }
+
+      case 'delete': {
+        const [term] = args;
+        if (!term) {
+          console.error('Error: Term required');
+          console.log('Usage: ownwords terms delete <categories|tags> <term> [--content=<dir>]');
+          process.exit(1);
+        }
+        if (!dryRun) {
+          await confirmTermChange(options, `Deleting "${term}" from every post`);
+        }
+
+        const result = await deleteTerm(taxonomy, term, common);
+        console.log(`🗑️  ${dryRun ? 'Would delete' : 'Deleted'} "${result.term.name}" (ID ${result.term.id}, ${result.term.count} posts)`);
+        printTermFiles(result.files, dryRun);
+        break;
+      }
+
+      case 'describe': {
+        const [term, ...words] = args;
+        if (!term) {
+          console.error('Error: Term required');
+          console.log('Usage: ownwords terms describe <categories|tags> <term> [description]');
+          process.exit(1);
+        }
+
+        const description = words.length > 0 ? words.join(' ') : undefined;
+        const result = await describeTerm(taxonomy, term, description, common);
+        if (result.updated) {
+          console.log(`✅ Updated description of "${result.term.name}"`);
+        }
+        console.log(`\n${result.term.name} (ID ${result.term.id})`);
+        console.log(`   Slug: ${result.term.slug}`);
+        console.log(`   Posts: ${result.term.count}`);
+        console.log(`   Description: ${result.term.description || '(none)'}`);
+        break;
       }
-      break;
-    }
 
-    default:
-      console.error(`Unknown action: ${action}`);
-      console.log('Usage: ownwords config-wp <add|remove|list|test> [args]');
-      process.exit(1);
+      default:
+        console.error(`Unknown action: ${action}`);
+        console.log(TERMS_USAGE);
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
 }
 
@@ -961,6 +1894,15 @@ async function cmdPublish(options) {
     console.log(`   Consider adding 'type: page' to frontmatter for safety.\n`);
   }
 
+  // Custom post types record their slug (e.g., 'type: talk'); publishing them needs the REST base
+  if (frontMatterType && frontMatterType !== 'page' && frontMatterType !== 'post' && !options.flags.type) {
+    console.error(`\n❌ TYPE MISMATCH ERROR: Frontmatter has 'type: ${frontMatterType}' but you're publishing as a POST.`);
+    console.error(`   This file belongs to the '${frontMatterType}' post type.`);
+    console.error(`   Use: ownwords publish ${mdPath} --type=<rest_base> --update`);
+    console.error(`   Run 'ownwords types' to list the site's post types and their REST bases.\n`);
+    process.exit(1);
+  }
+
   if (!options.silent) {
     console.log(`Publishing to: ${site.url}`);
     console.log(`  File: ${mdPath}`);
@@ -998,12 +1940,33 @@ async function cmdPublish(options) {
         console.log(`   ⚠️  This will create a new post in WordPress`);
       }
 
-      // Image upload plan
+      // SEO overrides (plugin detected on the site when front matter doesn't name one)
+      const seo = matter(markdown, {}).data.seo;
+      if (seo && typeof seo === 'object') {
+        const fields = Object.keys(seo).filter(key => key !== 'plugin');
+        console.log(`\n🔎 SEO (${seo.plugin || 'detected plugin'}): ${fields.join(', ')}`);
+      }
+
+      // Image upload plan (the featured image is uploaded and tracked like body images)
       const images = extractLocalImages(markdown, mdDir);
+      const featuredImage = getFeaturedImage(markdown, mdDir);
+      if (featuredImage && !images.some(img => img.markdownPath === featuredImage.markdownPath)) {
+        images.push(featuredImage);
+      }
       if (images.length > 0) {
         const sidecar = loadSidecar(mdPath);
         const toUpload = getImagesToUpload(images, sidecar, siteName || site.url);
 
+        if (featuredImage) {
+          const featuredMediaId = sidecar?.site === (siteName || site.url)
+            ? sidecar.uploaded?.[featuredImage.markdownPath]?.mediaId
+            : null;
+          const plan = featuredMediaId && !toUpload.some(img => img.markdownPath === featuredImage.markdownPath)
+            ? `reuse media ID ${featuredMediaId}`
+            : 'upload';
+          console.log(`\n🌄 Featured image: ${featuredImage.markdownPath} (${plan})`);
+        }
+
         console.log(`\n🖼️  Image Plan:`);
         console.log(`   Total images in post: ${images.length}`);
         console.log(`   Already uploaded (in sidecar): ${images.length - toUpload.length}`);
@@ -1045,8 +2008,8 @@ async function cmdPublish(options) {
   }
 
   // type is already defined above (in the type mismatch safeguard)
-  const contentTypeName = type === 'pages' ? 'page' : 'post';
-  const contentTypeNameUpper = type === 'pages' ? 'PAGE' : 'POST';
+  const contentTypeName = type === 'pages' ? 'page' : type === 'posts' ? 'post' : type;
+  const contentTypeNameUpper = contentTypeName.toUpperCase();
 
   // SAFEGUARD: Confirmation prompt before creating new content
   const skipConfirm = options.flags.yes === true;
@@ -1071,7 +2034,9 @@ async function cmdPublish(options) {
       date: publishDate,
       siteName: siteName || site.url,
       silent: options.silent,
-      type
+      type,
+      force: options.flags.force === true,
+      blocks: options.flags.blocks === true
     });
 
     console.log(`\n✅ ${result.action === 'created' ? 'Published' : 'Updated'}!`);
@@ -1082,6 +2047,12 @@ async function cmdPublish(options) {
     if (result.imagesUploaded > 0) {
       console.log(`   Images uploaded: ${result.imagesUploaded}`);
     }
+    if (result.featuredMedia) {
+      console.log(`   Featured image: media ID ${result.featuredMedia}`);
+    }
+    if (result.seo) {
+      console.log(`   SEO: written via ${result.seo}`);
+    }
 
     // Save WordPress metadata back to the markdown file
     try {
@@ -1093,11 +2064,37 @@ async function cmdPublish(options) {
       console.error(`   Warning: Failed to save metadata: ${metaError.message}`);
     }
   } catch (error) {
+    if (error.code === 'REMOTE_DRIFT') {
+      printDriftReport(error.drift, mdPath, contentTypeNameUpper);
+      process.exit(1);
+    }
     console.error(`\n❌ ${contentTypeNameUpper} publish failed: ${error.message}`);
     process.exit(1);
   }
 }
 
+function printDriftReport(drift, mdPath, contentTypeNameUpper) {
+  console.error(`\n❌ REMOTE DRIFT: ${contentTypeNameUpper} ${drift.postId} was edited in WordPress since the last sync.`);
+  console.error(`   WordPress modified: ${drift.remoteModifiedGmt} UTC`);
+  console.error(`   Last synced:        ${drift.lastSyncedAt}`);
+  console.error(`   Updating now would overwrite those edits.\n`);
+
+  console.log('Comparison (File 1 = local markdown, File 2 = WordPress):');
+  console.log(generateReport(drift.comparison, { verbose: true }).replace(/^/gm, '  '));
+
+  if (drift.remoteOnlyLines.length > 0) {
+    const shown = drift.remoteOnlyLines.slice(0, 20);
+    console.log('\nOnly in WordPress (would be lost):');
+    shown.forEach(line => console.log(`  - ${line}`));
+    if (drift.remoteOnlyLines.length > shown.length) {
+      console.log(`  ... and ${drift.remoteOnlyLines.length - shown.length} more lines`);
+    }
+  }
+
+  console.log('\nTo merge both versions: ownwords sync ' + mdPath);
+  console.log('To overwrite WordPress:  ownwords publish ' + mdPath + ' --update --force');
+}
+
 async function cmdPublishAll(options) {
   const dir = options.positional[0];
 
@@ -1138,9 +2135,20 @@ async function cmdPublishAll(options) {
   const update = options.flags.update === true;
   const dryRun = options.flags.dryrun === true;
 
+  let concurrency;
+  try {
+    concurrency = parseConcurrency(options.flags.concurrency);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
   console.log(`Publishing ${files.length} files to: ${site.url}`);
   console.log(`  Status: ${status}`);
   console.log(`  Update existing: ${update}`);
+  if (concurrency > 1) {
+    console.log(`  Concurrency: ${concurrency}`);
+  }
   if (dryRun) {
     console.log('  DRY RUN - no changes will be made');
   }
@@ -1149,26 +2157,36 @@ async function cmdPublishAll(options) {
   const client = new WpClient(site);
   const results = { success: [], failed: [] };
 
-  for (const file of files) {
-    const mdPath = path.join(dir, file);
-    const slug = path.basename(file, '.md');
-
-    process.stdout.write(`  ${slug}... `);
-
-    if (dryRun) {
-      console.log('(dry run)');
+  if (dryRun) {
+    for (const file of files) {
+      const slug = path.basename(file, '.md');
+      console.log(`  ${slug}... (dry run)`);
       results.success.push({ slug, action: 'dry-run' });
-      continue;
     }
+  } else {
+    // Each line is printed when its file finishes; per-file progress would interleave
+    const settled = await mapConcurrent(files, file => client.publishMarkdown(path.join(dir, file), {
+      status,
+      update,
+      force: options.flags.force === true,
+      blocks: options.flags.blocks === true,
+      silent: concurrency > 1
+    }), {
+      concurrency,
+      onSettled: ({ status: outcome, value, reason }, index) => {
+        const slug = path.basename(files[index], '.md');
+        console.log(outcome === 'fulfilled' ? `  ${slug}... ✅ ${value.action}` : `  ${slug}... ❌ ${reason.message}`);
+      }
+    });
 
-    try {
-      const result = await client.publishMarkdown(mdPath, { status, update });
-      console.log(`✅ ${result.action}`);
-      results.success.push({ slug, ...result });
-    } catch (error) {
-      console.log(`❌ ${error.message}`);
-      results.failed.push({ slug, error: error.message });
-    }
+    settled.forEach(({ status: outcome, value, reason }, index) => {
+      const slug = path.basename(files[index], '.md');
+      if (outcome === 'fulfilled') {
+        results.success.push({ slug, ...value });
+      } else {
+        results.failed.push({ slug, error: reason.message });
+      }
+    });
   }
 
   // Summary
@@ -1181,6 +2199,269 @@ async function cmdPublishAll(options) {
   }
 }
 
+// ============================================================================
+// SYNC COMMAND
+// ============================================================================
+
+const SYNC_STATUS_LABELS = {
+  unchanged: '✓ Up to date',
+  pulled: '⬇️  Updated from WordPress',
+  pushed: '⬆️  Published local changes',
+  ahead: '📝 Local changes not published (--no-push)',
+  merged: '🔀 Merged local and WordPress changes',
+  conflict: '⚠️  CONFLICT',
+  initialized: '📌 Base recorded'
+};
+
+function printSyncResult(result, options) {
+  let label = SYNC_STATUS_LABELS[result.status] || result.status;
+  if (result.status === 'merged' && !result.pushed && !options.flags.dryrun) {
+    label += ' (not published)';
+  }
+  console.log(`  ${label}: ${result.mdPath}`);
+
+  for (const conflict of result.conflicts) {
+    if (conflict.type === 'field') {
+      console.log(`      ${conflict.field}: kept local ${JSON.stringify(conflict.local)}, WordPress has ${JSON.stringify(conflict.remote)}`);
+    } else {
+      console.log(`      content conflict at line ${conflict.line} (${conflict.local.length} local / ${conflict.remote.length} WordPress lines)`);
+    }
+  }
+}
+
+async function cmdSync(options) {
+  const target = options.positional[0];
+
+  if (!target) {
+    console.error('Error: Markdown file or directory required');
+    console.log('Usage: ownwords sync <markdown|dir> [--site=<name>] [--dryrun] [--no-push] [--init]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(target)) {
+    console.error(`Error: Not found: ${target}`);
+    process.exit(1);
+  }
+
+  const syncOptions = {
+    site: options.flags.site,
+    type: options.flags.type,
+    dryRun: options.flags.dryrun === true,
+    push: options.flags.nopush !== true,
+    init: options.flags.init === true,
+    blocks: options.flags.blocks === true,
+    silent: options.silent
+  };
+
+  if (syncOptions.dryRun) {
+    console.log('DRY RUN - no files will be written and nothing will be published\n');
+  }
+
+  try {
+    let results;
+    let errors = [];
+
+    if (fs.statSync(target).isDirectory()) {
+      const summary = await syncDirectory(target, syncOptions);
+      results = summary.results;
+      errors = summary.errors;
+    } else {
+      results = [await syncArticle(target, syncOptions)];
+    }
+
+    results.forEach(result => printSyncResult(result, options));
+    errors.forEach(e => {
+      console.log(`  ❌ ${e.input}: ${e.error}`);
+    });
+
+    const conflicts = results.filter(r => r.status === 'conflict');
+
+    if (results.length + errors.length > 1) {
+      console.log(`\n${'='.repeat(60)}`);
+      console.log('SUMMARY');
+      console.log('='.repeat(60));
+      for (const [status, label] of Object.entries(SYNC_STATUS_LABELS)) {
+        const count = results.filter(r => r.status === status).length;
+        if (count > 0) {
+          console.log(`  ${label}: ${count}`);
+        }
+      }
+      console.log(`  Failed: ${errors.length}`);
+    }
+
+    if (conflicts.length > 0) {
+      console.log('\nResolve the conflicts (look for <<<<<<< local markers and the fields listed above),');
+      console.log('then run sync again to publish the result.');
+    }
+
+    if (errors.length > 0 || conflicts.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// WATCH COMMAND
+// ============================================================================
+
+function printWatchResult(result, options) {
+  const file = result.mdPath ? path.relative(process.cwd(), result.mdPath) : '';
+  const time = new Date().toLocaleTimeString();
+
+  if (result.action === 'failed') {
+    if (result.error.code === 'REMOTE_DRIFT') {
+      printDriftReport(result.error.drift, result.mdPath, 'POST');
+    } else {
+      console.error(`  ❌ [${time}] ${file}: ${result.error.message}`);
+    }
+  } else if (result.action === 'skipped') {
+    console.log(`  ⏭️  [${time}] ${file}: ${result.reason}`);
+  } else if (!options.silent) {
+    const images = result.imagesUploaded > 0 ? `, ${result.imagesUploaded} image(s) uploaded` : '';
+    console.log(`  ✅ [${time}] ${file}: ${result.action} post ${result.postId}${images}`);
+  }
+}
+
+async function cmdWatch(options) {
+  const target = options.positional[0];
+
+  if (!target) {
+    console.error('Error: Markdown file or directory required');
+    console.log('Usage: ownwords watch <markdown|dir> [--site=<name>] [--status=draft] [--create]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(target)) {
+    console.error(`Error: Not found: ${target}`);
+    process.exit(1);
+  }
+
+  const debounce = options.flags.debounce !== undefined ? parseInt(options.flags.debounce, 10) : 1000;
+  if (!(debounce >= 0)) {
+    console.error(`Error: Invalid --debounce: ${options.flags.debounce}`);
+    process.exit(1);
+  }
+
+  const status = typeof options.flags.status === 'string' ? options.flags.status : 'draft';
+
+  try {
+    const watch = watchAndPublish(target, {
+      site: options.flags.site,
+      type: options.flags.type,
+      status,
+      create: options.flags.create === true,
+      force: options.flags.force === true,
+      blocks: options.flags.blocks === true,
+      debounce,
+      onResult: result => printWatchResult(result, options)
+    });
+
+    if (!options.silent) {
+      console.log(`\n👀 Watching ${target} (publishing as ${status})`);
+      console.log('   Changed articles and images are published on save. Press Ctrl+C to stop.\n');
+    }
+
+    process.once('SIGINT', async () => {
+      await watch.close();
+      process.exit(0);
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// SCHEDULE COMMAND
+// ============================================================================
+
+const SCHEDULE_STATE_LABELS = {
+  new: '🆕 Not in WordPress yet',
+  pending: '📝 Not scheduled in WordPress',
+  mismatch: '⚠️  Scheduled for a different time',
+  scheduled: '✓ Scheduled',
+  published: '⚠️  Already published'
+};
+
+function printScheduleResult(result) {
+  console.log(`  ${SCHEDULE_STATE_LABELS[result.state]}: ${result.mdPath}`);
+  console.log(`      ${result.title}`);
+  console.log(`      publish_at: ${result.publishAt} (${result.dateGmt} UTC)`);
+  if (result.state === 'mismatch') {
+    console.log(`      WordPress:  ${result.remoteDateGmt} UTC`);
+  }
+  if (result.pushed) {
+    console.log(`      ⬆️  ${result.state === 'new' ? 'Created' : 'Scheduled'} post ${result.postId} for ${result.dateGmt} UTC`);
+  }
+}
+
+async function cmdSchedule(options) {
+  const target = options.positional[0];
+
+  if (!target) {
+    console.error('Error: Markdown file or directory required');
+    console.log('Usage: ownwords schedule <markdown|dir> [--site=<name>] [--dryrun]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(target)) {
+    console.error(`Error: Not found: ${target}`);
+    process.exit(1);
+  }
+
+  const dryRun = options.flags.dryrun === true;
+  if (dryRun) {
+    console.log('DRY RUN - nothing will be published\n');
+  }
+
+  try {
+    const { results, errors } = await scheduleArticles(target, {
+      site: options.flags.site,
+      type: options.flags.type,
+      force: options.flags.force === true,
+      dryRun
+    });
+
+    if (results.length === 0 && errors.length === 0) {
+      console.log('No upcoming articles (add publish_at to front matter to schedule one)');
+      return;
+    }
+
+    results.forEach(printScheduleResult);
+    errors.forEach(e => {
+      console.log(`  ❌ ${e.input}: ${e.error}`);
+    });
+
+    if (results.length + errors.length > 1) {
+      console.log(`\n${'='.repeat(60)}`);
+      console.log('SUMMARY');
+      console.log('='.repeat(60));
+      for (const [state, label] of Object.entries(SCHEDULE_STATE_LABELS)) {
+        const count = results.filter(r => r.state === state).length;
+        if (count > 0) {
+          console.log(`  ${label}: ${count}`);
+        }
+      }
+      console.log(`  Pushed: ${results.filter(r => r.pushed).length}`);
+      console.log(`  Failed: ${errors.length}`);
+    }
+
+    if (results.some(r => r.state === 'published')) {
+      console.log('\nAlready-published posts were left alone; remove publish_at or unpublish them in WordPress.');
+    }
+
+    if (errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 // ============================================================================
 // UPDATE-METADATA COMMANDS
 // ============================================================================
@@ -1219,6 +2500,8 @@ async function cmdUpdateMetadata(options) {
   const categoriesOnly = options.flags.categoriesonly === true;
   const tagsOnly = options.flags.tagsonly === true;
   const excerptOnly = options.flags.excerptonly === true;
+  const customFieldsOnly = options.flags.customfieldsonly === true;
+  const seoOnly = options.flags.seoonly === true;
   const useSingularCategory = options.flags.usesingularcategory === true;
   const type = options.flags.type || 'posts';
   const contentTypeName = type === 'pages' ? 'page' : 'post';
@@ -1227,7 +2510,7 @@ async function cmdUpdateMetadata(options) {
   // Pages don't support categories or tags
   if (type === 'pages' && (categoriesOnly || tagsOnly)) {
     console.error(`Error: Pages do not have categories or tags in WordPress.`);
-    console.log(`For pages, only excerpt can be updated.`);
+    console.log(`For pages, only excerpt, custom fields and SEO can be updated.`);
     process.exit(1);
   }
 
@@ -1235,12 +2518,14 @@ async function cmdUpdateMetadata(options) {
     console.log(`Updating ${contentTypeName} metadata on: ${site.url}`);
     console.log(`  File: ${mdPath}`);
     console.log(`  Type: ${type}`);
-    if (type === 'pages') {
-      console.log(`  Mode: excerpt only (pages don't have categories/tags)`);
+    if (excerptOnly) console.log(`  Mode: excerpt only`);
+    else if (customFieldsOnly) console.log(`  Mode: custom fields only`);
+    else if (seoOnly) console.log(`  Mode: SEO only`);
+    else if (type === 'pages') {
+      console.log(`  Mode: excerpt, custom fields and SEO (pages don't have categories/tags)`);
     } else if (categoriesOnly) console.log(`  Mode: categories only`);
     else if (tagsOnly) console.log(`  Mode: tags only`);
-    else if (excerptOnly) console.log(`  Mode: excerpt only`);
-    else console.log(`  Mode: all metadata (categories, tags, excerpt)`);
+    else console.log(`  Mode: all metadata (categories, tags, excerpt, custom fields, SEO)`);
     if (type === 'posts' && useSingularCategory) console.log(`  Category field: singular (category:)`);
     if (dryRun) {
       console.log('  DRY RUN - no changes will be made');
@@ -1266,7 +2551,7 @@ async function cmdUpdateMetadata(options) {
         const tagsSection = fm.match(/^tags:\s*\n((?:\s+-\s+.+\n?)+)/m);
 
         // Show category/categories based on which field will be used
-        if (!tagsOnly && !excerptOnly) {
+        if (!tagsOnly && !excerptOnly && !customFieldsOnly && !seoOnly) {
           if (useSingularCategory && catMatch) {
             console.log(`\n📁 Category (singular): ${catMatch[1].trim()}`);
           } else if (!useSingularCategory && categoriesSection) {
@@ -1282,7 +2567,7 @@ async function cmdUpdateMetadata(options) {
           }
         }
 
-        if (!categoriesOnly && !excerptOnly && tagsSection) {
+        if (!categoriesOnly && !excerptOnly && !customFieldsOnly && !seoOnly && tagsSection) {
           const tags = tagsSection[1]
             .split('\n')
             .map(line => line.replace(/^\s+-\s+/, '').trim().replace(/^['"]|['"]$/g, ''))
@@ -1290,11 +2575,28 @@ async function cmdUpdateMetadata(options) {
           console.log(`\n🏷️  Tags (${tags.length}): ${tags.slice(0, 5).join(', ')}${tags.length > 5 ? '...' : ''}`);
         }
 
-        if (!categoriesOnly && !tagsOnly && descMatch) {
+        if (!categoriesOnly && !tagsOnly && !customFieldsOnly && !seoOnly && descMatch) {
           const excerpt = descMatch[1].trim();
           console.log(`\n📝 Excerpt: ${excerpt.substring(0, 100)}${excerpt.length > 100 ? '...' : ''}`);
         }
 
+        if (!categoriesOnly && !tagsOnly && !excerptOnly && !seoOnly) {
+          const customFields = buildCustomFieldsPayload(matter(mdContent, {}).data.custom_fields, site.customFields);
+          const keys = ['meta', 'acf'].flatMap(source => Object.keys(customFields[source] || {}).map(key => `${source}.${key}`));
+          if (keys.length > 0) {
+            console.log(`\n🧩 Custom fields (${keys.length}): ${keys.join(', ')}`);
+          }
+          if (customFields.skipped.length > 0) {
+            console.log(`\n⚠️  Not in the site allowlist (skipped): ${customFields.skipped.join(', ')}`);
+          }
+        }
+
+        const seo = matter(mdContent, {}).data.seo;
+        if (!categoriesOnly && !tagsOnly && !excerptOnly && !customFieldsOnly && seo && typeof seo === 'object') {
+          const fields = Object.keys(seo).filter(key => key !== 'plugin');
+          console.log(`\n🔎 SEO (${seo.plugin || 'detected plugin'}): ${fields.join(', ')}`);
+        }
+
         console.log(`\n${'─'.repeat(50)}`);
         console.log(`To execute: remove --dryrun flag`);
       }
@@ -1311,6 +2613,8 @@ async function cmdUpdateMetadata(options) {
       categoriesOnly,
       tagsOnly,
       excerptOnly,
+      customFieldsOnly,
+      seoOnly,
       useSingularCategory,
       silent: options.silent,
       type
@@ -1385,6 +2689,8 @@ async function cmdUpdateMetadataAll(options) {
   const categoriesOnly = options.flags.categoriesonly === true;
   const tagsOnly = options.flags.tagsonly === true;
   const excerptOnly = options.flags.excerptonly === true;
+  const customFieldsOnly = options.flags.customfieldsonly === true;
+  const seoOnly = options.flags.seoonly === true;
   const useSingularCategory = options.flags.usesingularcategory === true;
   const type = options.flags.type || 'posts';
   const contentTypeName = type === 'pages' ? 'pages' : 'posts';
@@ -1392,7 +2698,7 @@ async function cmdUpdateMetadataAll(options) {
   // Pages don't support categories or tags
   if (type === 'pages' && (categoriesOnly || tagsOnly)) {
     console.error(`Error: Pages do not have categories or tags in WordPress.`);
-    console.log(`For pages, only excerpt can be updated.`);
+    console.log(`For pages, only excerpt, custom fields and SEO can be updated.`);
     process.exit(1);
   }
 
@@ -1424,6 +2730,8 @@ async function cmdUpdateMetadataAll(options) {
         categoriesOnly,
         tagsOnly,
         excerptOnly,
+        customFieldsOnly,
+        seoOnly,
         useSingularCategory,
         silent: true,
         type
@@ -1587,6 +2895,125 @@ function cmdCompareBatch(options) {
   }
 }
 
+// ============================================================================
+// ROUNDTRIP COMMAND
+// ============================================================================
+
+const ROUNDTRIP_FORMAT_LABELS = { html: 'HTML', markdown: 'Markdown' };
+
+function printRoundtripResult(result, verbose) {
+  const status = result.lossless ? '✅ LOSSLESS' : `⚠️  ${result.differences.length} STRUCTURAL DIFFERENCE(S)`;
+  console.log(`${status}: ${result.filePath}`);
+
+  for (const difference of result.differences) {
+    const label = `${ROUNDTRIP_FORMAT_LABELS[difference.format]} ${difference.construct}`;
+    const items = [
+      ...difference.lost.map(item => `- lost:  ${item}`),
+      ...difference.added.map(item => `+ added: ${item}`)
+    ];
+    console.log(`   ${label}: ${difference.lost.length} lost, ${difference.added.length} added`);
+    const shown = verbose ? items : items.slice(0, 5);
+    for (const item of shown) {
+      console.log(`     ${item}`);
+    }
+    if (shown.length < items.length) {
+      console.log(`     ... and ${items.length - shown.length} more (use --verbose)`);
+    }
+  }
+}
+
+function cmdRoundtrip(options) {
+  const target = options.positional[0];
+
+  if (!target) {
+    console.error('Error: File or directory required');
+    console.log('Usage: ownwords roundtrip <html|md|dir> [options]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(target)) {
+    console.error(`Error: Not found: ${target}`);
+    process.exit(1);
+  }
+
+  const verbose = options.verbose || options.flags.verbose === true;
+  const jsonOutput = options.flags.json === true;
+
+  try {
+    if (!fs.statSync(target).isDirectory()) {
+      const result = roundtripFile(target);
+
+      if (jsonOutput) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        console.log('='.repeat(60));
+        console.log('Round-Trip Fidelity');
+        console.log('='.repeat(60));
+        printRoundtripResult(result, verbose);
+      }
+
+      if (!result.lossless) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    const corpus = roundtripCorpus(target);
+
+    if (jsonOutput) {
+      // Snapshots are omitted to keep corpus output readable
+      const results = corpus.results.map(r => ({ filePath: r.filePath, lossless: r.lossless, differences: r.differences }));
+      console.log(JSON.stringify({ summary: corpus.summary, errors: corpus.errors, results }, null, 2));
+    } else {
+      console.log('='.repeat(60));
+      console.log('Round-Trip Fidelity (Corpus)');
+      console.log('='.repeat(60));
+      console.log(`  Files: ${corpus.summary.files}`);
+      console.log(`  Lossless: ${corpus.summary.lossless}`);
+      console.log(`  Lossy: ${corpus.summary.lossy}`);
+      if (corpus.errors.length > 0) {
+        console.log(`  Errors: ${corpus.errors.length}`);
+      }
+      console.log('');
+
+      // Most widespread losses first
+      const ranked = CONSTRUCTS
+        .map(name => ({ name, ...corpus.summary.constructs[name] }))
+        .sort((a, b) => b.files - a.files || (b.lost + b.added) - (a.lost + a.added));
+
+      console.log('  Construct    Files   Lost  Added');
+      for (const construct of ranked) {
+        console.log(`  ${construct.name.padEnd(10)} ${String(construct.files).padStart(7)} ${String(construct.lost).padStart(6)} ${String(construct.added).padStart(6)}`);
+      }
+
+      for (const construct of ranked.filter(c => c.examples.length > 0)) {
+        console.log(`\n  ${construct.name}:`);
+        for (const example of construct.examples) {
+          console.log(`    ${example.filePath} (${ROUNDTRIP_FORMAT_LABELS[example.format]}) ${example.item}`);
+        }
+      }
+
+      if (verbose) {
+        console.log('');
+        for (const result of corpus.results.filter(r => !r.lossless)) {
+          printRoundtripResult(result, true);
+        }
+      }
+
+      for (const { filePath, error } of corpus.errors) {
+        console.log(`❌ ${filePath}: ${error}`);
+      }
+    }
+
+    if (corpus.summary.lossy > 0 || corpus.errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 // ============================================================================
 // CLAUDE CONFIG COMMANDS
 // ============================================================================
@@ -1944,15 +3371,54 @@ async function main() {
     case 'batch':
       await cmdBatch(options);
       break;
+    case 'pull':
+      await cmdPull(options);
+      break;
+    case 'import-wxr':
+      await cmdImportWxr(options);
+      break;
     case 'export':
       cmdExport(options);
       break;
+    case 'export-ssg':
+      cmdExportSsg(options);
+      break;
+    case 'build':
+      cmdBuild(options);
+      break;
+    case 'feeds':
+      cmdFeeds(options);
+      break;
+    case 'sitemap':
+      cmdSitemap(options);
+      break;
+    case 'preview':
+      await cmdPreview(options);
+      break;
     case 'config-wp':
       await cmdConfigWp(options);
       break;
+    case 'types':
+      await cmdTypes(options);
+      break;
+    case 'terms':
+      await cmdTerms(options);
+      break;
     case 'publish':
       await cmdPublish(options);
       break;
+    case 'sync':
+      await cmdSync(options);
+      break;
+    case 'watch':
+      await cmdWatch(options);
+      break;
+    case 'schedule':
+      await cmdSchedule(options);
+      break;
+    case 'roundtrip':
+      cmdRoundtrip(options);
+      break;
     case 'publish-all':
       await cmdPublishAll(options);
       break;
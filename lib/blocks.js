@@ -0,0 +1,592 @@
+/**
+ * @fileoverview Serialize markdown as native Gutenberg block markup
+ * @module ownwords/blocks
+ *
+ * Walks the markdown-it token stream and emits the block grammar the
+ * WordPress block editor itself saves (`<!-- wp:name {attrs} -->` comments
+ * around the exact HTML each core block's save function produces), so
+ * published posts open in the editor without block validation errors.
+ *
+ * Supported: headings, paragraphs, ordered and unordered lists (with
+ * list-item inner blocks), images (with attachment IDs when known), galleries
+ * (paragraphs that contain only images), tables, separators, quotes, code,
+ * embeds (a paragraph holding only a known provider URL) and raw HTML.
+ */
+
+const MarkdownIt = require('markdown-it');
+
+/**
+ * oEmbed providers recognized when a paragraph contains only a URL
+ */
+const EMBED_PROVIDERS = [
+  { slug: 'youtube', type: 'video', pattern: /^https?:\/\/((www|m)\.)?(youtube\.com|youtu\.be)\/\S+$/i },
+  { slug: 'vimeo', type: 'video', pattern: /^https?:\/\/(www\.|player\.)?vimeo\.com\/\S+$/i },
+  { slug: 'tiktok', type: 'video', pattern: /^https?:\/\/(www\.)?tiktok\.com\/\S+$/i },
+  { slug: 'twitter', type: 'rich', pattern: /^https?:\/\/(www\.|mobile\.)?(twitter|x)\.com\/\S+\/status\/\S+$/i },
+  { slug: 'spotify', type: 'rich', pattern: /^https?:\/\/open\.spotify\.com\/\S+$/i },
+  { slug: 'soundcloud', type: 'rich', pattern: /^https?:\/\/(www\.)?soundcloud\.com\/\S+$/i }
+];
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+/**
+ * Escape HTML special characters
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Serialize block attributes the way the block editor does
+ *
+ * Characters that could end the comment or confuse HTML parsers are
+ * written as unicode escapes, which JSON.parse reads back unchanged.
+ *
+ * @private
+ * @param {Object} attributes - Block attributes
+ * @returns {string} JSON for the block comment
+ */
+function serializeAttributes(attributes) {
+  return JSON.stringify(attributes)
+    .replace(/--/g, '\\u002d\\u002d')
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\\"/g, '\\u0022');
+}
+
+/**
+ * Serialize a single block
+ *
+ * @param {string} name - Block name without the core namespace (e.g., 'paragraph')
+ * @param {Object} attributes - Comment attributes (omitted when empty)
+ * @param {string} innerHtml - The block's saved HTML
+ * @returns {string} Serialized block
+ *
+ * @example
+ * serializeBlock('heading', { level: 3 }, '<h3 class="wp-block-heading">Hi</h3>');
+ * // '<!-- wp:heading {"level":3} -->\n<h3 class="wp-block-heading">Hi</h3>\n<!-- /wp:heading -->'
+ */
+function serializeBlock(name, attributes, innerHtml) {
+  const attrs = attributes && Object.keys(attributes).length > 0 ? ` ${serializeAttributes(attributes)}` : '';
+  return `<!-- wp:${name}${attrs} -->\n${innerHtml}\n<!-- /wp:${name} -->`;
+}
+
+// ============================================================================
+// INLINE RENDERING
+// ============================================================================
+
+/**
+ * Resolve a local image path to its uploaded URL
+ * @private
+ */
+function resolveUrl(url, env) {
+  if (!url) return url;
+  if (env.images[url]) return env.images[url];
+  try {
+    const decoded = decodeURI(url);
+    if (env.images[decoded]) return env.images[decoded];
+  } catch {
+    // Malformed escape sequence - use the URL as written
+  }
+  return url;
+}
+
+/**
+ * Look up the attachment ID for a local image path
+ * @private
+ */
+function resolveMediaId(url, env) {
+  if (env.mediaIds[url]) return env.mediaIds[url];
+  try {
+    return env.mediaIds[decodeURI(url)] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create the markdown-it instance used for block serialization
+ *
+ * Inline output is plain HTML without the inline styles of the classic
+ * export, since block themes style core blocks themselves.
+ *
+ * @private
+ * @returns {MarkdownIt} Configured parser
+ */
+function createParser() {
+  const md = new MarkdownIt('commonmark', { html: true, linkify: false, typographer: false });
+  md.enable(['table', 'strikethrough']);
+
+  md.renderer.rules.image = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    const alt = escapeHtml(self.renderInlineAsText(token.children, options, env));
+    const title = token.attrGet('title');
+    return `<img src="${escapeHtml(resolveUrl(token.attrGet('src'), env))}" alt="${alt}"${title ? ` title="${escapeHtml(title)}"` : ''}/>`;
+  };
+
+  md.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    token.attrSet('href', resolveUrl(token.attrGet('href'), env));
+    return self.renderToken(tokens, idx, options);
+  };
+
+  return md;
+}
+
+const parser = createParser();
+
+/**
+ * Render inline tokens to HTML
+ * @private
+ */
+function renderInline(children, env) {
+  return parser.renderer.renderInline(children || [], parser.options, env);
+}
+
+/**
+ * Drop whitespace-only text and soft breaks from inline tokens
+ * @private
+ */
+function meaningfulChildren(children) {
+  return (children || []).filter(t => t.type !== 'softbreak' && !(t.type === 'text' && t.content.trim() === ''));
+}
+
+// ============================================================================
+// BLOCK BUILDERS
+// ============================================================================
+
+/**
+ * Find the index of the token closing the one at `start`
+ * @private
+ */
+function findClose(tokens, start) {
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    depth += tokens[i].nesting;
+    if (depth === 0) return i;
+  }
+  return tokens.length - 1;
+}
+
+/**
+ * Split inline tokens of a paragraph into images (with optional links)
+ *
+ * @private
+ * @returns {Array<{image: Object, href: string|null}>|null} Images, or null
+ *   if the paragraph contains anything besides images
+ */
+function collectImages(children) {
+  const items = meaningfulChildren(children);
+  const images = [];
+
+  for (let i = 0; i < items.length; i++) {
+    if (items[i].type === 'image') {
+      images.push({ image: items[i], href: null });
+    } else if (items[i].type === 'link_open' && items[i + 1]?.type === 'image' && items[i + 2]?.type === 'link_close') {
+      images.push({ image: items[i + 1], href: items[i].attrGet('href') });
+      i += 2;
+    } else {
+      return null;
+    }
+  }
+
+  return images.length > 0 ? images : null;
+}
+
+/**
+ * Build an image block
+ * @private
+ */
+function imageBlock({ image, href }, env, { align = 'center' } = {}) {
+  const src = image.attrGet('src');
+  const mediaId = resolveMediaId(src, env);
+  const alt = escapeHtml(parser.renderer.renderInlineAsText(image.children, parser.options, env));
+  const title = image.attrGet('title');
+
+  const attributes = {};
+  if (mediaId) attributes.id = mediaId;
+  attributes.sizeSlug = 'large';
+  attributes.linkDestination = href ? 'custom' : 'none';
+  if (align) attributes.align = align;
+
+  const classes = ['wp-block-image'];
+  if (align) classes.push(`align${align}`);
+  classes.push('size-large');
+
+  let img = `<img src="${escapeHtml(resolveUrl(src, env))}" alt="${alt}"${mediaId ? ` class="wp-image-${mediaId}"` : ''}/>`;
+  if (href) {
+    img = `<a href="${escapeHtml(resolveUrl(href, env))}">${img}</a>`;
+  }
+  const figcaption = title ? `<figcaption class="wp-element-caption">${escapeHtml(title)}</figcaption>` : '';
+
+  return serializeBlock('image', attributes, `<figure class="${classes.join(' ')}">${img}${figcaption}</figure>`);
+}
+
+/**
+ * Build a gallery block from two or more images, each keeping its own caption
+ * @private
+ */
+function galleryBlock(images, env) {
+  const inner = images.map(item => imageBlock(item, env, { align: null }));
+  return serializeBlock(
+    'gallery',
+    { linkTo: 'none' },
+    `<figure class="wp-block-gallery has-nested-images columns-default is-cropped">${inner.join('\n\n')}</figure>`
+  );
+}
+
+/**
+ * Detect a paragraph that is only an embeddable URL
+ *
+ * @private
+ * @returns {{url: string, provider: Object}|null}
+ */
+function findEmbed(children) {
+  const items = meaningfulChildren(children);
+  let url = null;
+
+  if (items.length === 1 && items[0].type === 'text') {
+    url = items[0].content.trim();
+  } else if (items.length === 3 && items[0].type === 'link_open' && items[2].type === 'link_close' &&
+             items[1].type === 'text' && items[0].attrGet('href') === items[1].content) {
+    url = items[0].attrGet('href');
+  }
+
+  if (!url) return null;
+  const provider = EMBED_PROVIDERS.find(p => p.pattern.test(url));
+  return provider ? { url, provider } : null;
+}
+
+/**
+ * Build an embed block
+ * @private
+ */
+function embedBlock({ url, provider }) {
+  const classes = [
+    'wp-block-embed',
+    `is-type-${provider.type}`,
+    `is-provider-${provider.slug}`,
+    `wp-block-embed-${provider.slug}`
+  ];
+  return serializeBlock(
+    'embed',
+    { url, type: provider.type, providerNameSlug: provider.slug },
+    `<figure class="${classes.join(' ')}"><div class="wp-block-embed__wrapper">\n${escapeHtml(url)}\n</div></figure>`
+  );
+}
+
+/**
+ * Build the block for a paragraph: image, gallery, embed or paragraph
+ * @private
+ */
+function paragraphBlock(inline, env) {
+  const images = collectImages(inline.children);
+  if (images && images.length === 1) {
+    return imageBlock(images[0], env);
+  }
+  if (images) {
+    return galleryBlock(images, env);
+  }
+
+  const embed = findEmbed(inline.children);
+  if (embed) {
+    return embedBlock(embed);
+  }
+
+  return serializeBlock('paragraph', {}, `<p>${renderInline(inline.children, env)}</p>`);
+}
+
+/**
+ * Build a list block with list-item inner blocks
+ * @private
+ */
+function listBlock(tokens, start, end, env) {
+  const open = tokens[start];
+  const ordered = open.type === 'ordered_list_open';
+  const startNumber = ordered ? Number(open.attrGet('start') || 1) : 1;
+
+  const items = [];
+  let i = start + 1;
+  while (i < end) {
+    if (tokens[i].type !== 'list_item_open') {
+      i++;
+      continue;
+    }
+    const itemEnd = findClose(tokens, i);
+    items.push(serializeBlock('list-item', {}, `<li>${listItemContent(tokens, i + 1, itemEnd, env)}</li>`));
+    i = itemEnd + 1;
+  }
+
+  const attributes = {};
+  if (ordered) attributes.ordered = true;
+  if (startNumber !== 1) attributes.start = startNumber;
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttr = startNumber !== 1 ? ` start="${startNumber}"` : '';
+  return serializeBlock('list', attributes, `<${tag}${startAttr} class="wp-block-list">${items.join('\n\n')}</${tag}>`);
+}
+
+/**
+ * Render the content of a list item
+ *
+ * List items hold rich text, so the paragraphs of a loose item are joined
+ * with line breaks; nested lists become inner list blocks.
+ *
+ * @private
+ */
+function listItemContent(tokens, start, end, env) {
+  const text = [];
+  const nested = [];
+
+  let i = start;
+  while (i < end) {
+    const token = tokens[i];
+    // Hand-written block markup can span several tokens of the item
+    const rawEnd = token.type === 'html_block' ? findRawBlockEnd(tokens, i, end) : -1;
+    const close = rawEnd !== -1 ? rawEnd : findClose(tokens, i);
+
+    if (token.type === 'paragraph_open') {
+      text.push(renderInline(tokens[i + 1].children, env));
+    } else if (token.type === 'bullet_list_open' || token.type === 'ordered_list_open') {
+      nested.push(listBlock(tokens, i, close, env));
+    } else if (token.type === 'fence' || token.type === 'code_block') {
+      text.push(`<code>${escapeHtml(token.content.replace(/\n$/, ''))}</code>`);
+    } else {
+      nested.push(...renderBlocks(tokens, i, close + 1, env));
+    }
+
+    i = close + 1;
+  }
+
+  return text.join('<br>') + nested.join('\n\n');
+}
+
+/**
+ * Build a table block
+ * @private
+ */
+function tableBlock(tokens, start, end, env) {
+  let html = '';
+
+  for (let i = start + 1; i < end; i++) {
+    const token = tokens[i];
+    switch (token.type) {
+      case 'thead_open':
+      case 'tbody_open':
+      case 'tr_open':
+        html += `<${token.tag}>`;
+        break;
+      case 'thead_close':
+      case 'tbody_close':
+      case 'tr_close':
+        html += `</${token.tag}>`;
+        break;
+      case 'th_open':
+      case 'td_open': {
+        const alignMatch = (token.attrGet('style') || '').match(/text-align:\s*(\w+)/);
+        const alignAttrs = alignMatch ? ` class="has-text-align-${alignMatch[1]}" data-align="${alignMatch[1]}"` : '';
+        html += `<${token.tag}${alignAttrs}>`;
+        break;
+      }
+      case 'th_close':
+      case 'td_close':
+        html += `</${token.tag}>`;
+        break;
+      case 'inline':
+        html += renderInline(token.children, env);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return serializeBlock('table', {}, `<figure class="wp-block-table"><table class="has-fixed-layout">${html}</table></figure>`);
+}
+
+/**
+ * Build a code block
+ * @private
+ */
+function codeBlock(token) {
+  const lang = token.info ? token.info.trim().split(/\s+/)[0] : '';
+  // Escape "[" so WordPress does not run shortcodes inside code
+  const code = escapeHtml(token.content.replace(/\n$/, '')).replace(/\[/g, '&#91;');
+  const attributes = lang ? { className: `language-${lang}` } : {};
+  const className = lang ? `wp-block-code language-${escapeHtml(lang)}` : 'wp-block-code';
+  return serializeBlock('code', attributes, `<pre class="${className}"><code>${code}</code></pre>`);
+}
+
+/**
+ * Find the end of block markup written by hand in the markdown
+ *
+ * markdown-it splits `<!-- wp:name -->...<!-- /wp:name -->` into several
+ * HTML tokens; this finds the token holding the matching closing comment.
+ *
+ * @private
+ * @returns {number} Index of the closing token, or -1 if `start` does not open a block
+ */
+function findRawBlockEnd(tokens, start, end) {
+  const opening = tokens[start].content.match(/^\s*<!--\s*wp:([a-z][a-z0-9_/-]*)/);
+  if (!opening) return -1;
+
+  const name = opening[1].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const comment = new RegExp(`<!--\\s*(\\/?)wp:${name}(?=[\\s/])[^>]*?(\\/?)-->`, 'g');
+  let depth = 0;
+
+  for (let i = start; i < end; i++) {
+    if (tokens[i].type !== 'html_block') continue;
+    for (const [, closing, selfClosing] of tokens[i].content.matchAll(comment)) {
+      if (closing) depth--;
+      else if (!selfClosing) depth++;
+    }
+    if (depth <= 0) return i;
+  }
+
+  return -1;
+}
+
+/**
+ * Source lines of block markup, without the quote and list prefixes around it
+ *
+ * The first line's prefix is what markdown-it stripped from the opening
+ * token; later lines lose the same `>` markers and indentation (lazy lines
+ * without them are kept as they are).
+ *
+ * @private
+ * @param {string[]} lines - Source lines of the markup
+ * @param {string} firstContent - First line of the opening token's content
+ * @returns {string[]} Lines as they would be written at the top level
+ */
+function stripContainerPrefix(lines, firstContent) {
+  if (!lines[0].endsWith(firstContent)) return lines;
+
+  const prefix = lines[0].slice(0, lines[0].length - firstContent.length);
+  // Continuation lines indent past list markers instead of repeating them
+  const continuation = prefix.replace(/[^>\s]/g, ' ');
+
+  return lines.map((line, index) => {
+    if (index === 0) return firstContent;
+    let pos = 0;
+    for (const ch of continuation) {
+      if (ch === '>') {
+        const marker = line.slice(pos).match(/^ {0,3}>/);
+        if (!marker) break;
+        pos += marker[0].length;
+      } else if (line[pos] === ' ') {
+        pos++;
+      }
+    }
+    return line.slice(pos);
+  });
+}
+
+/**
+ * Render a range of block-level tokens as serialized blocks
+ *
+ * @private
+ * @param {Object[]} tokens - markdown-it tokens
+ * @param {number} start - First token index
+ * @param {number} end - Index after the last token
+ * @param {Object} env - Render environment (image URL and media ID maps)
+ * @returns {string[]} Serialized blocks
+ */
+function renderBlocks(tokens, start, end, env) {
+  const blocks = [];
+
+  let i = start;
+  while (i < end) {
+    const token = tokens[i];
+    const close = token.nesting === 1 ? findClose(tokens, i) : i;
+
+    switch (token.type) {
+      case 'heading_open': {
+        const level = Number(token.tag.slice(1));
+        blocks.push(serializeBlock(
+          'heading',
+          level === 2 ? {} : { level },
+          `<${token.tag} class="wp-block-heading">${renderInline(tokens[i + 1].children, env)}</${token.tag}>`
+        ));
+        break;
+      }
+      case 'paragraph_open':
+        blocks.push(paragraphBlock(tokens[i + 1], env));
+        break;
+      case 'bullet_list_open':
+      case 'ordered_list_open':
+        blocks.push(listBlock(tokens, i, close, env));
+        break;
+      case 'blockquote_open':
+        blocks.push(serializeBlock(
+          'quote',
+          {},
+          `<blockquote class="wp-block-quote">${renderBlocks(tokens, i + 1, close, env).join('\n\n')}</blockquote>`
+        ));
+        break;
+      case 'table_open':
+        blocks.push(tableBlock(tokens, i, close, env));
+        break;
+      case 'fence':
+      case 'code_block':
+        blocks.push(codeBlock(token));
+        break;
+      case 'hr':
+        blocks.push(serializeBlock('separator', {}, '<hr class="wp-block-separator has-alpha-channel-opacity"/>'));
+        break;
+      case 'html_block': {
+        const rawEnd = findRawBlockEnd(tokens, i, end);
+        if (rawEnd !== -1) {
+          // Block markup written by hand passes through untouched
+          const lines = env.lines.slice(token.map[0], tokens[rawEnd].map[1]);
+          blocks.push(stripContainerPrefix(lines, token.content.split('\n')[0]).join('\n').trim());
+          i = rawEnd + 1;
+          continue;
+        }
+        blocks.push(serializeBlock('html', {}, token.content.trim()));
+        break;
+      }
+      default:
+        break;
+    }
+
+    i = close + 1;
+  }
+
+  return blocks;
+}
+
+/**
+ * Convert markdown to serialized Gutenberg blocks
+ *
+ * @param {string} markdown - Markdown content (without front matter)
+ * @param {Object} [options] - Serialization options
+ * @param {Object<string, string>} [options.images] - Map of local image paths to uploaded URLs
+ * @param {Object<string, number>} [options.mediaIds] - Map of local image paths to attachment IDs
+ * @returns {string} Block markup
+ *
+ * @example
+ * const html = markdownToBlocks('## Hello\n\nWorld');
+ * // <!-- wp:heading -->\n<h2 class="wp-block-heading">Hello</h2>\n<!-- /wp:heading -->\n\n<!-- wp:paragraph -->...
+ */
+function markdownToBlocks(markdown, options = {}) {
+  const env = {
+    images: options.images || {},
+    mediaIds: options.mediaIds || {},
+    lines: markdown.split('\n')
+  };
+  const tokens = parser.parse(markdown, env);
+  return renderBlocks(tokens, 0, tokens.length, env).join('\n\n');
+}
+
+module.exports = {
+  markdownToBlocks,
+  serializeBlock,
+  EMBED_PROVIDERS
+};
@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Built-in static HTML site builder
+ * @module ownwords/build
+ *
+ * Renders a content directory (see corpus.js) into a complete static site
+ * with no other toolchain:
+ *
+ *   <permalink>/index.html                article and page HTML, with co-located images
+ *   index.html, page/N/index.html         paginated index of posts, newest first
+ *   category/<slug>/index.html            category archives (paginated the same way)
+ *   tag/<slug>/index.html                 tag archives
+ *   feed.xml, atom.xml, feed.json         feeds, when asked for (see feeds.js)
+ *
+ * Pages are rendered with four HTML templates: layout.html (the document
+ * around every page), article.html, list.html and list-item.html. The
+ * defaults live in the package's templates/ directory; a templates
+ * directory passed in options overrides any of them by file name.
+ *
+ * Templates substitute `{{name}}` (HTML-escaped) and `{{{name}}}` (raw).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadCorpus, termSlug, termNames } = require('./corpus');
+const { markdownToHtml } = require('./export');
+const { planImages, rewriteImageReferences } = require('./ssg-export');
+const { writeFeeds, FEED_FORMATS } = require('./feeds');
+
+/**
+ * Built-in templates directory
+ */
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+/**
+ * Template files the builder renders with
+ */
+const TEMPLATE_NAMES = ['layout', 'article', 'list', 'list-item'];
+
+/**
+ * Escape HTML special characters
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Format an ISO 8601 date for display (e.g., "January 15, 2025")
+ * @private
+ */
+function formatDisplayDate(date) {
+  if (!date) return '';
+  const day = new Date(`${date.substring(0, 10)}T00:00:00Z`);
+  if (isNaN(day.getTime())) return date;
+  return day.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Render a template string
+ *
+ * @param {string} template - Template with `{{name}}` and `{{{name}}}` placeholders
+ * @param {Object<string, *>} values - Placeholder values (missing ones render empty)
+ * @returns {string} Rendered HTML
+ */
+function renderTemplate(template, values) {
+  // One pass, so placeholders inside inserted values (template syntax quoted in code) stay as written
+  return template.replace(/\{\{\{\s*([\w-]+)\s*\}\}\}|\{\{\s*([\w-]+)\s*\}\}/g, (match, raw, escaped) => {
+    const value = values[raw || escaped];
+    if (value === undefined || value === null) return '';
+    return raw ? String(value) : escapeHtml(value);
+  });
+}
+
+/**
+ * Load the templates, letting files in `templatesDir` override the defaults
+ *
+ * @param {string} [templatesDir] - Directory with override templates (e.g., ./templates)
+ * @returns {Object<string, string>} Template source by name
+ * @throws {Error} If `templatesDir` is given but does not exist
+ */
+function loadTemplates(templatesDir) {
+  if (templatesDir && !fs.existsSync(templatesDir)) {
+    throw new Error(`Templates directory not found: ${templatesDir}`);
+  }
+
+  const templates = {};
+  for (const name of TEMPLATE_NAMES) {
+    const override = templatesDir ? path.join(templatesDir, `${name}.html`) : null;
+    const file = override && fs.existsSync(override) ? override : path.join(DEFAULT_TEMPLATES_DIR, `${name}.html`);
+    templates[name] = fs.readFileSync(file, 'utf-8');
+  }
+  return templates;
+}
+
+/**
+ * Split entries into pages of `perPage`
+ * @private
+ */
+function paginate(entries, perPage) {
+  const pages = [];
+  for (let i = 0; i < entries.length; i += perPage) {
+    pages.push(entries.slice(i, i + perPage));
+  }
+  return pages.length > 0 ? pages : [[]];
+}
+
+/**
+ * Build a static HTML site from a content directory
+ *
+ * @param {string} contentDir - Canonical content directory (flat or hierarchical)
+ * @param {string} outDir - Output directory
+ * @param {Object} [options] - Build options
+ * @param {string} [options.templatesDir] - Directory with templates overriding the defaults
+ * @param {string} [options.siteTitle='ownwords'] - Site title
+ * @param {string} [options.siteUrl=''] - Absolute site URL, for canonical links
+ *   of articles without a `canonical_url`
+ * @param {number} [options.perPage=10] - Posts per index and archive page
+ * @param {boolean} [options.drafts=false] - Include drafts
+ * @param {boolean} [options.feeds=false] - Write RSS, Atom and JSON feeds (needs `siteUrl`)
+ * @param {boolean} [options.termFeeds=false] - Also write per-category and per-tag feeds
+ * @returns {{articles: Object[], listings: string[], images: number, feeds: Object[], errors: Array<{sourcePath: string, error: string}>}}
+ *   Rendered entries (`sourcePath`, `outputPath`, `url`), listing pages written,
+ *   images copied, feeds written (see writeFeeds), and entries that failed
+ * @throws {Error} If the content or templates directory does not exist, or
+ *   feeds are asked for without a `siteUrl`
+ */
+function buildSite(contentDir, outDir, options = {}) {
+  const {
+    templatesDir,
+    siteTitle = 'ownwords',
+    siteUrl = '',
+    perPage = 10,
+    drafts = false,
+    feeds: withFeeds = false,
+    termFeeds = false
+  } = options;
+
+  if ((withFeeds || termFeeds) && !siteUrl) {
+    throw new Error('Feeds need a site URL (siteUrl) for absolute links');
+  }
+
+  const templates = loadTemplates(templatesDir);
+  const { entries: allEntries, errors } = loadCorpus(contentDir);
+  const entries = allEntries.filter(entry => drafts || !entry.draft);
+  const baseUrl = siteUrl.replace(/\/+$/, '');
+  const feedLinks = withFeeds || termFeeds
+    ? Object.values(FEED_FORMATS).map(({ file, type }) => (
+      `<link rel="alternate" type="${type}" title="${escapeHtml(siteTitle)}" href="/${file}">`
+    ))
+    : [];
+
+  const writePage = (url, pageTitle, content, head = '') => {
+    const outputPath = path.join(outDir, ...url.split('/').filter(Boolean), 'index.html');
+    const html = renderTemplate(templates.layout, {
+      pageTitle: pageTitle ? `${pageTitle} | ${siteTitle}` : siteTitle,
+      siteTitle,
+      head: [head, ...feedLinks].filter(Boolean).join('\n'),
+      content
+    });
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, html);
+    return outputPath;
+  };
+
+  // Articles and pages, each at its permalink
+  const articles = [];
+  const urls = new Map();
+  let images = 0;
+
+  for (const entry of entries) {
+    try {
+      if (urls.has(entry.permalink)) {
+        throw new Error(`Same permalink as ${urls.get(entry.permalink)}: ${entry.permalink}`);
+      }
+      urls.set(entry.permalink, entry.sourcePath);
+
+      const outputPath = path.join(outDir, ...entry.permalink.split('/').filter(Boolean), 'index.html');
+      const { copies, references } = planImages(entry, { bundles: true }, outDir, outputPath);
+      const markdown = rewriteImageReferences(entry.body, references);
+      const body = markdownToHtml(markdown);
+
+      const title = entry.data.title ? String(entry.data.title) : entry.slug;
+      const canonical = typeof entry.data.canonical_url === 'string' && entry.data.canonical_url
+        ? entry.data.canonical_url
+        : `${baseUrl}${entry.permalink}`;
+      const description = typeof entry.data.description === 'string' ? entry.data.description : '';
+      const head = [
+        `<link rel="canonical" href="${escapeHtml(canonical)}">`,
+        description ? `<meta name="description" content="${escapeHtml(description)}">` : ''
+      ].filter(Boolean).join('\n');
+
+      const terms = [
+        ...termNames(entry.data.categories).map(name => `<a href="/category/${termSlug(name)}/">${escapeHtml(name)}</a>`),
+        ...termNames(entry.data.tags).map(name => `<a href="/tag/${termSlug(name)}/">#${escapeHtml(name)}</a>`)
+      ];
+
+      const content = renderTemplate(templates.article, {
+        title,
+        meta: [formatDisplayDate(entry.type === 'page' ? null : entry.date), entry.data.author].filter(Boolean).join(' · '),
+        date: entry.date || '',
+        author: entry.data.author || '',
+        description,
+        content: body,
+        terms: terms.length > 0 ? `<p class="terms">${terms.join(' ')}</p>` : ''
+      });
+
+      writePage(entry.permalink, title, content, head);
+      for (const copy of copies) {
+        if (!fs.existsSync(copy.from)) continue;
+        fs.mkdirSync(path.dirname(copy.to), { recursive: true });
+        fs.copyFileSync(copy.from, copy.to);
+        images++;
+      }
+
+      articles.push({ sourcePath: entry.sourcePath, outputPath, url: entry.permalink, entry, markdown });
+    } catch (error) {
+      errors.push({ sourcePath: entry.sourcePath, error: error.message });
+    }
+  }
+
+  // Listings: posts only, newest first
+  const posts = articles
+    .filter(article => article.entry.type === 'post')
+    .sort((a, b) => String(b.entry.date || '').localeCompare(String(a.entry.date || '')));
+  const listings = [];
+
+  const writeListing = (baseUrlPath, heading, listed) => {
+    const pages = paginate(listed, perPage);
+    pages.forEach((pageItems, index) => {
+      const pageUrl = index === 0 ? baseUrlPath : `${baseUrlPath}page/${index + 1}/`;
+      const newer = index === 0 ? null : (index === 1 ? baseUrlPath : `${baseUrlPath}page/${index}/`);
+      const older = index + 1 < pages.length ? `${baseUrlPath}page/${index + 2}/` : null;
+      const pagination = newer || older
+        ? `<nav class="pagination">${newer ? `<a href="${newer}">← Newer</a>` : '<span></span>'}${older ? `<a href="${older}">Older →</a>` : ''}</nav>`
+        : '';
+
+      const items = pageItems.map(article => renderTemplate(templates['list-item'], {
+        title: article.entry.data.title ? String(article.entry.data.title) : article.entry.slug,
+        url: article.url,
+        date: formatDisplayDate(article.entry.date),
+        description: typeof article.entry.data.description === 'string' ? article.entry.data.description : ''
+      })).join('\n');
+
+      const content = renderTemplate(templates.list, { heading, items, pagination });
+      const head = `<link rel="canonical" href="${escapeHtml(`${baseUrl}${pageUrl}`)}">`;
+      listings.push(writePage(pageUrl, index === 0 && baseUrlPath === '/' ? '' : heading, content, head));
+    });
+  };
+
+  writeListing('/', siteTitle, posts);
+
+  for (const [key, prefix, label] of [['categories', 'category', 'Category'], ['tags', 'tag', 'Tag']]) {
+    const archives = new Map();
+    for (const post of posts) {
+      for (const name of termNames(post.entry.data[key])) {
+        const slug = termSlug(name);
+        if (!archives.has(slug)) archives.set(slug, { name, posts: [] });
+        archives.get(slug).posts.push(post);
+      }
+    }
+    for (const [slug, archive] of archives) {
+      writeListing(`/${prefix}/${slug}/`, `${label}: ${archive.name}`, archive.posts);
+    }
+  }
+
+  // Feeds render the body with image references rewritten, as the pages do
+  const feeds = withFeeds || termFeeds
+    ? writeFeeds(articles.map(article => ({ ...article.entry, body: article.markdown })), outDir, { siteUrl, siteTitle, terms: termFeeds })
+    : [];
+
+  return {
+    articles: articles.map(({ sourcePath, outputPath, url }) => ({ sourcePath, outputPath, url })),
+    listings,
+    images,
+    feeds,
+    errors
+  };
+}
+
+module.exports = {
+  buildSite,
+  loadTemplates,
+  renderTemplate
+};
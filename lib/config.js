@@ -180,6 +180,9 @@ function getWordPressSite(siteName) {
     url: site.url,
     username: site.username,
     appPassword: envPassword || site.appPassword,
+    customFields: site.customFields || null,
+    retries: site.retries,
+    rateLimit: site.rateLimit,
     fromEnv: !!envPassword
   };
 }
@@ -198,12 +201,20 @@ function getWordPressSite(siteName) {
 function addWordPressSite(name, siteConfig, setAsDefault = false) {
   const config = readConfig();
 
+  const existing = config.wordpress.sites[name];
   config.wordpress.sites[name] = {
     url: siteConfig.url.replace(/\/$/, ''), // Remove trailing slash
     username: siteConfig.username,
     appPassword: siteConfig.appPassword
   };
 
+  // Re-adding a site keeps its custom field allowlist and request limits
+  for (const key of ['customFields', 'retries', 'rateLimit']) {
+    if (existing && existing[key] !== undefined) {
+      config.wordpress.sites[name][key] = existing[key];
+    }
+  }
+
   if (setAsDefault || !config.wordpress.defaultSite) {
     config.wordpress.defaultSite = name;
   }
@@ -275,6 +286,79 @@ function setDefaultWordPressSite(name) {
   return true;
 }
 
+/**
+ * Set the custom field allowlist for a WordPress site
+ *
+ * Only allowlisted post meta keys and ACF fields are written when
+ * publishing, so plugin-internal fields are never overwritten.
+ *
+ * @param {string} name - Site name
+ * @param {Object} customFields - Allowlist
+ * @param {string[]} [customFields.meta=[]] - Registered post meta keys
+ * @param {string[]} [customFields.acf=[]] - ACF field names
+ * @returns {boolean} True if successful, false if site not found
+ */
+function setCustomFields(name, customFields) {
+  const config = readConfig();
+
+  if (!config.wordpress.sites[name]) {
+    return false;
+  }
+
+  config.wordpress.sites[name].customFields = {
+    meta: customFields.meta || [],
+    acf: customFields.acf || []
+  };
+  writeConfig(config);
+  return true;
+}
+
+/**
+ * Set how requests to a WordPress site are retried and paced
+ *
+ * @param {string} name - Site name
+ * @param {Object} limits - Limits to change; null removes a setting
+ * @param {number|null} [limits.retries] - Retries after a transient failure (default 3)
+ * @param {number|null} [limits.rateLimit] - Requests per second (default unlimited)
+ * @returns {boolean} True if successful, false if site not found
+ */
+function setRequestLimits(name, limits) {
+  const config = readConfig();
+  const site = config.wordpress.sites[name];
+
+  if (!site) {
+    return false;
+  }
+
+  for (const key of ['retries', 'rateLimit']) {
+    if (limits[key] === null) {
+      delete site[key];
+    } else if (limits[key] !== undefined) {
+      site[key] = limits[key];
+    }
+  }
+  writeConfig(config);
+  return true;
+}
+
+/**
+ * Get static site export settings for a target
+ *
+ * Read from `ssg.<target>` in the config file, e.g.
+ * `{ "ssg": { "hugo": { "frontMatter": { "description": "summary" } } } }`.
+ *
+ * @param {string} target - Static site target (e.g., 'hugo')
+ * @returns {{frontMatter: Object<string, string|null>}} Settings (an empty mapping when unset)
+ */
+function getSsgSettings(target) {
+  const config = readConfig();
+  const settings = (config.ssg && config.ssg[target]) || {};
+
+  return {
+    frontMatter: settings.frontMatter || {}
+  };
+}
+
 /**
  * Get the configuration file path
  *
@@ -298,6 +382,11 @@ module.exports = {
   removeWordPressSite,
   listWordPressSites,
   setDefaultWordPressSite,
+  setCustomFields,
+  setRequestLimits,
+
+  // Static site export
+  getSsgSettings,
 
   // Constants
   ENV_VARS,
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Local content corpus loading
+ * @module ownwords/corpus
+ *
+ * Reads a content directory in either layout ownwords writes:
+ *
+ *   flat:          articles/2025-01-15-slug.md
+ *   hierarchical:  posts/2025/01/15-slug/index.md
+ *                  pages/parent-slug/child-slug/index.md
+ *                  talks/2025/03/02-slug/index.md (custom post types)
+ *
+ * and describes each markdown file as a corpus entry: slug, date,
+ * collection, permalink, front matter, body and local images. Exporters
+ * work from entries instead of re-deriving these from paths.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { extractLocalImages, getFeaturedImage } = require('./image-utils');
+
+/**
+ * Find markdown files under a directory, skipping dot directories
+ * @private
+ */
+function findMarkdownFiles(dir) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+      continue;
+    }
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findMarkdownFiles(fullPath));
+    } else if (/\.md$/i.test(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Format a front matter date as an ISO 8601 string
+ *
+ * YAML parses unquoted timestamps into Date objects in UTC, dropping the
+ * offset they were written with (and with it the local calendar day), so
+ * the text as written is used when it can be found; quoted ones stay strings.
+ * @private
+ */
+function toDateString(value, markdown, key) {
+  if (value instanceof Date) {
+    const frontMatter = markdown.split(/^---\s*$/m)[1] || '';
+    const written = frontMatter.match(new RegExp(`^${key}:[ \\t]*(\\d{4}-\\d{2}-\\d{2}[^#\\n]*?)[ \\t]*(?:#.*)?$`, 'm'));
+    if (written) {
+      return written[1];
+    }
+    return isNaN(value.getTime()) ? null : value.toISOString().replace(/\.000Z$/, 'Z');
+  }
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Get the path part of a URL, or null if it isn't one
+ * @private
+ */
+function urlPath(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.match(/^https?:\/\/[^/]+(\/[^?#]*)?/);
+  return match ? match[1] || '/' : null;
+}
+
+/**
+ * Turn a category or tag name into a URL slug (e.g., "Tech & Culture" → "tech-and-culture")
+ *
+ * @param {string} name - Term name as recorded in front matter
+ * @returns {string} URL slug
+ */
+function termSlug(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'untitled';
+}
+
+/**
+ * Get the names listed under a front matter key (e.g., `categories`)
+ *
+ * @param {*} value - Front matter value: a list of names or a single name
+ * @returns {string[]} Term names
+ */
+function termNames(value) {
+  if (Array.isArray(value)) return value.filter(name => name !== null && name !== undefined && name !== '').map(String);
+  return typeof value === 'string' && value ? [value] : [];
+}
+
+/**
+ * Read one markdown file as a corpus entry
+ *
+ * @param {string} filePath - Markdown file
+ * @param {string} contentDir - Corpus root the file belongs to
+ * @returns {Object} Corpus entry with `sourcePath`, `relativePath`, `bundle`
+ *   (an `index.md` in its own directory), `type`, `collection`, `slug`,
+ *   `parentPath`, `date`, `modified`, `publishAt`, `draft`, `permalink`, `data`
+ *   (front matter), `body`, `images` and `featuredImage`
+ */
+function readCorpusEntry(filePath, contentDir) {
+  const markdown = fs.readFileSync(filePath, 'utf-8');
+  const { data, content } = matter(markdown, {});
+  const relativePath = path.relative(contentDir, filePath).split(path.sep).join('/');
+  const segments = relativePath.split('/');
+  const bundle = segments[segments.length - 1].toLowerCase() === 'index.md' && segments.length > 1;
+
+  // The segments that name this entry: the bundle directory or the file itself
+  const nameSegments = bundle ? segments.slice(0, -1) : [...segments.slice(0, -1), segments[segments.length - 1].replace(/\.md$/i, '')];
+  let name = nameSegments[nameSegments.length - 1];
+  const parents = nameSegments.slice(0, -1);
+
+  // Dates encoded in the path: YYYY/MM/DD-slug or YYYY-MM-DD-slug
+  let pathDate = null;
+  const dated = parents.length >= 2 && /^\d{4}$/.test(parents[parents.length - 2]) && /^\d{2}$/.test(parents[parents.length - 1]);
+  const dayMatch = dated ? name.match(/^(\d{2})-(.+)$/) : null;
+  const flatMatch = name.match(/^(\d{4}-\d{2}-\d{2})-(.+)$/);
+  if (dayMatch) {
+    pathDate = `${parents[parents.length - 2]}-${parents[parents.length - 1]}-${dayMatch[1]}`;
+    name = dayMatch[2];
+  } else if (flatMatch) {
+    pathDate = flatMatch[1];
+    name = flatMatch[2];
+  }
+
+  const type = typeof data.type === 'string' && data.type
+    ? data.type
+    : (segments[0] === 'pages' ? 'page' : 'post');
+  let collection = type === 'post' ? 'posts' : type === 'page' ? 'pages' : type;
+  if (type !== 'post' && type !== 'page' && bundle && segments.length > 2) {
+    // Custom post types live under their REST base (e.g., talks/ for 'talk')
+    collection = segments[0];
+  }
+
+  const slug = typeof data.slug === 'string' && data.slug ? data.slug : name;
+  let parentPath = '';
+  if (typeof data.parent_path === 'string' && data.parent_path) {
+    parentPath = data.parent_path;
+  } else if (typeof data.parent === 'string' && data.parent) {
+    // Files pulled before parent_path recorded the path as `parent`
+    parentPath = data.parent;
+  } else if (type !== 'post' && !dated && parents.length > 1) {
+    // pages/parent/child/index.md → 'parent'
+    parentPath = parents.slice(1).join('/');
+  }
+
+  const date = toDateString(data.date, markdown, 'date') || pathDate;
+  const modified = toDateString(data.modified, markdown, 'modified');
+  const publishAt = toDateString(data.publish_at, markdown, 'publish_at');
+
+  let permalink = urlPath(data.canonical_url);
+  if (!permalink) {
+    if (type === 'post' && date) {
+      permalink = `/${date.substring(0, 10).replace(/-/g, '/')}/${slug}/`;
+    } else if (type === 'page') {
+      permalink = `/${parentPath ? `${parentPath}/` : ''}${slug}/`;
+    } else {
+      permalink = `/${collection}/${slug}/`;
+    }
+  }
+
+  const mdDir = path.dirname(filePath);
+
+  return {
+    sourcePath: filePath,
+    relativePath,
+    bundle,
+    type,
+    collection,
+    slug,
+    parentPath,
+    date,
+    modified,
+    publishAt,
+    draft: data.draft === true || data.published === false || data.status === 'draft',
+    permalink,
+    data,
+    body: content,
+    images: extractLocalImages(content, mdDir),
+    featuredImage: getFeaturedImage(markdown, mdDir)
+  };
+}
+
+/**
+ * Read every markdown file under a content directory
+ *
+ * @param {string} contentDir - Content directory (flat or hierarchical)
+ * @returns {{entries: Object[], errors: Array<{sourcePath: string, error: string}>}}
+ *   Entries (see readCorpusEntry) sorted by path, and files that failed to parse
+ * @throws {Error} If the directory does not exist
+ */
+function loadCorpus(contentDir) {
+  if (!fs.existsSync(contentDir) || !fs.statSync(contentDir).isDirectory()) {
+    throw new Error(`Content directory not found: ${contentDir}`);
+  }
+
+  const entries = [];
+  const errors = [];
+
+  for (const filePath of findMarkdownFiles(contentDir)) {
+    try {
+      entries.push(readCorpusEntry(filePath, contentDir));
+    } catch (error) {
+      errors.push({ sourcePath: filePath, error: error.message });
+    }
+  }
+
+  return { entries, errors };
+}
+
+module.exports = {
+  loadCorpus,
+  readCorpusEntry,
+  termSlug,
+  termNames
+};
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Custom field (post meta and ACF) mapping
+ * @module ownwords/custom-fields
+ *
+ * Front matter keeps custom fields in a `custom_fields:` section, with
+ * registered post meta under `meta` and Advanced Custom Fields (exposed in
+ * REST as `acf`) under `acf`:
+ *
+ *   custom_fields:
+ *     meta:
+ *       subtitle: "The real story"
+ *     acf:
+ *       speaker_bio: "..."
+ *
+ * Each site has an allowlist in its config (`customFields: { meta: [...],
+ * acf: [...] }`). Publishing writes only allowlisted keys, so plugin-internal
+ * fields are never overwritten.
+ */
+
+const { isSeoMetaKey } = require('./seo');
+
+/**
+ * Custom field sources, as named in front matter and the REST API
+ */
+const FIELD_SOURCES = ['meta', 'acf'];
+
+/**
+ * Get the fields of one source as a plain object
+ *
+ * ACF returns an empty array (not an object) for posts without fields.
+ * @private
+ */
+function fieldsOf(values) {
+  return values && typeof values === 'object' && !Array.isArray(values) ? values : {};
+}
+
+/**
+ * Select the custom fields of a normalized post to record in front matter
+ *
+ * With an allowlist only allowlisted keys are kept. Without one, every
+ * public field is kept (meta keys starting with `_` are WordPress-internal,
+ * and SEO plugin keys are recorded in the `seo` section instead).
+ * Empty values are dropped.
+ *
+ * @param {Object} normalized - Normalized post data with `meta` and `acf`
+ * @param {{meta?: string[], acf?: string[]}|null} [allowlist] - Site allowlist
+ * @returns {{meta: Object, acf: Object}} Fields by source
+ */
+function pickCustomFields(normalized, allowlist = null) {
+  const fields = {};
+
+  for (const source of FIELD_SOURCES) {
+    const allowed = allowlist ? allowlist[source] || [] : null;
+    fields[source] = {};
+
+    for (const [key, value] of Object.entries(fieldsOf(normalized[source]))) {
+      if (value === '' || value === null || value === undefined) continue;
+      if (allowed ? !allowed.includes(key) : key.startsWith('_') || isSeoMetaKey(key)) continue;
+      fields[source][key] = value;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Build the REST payload for a front matter `custom_fields` section
+ *
+ * Only keys in the site allowlist are written. Everything else is reported
+ * in `skipped` (as `meta.key` / `acf.key`) so callers can warn about it.
+ *
+ * @param {Object} customFields - Front matter `custom_fields` value
+ * @param {{meta?: string[], acf?: string[]}|null} [allowlist] - Site allowlist
+ * @returns {{meta: (Object|undefined), acf: (Object|undefined), skipped: string[]}}
+ *   Fields to send by source (undefined when there are none) and skipped keys
+ */
+function buildCustomFieldsPayload(customFields, allowlist = null) {
+  const payload = { meta: undefined, acf: undefined, skipped: [] };
+
+  for (const [source, values] of Object.entries(fieldsOf(customFields))) {
+    if (!FIELD_SOURCES.includes(source)) {
+      payload.skipped.push(source);
+      continue;
+    }
+
+    const allowed = (allowlist && allowlist[source]) || [];
+    for (const [key, value] of Object.entries(fieldsOf(values))) {
+      if (!allowed.includes(key)) {
+        payload.skipped.push(`${source}.${key}`);
+        continue;
+      }
+      payload[source] = payload[source] || {};
+      payload[source][key] = value;
+    }
+  }
+
+  return payload;
+}
+
+module.exports = {
+  pickCustomFields,
+  buildCustomFieldsPayload,
+  FIELD_SOURCES
+};
@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Date and timezone handling
+ * @module ownwords/dates
+ *
+ * WordPress stores two timestamps per post: `date` in the site's timezone
+ * and `date_gmt` in UTC. A bare `date` is read in the site's timezone, so
+ * a writer in another timezone gets posts at the wrong hour. Timestamps
+ * from front matter are parsed into instants here and sent as `date_gmt`.
+ *
+ * Accepted forms:
+ *
+ *   2025-03-01T09:00:00-08:00          ISO 8601 with offset (or Z)
+ *   2025-03-01 09:00 America/New_York  Wall time in an IANA timezone
+ *   2025-03-01 09:00                   Wall time in the default timezone, if one is given
+ *
+ * Fetched dates are stored as ISO 8601 with the site's offset at the time
+ * (2025-01-15T23:00:00-08:00), so the calendar day in filenames and paths is
+ * the day the post was published where it was published.
+ */
+
+/**
+ * Date, optional time, optional zone (offset, Z, UTC or IANA name)
+ * @private
+ */
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|UTC|GMT|[+-]\d{2}:?\d{2}|[A-Za-z][A-Za-z0-9_+-]*(?:\/[A-Za-z0-9_+-]+)+)?$/i;
+
+/**
+ * Fixed UTC offset, as in timestamps and WordPress's manual offsets
+ * @private
+ */
+const OFFSET_PATTERN = /^([+-])(\d{2}):?(\d{2})$/;
+
+/**
+ * Offset of a timezone from UTC at an instant
+ *
+ * @param {string} timeZone - IANA timezone name (e.g., 'America/Los_Angeles'),
+ *   UTC, or a fixed offset (e.g., '+05:30')
+ * @param {Date} date - Instant (offsets change with daylight saving time)
+ * @returns {number} Offset in minutes (e.g., -480 for Pacific Standard Time)
+ * @throws {Error} If the timezone is unknown
+ */
+function zoneOffset(timeZone, date) {
+  if (/^(Z|UTC|GMT)$/i.test(timeZone)) {
+    return 0;
+  }
+
+  const fixed = timeZone.match(OFFSET_PATTERN);
+  if (fixed) {
+    return (Number(fixed[2]) * 60 + Number(fixed[3])) * (fixed[1] === '-' ? -1 : 1);
+  }
+
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date);
+  } catch {
+    throw new Error(`Unknown timezone "${timeZone}"`);
+  }
+
+  const value = type => Number(parts.find(part => part.type === type).value);
+  const wall = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return Math.round((wall - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * @private
+ */
+function fromZonedWallTime(wall, timeZone) {
+  // The offset at the wall time read as UTC is right except within hours of a
+  // daylight saving change; one correction fixes that
+  const guess = wall - zoneOffset(timeZone, new Date(wall)) * 60000;
+  return new Date(wall - zoneOffset(timeZone, new Date(guess)) * 60000);
+}
+
+/**
+ * Parse a front matter timestamp into an instant
+ *
+ * YAML parses unquoted ISO timestamps into Date objects, which are returned
+ * as they are. Strings need a timezone: an offset, Z, or an IANA name after
+ * the time; without one, `timeZone` is used.
+ *
+ * @param {string|Date} value - Timestamp
+ * @param {string} [timeZone] - IANA timezone for wall times without a zone
+ * @returns {Date} The instant
+ * @throws {Error} If the value isn't a timestamp, has no timezone and none
+ *   was given, or names an unknown timezone
+ *
+ * @example
+ * parseDateTime('2025-03-01 09:00 America/Los_Angeles').toISOString();
+ * // => '2025-03-01T17:00:00.000Z'
+ */
+function parseDateTime(value, timeZone) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) {
+      throw new Error('Invalid date');
+    }
+    return value;
+  }
+
+  const text = typeof value === 'string' ? value.trim() : '';
+  const match = text.match(DATE_TIME_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid date "${value}"`);
+  }
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', zone] = match;
+  const wall = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+
+  if (!zone && !timeZone) {
+    throw new Error(`No timezone in "${text}" (add an offset such as -08:00, or a timezone name such as America/Los_Angeles)`);
+  }
+  return fromZonedWallTime(wall, zone || timeZone);
+}
+
+/**
+ * Check whether a timestamp carries its own timezone
+ *
+ * @param {string|Date} value - Timestamp
+ * @returns {boolean} True for Date objects and strings ending in an offset, Z or timezone name
+ */
+function hasTimezone(value) {
+  if (value instanceof Date) {
+    return true;
+  }
+  const match = typeof value === 'string' ? value.trim().match(DATE_TIME_PATTERN) : null;
+  return Boolean(match && match[7]);
+}
+
+/**
+ * Format a UTC offset as ±HH:MM
+ *
+ * @param {number} minutes - Offset in minutes (e.g., -480)
+ * @returns {string} e.g., '-08:00'
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format an instant as ISO 8601 wall time with offset in a timezone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name, UTC, or a fixed offset
+ * @returns {string} e.g., '2025-01-15T23:00:00-08:00'
+ */
+function formatInZone(date, timeZone) {
+  const offset = zoneOffset(timeZone, date);
+  const wall = new Date(Math.floor(date.getTime() / 1000) * 1000 + offset * 60000);
+  return `${toGmtString(wall)}${formatOffset(offset)}`;
+}
+
+/**
+ * Add the UTC offset to a WordPress local date using its GMT counterpart
+ *
+ * WordPress returns `date` and `date_gmt` (and `modified`/`modified_gmt`)
+ * without offsets; the difference between them is the site's offset when
+ * the post was published.
+ *
+ * @param {string} local - Site-local timestamp ('2025-01-15T23:00:00')
+ * @param {string} [gmt] - UTC timestamp ('2025-01-16T07:00:00')
+ * @returns {string} Local timestamp with offset ('2025-01-15T23:00:00-08:00'),
+ *   or `local` unchanged when there is no usable GMT value
+ *
+ * @example
+ * withUtcOffset('2025-01-15T23:00:00', '2025-01-16T07:00:00');
+ * // => '2025-01-15T23:00:00-08:00'
+ */
+function withUtcOffset(local, gmt) {
+  const pattern = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}$/;
+  if (!local || !gmt || !pattern.test(local) || !pattern.test(gmt) || gmt.startsWith('0000')) {
+    return local;
+  }
+  const minutes = Math.round((Date.parse(`${local.replace(' ', 'T')}Z`) - Date.parse(`${gmt.replace(' ', 'T')}Z`)) / 60000);
+  return `${local.replace(' ', 'T')}${formatOffset(minutes)}`;
+}
+
+/**
+ * The timezone of this machine
+ *
+ * @returns {string} IANA timezone name (e.g., 'America/Los_Angeles')
+ */
+function localTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Calendar day of a date, for filenames and paths
+ *
+ * Strings give the day as written (for fetched dates, the day where the
+ * post was published). Date objects, including YAML-parsed timestamps, and
+ * a missing date (today) use `timeZone`, so a post written at 11pm isn't
+ * filed under tomorrow's UTC date.
+ *
+ * @param {string|Date} [value] - Date
+ * @param {string} [timeZone] - Timezone for Date objects and today (default: this machine's)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function calendarDate(value, timeZone = localTimeZone()) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value.trim())) {
+    return value.trim().substring(0, 10);
+  }
+  const date = value instanceof Date && !isNaN(value.getTime()) ? value : new Date();
+  return formatInZone(date, timeZone).substring(0, 10);
+}
+
+/**
+ * Format an instant as a WordPress GMT timestamp (the `date_gmt` field)
+ *
+ * @param {Date} date - Instant
+ * @returns {string} UTC time as 'YYYY-MM-DDTHH:mm:ss'
+ */
+function toGmtString(date) {
+  return date.toISOString().substring(0, 19);
+}
+
+module.exports = {
+  parseDateTime,
+  hasTimezone,
+  toGmtString,
+  formatInZone,
+  formatOffset,
+  withUtcOffset,
+  calendarDate,
+  localTimeZone,
+  zoneOffset
+};
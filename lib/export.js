@@ -3,12 +3,14 @@
  * @module ownwords/export
  *
  * Converts markdown files back to clean HTML suitable for
- * pasting into the WordPress block editor.
+ * pasting into the WordPress block editor, or to native block markup.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const MarkdownIt = require('markdown-it');
+const { markdownToBlocks } = require('./blocks');
 
 /**
  * Get image dimensions from a local file
@@ -223,336 +225,267 @@ function addImageDimensions(html, mdDir) {
   });
 }
 
-/**
- * Convert markdown to HTML
- *
- * A simple markdown to HTML converter for basic formatting.
- * For complex documents, consider using a full library like marked.
- *
- * @param {string} markdown - Markdown content (without front matter)
- * @returns {string} HTML content
- */
-function markdownToHtml(markdown) {
-  let html = markdown;
-
-  // Extract code blocks and replace with placeholders to protect from other transformations
-  // Support both backtick (```) and tilde (~~~) fences - tilde fences allow nested backtick blocks
-  const codeBlocks = [];
-  const preStyle = 'background:#1e1e1e;border:1px solid #333;border-radius:6px;padding:1.25em;overflow-x:auto;font-family:\'SF Mono\',Consolas,Monaco,\'Courier New\',monospace;font-size:0.875em;line-height:1.6;margin:1.5em 0;color:#e0e0e0;';
-  // Process tilde fences first (they may contain backtick fences inside)
-  html = html.replace(/~~~(\w*)\n([\s\S]*?)~~~/g, (match, lang, code) => {
-    const langClass = lang ? ` class="language-${lang}"` : '';
-    const placeholder = `__CODE_BLOCK_${codeBlocks.length}__`;
-    codeBlocks.push(`<pre style="${preStyle}"><code${langClass}>${escapeHtml(code.trim())}</code></pre>`);
-    return placeholder;
-  });
-  // Then process backtick fences
-  html = html.replace(/```(\w*)\n([\s\S]*?)```/g, (match, lang, code) => {
-    const langClass = lang ? ` class="language-${lang}"` : '';
-    const placeholder = `__CODE_BLOCK_${codeBlocks.length}__`;
-    codeBlocks.push(`<pre style="${preStyle}"><code${langClass}>${escapeHtml(code.trim())}</code></pre>`);
-    return placeholder;
-  });
-
-  // Inline code - also protect from other transformations
-  const inlineCodes = [];
-  const inlineCodeStyle = 'background:#f5f5f5;padding:0.2em 0.4em;border-radius:3px;font-family:\'SF Mono\',Consolas,Monaco,\'Courier New\',monospace;font-size:0.9em;color:#c7254e;';
-  html = html.replace(/`([^`]+)`/g, (match, code) => {
-    const placeholder = `__INLINE_CODE_${inlineCodes.length}__`;
-    inlineCodes.push(`<code style="${inlineCodeStyle}">${escapeHtml(code)}</code>`);
-    return placeholder;
-  });
-
-  // Headings
-  html = html.replace(/^###### (.+)$/gm, '<h6>$1</h6>');
-  html = html.replace(/^##### (.+)$/gm, '<h5>$1</h5>');
-  html = html.replace(/^#### (.+)$/gm, '<h4>$1</h4>');
-  html = html.replace(/^### (.+)$/gm, '<h3>$1</h3>');
-  html = html.replace(/^## (.+)$/gm, '<h2>$1</h2>');
-  html = html.replace(/^# (.+)$/gm, '<h1>$1</h1>');
-
-  // Bold and italic
-  html = html.replace(/\*\*\*([^*]+)\*\*\*/g, '<strong><em>$1</em></strong>');
-  html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-  html = html.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-
-  // Linked images [![alt](img)](url) - must come before regular images
-  // The link wraps the img element inside the figure for valid HTML structure
-  // Use "wp-block-image size-large aligncenter" classes for WordPress
-  html = html.replace(/\[!\[([^\]]*)\]\(([^\s")]+)(?:\s+"((?:[^"\\]|\\.)*)")?\)\]\(([^)]+)\)/g, (match, alt, src, title, href) => {
-    const escapedAlt = escapeHtml(alt);
-    let imgHtml = `<figure class="wp-block-image size-large aligncenter">`;
-    imgHtml += `<a href="${href}"><img src="${src}" alt="${escapedAlt}" style="max-width: 100%; height: auto;" loading="lazy" /></a>`;
-    if (title) {
-      const unescapedTitle = title.replace(/\\"/g, '"');
-      imgHtml += `<figcaption>${escapeHtml(unescapedTitle)}</figcaption>`;
-    }
-    imgHtml += `</figure>`;
-    return imgHtml;
-  });
-
-  // Regular images (must come before links to prevent ![alt](url) being parsed as link)
-  // Match ![alt](path) or ![alt](path "title") - wrap in figure with optional figcaption
-  // The title pattern handles escaped quotes like \" using ((?:[^"\\]|\\.)*)
-  // Use "wp-block-image size-large aligncenter" classes for WordPress:
-  // - size-large: constrains images to content width
-  // - aligncenter: centers images that are smaller than content width
-  html = html.replace(/!\[([^\]]*)\]\(([^\s")]+)(?:\s+"((?:[^"\\]|\\.)*)")?\)/g, (match, alt, src, title) => {
-    const escapedAlt = escapeHtml(alt);
-    let imgHtml = `<figure class="wp-block-image size-large aligncenter">`;
-    imgHtml += `<img src="${src}" alt="${escapedAlt}" style="max-width: 100%; height: auto;" loading="lazy" />`;
-    if (title) {
-      // Unescape any escaped quotes in the title
-      const unescapedTitle = title.replace(/\\"/g, '"');
-      imgHtml += `<figcaption>${escapeHtml(unescapedTitle)}</figcaption>`;
-    }
-    imgHtml += `</figure>`;
-    return imgHtml;
-  });
-
-  // Links
-  html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
-
-  // Blockquotes - convert to WordPress Gutenberg quote blocks
-  html = html.replace(/^> (.+)$/gm, '<!-- wp:quote -->\n<blockquote class="wp-block-quote"><p>$1</p></blockquote>\n<!-- /wp:quote -->');
-
-  // Tables - GFM style
-  // Must be processed before paragraphs to prevent table rows being wrapped in <p>
-  html = convertTables(html);
-
-  // Horizontal rules
-  html = html.replace(/^---+$/gm, '<hr />');
-
-  // Unordered lists
-  html = html.replace(/^- (.+)$/gm, '<li>$1</li>');
-  html = html.replace(/^(\* )(.+)$/gm, '<li>$2</li>');
-
-  // Ordered lists
-  html = html.replace(/^\d+\. (.+)$/gm, '<li>$1</li>');
 
-  // Wrap consecutive list items
-  html = wrapListItems(html);
+// Inline styles so code and tables render well in any WordPress theme
+const PRE_STYLE = 'background:#1e1e1e;border:1px solid #333;border-radius:6px;padding:1.25em;overflow-x:auto;font-family:\'SF Mono\',Consolas,Monaco,\'Courier New\',monospace;font-size:0.875em;line-height:1.6;margin:1.5em 0;color:#e0e0e0;';
+const INLINE_CODE_STYLE = 'background:#f5f5f5;padding:0.2em 0.4em;border-radius:3px;font-family:\'SF Mono\',Consolas,Monaco,\'Courier New\',monospace;font-size:0.9em;color:#c7254e;';
+const TABLE_STYLE = 'border-collapse:collapse;width:100%;margin:1.5em 0;';
+const TH_STYLE = 'border:1px solid #ddd;padding:0.75em;text-align:left;background-color:#f8f9fa;font-weight:600;';
+const TD_STYLE = 'border:1px solid #ddd;padding:0.75em;text-align:left;';
+const STRIPED_ROW_STYLE = 'background-color:#fafafa;';
 
-  // Paragraphs - wrap remaining text blocks
-  html = wrapParagraphs(html);
-
-  // Restore inline code
-  for (let i = 0; i < inlineCodes.length; i++) {
-    html = html.replace(`__INLINE_CODE_${i}__`, inlineCodes[i]);
-  }
-
-  // Restore code blocks
-  for (let i = 0; i < codeBlocks.length; i++) {
-    html = html.replace(`__CODE_BLOCK_${i}__`, codeBlocks[i]);
-  }
-
-  return html.trim();
-}
+// "wp-block-image size-large aligncenter": size-large constrains images to the
+// content width, aligncenter centers images narrower than the content width
+const FIGURE_CLASS = 'wp-block-image size-large aligncenter';
+const IMAGE_STYLE = 'max-width: 100%; height: auto;';
 
 /**
- * Escape HTML special characters
+ * Split a paragraph that consists only of images (or linked images) into its images
+ *
+ * Images on consecutive lines are separated by softbreaks; each one becomes
+ * its own figure, as when they are separated by blank lines.
  * @private
+ * @param {Object[]} children - Inline tokens of the paragraph
+ * @returns {Object[][]|null} Inline tokens of each image (with its link), or
+ *   null if the paragraph has other content
  */
-function escapeHtml(text) {
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+function splitStandaloneImages(children) {
+  const meaningful = children.filter(t => t.type !== 'softbreak' && !(t.type === 'text' && t.content.trim() === ''));
+  const images = [];
+
+  for (let i = 0; i < meaningful.length;) {
+    if (meaningful[i].type === 'image') {
+      images.push([meaningful[i]]);
+      i += 1;
+    } else if (meaningful[i].type === 'link_open' && meaningful[i + 1] && meaningful[i + 1].type === 'image' &&
+        meaningful[i + 2] && meaningful[i + 2].type === 'link_close') {
+      images.push(meaningful.slice(i, i + 3));
+      i += 3;
+    } else {
+      return null;
+    }
+  }
+  return images.length > 0 ? images : null;
 }
 
 /**
- * Wrap consecutive <li> elements in <ul>
+ * Core rule: render image-only paragraphs as WordPress figures
+ *
+ * The title of the image ("caption" in ![alt](src "caption")) becomes the
+ * figcaption. A paragraph of several images gets one figure per image.
  * @private
  */
-function wrapListItems(html) {
-  const lines = html.split('\n');
-  const result = [];
-  let inList = false;
+function figureRule(state) {
+  const tokens = state.tokens;
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+  for (let i = 0; i + 2 < tokens.length; i++) {
+    if (tokens[i].type !== 'paragraph_open' || tokens[i].hidden || tokens[i + 2].type !== 'paragraph_close') {
+      continue;
+    }
+    const images = splitStandaloneImages(tokens[i + 1].children || []);
+    if (!images) {
+      continue;
+    }
 
-    if (line.startsWith('<li>')) {
-      if (!inList) {
-        result.push('<ul>');
-        inList = true;
-      }
-      result.push(line);
-    } else {
-      if (inList) {
-        result.push('</ul>');
-        inList = false;
-      }
-      result.push(line);
+    const figures = [];
+    for (const children of images) {
+      const image = children.find(t => t.type === 'image');
+      image.meta = { ...image.meta, figure: true };
+
+      const open = new state.Token('figure_open', 'figure', 1);
+      const inline = new state.Token('inline', '', 0);
+      const close = new state.Token('figure_close', 'figure', -1);
+      open.block = inline.block = close.block = true;
+      open.map = inline.map = tokens[i].map;
+      open.level = close.level = tokens[i].level;
+      inline.level = tokens[i + 1].level;
+      inline.children = children;
+      close.meta = { caption: image.attrGet('title') };
+      figures.push(open, inline, close);
     }
-  }
 
-  if (inList) {
-    result.push('</ul>');
+    tokens.splice(i, 3, ...figures);
+    i += figures.length - 1;
   }
-
-  return result.join('\n');
 }
 
 /**
- * Wrap plain text blocks in <p> tags
+ * Core rule: GFM task list items ("- [ ] todo", "- [x] done")
  * @private
  */
-function wrapParagraphs(html) {
-  const lines = html.split('\n\n');
-  const result = [];
+function taskListRule(state) {
+  const tokens = state.tokens;
 
-  const blockElements = ['<h', '<ul', '<ol', '<li', '<pre', '<blockquote', '<hr', '</ul', '</ol', '<table', '</table', '<figure'];
+  for (let i = 2; i < tokens.length; i++) {
+    const inline = tokens[i];
+    if (inline.type !== 'inline' || tokens[i - 1].type !== 'paragraph_open' || tokens[i - 2].type !== 'list_item_open') {
+      continue;
+    }
 
-  for (const block of lines) {
-    const trimmed = block.trim();
-    if (!trimmed) continue;
+    const first = inline.children[0];
+    const match = first && first.type === 'text' ? /^\[([ xX])\](?=\s|$)\s*/.exec(first.content) : null;
+    if (!match) {
+      continue;
+    }
 
-    const isBlock = blockElements.some(tag => trimmed.startsWith(tag));
-    if (isBlock) {
-      result.push(trimmed);
-    } else {
-      // Wrap in paragraph
-      result.push(`<p>${trimmed.replace(/\n/g, '<br />')}</p>`);
+    first.content = first.content.slice(match[0].length);
+    const checkbox = new state.Token('html_inline', '', 0);
+    checkbox.content = `<input type="checkbox" disabled="disabled"${match[1] === ' ' ? '' : ' checked="checked"'} /> `;
+    inline.children.unshift(checkbox);
+
+    const item = tokens[i - 2];
+    item.attrJoin('class', 'task-list-item');
+
+    // Mark the enclosing list once
+    for (let j = i - 3; j >= 0; j--) {
+      if (tokens[j].level === item.level - 1 && /_list_open$/.test(tokens[j].type)) {
+        if (!(tokens[j].attrGet('class') || '').includes('contains-task-list')) {
+          tokens[j].attrJoin('class', 'contains-task-list');
+        }
+        break;
+      }
     }
   }
-
-  return result.join('\n\n');
 }
 
 /**
- * Convert GFM-style markdown tables to HTML
+ * Core rule: flag alternate table body rows for striping
  * @private
- * @param {string} html - Content that may contain markdown tables
- * @returns {string} Content with tables converted to HTML
  */
-function convertTables(html) {
-  const lines = html.split('\n');
-  const result = [];
-  let tableLines = [];
-  let inTable = false;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    // Check if this looks like a table row (starts and ends with |, or has | in middle)
-    const isTableRow = trimmed.startsWith('|') && trimmed.endsWith('|');
-    // Check if this is a separator row (only |, -, :, and spaces)
-    const isSeparator = /^\|[\s\-:|]+\|$/.test(trimmed);
-
-    if (isTableRow || isSeparator) {
-      if (!inTable) {
-        inTable = true;
-        tableLines = [];
-      }
-      tableLines.push(trimmed);
-    } else {
-      if (inTable) {
-        // End of table - convert it
-        result.push(convertTableBlock(tableLines));
-        inTable = false;
-        tableLines = [];
-      }
-      result.push(line);
+function tableStripeRule(state) {
+  let row = 0;
+  let striped = false;
+
+  for (const token of state.tokens) {
+    if (token.type === 'tbody_open') {
+      row = 0;
+    } else if (token.type === 'tr_open') {
+      row++;
+      striped = row % 2 === 1;
+    } else if (token.type === 'td_open') {
+      token.meta = { ...token.meta, striped };
     }
   }
+}
 
-  // Handle table at end of content
-  if (inTable && tableLines.length > 0) {
-    result.push(convertTableBlock(tableLines));
-  }
-
-  return result.join('\n');
+/**
+ * Render a table cell with inline styles, keeping the column alignment
+ * @private
+ */
+function renderTableCell(baseStyle) {
+  return (tokens, idx) => {
+    const token = tokens[idx];
+    const alignMatch = (token.attrGet('style') || '').match(/text-align:\s*(\w+)/);
+    let style = baseStyle.replace('text-align:left', `text-align:${alignMatch ? alignMatch[1] : 'left'}`);
+    if (token.meta && token.meta.striped) {
+      style += STRIPED_ROW_STYLE;
+    }
+    return `<${token.tag} style="${style}">`;
+  };
 }
 
 /**
- * Convert a block of table lines to HTML table
+ * Create the markdown renderer used for WordPress export
+ *
+ * CommonMark parsing (markdown-it) plus GFM tables, strikethrough and task
+ * lists, with renderer overrides for the WordPress-specific output:
+ * figure/figcaption images, wp:quote blockquote blocks and inline styles on
+ * code and tables.
+ *
  * @private
+ * @returns {MarkdownIt} Configured renderer
  */
-function convertTableBlock(lines) {
-  if (lines.length < 2) {
-    // Not a valid table (need at least header and separator)
-    return lines.join('\n');
-  }
+function createRenderer() {
+  const md = new MarkdownIt('commonmark', {
+    html: true,
+    xhtmlOut: true,
+    breaks: false,
+    linkify: false,
+    typographer: false
+  });
+  md.enable(['table', 'strikethrough']);
 
-  // Parse header row
-  const headerRow = lines[0];
-  const headers = parseTableRow(headerRow);
+  md.core.ruler.push('wp_figure', figureRule);
+  md.core.ruler.push('gfm_task_list', taskListRule);
+  md.core.ruler.push('table_stripes', tableStripeRule);
 
-  // Check if second line is separator
-  const separatorLine = lines[1];
-  if (!/^\|[\s\-:|]+\|$/.test(separatorLine)) {
-    // Not a valid table separator
-    return lines.join('\n');
-  }
+  const rules = md.renderer.rules;
+
+  rules.fence = (tokens, idx) => {
+    const token = tokens[idx];
+    const lang = token.info ? md.utils.unescapeAll(token.info).trim().split(/\s+/)[0] : '';
+    const langClass = lang ? ` class="language-${escapeHtml(lang)}"` : '';
+    return `<pre style="${PRE_STYLE}"><code${langClass}>${escapeHtml(token.content.replace(/\n$/, ''))}</code></pre>\n`;
+  };
 
-  // Parse alignment from separator
-  const alignments = parseSeparator(separatorLine);
+  rules.code_block = (tokens, idx) => {
+    return `<pre style="${PRE_STYLE}"><code>${escapeHtml(tokens[idx].content.replace(/\n$/, ''))}</code></pre>\n`;
+  };
 
-  // Build HTML table with inline styles for WordPress compatibility
-  const tableStyle = 'border-collapse:collapse;width:100%;margin:1.5em 0;';
-  const thStyle = 'border:1px solid #ddd;padding:0.75em;text-align:left;background-color:#f8f9fa;font-weight:600;';
-  const tdStyle = 'border:1px solid #ddd;padding:0.75em;text-align:left;';
+  rules.code_inline = (tokens, idx) => {
+    return `<code style="${INLINE_CODE_STYLE}">${escapeHtml(tokens[idx].content)}</code>`;
+  };
 
-  let html = `<table style="${tableStyle}">\n<thead>\n<tr>\n`;
+  rules.image = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    const alt = escapeHtml(self.renderInlineAsText(token.children, options, env));
+    const title = token.attrGet('title');
+    const titleAttr = title && !(token.meta && token.meta.figure) ? ` title="${escapeHtml(title)}"` : '';
+    return `<img src="${escapeHtml(token.attrGet('src'))}" alt="${alt}"${titleAttr} style="${IMAGE_STYLE}" loading="lazy" />`;
+  };
 
-  // Add header cells
-  headers.forEach((cell, idx) => {
-    const align = alignments[idx] || 'left';
-    const style = thStyle.replace('text-align:left', `text-align:${align}`);
-    html += `<th style="${style}">${cell}</th>\n`;
-  });
+  rules.figure_open = () => `<figure class="${FIGURE_CLASS}">`;
 
-  html += '</tr>\n</thead>\n<tbody>\n';
-
-  // Add body rows
-  for (let i = 2; i < lines.length; i++) {
-    const cells = parseTableRow(lines[i]);
-    const rowStyle = i % 2 === 0 ? 'background-color:#fafafa;' : '';
-    html += '<tr>\n';
-    cells.forEach((cell, idx) => {
-      const align = alignments[idx] || 'left';
-      const style = tdStyle.replace('text-align:left', `text-align:${align}`) + rowStyle;
-      html += `<td style="${style}">${cell}</td>\n`;
-    });
-    html += '</tr>\n';
-  }
+  rules.figure_close = (tokens, idx) => {
+    const caption = tokens[idx].meta && tokens[idx].meta.caption;
+    return `${caption ? `<figcaption>${escapeHtml(caption)}</figcaption>` : ''}</figure>\n`;
+  };
+
+  rules.blockquote_open = () => '<!-- wp:quote -->\n<blockquote class="wp-block-quote">';
+  rules.blockquote_close = () => '</blockquote>\n<!-- /wp:quote -->\n';
+
+  rules.s_open = () => '<del>';
+  rules.s_close = () => '</del>';
 
-  html += '</tbody>\n</table>';
+  rules.table_open = () => `<table style="${TABLE_STYLE}">\n`;
+  rules.th_open = renderTableCell(TH_STYLE);
+  rules.td_open = renderTableCell(TD_STYLE);
 
-  return html;
+  return md;
 }
 
+const renderer = createRenderer();
+
 /**
- * Parse cells from a table row
- * @private
+ * Convert markdown to HTML
+ *
+ * Parses CommonMark (plus GFM tables, strikethrough and task lists) and
+ * renders WordPress-ready HTML. Image-only paragraphs become
+ * `<figure class="wp-block-image ...">` with an optional figcaption taken
+ * from the image title, blockquotes become wp:quote blocks, and code and
+ * tables carry inline styles so they look right in any theme.
+ *
+ * @param {string} markdown - Markdown content (without front matter)
+ * @returns {string} HTML content
  */
-function parseTableRow(row) {
-  // Remove leading/trailing pipes and split
-  const trimmed = row.replace(/^\||\|$/g, '');
-  return trimmed.split('|').map(cell => cell.trim());
+function markdownToHtml(markdown) {
+  return renderer.render(markdown)
+    // Keep quote blocks compact: <blockquote class="wp-block-quote"><p>...</p></blockquote>
+    .replace(/\n<\/blockquote>/g, '</blockquote>')
+    .trim();
 }
 
 /**
- * Parse alignment from separator row
+ * Escape HTML special characters
  * @private
  */
-function parseSeparator(row) {
-  const trimmed = row.replace(/^\||\|$/g, '');
-  const cells = trimmed.split('|');
-
-  return cells.map(cell => {
-    cell = cell.trim();
-    const leftColon = cell.startsWith(':');
-    const rightColon = cell.endsWith(':');
-
-    if (leftColon && rightColon) return 'center';
-    if (rightColon) return 'right';
-    return 'left';
-  });
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
 }
 
 /**
@@ -709,10 +642,17 @@ function extractFrontMatter(markdown) {
 /**
  * Export a markdown file to WordPress-ready HTML
  *
+ * By default the HTML is classic markup with inline styles. With `blocks`
+ * the output is serialized Gutenberg block markup (see markdownToBlocks)
+ * that opens in the block editor as native blocks.
+ *
  * @param {string} mdPath - Path to markdown file
  * @param {string} [outputPath] - Path for output HTML (optional)
  * @param {Object} [options] - Export options
- * @param {boolean} [options.includeWrapper=false] - Include WordPress block wrappers
+ * @param {boolean} [options.blocks=false] - Emit native Gutenberg block markup
+ * @param {boolean} [options.includeWrapper=false] - Alias for `blocks`
+ * @param {Object<string, string>} [options.images] - Block mode: map of local image paths to uploaded URLs
+ * @param {Object<string, number>} [options.mediaIds] - Block mode: map of local image paths to attachment IDs
  * @param {boolean} [options.rewriteImages=false] - Rewrite image URLs to absolute
  * @param {string} [options.imageBaseUrl] - Base URL for images
  * @returns {Object} Export result with html and metadata
@@ -722,28 +662,36 @@ function extractFrontMatter(markdown) {
  * console.log(result.html);
  */
 function exportToWordPress(mdPath, outputPath, options = {}) {
-  const { includeWrapper = false, rewriteImages = false, imageBaseUrl = '' } = options;
+  const {
+    includeWrapper = false,
+    blocks = includeWrapper,
+    images,
+    mediaIds,
+    rewriteImages = false,
+    imageBaseUrl = ''
+  } = options;
 
   const markdown = fs.readFileSync(mdPath, 'utf-8');
   const { frontMatter, body } = extractFrontMatter(markdown);
   const mdDir = path.dirname(mdPath);
 
-  let html = markdownToHtml(body);
+  let html;
+  if (blocks) {
+    // Image blocks reference attachments; WordPress adds dimensions when rendering
+    html = markdownToBlocks(body, { images, mediaIds });
+  } else {
+    html = markdownToHtml(body);
 
-  // Add image dimensions to local images for better WordPress rendering
-  // This helps WordPress/Jetpack properly size images without layout shift
-  html = addImageDimensions(html, mdDir);
+    // Add image dimensions to local images for better WordPress rendering
+    // This helps WordPress/Jetpack properly size images without layout shift
+    html = addImageDimensions(html, mdDir);
+  }
 
   // Optionally rewrite image URLs to absolute
   if (rewriteImages && imageBaseUrl) {
     html = html.replace(/src="\/([^"]+)"/g, `src="${imageBaseUrl}/$1"`);
   }
 
-  // Optionally add WordPress block wrappers
-  if (includeWrapper) {
-    html = wrapWithWordPressBlocks(html);
-  }
-
   const result = {
     title: frontMatter.title || '',
     slug: frontMatter.slug || path.basename(mdPath, '.md'),
@@ -767,31 +715,6 @@ function exportToWordPress(mdPath, outputPath, options = {}) {
   return result;
 }
 
-/**
- * Wrap HTML with WordPress block comments
- * @private
- */
-function wrapWithWordPressBlocks(html) {
-  // Add WordPress block comments for major elements
-  let wrapped = html;
-
-  // Wrap headings
-  wrapped = wrapped.replace(/<h2>([^<]+)<\/h2>/g, '<!-- wp:heading -->\n<h2 class="wp-block-heading">$1</h2>\n<!-- /wp:heading -->');
-  wrapped = wrapped.replace(/<h3>([^<]+)<\/h3>/g, '<!-- wp:heading {"level":3} -->\n<h3 class="wp-block-heading">$1</h3>\n<!-- /wp:heading -->');
-  wrapped = wrapped.replace(/<h4>([^<]+)<\/h4>/g, '<!-- wp:heading {"level":4} -->\n<h4 class="wp-block-heading">$1</h4>\n<!-- /wp:heading -->');
-
-  // Wrap paragraphs
-  wrapped = wrapped.replace(/<p>([^<]*(?:<[^/][^>]*>[^<]*<\/[^>]*>)*[^<]*)<\/p>/g, '<!-- wp:paragraph -->\n<p>$1</p>\n<!-- /wp:paragraph -->');
-
-  // Wrap lists
-  wrapped = wrapped.replace(/<ul>([\s\S]*?)<\/ul>/g, '<!-- wp:list -->\n<ul class="wp-block-list">$1</ul>\n<!-- /wp:list -->');
-
-  // Wrap code blocks
-  wrapped = wrapped.replace(/<pre><code([^>]*)>([\s\S]*?)<\/code><\/pre>/g, '<!-- wp:code -->\n<pre class="wp-block-code"><code$1>$2</code></pre>\n<!-- /wp:code -->');
-
-  return wrapped;
-}
-
 /**
  * Export multiple markdown files to WordPress HTML
  *
@@ -0,0 +1,392 @@
+/**
+ * @fileoverview RSS, Atom and JSON Feed generation
+ * @module ownwords/feeds
+ *
+ * Writes feeds for the posts in a content directory (see corpus.js):
+ *
+ *   feed.xml, atom.xml, feed.json                  site feeds
+ *   category/<slug>/feed.xml (atom.xml, feed.json)  per-category feeds (optional)
+ *   tag/<slug>/feed.xml (atom.xml, feed.json)       per-tag feeds (optional)
+ *
+ * Items follow WordPress's own feeds so subscribers see no difference after
+ * a move: the newest 10 posts, full HTML in `content:encoded`, the excerpt as
+ * the description, `dc:creator`, categories and tags, and the `?p=<id>` GUID
+ * WordPress assigned (so readers don't show old posts as new).
+ *
+ * Each feed records the WordPress path it replaces (e.g., /feed/ for
+ * feed.xml) so redirects can keep subscribed URLs working.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadCorpus, termSlug, termNames } = require('./corpus');
+const { markdownToHtml } = require('./export');
+
+/**
+ * Feed formats: file written, WordPress path it replaces, and MIME type
+ */
+const FEED_FORMATS = {
+  rss: { file: 'feed.xml', wordpressPath: 'feed/', type: 'application/rss+xml' },
+  atom: { file: 'atom.xml', wordpressPath: 'feed/atom/', type: 'application/atom+xml' },
+  json: { file: 'feed.json', wordpressPath: null, type: 'application/feed+json' }
+};
+
+/**
+ * Escape text for XML
+ * @private
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Wrap text in a CDATA section, splitting any `]]>` it contains
+ * @private
+ */
+function cdata(text) {
+  return `<![CDATA[${String(text).replace(/\]\]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Parse a front matter date, reading dates without a zone as UTC
+ * @private
+ */
+function parseDate(value) {
+  if (!value) return null;
+  let text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    text += 'T00:00:00Z';
+  } else if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+    text = `${text.replace(' ', 'T')}Z`;
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a date as RFC 822, the way WordPress writes it in RSS
+ * @private
+ */
+function rfc822(date) {
+  return date.toUTCString().replace(/GMT$/, '+0000');
+}
+
+/**
+ * Format a date as ISO 8601 without milliseconds
+ * @private
+ */
+function iso(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Resolve relative `src` and `href` attributes against a base URL
+ * @private
+ */
+function absolutizeUrls(html, baseUrl) {
+  return html.replace(/\b(src|href)="([^"]*)"/g, (match, attr, value) => {
+    if (!value || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(value)) return match;
+    try {
+      return `${attr}="${new URL(value, baseUrl).href}"`;
+    } catch {
+      return match;
+    }
+  });
+}
+
+/**
+ * Build a feed item from a corpus entry
+ *
+ * @param {Object} entry - Corpus entry (see readCorpusEntry)
+ * @param {string} siteUrl - Absolute site URL the entry's images are served from
+ * @returns {Object} Feed item with `id`, `guidIsPermalink`, `url`, `title`,
+ *   `summary`, `html`, `published`, `modified`, `author`, `categories` and `tags`
+ */
+function buildFeedItem(entry, siteUrl) {
+  const pageUrl = `${siteUrl.replace(/\/+$/, '')}${entry.permalink}`;
+  const canonical = typeof entry.data.canonical_url === 'string' && entry.data.canonical_url
+    ? entry.data.canonical_url
+    : pageUrl;
+  const postId = entry.data.wordpress && entry.data.wordpress.post_id;
+
+  // WordPress GUIDs are http(s)://site/?p=<id>; reusing them keeps readers from re-showing posts
+  let id = canonical;
+  if (postId) {
+    try {
+      id = `${new URL(canonical).origin}/?p=${postId}`;
+    } catch {
+      id = canonical;
+    }
+  }
+
+  const published = parseDate(entry.date);
+
+  return {
+    id,
+    guidIsPermalink: id === canonical,
+    url: canonical,
+    title: entry.data.title ? String(entry.data.title) : entry.slug,
+    summary: typeof entry.data.description === 'string' ? entry.data.description : '',
+    // Co-located images are served next to the page on this site, not at the canonical URL
+    html: absolutizeUrls(markdownToHtml(entry.body), pageUrl),
+    published,
+    modified: parseDate(entry.modified) || published,
+    author: typeof entry.data.author === 'string' ? entry.data.author : '',
+    categories: termNames(entry.data.categories),
+    tags: termNames(entry.data.tags)
+  };
+}
+
+/**
+ * Render an RSS 2.0 feed
+ *
+ * @param {Object} feed - Feed with `title`, `description`, `siteUrl`, `feedUrl`,
+ *   `language`, `updated` and `items` (see buildFeedItem)
+ * @returns {string} RSS XML
+ */
+function renderRss(feed) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '<channel>',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    `  <link>${escapeXml(feed.siteUrl)}</link>`,
+    `  <description>${escapeXml(feed.description || '')}</description>`
+  ];
+  if (feed.updated) lines.push(`  <lastBuildDate>${rfc822(feed.updated)}</lastBuildDate>`);
+  lines.push(`  <language>${escapeXml(feed.language)}</language>`);
+  lines.push('  <generator>ownwords</generator>');
+
+  for (const item of feed.items) {
+    lines.push('  <item>');
+    lines.push(`    <title>${escapeXml(item.title)}</title>`);
+    lines.push(`    <link>${escapeXml(item.url)}</link>`);
+    if (item.author) lines.push(`    <dc:creator>${cdata(item.author)}</dc:creator>`);
+    if (item.published) lines.push(`    <pubDate>${rfc822(item.published)}</pubDate>`);
+    for (const name of [...item.categories, ...item.tags]) {
+      lines.push(`    <category>${cdata(name)}</category>`);
+    }
+    lines.push(`    <guid isPermaLink="${item.guidIsPermalink}">${escapeXml(item.id)}</guid>`);
+    if (item.summary) lines.push(`    <description>${cdata(item.summary)}</description>`);
+    lines.push(`    <content:encoded>${cdata(item.html)}</content:encoded>`);
+    lines.push('  </item>');
+  }
+
+  lines.push('</channel>', '</rss>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Render an Atom 1.0 feed
+ *
+ * @param {Object} feed - Feed (see renderRss)
+ * @returns {string} Atom XML
+ */
+function renderAtom(feed) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">`,
+    `  <title type="text">${escapeXml(feed.title)}</title>`
+  ];
+  if (feed.description) lines.push(`  <subtitle type="text">${escapeXml(feed.description)}</subtitle>`);
+  lines.push(`  <updated>${iso(feed.updated || new Date(0))}</updated>`);
+  lines.push(`  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}" />`);
+  lines.push(`  <id>${escapeXml(feed.feedUrl)}</id>`);
+  lines.push(`  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}" />`);
+  lines.push('  <generator>ownwords</generator>');
+
+  for (const item of feed.items) {
+    lines.push('  <entry>');
+    if (item.author) lines.push(`    <author><name>${escapeXml(item.author)}</name></author>`);
+    lines.push(`    <title type="html">${cdata(item.title)}</title>`);
+    lines.push(`    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />`);
+    lines.push(`    <id>${escapeXml(item.id)}</id>`);
+    // Atom requires <updated>; posts without any date fall back to the epoch
+    lines.push(`    <updated>${iso(item.modified || new Date(0))}</updated>`);
+    if (item.published) lines.push(`    <published>${iso(item.published)}</published>`);
+    for (const name of [...item.categories, ...item.tags]) {
+      lines.push(`    <category scheme="${escapeXml(feed.siteUrl)}" term="${escapeXml(name)}" />`);
+    }
+    if (item.summary) lines.push(`    <summary type="html">${cdata(item.summary)}</summary>`);
+    lines.push(`    <content type="html" xml:base="${escapeXml(item.url)}">${cdata(item.html)}</content>`);
+    lines.push('  </entry>');
+  }
+
+  lines.push('</feed>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Render a JSON Feed 1.1 document
+ *
+ * @param {Object} feed - Feed (see renderRss)
+ * @returns {string} JSON Feed
+ */
+function renderJsonFeed(feed) {
+  const document = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.feedUrl,
+    language: feed.language
+  };
+  if (feed.description) document.description = feed.description;
+
+  document.items = feed.items.map(item => {
+    const jsonItem = {
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_html: item.html
+    };
+    if (item.summary) jsonItem.summary = item.summary;
+    if (item.published) jsonItem.date_published = iso(item.published);
+    if (item.modified) jsonItem.date_modified = iso(item.modified);
+    if (item.author) jsonItem.authors = [{ name: item.author }];
+    const tags = [...item.categories, ...item.tags];
+    if (tags.length > 0) jsonItem.tags = tags;
+    return jsonItem;
+  });
+
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+const RENDERERS = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed
+};
+
+/**
+ * Write feeds for a list of corpus entries
+ *
+ * Only posts are included, newest first. Used by generateFeeds and by the
+ * site builder, which already has the entries loaded.
+ *
+ * @param {Object[]} entries - Corpus entries (see readCorpusEntry)
+ * @param {string} outDir - Site output directory
+ * @param {Object} options - Feed options (see generateFeeds)
+ * @returns {Array<{format: string, url: string, outputPath: string, wordpressPath: string|null}>}
+ *   Feeds written
+ * @throws {Error} If `siteUrl` is missing or a format is unknown
+ */
+function writeFeeds(entries, outDir, options = {}) {
+  const {
+    siteUrl,
+    siteTitle = 'ownwords',
+    description = '',
+    language = 'en-US',
+    limit = 10,
+    formats = Object.keys(FEED_FORMATS),
+    terms = false
+  } = options;
+
+  if (!siteUrl) {
+    throw new Error('Feeds need a site URL (siteUrl) for absolute links');
+  }
+  for (const format of formats) {
+    if (!FEED_FORMATS[format]) {
+      throw new Error(`Unknown feed format "${format}". Supported: ${Object.keys(FEED_FORMATS).join(', ')}`);
+    }
+  }
+
+  const baseUrl = siteUrl.replace(/\/+$/, '');
+  const items = entries
+    .filter(entry => entry.type === 'post')
+    .map(entry => buildFeedItem(entry, baseUrl))
+    .sort((a, b) => (b.published ? b.published.getTime() : 0) - (a.published ? a.published.getTime() : 0));
+
+  const feeds = [];
+
+  const writeFeedSet = (dir, title, listed) => {
+    const limited = limit > 0 ? listed.slice(0, limit) : listed;
+    const updated = limited.reduce((latest, item) => (
+      item.modified && (!latest || item.modified > latest) ? item.modified : latest
+    ), null);
+
+    for (const format of formats) {
+      const { file, wordpressPath } = FEED_FORMATS[format];
+      const url = `${baseUrl}/${dir}${file}`;
+      const outputPath = path.join(outDir, ...dir.split('/').filter(Boolean), file);
+      const content = RENDERERS[format]({
+        title,
+        description,
+        siteUrl: `${baseUrl}/${dir}`,
+        feedUrl: url,
+        language,
+        updated,
+        items: limited
+      });
+
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, content);
+      feeds.push({ format, url, outputPath, wordpressPath: wordpressPath ? `/${dir}${wordpressPath}` : null });
+    }
+  };
+
+  writeFeedSet('', siteTitle, items);
+
+  if (terms) {
+    for (const [key, prefix] of [['categories', 'category'], ['tags', 'tag']]) {
+      const byTerm = new Map();
+      for (const item of items) {
+        for (const name of item[key]) {
+          const slug = termSlug(name);
+          if (!byTerm.has(slug)) byTerm.set(slug, { name, items: [] });
+          byTerm.get(slug).items.push(item);
+        }
+      }
+      for (const [slug, term] of byTerm) {
+        writeFeedSet(`${prefix}/${slug}/`, `${siteTitle} - ${term.name}`, term.items);
+      }
+    }
+  }
+
+  return feeds;
+}
+
+/**
+ * Generate RSS, Atom and JSON feeds from a content directory
+ *
+ * @param {string} contentDir - Canonical content directory (flat or hierarchical)
+ * @param {string} outDir - Site output directory
+ * @param {Object} options - Feed options
+ * @param {string} options.siteUrl - Absolute site URL (e.g., https://example.com)
+ * @param {string} [options.siteTitle='ownwords'] - Feed title
+ * @param {string} [options.description=''] - Feed description
+ * @param {string} [options.language='en-US'] - Feed language
+ * @param {number} [options.limit=10] - Items per feed, 0 for all (WordPress's default is 10)
+ * @param {string[]} [options.formats=['rss', 'atom', 'json']] - Formats to write
+ * @param {boolean} [options.terms=false] - Also write per-category and per-tag feeds
+ * @param {boolean} [options.drafts=false] - Include drafts
+ * @returns {{feeds: Object[], posts: number, errors: Array<{sourcePath: string, error: string}>}}
+ *   Feeds written (see writeFeeds), posts found, and files that failed to parse
+ * @throws {Error} If the content directory does not exist or `siteUrl` is missing
+ */
+function generateFeeds(contentDir, outDir, options = {}) {
+  const { entries, errors } = loadCorpus(contentDir);
+  const included = entries.filter(entry => options.drafts || !entry.draft);
+  const feeds = writeFeeds(included, outDir, options);
+
+  return {
+    feeds,
+    posts: included.filter(entry => entry.type === 'post').length,
+    errors
+  };
+}
+
+module.exports = {
+  generateFeeds,
+  writeFeeds,
+  buildFeedItem,
+  renderRss,
+  renderAtom,
+  renderJsonFeed,
+  FEED_FORMATS
+};
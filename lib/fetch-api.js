@@ -16,6 +16,9 @@ const crypto = require('crypto');
 const { WpClient } = require('./wp-api');
 const { htmlToMarkdown, cleanText } = require('./convert');
 const { readConfig, getWordPressSite } = require('./config');
+const { pickCustomFields } = require('./custom-fields');
+const { withUtcOffset, calendarDate } = require('./dates');
+const { mapConcurrent } = require('./pool');
 
 /**
  * Extract slug from a WordPress URL
@@ -326,6 +329,44 @@ async function downloadImage(url, destPath, options = {}) {
   });
 }
 
+/**
+ * Download one image unless the local copy is current
+ * @private
+ * @returns {Promise<Object>} { url, filename, outcome: 'unchanged'|'cached'|'not-modified'|'downloaded'|'failed',
+ *   localSize, remoteSize, changed, size, error }
+ */
+async function downloadOneImage(url, destDir, force) {
+  const filename = urlToFilename(url);
+  const destPath = path.join(destDir, filename);
+  let changed = null;
+
+  // Check if file already exists
+  if (fs.existsSync(destPath) && !force) {
+    // Get local file size
+    const localSize = fs.statSync(destPath).size;
+
+    // Check remote file size
+    const remoteHeaders = await getRemoteHeaders(url);
+
+    if (remoteHeaders.contentLength && remoteHeaders.contentLength === localSize) {
+      // File sizes match - skip download
+      return { url, filename, outcome: 'unchanged', localSize };
+    } else if (remoteHeaders.error) {
+      // Couldn't check remote - assume local is OK
+      return { url, filename, outcome: 'cached' };
+    }
+    // File size differs - re-download
+    changed = { localSize, remoteSize: remoteHeaders.contentLength };
+  }
+
+  const result = await downloadImage(url, destPath);
+
+  if (!result.success) {
+    return { url, filename, outcome: 'failed', changed, error: result.error };
+  }
+  return { url, filename, outcome: result.notModified ? 'not-modified' : 'downloaded', changed, size: result.size || 0 };
+}
+
 /**
  * Download all images and return mapping of original URLs to local paths
  *
@@ -334,15 +375,19 @@ async function downloadImage(url, destPath, options = {}) {
  * - If the local file exists, check if remote has been modified (using Content-Length comparison)
  * - Skip download if file is unchanged
  *
+ * With `concurrency` above 1, several images download at once; progress
+ * lines are printed as each finishes, and results keep the input order.
+ *
  * @param {string[]} imageUrls - Array of image URLs to download
  * @param {string} destDir - Directory to save images to
  * @param {Object} [options] - Download options
  * @param {boolean} [options.silent=false] - Suppress console output
  * @param {boolean} [options.force=false] - Force re-download even if file exists
+ * @param {number} [options.concurrency=1] - Downloads in flight at once
  * @returns {Promise<Object>} Map of original URL to local filename
  */
 async function downloadImages(imageUrls, destDir, options = {}) {
-  const { silent = false, force = false } = options;
+  const { silent = false, force = false, concurrency } = options;
   const urlToLocal = {};
   const results = {
     downloaded: 0,
@@ -360,70 +405,44 @@ async function downloadImages(imageUrls, destDir, options = {}) {
   // Deduplicate URLs and prefer highest quality versions
   const uniqueUrls = deduplicateImageUrls(imageUrls);
 
-  for (const url of uniqueUrls) {
-    const filename = urlToFilename(url);
-    const destPath = path.join(destDir, filename);
-
-    // Check if file already exists
-    if (fs.existsSync(destPath) && !force) {
-      // Get local file size
-      const localStats = fs.statSync(destPath);
-      const localSize = localStats.size;
-
-      // Check remote file size
-      const remoteHeaders = await getRemoteHeaders(url);
-
-      if (remoteHeaders.contentLength && remoteHeaders.contentLength === localSize) {
-        // File sizes match - skip download
-        urlToLocal[url] = filename;
-        results.skipped++;
-        if (!silent) {
-          console.log(`    ✓ Unchanged: ${filename} (${(localSize / 1024).toFixed(1)} KB)`);
-        }
-        continue;
-      } else if (remoteHeaders.error) {
-        // Couldn't check remote - assume local is OK
-        urlToLocal[url] = filename;
-        results.skipped++;
-        if (!silent) {
-          console.log(`    ✓ Cached: ${filename} (couldn't verify remote)`);
-        }
-        continue;
+  const settled = await mapConcurrent(uniqueUrls, url => downloadOneImage(url, destDir, force), {
+    concurrency,
+    onSettled: ({ value: image }) => {
+      if (silent || !image) return;
+      if (image.changed) {
+        console.log(`    ↻ Changed: ${image.filename} (local: ${image.changed.localSize}, remote: ${image.changed.remoteSize})`);
       }
-      // File size differs - will re-download below
-      if (!silent) {
-        console.log(`    ↻ Changed: ${filename} (local: ${localSize}, remote: ${remoteHeaders.contentLength})`);
+      if (image.outcome === 'unchanged') {
+        console.log(`    ✓ Unchanged: ${image.filename} (${(image.localSize / 1024).toFixed(1)} KB)`);
+      } else if (image.outcome === 'cached') {
+        console.log(`    ✓ Cached: ${image.filename} (couldn't verify remote)`);
+      } else if (image.outcome === 'not-modified') {
+        console.log(`    Downloading: ${image.filename}... ✓ (not modified)`);
+      } else if (image.outcome === 'downloaded') {
+        console.log(`    Downloading: ${image.filename}... ✅ (${(image.size / 1024).toFixed(1)} KB)`);
+      } else {
+        console.log(`    Downloading: ${image.filename}... ❌ (${image.error})`);
       }
     }
+  });
 
-    if (!silent) {
-      process.stdout.write(`    Downloading: ${filename}...`);
-    }
-
-    const result = await downloadImage(url, destPath);
-
-    if (result.success) {
-      urlToLocal[url] = filename;
-      if (result.notModified) {
-        results.skipped++;
-        if (!silent) {
-          console.log(` ✓ (not modified)`);
-        }
-      } else {
-        results.downloaded++;
-        results.totalSize += result.size || 0;
-        if (!silent) {
-          console.log(` ✅ (${((result.size || 0) / 1024).toFixed(1)} KB)`);
-        }
-      }
-    } else {
+  settled.forEach(({ status, value: image, reason }, index) => {
+    if (status === 'rejected') {
       results.failed++;
-      results.errors.push({ url, error: result.error });
-      if (!silent) {
-        console.log(` ❌ (${result.error})`);
+      results.errors.push({ url: uniqueUrls[index], error: reason.message });
+    } else if (image.outcome === 'failed') {
+      results.failed++;
+      results.errors.push({ url: image.url, error: image.error });
+    } else {
+      urlToLocal[image.url] = image.filename;
+      if (image.outcome === 'downloaded') {
+        results.downloaded++;
+        results.totalSize += image.size;
+      } else {
+        results.skipped++;
       }
     }
-  }
+  });
 
   return { urlToLocal, results };
 }
@@ -635,14 +654,15 @@ function rewriteImageUrls(markdown, urlToLocal) {
  * @param {Object} results - Download results
  * @param {string} siteUrl - WordPress site URL (e.g., "https://rajiv.com")
  * @param {string} contentDir - Directory containing the downloaded images
+ * @param {Object<string, number>} [mediaIds={}] - Known attachment IDs by local path (e.g., the featured image)
  * @returns {string} Path to sidecar file
  */
-function saveImagesSidecar(mdPath, urlToLocal, results, siteUrl, contentDir) {
+function saveImagesSidecar(mdPath, urlToLocal, results, siteUrl, contentDir, mediaIds = {}) {
   const sidecarPath = mdPath.replace(/\.md$/, '.images.json');
 
   // Build the "uploaded" object in the format that publish expects
   // Key: local path (e.g., "./image.png")
-  // Value: { url, hash, uploadedAt } - mediaId is unknown for fetched images
+  // Value: { url, hash, uploadedAt, mediaId? } - mediaId is only known for the featured image
   const uploaded = {};
 
   for (const [originalUrl, filename] of Object.entries(urlToLocal)) {
@@ -665,8 +685,11 @@ function saveImagesSidecar(mdPath, urlToLocal, results, siteUrl, contentDir) {
       url: wpUrl,
       hash: hash,
       uploadedAt: new Date().toISOString()
-      // Note: mediaId is not available when fetching - publish will use URL matching
+      // Note: mediaId is not available for body images when fetching - publish will use URL matching
     };
+    if (mediaIds[localPath]) {
+      uploaded[localPath].mediaId = mediaIds[localPath];
+    }
   }
 
   const sidecar = {
@@ -722,10 +745,13 @@ function normalizeWordPressImageUrl(cdnUrl, siteUrl) {
  * Generate enriched YAML front matter from normalized API response
  *
  * @param {Object} normalized - Normalized WordPress post data
- * @param {string} [type='posts'] - Content type ('posts' or 'pages')
+ * @param {string} [type='posts'] - Content type REST base ('posts', 'pages' or a custom post type)
+ * @param {Object} [options] - Front matter options
+ * @param {{meta?: string[], acf?: string[]}} [options.customFields] - Site allowlist for `custom_fields`
+ *   (default: every public meta key and ACF field)
  * @returns {string} YAML front matter block
  */
-function generateEnrichedFrontMatter(normalized, type = 'posts') {
+function generateEnrichedFrontMatter(normalized, type = 'posts', options = {}) {
   const lines = ['---'];
 
   // Basic metadata
@@ -735,11 +761,12 @@ function generateEnrichedFrontMatter(normalized, type = 'posts') {
   if (normalized.slug) {
     lines.push(`slug: "${normalized.slug}"`);
   }
+  // Dates keep the site's UTC offset so they mean the same instant anywhere
   if (normalized.date) {
-    lines.push(`date: "${normalized.date}"`);
+    lines.push(`date: "${withUtcOffset(normalized.date, normalized.dateGmt)}"`);
   }
   if (normalized.modified && normalized.modified !== normalized.date) {
-    lines.push(`modified: "${normalized.modified}"`);
+    lines.push(`modified: "${withUtcOffset(normalized.modified, normalized.modifiedGmt)}"`);
   }
   if (normalized.excerpt) {
     // Clean and truncate excerpt for front matter
@@ -766,6 +793,18 @@ function generateEnrichedFrontMatter(normalized, type = 'posts') {
     }
   }
 
+  // Custom taxonomies as arrays of term names, keyed by taxonomy slug
+  const taxonomyEntries = Object.entries(normalized.taxonomies || {}).filter(([, terms]) => terms.length > 0);
+  if (taxonomyEntries.length > 0) {
+    lines.push('taxonomies:');
+    for (const [taxonomy, terms] of taxonomyEntries) {
+      lines.push(`  ${taxonomy}:`);
+      for (const term of terms) {
+        lines.push(`    - ${JSON.stringify(term.name)}`);
+      }
+    }
+  }
+
   // Author
   if (normalized.author && normalized.author.name) {
     lines.push(`author: "${normalized.author.name}"`);
@@ -774,6 +813,12 @@ function generateEnrichedFrontMatter(normalized, type = 'posts') {
   // Content type (page vs post) - critical for publish safeguard
   if (type === 'pages') {
     lines.push('type: page');
+    if (normalized.parentSlug) {
+      lines.push(`parent_path: "${normalized.parentSlug}"`);
+    }
+  } else if (type !== 'posts') {
+    // Custom post types record their post type slug (e.g., 'talk' for the 'talks' REST base)
+    lines.push(`type: ${normalized.type || type}`);
   }
 
   // Featured image
@@ -784,9 +829,34 @@ function generateEnrichedFrontMatter(normalized, type = 'posts') {
     }
   }
 
+  // Custom fields: registered post meta and ACF fields (see custom-fields.js)
+  const customFields = Object.entries(pickCustomFields(normalized, options.customFields))
+    .filter(([, fields]) => Object.keys(fields).length > 0);
+  if (customFields.length > 0) {
+    lines.push('custom_fields:');
+    for (const [source, fields] of customFields) {
+      lines.push(`  ${source}:`);
+      for (const [key, value] of Object.entries(fields)) {
+        const yamlKey = /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+        lines.push(`    ${yamlKey}: ${JSON.stringify(value)}`);
+      }
+    }
+  }
+
+  // SEO plugin overrides (see seo.js)
+  if (normalized.seo) {
+    lines.push('seo:');
+    for (const [key, value] of Object.entries(normalized.seo)) {
+      lines.push(`  ${key}: ${key === 'plugin' ? value : JSON.stringify(value)}`);
+    }
+  }
+
   // WordPress sync metadata (nested)
   lines.push('wordpress:');
   lines.push(`  post_id: ${normalized.id}`);
+  if (normalized.parent) {
+    lines.push(`  parent_id: ${normalized.parent}`);
+  }
   if (normalized.categories && normalized.categories.length > 0) {
     lines.push(`  category_ids: [${normalized.categories.map(c => c.id).join(', ')}]`);
   }
@@ -828,17 +898,75 @@ function saveJsonSidecar(mdPath, raw, normalized, sourceUrl) {
   return jsonPath;
 }
 
+/**
+ * Get the sync base path for a markdown file
+ *
+ * The base is the remote content (as markdown) at the last sync, used as the
+ * common ancestor for three-way merges. It is stored as JSON so that
+ * directory scans for *.md files never pick it up as an article.
+ *
+ * @param {string} mdPath - Path to markdown file
+ * @returns {string} Path to base file (e.g., index.base.json)
+ */
+function getBasePath(mdPath) {
+  return mdPath.replace(/\.md$/, '.base.json');
+}
+
+/**
+ * Save the sync base for a markdown file
+ *
+ * @param {string} mdPath - Path to markdown file
+ * @param {string} markdown - Remote content rendered as markdown
+ * @param {Object} normalized - Normalized post data the markdown was rendered from
+ * @param {string|null} [localHash] - MD5 of the local file when it matched this base
+ *   (null if local content has changes not yet on WordPress)
+ * @returns {string} Path to base file
+ */
+function saveBaseSidecar(mdPath, markdown, normalized, localHash = null) {
+  const basePath = getBasePath(mdPath);
+  const pkg = require('../package.json');
+
+  const base = {
+    _meta: {
+      syncedAt: new Date().toISOString(),
+      postId: normalized.id,
+      modifiedGmt: normalized.modifiedGmt || null,
+      localHash,
+      ownwordsVersion: pkg.version
+    },
+    markdown
+  };
+
+  fs.writeFileSync(basePath, JSON.stringify(base, null, 2));
+  return basePath;
+}
+
+/**
+ * Load the sync base for a markdown file
+ *
+ * @param {string} mdPath - Path to markdown file
+ * @returns {Object|null} Base data or null if none has been recorded
+ */
+function loadBaseSidecar(mdPath) {
+  const basePath = getBasePath(mdPath);
+  if (!fs.existsSync(basePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(basePath, 'utf-8'));
+}
+
 /**
  * Generate date-prefixed filename following Jekyll/Hugo conventions
  *
+ * The prefix is the calendar day as written in the date (see calendarDate);
+ * without a date it is today in this machine's timezone.
+ *
  * @param {string} slug - Article slug
- * @param {string} date - ISO date string (e.g., '2025-12-07' or '2025-12-07T15:30:00')
+ * @param {string|Date} date - ISO date string (e.g., '2025-12-07' or '2025-12-07T23:30:00-08:00')
  * @returns {string} Date-prefixed filename (e.g., '2025-12-07-my-article')
  */
 function generateDatePrefixedFilename(slug, date) {
-  // Extract YYYY-MM-DD from ISO date string
-  const datePrefix = date ? date.substring(0, 10) : new Date().toISOString().substring(0, 10);
-  return `${datePrefix}-${slug}`;
+  return `${calendarDate(date)}-${slug}`;
 }
 
 /**
@@ -846,6 +974,8 @@ function generateDatePrefixedFilename(slug, date) {
  *
  * Posts: posts/YYYY/MM/DD-slug/
  * Pages: pages/parent-slug/child-slug/ (or pages/slug/ for top-level pages)
+ * Custom post types: <rest_base>/YYYY/MM/DD-slug/, or <rest_base>/parent-slug/slug/
+ * for children of hierarchical types
  *
  * This structure:
  * - Scales for large media companies with thousands of articles
@@ -853,9 +983,9 @@ function generateDatePrefixedFilename(slug, date) {
  * - Keeps media files co-located with their article (index.md + images)
  * - Separates posts (time-based content) from pages (evergreen content)
  *
- * @param {string} contentType - 'posts' or 'pages'
+ * @param {string} contentType - Content type REST base ('posts', 'pages' or a custom post type)
  * @param {string} slug - Content slug
- * @param {string} date - ISO date string (for posts)
+ * @param {string|Date} date - ISO date string (for posts; the day as written, or today in this machine's timezone)
  * @param {string} parentSlug - Parent page slug (for hierarchical pages)
  * @returns {string} Relative directory path
  */
@@ -868,56 +998,36 @@ function generateHierarchicalPath(contentType, slug, date, parentSlug = null) {
     return path.join('pages', slug);
   }
 
-  // Posts are organized by date hierarchy: posts/YYYY/MM/DD-slug/
-  const dateStr = date ? date.substring(0, 10) : new Date().toISOString().substring(0, 10);
-  const [year, month, day] = dateStr.split('-');
+  if (parentSlug && contentType !== 'posts') {
+    // Children of hierarchical custom post types follow their parents
+    return path.join(contentType, parentSlug, slug);
+  }
+
+  // Posts (and custom post types) are organized by date hierarchy: posts/YYYY/MM/DD-slug/
+  const [year, month, day] = calendarDate(date).split('-');
 
-  return path.join('posts', year, month, `${day}-${slug}`);
+  return path.join(contentType || 'posts', year, month, `${day}-${slug}`);
 }
 
 /**
- * Fetch a WordPress article via REST API
+ * Resolve the configured WordPress site to talk to
  *
- * @param {string} urlOrSlug - Article URL or slug
- * @param {string} outputDir - Output directory for markdown/JSON files
- * @param {Object} [options] - Fetch options
- * @param {string} [options.site] - Site alias from config (e.g., 'myblog')
- * @param {string} [options.type='posts'] - Content type ('posts' or 'pages')
- * @param {boolean} [options.silent=false] - Suppress console output
- * @param {boolean} [options.skipSidecar=false] - Don't create JSON sidecar
- * @param {boolean} [options.force=false] - Overwrite existing files
- * @param {boolean} [options.noDatePrefix=false] - Don't add date prefix to filename (legacy flat mode)
- * @param {boolean} [options.hierarchical=false] - Use hierarchical directory structure
- * @param {boolean} [options.images=true] - Download images locally (default: true)
- * @returns {Promise<Object>} Fetch result with paths and metadata
+ * Order of precedence: explicit site alias, site matching the URL's
+ * domain, then the default site.
+ *
+ * @param {string} [siteName] - Site alias from config
+ * @param {string} [domain] - Domain extracted from an article URL
+ * @returns {Object} Site configuration ({ url, username, appPassword })
+ * @throws {Error} If no matching site is configured
  */
-async function fetchViaApi(urlOrSlug, outputDir, options = {}) {
-  const { type = 'posts', silent = false, skipSidecar = false, force = false, noDatePrefix = false, hierarchical = false, images = true } = options;
-
-  // Determine slug and domain
-  let slug, sourceUrl, domain;
-  if (urlOrSlug.startsWith('http://') || urlOrSlug.startsWith('https://')) {
-    sourceUrl = urlOrSlug;
-    slug = extractSlugFromUrl(urlOrSlug);
-    domain = extractDomain(urlOrSlug);
-  } else {
-    slug = urlOrSlug;
-    sourceUrl = '';
-    domain = '';
-  }
-
-  if (!slug) {
-    throw new Error('Could not determine slug from input');
-  }
-
-  // Get WordPress client
+function resolveSiteConfig(siteName, domain) {
   let siteConfig;
 
-  if (options.site) {
+  if (siteName) {
     // Use specified site
-    siteConfig = getWordPressSite(options.site);
+    siteConfig = getWordPressSite(siteName);
     if (!siteConfig) {
-      throw new Error(`Site "${options.site}" not found in config. Run 'ownwords config-wp add ${options.site} <url>' first.`);
+      throw new Error(`Site "${siteName}" not found in config. Run 'ownwords config-wp add ${siteName} <url>' first.`);
     }
   } else if (domain) {
     // Try to find site by domain
@@ -939,52 +1049,70 @@ async function fetchViaApi(urlOrSlug, outputDir, options = {}) {
     }
   }
 
-  const client = new WpClient({
-    url: siteConfig.url,
-    username: siteConfig.username,
-    appPassword: siteConfig.appPassword
-  });
-
-  if (!silent) {
-    console.log(`Fetching via API: ${slug} (${type})`);
-  }
+  return siteConfig;
+}
 
-  // Fetch with embedded data
-  const raw = await client.getPostBySlugWithEmbed(slug, type);
+/**
+ * Resolve where a normalized post will be written
+ *
+ * @param {Object} normalized - Normalized post data
+ * @param {string} outputDir - Output directory
+ * @param {Object} [options] - Same layout options as saveNormalizedPost
+ * @returns {{mdPath: string, contentDir: string}} Markdown path and its directory
+ */
+function resolveOutputPath(normalized, outputDir, options = {}) {
+  const { type = 'posts', noDatePrefix = false, hierarchical = false } = options;
 
-  if (!raw) {
-    throw new Error(`Post not found: ${slug}`);
+  if (hierarchical) {
+    // Hierarchical mode: posts/YYYY/MM/DD-slug/index.md or pages/slug/index.md
+    const relativePath = generateHierarchicalPath(type, normalized.slug, normalized.date, options.parentSlug);
+    const contentDir = path.join(outputDir, relativePath);
+    return { mdPath: path.join(contentDir, 'index.md'), contentDir };
   }
 
-  // Normalize the response
-  const normalized = client.normalizeEmbedResponse(raw);
+  // Legacy flat mode: outputDir/YYYY-MM-DD-slug.md or outputDir/slug.md
+  const filename = noDatePrefix ? normalized.slug : generateDatePrefixedFilename(normalized.slug, normalized.date);
+  return { mdPath: path.join(outputDir, `${filename}.md`), contentDir: outputDir };
+}
 
-  // Update sourceUrl if we didn't have it
-  if (!sourceUrl && normalized.link) {
-    sourceUrl = normalized.link;
-  }
+/**
+ * Write a normalized post to disk as markdown with enriched front matter
+ *
+ * Shared by every path that produces local content from WordPress data
+ * (REST API fetch, WXR import), so they all yield the same layout:
+ * markdown file, JSON sidecar, and optionally co-located images.
+ *
+ * @param {Object} normalized - Normalized post data (see WpClient#normalizeEmbedResponse)
+ * @param {Object} raw - Raw source data, stored in the JSON sidecar
+ * @param {string} outputDir - Output directory for markdown/JSON files
+ * @param {Object} [options] - Save options
+ * @param {string} [options.type='posts'] - Content type REST base ('posts', 'pages' or a custom post type)
+ * @param {boolean} [options.silent=false] - Suppress console output
+ * @param {boolean} [options.skipSidecar=false] - Don't create JSON sidecar
+ * @param {boolean} [options.force=false] - Overwrite existing files
+ * @param {boolean} [options.noDatePrefix=false] - Don't add date prefix to filename (legacy flat mode)
+ * @param {boolean} [options.hierarchical=false] - Use hierarchical directory structure
+ * @param {boolean} [options.images=true] - Download images locally
+ * @param {number} [options.concurrency=1] - Images downloaded at once
+ * @param {string} [options.parentSlug] - Parent page path (hierarchical pages only)
+ * @param {string} [options.sourceUrl] - Source URL recorded in the JSON sidecar
+ * @param {string} [options.siteUrl] - WordPress site URL recorded in the images sidecar
+ * @param {Object} [options.customFields] - Site allowlist for `custom_fields` (see generateEnrichedFrontMatter)
+ * @returns {Promise<Object>} Save result with paths and metadata
+ */
+async function saveNormalizedPost(normalized, raw, outputDir, options = {}) {
+  const { type = 'posts', silent = false, skipSidecar = false, force = false, hierarchical = false, images = true } = options;
+  const sourceUrl = options.sourceUrl || normalized.link || '';
 
   // Convert HTML content to markdown
   let markdownContent = htmlToMarkdown(normalized.content);
 
   // Generate enriched front matter (will be updated if images are downloaded)
   // Pass type to include 'type: page' in frontmatter for pages
-  let frontMatter = generateEnrichedFrontMatter(normalized, type);
+  let frontMatter = generateEnrichedFrontMatter(normalized, type, { customFields: options.customFields });
 
   // Determine output path based on mode
-  let mdPath, contentDir;
-
-  if (hierarchical) {
-    // Hierarchical mode: posts/YYYY/MM/DD-slug/index.md or pages/slug/index.md
-    const relativePath = generateHierarchicalPath(type, slug, normalized.date);
-    contentDir = path.join(outputDir, relativePath);
-    mdPath = path.join(contentDir, 'index.md');
-  } else {
-    // Legacy flat mode: outputDir/YYYY-MM-DD-slug.md or outputDir/slug.md
-    contentDir = outputDir;
-    const filename = noDatePrefix ? slug : generateDatePrefixedFilename(slug, normalized.date);
-    mdPath = path.join(outputDir, `${filename}.md`);
-  }
+  const { mdPath, contentDir } = resolveOutputPath(normalized, outputDir, options);
 
   // Ensure output directory exists
   if (!fs.existsSync(contentDir)) {
@@ -1019,7 +1147,7 @@ async function fetchViaApi(urlOrSlug, outputDir, options = {}) {
       }
 
       // Download images to the content directory (co-located with markdown)
-      const { urlToLocal, results } = await downloadImages(allImageUrls, contentDir, { silent });
+      const { urlToLocal, results } = await downloadImages(allImageUrls, contentDir, { silent, concurrency: options.concurrency });
       imageResults = results;
 
       if (!silent) {
@@ -1047,7 +1175,11 @@ async function fetchViaApi(urlOrSlug, outputDir, options = {}) {
         }
 
         // Save images sidecar (with publish-compatible format)
-        imagesSidecarPath = saveImagesSidecar(mdPath, urlToLocal, results, siteConfig.url, contentDir);
+        // The featured image's attachment ID lets publish set featured_media without re-uploading
+        const knownMediaIds = featuredImageLocalPath && normalized.featuredImage.id
+          ? { [featuredImageLocalPath]: normalized.featuredImage.id }
+          : {};
+        imagesSidecarPath = saveImagesSidecar(mdPath, urlToLocal, results, options.siteUrl, contentDir, knownMediaIds);
         if (!silent) {
           console.log(`  Saved: ${imagesSidecarPath}`);
         }
@@ -1066,10 +1198,11 @@ async function fetchViaApi(urlOrSlug, outputDir, options = {}) {
     console.log(`  Saved: ${mdPath} (${(fullMarkdown.length / 1024).toFixed(1)} KB)`);
   }
 
-  // Write JSON sidecar
+  // Write JSON sidecar and the sync base (what WordPress has, as written locally)
   let jsonPath = null;
   if (!skipSidecar) {
     jsonPath = saveJsonSidecar(mdPath, raw, normalized, sourceUrl);
+    saveBaseSidecar(mdPath, fullMarkdown, normalized, crypto.createHash('md5').update(fullMarkdown).digest('hex'));
     if (!silent) {
       console.log(`  Saved: ${jsonPath}`);
     }
@@ -1095,12 +1228,91 @@ async function fetchViaApi(urlOrSlug, outputDir, options = {}) {
   };
 }
 
+/**
+ * Fetch a WordPress article via REST API
+ *
+ * @param {string} urlOrSlug - Article URL or slug
+ * @param {string} outputDir - Output directory for markdown/JSON files
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.site] - Site alias from config (e.g., 'myblog')
+ * @param {string} [options.type='posts'] - Content type REST base ('posts', 'pages' or a custom post type)
+ * @param {boolean} [options.silent=false] - Suppress console output
+ * @param {boolean} [options.skipSidecar=false] - Don't create JSON sidecar
+ * @param {boolean} [options.force=false] - Overwrite existing files
+ * @param {boolean} [options.noDatePrefix=false] - Don't add date prefix to filename (legacy flat mode)
+ * @param {boolean} [options.hierarchical=false] - Use hierarchical directory structure
+ * @param {boolean} [options.images=true] - Download images locally (default: true)
+ * @param {number} [options.concurrency=1] - Images downloaded at once
+ * @returns {Promise<Object>} Fetch result with paths and metadata
+ */
+async function fetchViaApi(urlOrSlug, outputDir, options = {}) {
+  const { type = 'posts', silent = false } = options;
+
+  // Determine slug and domain
+  let slug, sourceUrl, domain;
+  if (urlOrSlug.startsWith('http://') || urlOrSlug.startsWith('https://')) {
+    sourceUrl = urlOrSlug;
+    slug = extractSlugFromUrl(urlOrSlug);
+    domain = extractDomain(urlOrSlug);
+  } else {
+    slug = urlOrSlug;
+    sourceUrl = '';
+    domain = '';
+  }
+
+  if (!slug) {
+    throw new Error('Could not determine slug from input');
+  }
+
+  // Get WordPress client
+  const siteConfig = resolveSiteConfig(options.site, domain);
+
+  const client = new WpClient({
+    url: siteConfig.url,
+    username: siteConfig.username,
+    appPassword: siteConfig.appPassword,
+    customFields: siteConfig.customFields,
+    retries: siteConfig.retries,
+    rateLimit: siteConfig.rateLimit
+  });
+
+  // Custom post types must be registered on the site
+  if (type !== 'posts' && type !== 'pages') {
+    await client.resolvePostType(type);
+  }
+
+  if (!silent) {
+    console.log(`Fetching via API: ${slug} (${type})`);
+  }
+
+  // Fetch with embedded data
+  const raw = await client.getPostBySlugWithEmbed(slug, type);
+
+  if (!raw) {
+    throw new Error(`Post not found: ${slug}`);
+  }
+
+  // Normalize the response
+  const normalized = client.normalizeEmbedResponse(raw);
+
+  return saveNormalizedPost(normalized, raw, outputDir, {
+    ...options,
+    sourceUrl: sourceUrl || normalized.link,
+    siteUrl: siteConfig.url,
+    customFields: siteConfig.customFields
+  });
+}
+
 /**
  * Fetch multiple WordPress articles via REST API
  *
+ * Up to `concurrency` articles are fetched at once; one failing article
+ * doesn't stop the others, and `articles` and `errors` keep input order.
+ *
  * @param {string[]} urlsOrSlugs - Array of URLs or slugs
  * @param {string} outputDir - Output directory
  * @param {Object} [options] - Fetch options (same as fetchViaApi)
+ * @param {number} [options.concurrency=1] - Articles fetched at once (also used for each article's images)
  * @returns {Promise<Object>} Batch result with success/failure counts
  */
 async function fetchViaApiMultiple(urlsOrSlugs, outputDir, options = {}) {
@@ -1112,22 +1324,27 @@ async function fetchViaApiMultiple(urlsOrSlugs, outputDir, options = {}) {
     errors: []
   };
 
-  for (const urlOrSlug of urlsOrSlugs) {
-    try {
-      const result = await fetchViaApi(urlOrSlug, outputDir, options);
-      results.articles.push(result);
+  const settled = await mapConcurrent(urlsOrSlugs, urlOrSlug => fetchViaApi(urlOrSlug, outputDir, options), {
+    concurrency: options.concurrency,
+    onSettled: ({ status, reason }, index) => {
+      if (status === 'rejected' && !options.silent) {
+        console.error(`  Error: ${urlsOrSlugs[index]} - ${reason.message}`);
+      }
+    }
+  });
+
+  settled.forEach(({ status, value, reason }, index) => {
+    if (status === 'fulfilled') {
+      results.articles.push(value);
       results.success++;
-    } catch (error) {
+    } else {
       results.errors.push({
-        input: urlOrSlug,
-        error: error.message
+        input: urlsOrSlugs[index],
+        error: reason.message
       });
       results.failed++;
-      if (!options.silent) {
-        console.error(`  Error: ${urlOrSlug} - ${error.message}`);
-      }
     }
-  }
+  });
 
   return results;
 }
@@ -1138,10 +1355,16 @@ module.exports = {
   extractSlugFromUrl,
   extractDomain,
   findSiteByDomain,
+  saveNormalizedPost,
+  resolveSiteConfig,
+  resolveOutputPath,
   generateEnrichedFrontMatter,
   generateDatePrefixedFilename,
   generateHierarchicalPath,
   saveJsonSidecar,
+  getBasePath,
+  saveBaseSidecar,
+  loadBaseSidecar,
   // Image handling exports
   extractImageUrls,
   extractImageUrlsFromMarkdown,
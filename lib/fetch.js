@@ -3,9 +3,29 @@
  * @module ownwords/fetch
  */
 
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { URL } = require('url');
+const { TextDecoder } = require('util');
+
+/**
+ * User-Agent sent with every request (the same one the image downloader sends)
+ */
+const USER_AGENT = 'ownwords/1.0 (WordPress content sync tool)';
+
+/**
+ * Redirects followed before a fetch fails
+ */
+const MAX_REDIRECTS = 10;
+
+/**
+ * Largest page accepted, after decompression
+ * @private
+ */
+const MAX_BYTES = 10 * 1024 * 1024;
 
 /**
  * Extract the slug from a WordPress URL
@@ -68,42 +88,247 @@ function extractDateFromUrl(url) {
   return null;
 }
 
+/**
+ * Work out a page's character encoding
+ *
+ * A byte order mark wins, then the Content-Type header's charset, then a
+ * `<meta charset>` or `<meta http-equiv="Content-Type">` tag near the top
+ * of the page. Pages that declare nothing are read as UTF-8.
+ *
+ * @param {Buffer} buffer - Page bytes
+ * @param {string} [contentType] - Content-Type response header
+ * @returns {string} Encoding label (e.g., 'utf-8', 'windows-1252')
+ *
+ * @example
+ * detectCharset(Buffer.from('<meta charset="ISO-8859-1">'), 'text/html');
+ * // Returns: 'iso-8859-1'
+ */
+function detectCharset(buffer, contentType) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8';
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+
+  const fromHeader = /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType || '');
+  if (fromHeader) return fromHeader[1].toLowerCase();
+
+  // Browsers look for the meta tag in the first 1024 bytes; allow for long heads
+  const head = buffer.subarray(0, 4096).toString('latin1');
+  const fromMeta = /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head);
+  return fromMeta ? fromMeta[1].toLowerCase() : 'utf-8';
+}
+
+/**
+ * Characters for bytes 0x80-0x9F in windows-1252 (smart quotes, dashes, the euro sign)
+ * @private
+ */
+const WINDOWS_1252 = '\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f' +
+  '\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178';
+
+/**
+ * Decode page bytes, falling back to UTF-8 for encodings Node doesn't know
+ * @private
+ */
+function decodeBody(buffer, charset) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset);
+  } catch {
+    decoder = new TextDecoder('utf-8');
+  }
+
+  // Browsers read latin1, ascii and windows-1252 alike as windows-1252, but
+  // Node decodes all three as plain latin1, turning smart quotes into control characters
+  if (decoder.encoding === 'windows-1252') {
+    return buffer.toString('latin1').replace(/[\x80-\x9f]/g, c => WINDOWS_1252[c.charCodeAt(0) - 0x80]);
+  }
+  return decoder.decode(buffer);
+}
+
+/**
+ * Wrap a response in the decompressor its Content-Encoding needs
+ * @private
+ */
+function decompress(response, encoding) {
+  switch ((encoding || 'identity').trim().toLowerCase()) {
+    case 'identity':
+      return response;
+    case 'gzip':
+    case 'x-gzip':
+      return response.pipe(zlib.createGunzip());
+    case 'deflate':
+      return response.pipe(zlib.createInflate());
+    case 'br':
+      return response.pipe(zlib.createBrotliDecompress());
+    default:
+      throw new Error(`Unsupported content encoding: ${encoding}`);
+  }
+}
+
+/**
+ * Fetch a web page as text
+ *
+ * Follows redirects (relative ones too), accepts gzip, deflate and brotli,
+ * and decodes the body using the charset from the headers or meta tags.
+ * Like the image downloader, failures resolve with `success: false` and a
+ * short `error` ('HTTP 404', 'Timeout', the socket error) instead of
+ * rejecting.
+ *
+ * @param {string} url - Page URL (http or https)
+ * @param {Object} [options] - Fetch options
+ * @param {number} [options.timeout=30000] - Time allowed for the whole fetch, redirects included, in milliseconds
+ * @param {string} [options.userAgent] - User-Agent header (default: USER_AGENT)
+ * @param {number} [options.maxRedirects=10] - Redirects to follow before failing
+ * @returns {Promise<{success: boolean, html?: string, url?: string, charset?: string,
+ *   contentType?: string|null, size?: number, error?: string}>} The decoded page, the
+ *   URL it was served from after redirects, and its size in bytes
+ *
+ * @example
+ * const page = await fetchPage('https://example.com/blog/2025/01/01/my-article/');
+ * if (!page.success) console.error(page.error);
+ */
+function fetchPage(url, options = {}) {
+  const {
+    timeout = 30000,
+    userAgent = USER_AGENT,
+    maxRedirects = MAX_REDIRECTS
+  } = options;
+
+  return new Promise((resolve) => {
+    let request = null;
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(result);
+    };
+    const fail = (error) => {
+      finish({ success: false, error });
+      if (request) request.destroy();
+    };
+
+    const timer = setTimeout(() => fail('Timeout'), timeout);
+
+    const get = (target, redirects) => {
+      let urlObj;
+      try {
+        urlObj = new URL(target);
+      } catch {
+        fail(`Invalid URL: ${target}`);
+        return;
+      }
+      if (urlObj.protocol !== 'https:' && urlObj.protocol !== 'http:') {
+        fail(`Unsupported protocol: ${urlObj.protocol}`);
+        return;
+      }
+
+      const protocol = urlObj.protocol === 'https:' ? https : http;
+      request = protocol.get(urlObj, {
+        headers: {
+          'User-Agent': userAgent,
+          'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+          'Accept-Encoding': 'gzip, deflate, br'
+        }
+      }, (response) => {
+        const { statusCode, headers } = response;
+
+        // Handle redirects
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          response.resume();
+          if (redirects >= maxRedirects) {
+            fail('Too many redirects');
+            return;
+          }
+          get(new URL(headers.location, urlObj).href, redirects + 1);
+          return;
+        }
+
+        if (statusCode !== 200) {
+          response.resume();
+          fail(`HTTP ${statusCode}`);
+          return;
+        }
+
+        let body;
+        try {
+          body = decompress(response, headers['content-encoding']);
+        } catch (err) {
+          fail(err.message);
+          return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        body.on('data', (chunk) => {
+          if (settled) return;
+          size += chunk.length;
+          if (size > MAX_BYTES) {
+            fail('Response too large');
+            return;
+          }
+          chunks.push(chunk);
+        });
+        body.on('end', () => {
+          const buffer = Buffer.concat(chunks);
+          const charset = detectCharset(buffer, headers['content-type']);
+          finish({
+            success: true,
+            html: decodeBody(buffer, charset),
+            url: urlObj.href,
+            charset,
+            contentType: headers['content-type'] || null,
+            size: buffer.length
+          });
+        });
+        body.on('error', (err) => fail(err.message));
+      });
+
+      request.on('error', (err) => fail(err.message));
+    };
+
+    get(url, 0);
+  });
+}
+
 /**
  * Fetch a WordPress article and save the raw HTML
  *
- * Uses curl to fetch the article content. The function will:
+ * Fetches the page with fetchPage. The function will:
  * - Create the output directory if it doesn't exist
  * - Validate that the fetched content is substantial (>1KB)
+ * - Save the HTML as UTF-8, whatever encoding the site served
  * - Return the HTML content for further processing
  *
  * @param {string} url - The WordPress article URL to fetch
  * @param {string} outputPath - Path where the HTML will be saved
  * @param {Object} [options] - Optional configuration
  * @param {boolean} [options.silent=false] - Suppress console output
- * @param {number} [options.timeout=30000] - Curl timeout in milliseconds
- * @returns {string} The fetched HTML content
- * @throws {Error} If fetch fails or content is too short
+ * @param {number} [options.timeout=30000] - Time allowed for the fetch in milliseconds
+ * @param {string} [options.userAgent] - User-Agent header (default: USER_AGENT)
+ * @returns {Promise<string>} The fetched HTML content
+ * @throws {Error} If fetch fails (with fetchPage's error, e.g. 'HTTP 404') or content is too short
  *
  * @example
- * const html = fetchArticle(
+ * const html = await fetchArticle(
  *   'https://example.com/blog/2025/11/09/my-article/',
  *   './raw/my-article.html'
  * );
  */
-function fetchArticle(url, outputPath, options = {}) {
-  const { silent = false, timeout = 30000 } = options;
+async function fetchArticle(url, outputPath, options = {}) {
+  const { silent = false } = options;
 
   if (!silent) {
     console.log(`Fetching: ${url}`);
   }
 
-  const timeoutSeconds = Math.ceil(timeout / 1000);
-  const html = execSync(`curl -sL --max-time ${timeoutSeconds} "${url}"`, {
-    encoding: 'utf-8',
-    maxBuffer: 10 * 1024 * 1024 // 10MB buffer
-  });
+  const page = await fetchPage(url, options);
+  if (!page.success) {
+    throw new Error(page.error);
+  }
 
-  if (!html || html.length < 1000) {
+  const html = page.html;
+  if (html.length < 1000) {
     throw new Error('Retrieved content seems too short - check URL');
   }
 
@@ -130,16 +355,18 @@ function fetchArticle(url, outputPath, options = {}) {
  * @param {Object} [options] - Optional configuration
  * @param {boolean} [options.silent=false] - Suppress console output
  * @param {boolean} [options.continueOnError=true] - Continue fetching if one fails
- * @returns {Object[]} Array of results with url, slug, outputPath, success, and optional error
+ * @param {number} [options.timeout=30000] - Time allowed for each fetch in milliseconds
+ * @param {string} [options.userAgent] - User-Agent header (default: USER_AGENT)
+ * @returns {Promise<Object[]>} Array of results with url, slug, outputPath, success, and optional error
  *
  * @example
- * const results = fetchMultiple(
+ * const results = await fetchMultiple(
  *   ['https://example.com/blog/2025/11/09/article-1/', 'https://example.com/blog/2025/11/09/article-2/'],
  *   './raw'
  * );
  */
-function fetchMultiple(urls, outputDir, options = {}) {
-  const { silent = false, continueOnError = true } = options;
+async function fetchMultiple(urls, outputDir, options = {}) {
+  const { continueOnError = true } = options;
   const results = [];
 
   for (const url of urls) {
@@ -160,7 +387,7 @@ function fetchMultiple(urls, outputDir, options = {}) {
     const outputPath = path.join(outputDir, `${slug}.html`);
 
     try {
-      fetchArticle(url, outputPath, { silent });
+      await fetchArticle(url, outputPath, options);
       results.push({
         url,
         slug,
@@ -184,6 +411,10 @@ function fetchMultiple(urls, outputDir, options = {}) {
 }
 
 module.exports = {
+  USER_AGENT,
+  MAX_REDIRECTS,
+  fetchPage,
+  detectCharset,
   fetchArticle,
   fetchMultiple,
   extractSlugFromUrl,
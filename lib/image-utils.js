@@ -58,6 +58,34 @@ function extractLocalImages(markdown, mdDir) {
   return images;
 }
 
+/**
+ * Get the local featured image declared in front matter
+ *
+ * Reads `featured_image` (a path relative to the markdown file, as written
+ * by fetch when it downloads the featured image) and `featured_image_alt`.
+ * Remote URLs are ignored since there is nothing to upload.
+ *
+ * @param {string} markdown - Markdown content with front matter
+ * @param {string} mdDir - Directory containing the markdown file
+ * @returns {{markdownPath: string, absolutePath: string, filename: string, altText: string}|null}
+ *   Image in the same shape as extractLocalImages entries, or null
+ */
+function getFeaturedImage(markdown, mdDir) {
+  const { data } = matter(markdown, {});
+  const imagePath = typeof data.featured_image === 'string' ? data.featured_image.trim() : '';
+
+  if (!imagePath || /^(https?:|data:)/.test(imagePath) || imagePath.startsWith('//')) {
+    return null;
+  }
+
+  return {
+    markdownPath: imagePath,
+    absolutePath: path.resolve(mdDir, imagePath),
+    filename: path.basename(imagePath),
+    altText: typeof data.featured_image_alt === 'string' ? data.featured_image_alt : ''
+  };
+}
+
 /**
  * Escape special regex characters in a string
  *
@@ -253,6 +281,7 @@ function updateSidecar(sidecar, siteName, uploadedImages) {
  * - post_id: WordPress post ID
  * - category_ids: Array of category IDs
  * - tag_ids: Array of tag IDs
+ * - modified_gmt: WordPress modification time of the published version
  * - synced_at: ISO timestamp
  *
  * Also updates canonical_url if not already set.
@@ -264,6 +293,7 @@ function updateSidecar(sidecar, siteName, uploadedImages) {
  * @param {string} wpData.link - Published URL
  * @param {number[]} [wpData.categories] - Category IDs
  * @param {number[]} [wpData.tags] - Tag IDs
+ * @param {string} [wpData.modifiedGmt] - Post modified_gmt after publishing
  */
 function updateFrontMatterWithWordPress(mdPath, wpData) {
   const content = fs.readFileSync(mdPath, 'utf-8');
@@ -275,6 +305,9 @@ function updateFrontMatterWithWordPress(mdPath, wpData) {
   }
 
   parsed.data.wordpress.post_id = wpData.postId;
+  if (wpData.modifiedGmt) {
+    parsed.data.wordpress.modified_gmt = wpData.modifiedGmt;
+  }
   parsed.data.wordpress.synced_at = new Date().toISOString();
 
   if (wpData.categories && wpData.categories.length > 0) {
@@ -333,6 +366,7 @@ function readFrontMatterType(mdPath) {
 
 module.exports = {
   extractLocalImages,
+  getFeaturedImage,
   escapeRegex,
   rewriteImageUrls,
   getFileHash,
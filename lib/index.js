@@ -10,12 +10,35 @@
 
 const fetch = require('./fetch');
 const fetchApi = require('./fetch-api');
+const wxrImport = require('./wxr-import');
+const pull = require('./pull');
+const sync = require('./sync');
+const merge = require('./merge');
 const convert = require('./convert');
 const verify = require('./verify');
 const exportModule = require('./export');
+const blocks = require('./blocks');
+const corpus = require('./corpus');
+const ssgExport = require('./ssg-export');
+const build = require('./build');
+const feeds = require('./feeds');
+const sitemap = require('./sitemap');
+const redirects = require('./redirects');
+const preview = require('./preview');
+const watcher = require('./watcher');
+const watch = require('./watch');
+const schedule = require('./schedule');
+const dates = require('./dates');
+const retry = require('./retry');
+const pool = require('./pool');
+const termCache = require('./term-cache');
+const terms = require('./terms');
+const customFields = require('./custom-fields');
+const seo = require('./seo');
 const compare = require('./compare');
+const roundtrip = require('./roundtrip');
 const { AgentAPI } = require('./agent-api');
-const { WpClient } = require('./wp-api');
+const { WpClient, detectRemoteDrift } = require('./wp-api');
 const config = require('./config');
 const { TagAnalyzer, PRESERVED_TAGS } = require('./tag-analyzer');
 const claudeApi = require('./claude-api');
@@ -27,16 +50,76 @@ module.exports = {
 
   // WordPress API client
   WpClient,
+  detectRemoteDrift,
 
   // Fetch functions (HTML scraping)
   fetchArticle: fetch.fetchArticle,
   fetchMultiple: fetch.fetchMultiple,
+  fetchPage: fetch.fetchPage,
+  detectCharset: fetch.detectCharset,
   extractSlugFromUrl: fetch.extractSlugFromUrl,
 
   // Fetch functions (REST API - v1.2.0)
   fetchViaApi: fetchApi.fetchViaApi,
   fetchViaApiMultiple: fetchApi.fetchViaApiMultiple,
   generateEnrichedFrontMatter: fetchApi.generateEnrichedFrontMatter,
+  saveNormalizedPost: fetchApi.saveNormalizedPost,
+
+  // Whole-site pull (paginated REST API listing)
+  pullSite: pull.pullSite,
+  loadPullState: pull.loadPullState,
+
+  // Two-way sync (three-way merge against the last-synced base)
+  syncArticle: sync.syncArticle,
+  syncDirectory: sync.syncDirectory,
+  mergeMarkdown: sync.mergeMarkdown,
+  merge3: merge.merge3,
+
+  // Watch mode (re-publish on save)
+  watchAndPublish: watch.watchAndPublish,
+  findArticlesForImage: watch.findArticlesForImage,
+
+  // Scheduled publishing (publish_at)
+  findScheduled: schedule.findScheduled,
+  scheduleArticles: schedule.scheduleArticles,
+
+  // Dates and timezones
+  parseDateTime: dates.parseDateTime,
+  hasTimezone: dates.hasTimezone,
+  toGmtString: dates.toGmtString,
+  formatInZone: dates.formatInZone,
+  formatOffset: dates.formatOffset,
+  withUtcOffset: dates.withUtcOffset,
+  calendarDate: dates.calendarDate,
+  localTimeZone: dates.localTimeZone,
+  zoneOffset: dates.zoneOffset,
+
+  // Request retries and rate limiting
+  withRetry: retry.withRetry,
+  isRetryable: retry.isRetryable,
+  parseRetryAfter: retry.parseRetryAfter,
+  backoffDelay: retry.backoffDelay,
+  createRateLimiter: retry.createRateLimiter,
+  getSiteRateLimiter: retry.getSiteRateLimiter,
+
+  // Bounded-concurrency batches
+  mapConcurrent: pool.mapConcurrent,
+  parseConcurrency: pool.parseConcurrency,
+
+  // Taxonomy terms
+  TermCache: termCache.TermCache,
+  decodeTermName: termCache.decodeTermName,
+  normalizeTermName: termCache.normalizeTermName,
+  listTerms: terms.listTerms,
+  renameTerm: terms.renameTerm,
+  mergeTerms: terms.mergeTerms,
+  deleteTerm: terms.deleteTerm,
+  describeTerm: terms.describeTerm,
+  updateLocalTerms: terms.updateLocalTerms,
+
+  // WXR import (offline, from Tools → Export)
+  importWxr: wxrImport.importWxr,
+  parseWxr: wxrImport.parseWxr,
 
   // Convert functions
   convertFile: convert.convertFile,
@@ -60,17 +143,63 @@ module.exports = {
   extractHeadingsFromMarkdown: verify.extractHeadingsFromMarkdown,
   extractUrlsFromHtml: verify.extractUrlsFromHtml,
   extractUrlsFromMarkdown: verify.extractUrlsFromMarkdown,
+  extractTablesFromHtml: verify.extractTablesFromHtml,
+  extractTablesFromMarkdown: verify.extractTablesFromMarkdown,
+  extractEmbedsFromHtml: verify.extractEmbedsFromHtml,
+  extractEmbedsFromMarkdown: verify.extractEmbedsFromMarkdown,
 
   // Export functions
   exportToWordPress: exportModule.exportToWordPress,
   exportBatch: exportModule.exportBatch,
   markdownToHtml: exportModule.markdownToHtml,
 
+  // Gutenberg block serialization
+  markdownToBlocks: blocks.markdownToBlocks,
+  serializeBlock: blocks.serializeBlock,
+
+  // Static site generator export (Hugo, Jekyll, Eleventy, Astro)
+  loadCorpus: corpus.loadCorpus,
+  readCorpusEntry: corpus.readCorpusEntry,
+  exportToSsg: ssgExport.exportToSsg,
+  exportEntryToSsg: ssgExport.exportEntryToSsg,
+  mapFrontMatter: ssgExport.mapFrontMatter,
+
+  // Built-in static HTML site builder
+  buildSite: build.buildSite,
+  renderTemplate: build.renderTemplate,
+
+  // Feeds
+  generateFeeds: feeds.generateFeeds,
+  buildFeedItem: feeds.buildFeedItem,
+
+  // Sitemap and redirects
+  generateSitemap: sitemap.generateSitemap,
+  sitemapUrls: sitemap.sitemapUrls,
+  generateRedirects: redirects.generateRedirects,
+  collectRedirects: redirects.collectRedirects,
+
+  // Local preview
+  startPreview: preview.startPreview,
+  loadThemeCss: preview.loadThemeCss,
+  watchFiles: watcher.watchFiles,
+
+  // Custom fields (post meta and ACF in front matter custom_fields:)
+  pickCustomFields: customFields.pickCustomFields,
+  buildCustomFieldsPayload: customFields.buildCustomFieldsPayload,
+
+  // SEO plugin fields (Yoast / Rank Math in front matter seo:)
+  extractSeo: seo.extractSeo,
+  buildSeoMeta: seo.buildSeoMeta,
+  isSeoMetaKey: seo.isSeoMetaKey,
+
   // Configuration functions
   getWordPressSite: config.getWordPressSite,
   addWordPressSite: config.addWordPressSite,
   removeWordPressSite: config.removeWordPressSite,
   listWordPressSites: config.listWordPressSites,
+  setCustomFields: config.setCustomFields,
+  setRequestLimits: config.setRequestLimits,
+  getSsgSettings: config.getSsgSettings,
   getConfigPath: config.getConfigPath,
 
   // Compare functions (content drift detection)
@@ -81,6 +210,11 @@ module.exports = {
   normalizeForComparison: compare.normalizeForComparison,
   analyzeTypography: compare.analyzeTypography,
 
+  // Round-trip fidelity (HTML → Markdown → HTML)
+  roundtrip: roundtrip.roundtrip,
+  roundtripFile: roundtrip.roundtripFile,
+  roundtripCorpus: roundtrip.roundtripCorpus,
+
   // Tag Analysis (AI-powered)
   TagAnalyzer,
   PRESERVED_TAGS,
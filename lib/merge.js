@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Line-based diff and three-way merge for ownwords
+ * @module ownwords/merge
+ *
+ * Provides the text merging used by the sync command: a longest common
+ * subsequence line diff and a diff3-style merge that applies non-overlapping
+ * changes from both sides and marks overlapping ones with git-style
+ * conflict markers.
+ */
+
+const CONFLICT_START = '<<<<<<<';
+const CONFLICT_SEPARATOR = '=======';
+const CONFLICT_END = '>>>>>>>';
+
+// ============================================================================
+// LINE DIFF
+// ============================================================================
+
+/**
+ * Split text into lines for diffing
+ *
+ * @param {string} text - Text to split
+ * @returns {string[]} Lines (without newline characters)
+ */
+function splitLines(text) {
+  return (text || '').replace(/\r\n/g, '\n').split('\n');
+}
+
+/**
+ * Find matching lines between two line arrays
+ *
+ * Uses a longest common subsequence table over the region left after
+ * trimming the common prefix and suffix, which keeps the table small for
+ * the typical case of a few edits in a long article.
+ *
+ * @param {string[]} a - Original lines
+ * @param {string[]} b - Changed lines
+ * @returns {Array<[number, number]>} Pairs of matching indexes [indexInA, indexInB], ascending
+ */
+function diffLines(a, b) {
+  const pairs = [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    pairs.push([start, start]);
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  const suffix = [];
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    suffix.unshift([endA, endB]);
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+
+  if (n > 0 && m > 0) {
+    // lengths[i * (m + 1) + j] = LCS length of a[start+i..endA) and b[start+j..endB)
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        if (a[start + i] === b[start + j]) {
+          lengths[i * width + j] = lengths[(i + 1) * width + j + 1] + 1;
+        } else {
+          lengths[i * width + j] = Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        pairs.push([start + i, start + j]);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+  }
+
+  return pairs.concat(suffix);
+}
+
+// ============================================================================
+// THREE-WAY MERGE
+// ============================================================================
+
+/**
+ * Compare two line ranges for equality
+ *
+ * @param {string[]} a - First lines
+ * @param {string[]} b - Second lines
+ * @returns {boolean} True if identical
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Three-way merge of two edited copies of a common base text
+ *
+ * Regions changed on only one side take that side's version. Regions changed
+ * identically on both sides merge cleanly. Regions changed differently on
+ * both sides are emitted as conflicts:
+ *
+ *     <<<<<<< local
+ *     local lines
+ *     =======
+ *     remote lines
+ *     >>>>>>> wordpress
+ *
+ * @param {string} local - Local version
+ * @param {string} base - Common ancestor (last synced version)
+ * @param {string} remote - Remote version
+ * @param {Object} [options] - Merge options
+ * @param {string} [options.localLabel='local'] - Label after the opening marker
+ * @param {string} [options.remoteLabel='wordpress'] - Label after the closing marker
+ * @returns {{text: string, conflicts: Array<{line: number, local: string[], base: string[], remote: string[]}>}}
+ *   Merged text and one entry per conflicting region (line is 1-based in the merged text)
+ */
+function merge3(local, base, remote, options = {}) {
+  const { localLabel = 'local', remoteLabel = 'wordpress' } = options;
+  const baseLines = splitLines(base);
+  const localLines = splitLines(local);
+  const remoteLines = splitLines(remote);
+
+  // Map each base line to its matching line on either side (or undefined)
+  const toLocal = new Array(baseLines.length);
+  const toRemote = new Array(baseLines.length);
+  for (const [i, j] of diffLines(baseLines, localLines)) toLocal[i] = j;
+  for (const [i, j] of diffLines(baseLines, remoteLines)) toRemote[i] = j;
+
+  const output = [];
+  const conflicts = [];
+  let i = 0;
+  let l = 0;
+  let r = 0;
+
+  while (i < baseLines.length || l < localLines.length || r < remoteLines.length) {
+    // Stable line: unchanged on both sides
+    if (i < baseLines.length && toLocal[i] === l && toRemote[i] === r) {
+      output.push(baseLines[i]);
+      i++;
+      l++;
+      r++;
+      continue;
+    }
+
+    // Find the next base line kept by both sides; everything before it is one chunk
+    let k = i;
+    while (k < baseLines.length && (toLocal[k] === undefined || toRemote[k] === undefined)) {
+      k++;
+    }
+    const nextL = k < baseLines.length ? toLocal[k] : localLines.length;
+    const nextR = k < baseLines.length ? toRemote[k] : remoteLines.length;
+
+    const baseChunk = baseLines.slice(i, k);
+    const localChunk = localLines.slice(l, nextL);
+    const remoteChunk = remoteLines.slice(r, nextR);
+
+    if (sameLines(localChunk, baseChunk)) {
+      output.push(...remoteChunk);
+    } else if (sameLines(remoteChunk, baseChunk) || sameLines(localChunk, remoteChunk)) {
+      output.push(...localChunk);
+    } else {
+      conflicts.push({ line: output.length + 1, local: localChunk, base: baseChunk, remote: remoteChunk });
+      output.push(`${CONFLICT_START} ${localLabel}`, ...localChunk, CONFLICT_SEPARATOR, ...remoteChunk, `${CONFLICT_END} ${remoteLabel}`);
+    }
+
+    i = k;
+    l = nextL;
+    r = nextR;
+  }
+
+  return { text: output.join('\n'), conflicts };
+}
+
+/**
+ * Check whether text still contains unresolved conflict markers
+ *
+ * @param {string} text - Text to check
+ * @returns {boolean} True if an opening, separator and closing marker are all present
+ */
+function hasConflictMarkers(text) {
+  return /^<{7}( .*)?$/m.test(text) && /^={7}$/m.test(text) && /^>{7}( .*)?$/m.test(text);
+}
+
+module.exports = {
+  splitLines,
+  diffLines,
+  merge3,
+  hasConflictMarkers
+};
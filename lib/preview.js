@@ -0,0 +1,354 @@
+/**
+ * @fileoverview Local preview server with live reload
+ * @module ownwords/preview
+ *
+ * Serves markdown rendered exactly as `export` renders it for WordPress
+ * (exportToWordPress), so tables, figures and code blocks can be checked
+ * without publishing a draft. Pages reload when a markdown file or image
+ * under the previewed path is saved, over server-sent events:
+ *
+ *   /                       the article, or a list of articles for a directory
+ *   /<path>.md              an article, rendered
+ *   /<path>                 any other file (co-located images)
+ *   /__ownwords/events      live reload event stream
+ *   /__ownwords/theme.css   the site theme's CSS, when one is given
+ *
+ * A WordPress theme stylesheet can be used instead of the built-in styles.
+ * It is downloaded once and cached, with its relative url() references made
+ * absolute so fonts and images still load from the site.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const crypto = require('crypto');
+const { exportToWordPress } = require('./export');
+const { loadCorpus } = require('./corpus');
+const { downloadImage } = require('./fetch-api');
+const { watchFiles } = require('./watcher');
+
+/**
+ * Cache directory for downloaded theme stylesheets (follows XDG spec)
+ */
+const XDG_CACHE_HOME = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+const CACHE_DIR = path.join(XDG_CACHE_HOME, 'ownwords');
+
+/**
+ * Paths the preview server reserves for itself
+ */
+const EVENTS_PATH = '/__ownwords/events';
+const THEME_PATH = '/__ownwords/theme.css';
+
+/**
+ * Content types for files served from the previewed directory
+ */
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.txt': 'text/plain; charset=utf-8',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.avif': 'image/avif'
+};
+
+/**
+ * Styles used when no theme stylesheet is given
+ */
+const DEFAULT_CSS = `
+body { max-width: 46rem; margin: 0 auto; padding: 1.5rem; font: 18px/1.6 Georgia, serif; color: #222; }
+.ownwords-preview-bar { font: 0.8rem system-ui, sans-serif; color: #666; margin-bottom: 2rem; }
+.entry-meta { font: 0.85rem system-ui, sans-serif; color: #666; }
+img { max-width: 100%; height: auto; }
+figure { margin: 1.5rem 0; }
+figcaption { font-size: 0.85rem; color: #666; text-align: center; }
+pre { background: #f6f8fa; padding: 1rem; overflow-x: auto; }
+blockquote { border-left: 4px solid #ddd; margin-left: 0; padding-left: 1rem; color: #555; }
+.ownwords-error { background: #fff0f0; border: 1px solid #e99; padding: 1rem; white-space: pre-wrap; }
+`;
+
+/**
+ * Browser script that reloads the page when the server reports a change
+ */
+const RELOAD_SCRIPT = `<script>
+new EventSource('${EVENTS_PATH}').addEventListener('reload', () => location.reload());
+</script>`;
+
+/**
+ * Escape HTML special characters
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Make relative url() references in a stylesheet absolute
+ * @private
+ */
+function absolutizeCssUrls(css, baseUrl) {
+  return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, value) => {
+    if (/^(data:|[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(value)) return match;
+    try {
+      return `url(${quote}${new URL(value, baseUrl).href}${quote})`;
+    } catch {
+      return match;
+    }
+  });
+}
+
+/**
+ * Load a theme stylesheet, downloading it on first use
+ *
+ * @param {string} themeUrl - Stylesheet URL (e.g., https://example.com/wp-content/themes/x/style.css)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refresh=false] - Download again even if cached
+ * @param {string} [options.cacheDir] - Cache directory (default: ~/.cache/ownwords)
+ * @returns {Promise<string>} Stylesheet with absolute url() references
+ * @throws {Error} If the stylesheet can't be downloaded
+ */
+async function loadThemeCss(themeUrl, options = {}) {
+  const { refresh = false, cacheDir = CACHE_DIR } = options;
+  const hash = crypto.createHash('md5').update(themeUrl).digest('hex');
+  const cachePath = path.join(cacheDir, 'themes', `${hash}.css`);
+
+  if (!refresh && fs.existsSync(cachePath)) {
+    return fs.readFileSync(cachePath, 'utf-8');
+  }
+
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  const downloadPath = `${cachePath}.download`;
+  const result = await downloadImage(themeUrl, downloadPath);
+  if (!result.success) {
+    throw new Error(`Failed to download theme stylesheet ${themeUrl}: ${result.error}`);
+  }
+
+  const css = absolutizeCssUrls(fs.readFileSync(downloadPath, 'utf-8'), themeUrl);
+  fs.writeFileSync(cachePath, css);
+  fs.unlinkSync(downloadPath);
+  return css;
+}
+
+/**
+ * Wrap preview content in a page
+ *
+ * The markup follows WordPress theme conventions (.entry-title,
+ * .entry-content) so a theme stylesheet styles it as it would the live post.
+ * @private
+ */
+function renderPage(title, body, hasTheme) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} (preview)</title>
+${hasTheme ? `<link rel="stylesheet" href="${THEME_PATH}">` : `<style>${DEFAULT_CSS}</style>`}
+</head>
+<body class="single single-post">
+<div class="ownwords-preview-bar">ownwords preview · <a href="/">All articles</a></div>
+${body}
+${RELOAD_SCRIPT}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a markdown file as a preview page
+ * @private
+ */
+function renderArticle(mdPath, hasTheme) {
+  try {
+    const result = exportToWordPress(mdPath);
+    const title = result.title || result.slug;
+    const meta = [result.date ? String(result.date).substring(0, 10) : '', result.metadata.author || '']
+      .filter(Boolean)
+      .join(' · ');
+
+    return {
+      status: 200,
+      html: renderPage(title, `<article class="post hentry">
+<header class="entry-header">
+<h1 class="entry-title">${escapeHtml(title)}</h1>
+${meta ? `<p class="entry-meta">${escapeHtml(meta)}</p>` : ''}
+</header>
+<div class="entry-content">
+${result.html}
+</div>
+</article>`, hasTheme)
+    };
+  } catch (error) {
+    return {
+      status: 500,
+      html: renderPage('Error', `<h1>Could not render ${escapeHtml(path.basename(mdPath))}</h1>
+<div class="ownwords-error">${escapeHtml(error.message)}</div>`, hasTheme)
+    };
+  }
+}
+
+/**
+ * Render the list of articles in a directory
+ * @private
+ */
+function renderIndex(root, hasTheme) {
+  const { entries } = loadCorpus(root);
+  const items = entries
+    .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')))
+    .map(entry => {
+      const title = entry.data.title ? String(entry.data.title) : entry.slug;
+      const details = [entry.date ? entry.date.substring(0, 10) : '', entry.draft ? 'draft' : ''].filter(Boolean).join(' · ');
+      return `<li><a href="/${entry.relativePath.split('/').map(encodeURIComponent).join('/')}">${escapeHtml(title)}</a>${details ? ` <span class="entry-meta">${escapeHtml(details)}</span>` : ''}</li>`;
+    });
+
+  return renderPage('Articles', `<h1>Articles</h1>\n<ul>\n${items.join('\n')}\n</ul>`, hasTheme);
+}
+
+/**
+ * Start the preview server
+ *
+ * @param {string} target - Markdown file or content directory
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port=4000] - Port (0 picks a free one)
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+ * @param {string} [options.themeCss] - Theme stylesheet URL to style pages with
+ * @param {boolean} [options.refreshTheme=false] - Download the theme stylesheet again
+ * @param {string} [options.cacheDir] - Cache directory for theme stylesheets
+ * @param {number} [options.debounce=300] - Quiet period before reloading, in milliseconds
+ * @param {function(string[]): void} [options.onReload] - Called with changed files on each reload
+ * @returns {Promise<{url: string, server: http.Server, close: function(): Promise<void>}>}
+ *   Server URL, server, and a function that stops the server and the watcher
+ * @throws {Error} If the target does not exist or the theme stylesheet can't be downloaded
+ *
+ * @example
+ * const preview = await startPreview('./content', { port: 4000 });
+ * console.log(`Preview at ${preview.url}`);
+ */
+async function startPreview(target, options = {}) {
+  const {
+    port = 4000,
+    host = '127.0.0.1',
+    themeCss,
+    refreshTheme = false,
+    cacheDir,
+    debounce = 300,
+    onReload
+  } = options;
+
+  if (!fs.existsSync(target)) {
+    throw new Error(`Not found: ${target}`);
+  }
+
+  const isDir = fs.statSync(target).isDirectory();
+  const root = path.resolve(isDir ? target : path.dirname(target));
+  const theme = themeCss ? await loadThemeCss(themeCss, { refresh: refreshTheme, cacheDir }) : null;
+  const clients = new Set();
+
+  const send = (response, status, contentType, body) => {
+    response.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    response.end(body);
+  };
+
+  const server = http.createServer((request, response) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch {
+      send(response, 400, 'text/plain; charset=utf-8', 'Bad request');
+      return;
+    }
+
+    if (pathname === EVENTS_PATH) {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive'
+      });
+      response.write(': connected\n\n');
+      clients.add(response);
+      request.on('close', () => clients.delete(response));
+      return;
+    }
+
+    if (pathname === THEME_PATH && theme !== null) {
+      send(response, 200, CONTENT_TYPES['.css'], theme);
+      return;
+    }
+
+    if (pathname === '/') {
+      if (isDir) {
+        send(response, 200, CONTENT_TYPES['.html'], renderIndex(root, theme !== null));
+      } else {
+        const page = renderArticle(path.resolve(target), theme !== null);
+        send(response, page.status, CONTENT_TYPES['.html'], page.html);
+      }
+      return;
+    }
+
+    // Never serve anything outside the previewed directory
+    const filePath = path.resolve(root, `.${pathname}`);
+    if (filePath !== root && !filePath.startsWith(`${root}${path.sep}`)) {
+      send(response, 403, 'text/plain; charset=utf-8', 'Forbidden');
+      return;
+    }
+
+    const indexPath = path.join(filePath, 'index.md');
+    const mdPath = /\.md$/i.test(filePath) ? filePath : (fs.existsSync(indexPath) ? indexPath : null);
+    if (mdPath && fs.existsSync(mdPath)) {
+      const page = renderArticle(mdPath, theme !== null);
+      send(response, page.status, CONTENT_TYPES['.html'], page.html);
+      return;
+    }
+
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      send(response, 404, 'text/plain; charset=utf-8', 'Not found');
+      return;
+    }
+
+    send(response, 200, CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream', fs.readFileSync(filePath));
+  });
+
+  const watcher = watchFiles(target, files => {
+    for (const client of clients) {
+      client.write(`event: reload\ndata: ${JSON.stringify(files.map(file => path.relative(root, file)))}\n\n`);
+    }
+    if (onReload) onReload(files);
+  }, { debounce });
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+  } catch (error) {
+    watcher.close();
+    throw error;
+  }
+
+  const address = server.address();
+  const url = `http://${host.includes(':') ? `[${host}]` : host}:${address.port}/`;
+
+  const close = () => new Promise(resolve => {
+    watcher.close();
+    for (const client of clients) client.end();
+    clients.clear();
+    server.close(() => resolve());
+  });
+
+  return { url, server, close };
+}
+
+module.exports = {
+  startPreview,
+  loadThemeCss
+};
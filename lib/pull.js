@@ -0,0 +1,521 @@
+/**
+ * @fileoverview Whole-site pull for ownwords
+ * @module ownwords/pull
+ *
+ * Mirrors every post and page of a WordPress site locally by paging
+ * through the REST API collections (following X-WP-TotalPages) instead of
+ * fetching a hand-built list of URLs one slug at a time. Items go through
+ * the same normalization and writer as `fetchViaApi`, so a pulled article
+ * is identical to a single-item fetch.
+ *
+ * Incremental pulls keep a per-site high-water mark (the latest
+ * `modified_gmt` seen) in `.ownwords-pull.json` at the content root and
+ * only ask WordPress for items modified since then.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { WpClient } = require('./wp-api');
+const { resolveSiteConfig, resolveOutputPath, saveNormalizedPost, loadBaseSidecar } = require('./fetch-api');
+
+/**
+ * Name of the pull state file kept at the content root
+ */
+const PULL_STATE_FILE = '.ownwords-pull.json';
+
+/**
+ * Normalized fields compared when reporting remote changes
+ */
+const TRACKED_FIELDS = ['title', 'slug', 'status', 'date', 'excerpt', 'content', 'categories', 'tags', 'featuredImage'];
+
+/**
+ * Normalize a date filter to the full ISO 8601 form the REST API requires
+ *
+ * @param {string} value - Date ('2025-01-01') or datetime
+ * @param {boolean} [endOfDay=false] - Use 23:59:59 for date-only values
+ * @returns {string} Datetime string ('2025-01-01T00:00:00')
+ */
+function toApiDate(value, endOfDay = false) {
+  const trimmed = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+    return `${trimmed}T${endOfDay ? '23:59:59' : '00:00:00'}`;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2})?/.test(trimmed)) {
+    throw new Error(`Invalid date: ${value} (expected YYYY-MM-DD or ISO 8601 datetime)`);
+  }
+  return trimmed.replace(' ', 'T');
+}
+
+/**
+ * Build REST API collection parameters from pull filters
+ *
+ * Category, tag and author filters accept names, slugs or numeric IDs.
+ * Names are resolved against the site; unknown names are an error rather
+ * than silently matching everything.
+ *
+ * @param {WpClient} client - WordPress client
+ * @param {Object} filters - Pull filters
+ * @param {string} [filters.status] - Comma-separated statuses (default: any)
+ * @param {string} [filters.after] - Only items published after this date
+ * @param {string} [filters.before] - Only items published before this date
+ * @param {string} [filters.category] - Category name, slug or ID
+ * @param {string} [filters.tag] - Tag name, slug or ID
+ * @param {string} [filters.author] - Author name, slug or ID
+ * @returns {Promise<Object>} Query parameters for getAllPosts
+ */
+async function buildPullParams(client, filters = {}) {
+  const params = {
+    _embed: true,
+    status: filters.status || 'any'
+  };
+
+  if (filters.after) params.after = toApiDate(filters.after);
+  if (filters.before) params.before = toApiDate(filters.before, true);
+
+  if (filters.category) {
+    const id = await client.findTermId('categories', filters.category);
+    if (!id) throw new Error(`Category not found: ${filters.category}`);
+    params.categories = id;
+  }
+
+  if (filters.tag) {
+    const id = await client.findTermId('tags', filters.tag);
+    if (!id) throw new Error(`Tag not found: ${filters.tag}`);
+    params.tags = id;
+  }
+
+  if (filters.author) {
+    const id = await client.findUserId(filters.author);
+    if (!id) throw new Error(`Author not found: ${filters.author}`);
+    params.author = id;
+  }
+
+  return params;
+}
+
+/**
+ * Build the slash-separated ancestor path for each page
+ *
+ * @param {Object[]} pages - Raw page objects (with id, slug, parent)
+ * @returns {Map<number, string|null>} Page ID to parent path
+ */
+function buildParentPaths(pages) {
+  const byId = new Map(pages.map(p => [p.id, p]));
+  const paths = new Map();
+
+  for (const page of pages) {
+    const ancestors = [];
+    const seen = new Set([page.id]);
+    let parent = byId.get(page.parent);
+
+    while (parent && !seen.has(parent.id)) {
+      ancestors.unshift(parent.slug || `page-${parent.id}`);
+      seen.add(parent.id);
+      parent = byId.get(parent.parent);
+    }
+
+    paths.set(page.id, ancestors.length > 0 ? ancestors.join('/') : null);
+  }
+
+  return paths;
+}
+
+/**
+ * Fetch the ancestors of items whose parents aren't in the list
+ *
+ * Incremental and filtered pulls list only some items, so a child page needs
+ * its unlisted parents fetched to keep its parent path.
+ *
+ * @private
+ */
+async function fetchMissingAncestors(client, type, items) {
+  const known = new Set(items.map(item => item.id));
+  const ancestors = [];
+  let missing = [...new Set(items.map(item => item.parent).filter(id => id && !known.has(id)))];
+
+  while (missing.length > 0) {
+    const fetched = await client.getAllPosts(type, { include: missing, status: 'any', _fields: 'id,slug,parent' });
+    missing.forEach(id => known.add(id));
+    ancestors.push(...fetched);
+    missing = [...new Set(fetched.map(item => item.parent).filter(id => id && !known.has(id)))];
+  }
+
+  return ancestors;
+}
+
+// ============================================================
+// Incremental State
+// ============================================================
+
+/**
+ * Whether a pulled file changed since it last matched WordPress
+ *
+ * Files without a sync base can't be checked, so they count as edited.
+ *
+ * @private
+ */
+function hasLocalEdits(mdPath) {
+  const base = loadBaseSidecar(mdPath);
+  if (!base || !base._meta.localHash) {
+    return true;
+  }
+  const hash = crypto.createHash('md5').update(fs.readFileSync(mdPath, 'utf-8')).digest('hex');
+  return hash !== base._meta.localHash;
+}
+
+/**
+ * Move a watermark forward to an item's modification time
+ *
+ * @private
+ */
+function advanceWatermark(highWater, normalized) {
+  if (!highWater || (normalized.modifiedGmt || '') > highWater.modifiedGmt) {
+    return { modified: normalized.modified, modifiedGmt: normalized.modifiedGmt };
+  }
+  return highWater;
+}
+
+/**
+ * Load the pull state file from a content directory
+ *
+ * @param {string} outputDir - Content root directory
+ * @returns {Object} State ({ sites: { [key]: { posts, pages } } })
+ */
+function loadPullState(outputDir) {
+  const statePath = path.join(outputDir, PULL_STATE_FILE);
+  if (!fs.existsSync(statePath)) {
+    return { sites: {} };
+  }
+
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    return { sites: {}, ...state };
+  } catch {
+    return { sites: {} };
+  }
+}
+
+/**
+ * Save the pull state file to a content directory
+ *
+ * @param {string} outputDir - Content root directory
+ * @param {Object} state - State to save
+ * @returns {string} Path to the state file
+ */
+function savePullState(outputDir, state) {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  const statePath = path.join(outputDir, PULL_STATE_FILE);
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n');
+  return statePath;
+}
+
+/**
+ * Build the state key for a site and its filters
+ *
+ * Watermarks from a filtered pull only cover that filter, so each
+ * filter combination keeps its own high-water mark.
+ *
+ * @param {string} siteUrl - WordPress site URL
+ * @param {Object} params - Collection query parameters
+ * @returns {string} State key
+ */
+function getStateKey(siteUrl, params) {
+  const filters = Object.keys(params)
+    .filter(key => !['_embed', 'per_page', 'page', 'modified_after'].includes(key))
+    .filter(key => !(key === 'status' && params.status === 'any'))
+    .sort()
+    .map(key => `${key}=${params[key]}`);
+  return filters.length > 0 ? `${siteUrl}?${filters.join('&')}` : siteUrl;
+}
+
+/**
+ * Index local JSON sidecars by post ID
+ *
+ * @param {string} outputDir - Content root directory
+ * @returns {Map<number, {jsonPath: string, mdPath: string, normalized: Object}>} Local copies
+ */
+function indexLocalSidecars(outputDir) {
+  const index = new Map();
+  if (!fs.existsSync(outputDir)) {
+    return index;
+  }
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && entry.name !== 'node_modules') walk(fullPath);
+      } else if (entry.name.endsWith('.json') && !entry.name.endsWith('.images.json') && entry.name !== PULL_STATE_FILE) {
+        try {
+          const sidecar = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+          if (sidecar.normalized && sidecar.normalized.id) {
+            index.set(sidecar.normalized.id, {
+              jsonPath: fullPath,
+              mdPath: fullPath.replace(/\.json$/, '.md'),
+              normalized: sidecar.normalized
+            });
+          }
+        } catch {
+          // Not a sidecar
+        }
+      }
+    }
+  };
+
+  walk(outputDir);
+  return index;
+}
+
+/**
+ * List which tracked fields differ between two normalized posts
+ *
+ * @param {Object} before - Previously pulled normalized post
+ * @param {Object} after - Newly pulled normalized post
+ * @returns {string[]} Names of changed fields
+ */
+function diffNormalized(before, after) {
+  const simplify = (field, value) => {
+    if (field === 'categories' || field === 'tags') {
+      return (value || []).map(t => t.name).sort().join('\n');
+    }
+    if (field === 'featuredImage') {
+      return value ? value.url : '';
+    }
+    return value || '';
+  };
+
+  return TRACKED_FIELDS.filter(field => simplify(field, before[field]) !== simplify(field, after[field]));
+}
+
+// ============================================================
+// Pull
+// ============================================================
+
+/**
+ * Pull every post and page of a WordPress site into a local directory
+ *
+ * @param {string} outputDir - Content root directory
+ * @param {Object} [options] - Pull options
+ * @param {string} [options.site] - Site alias from config (default: default site)
+ * @param {string[]} [options.types=['posts', 'pages']] - Collections to pull (REST bases; custom post types included)
+ * @param {string} [options.status] - Comma-separated statuses (default: any)
+ * @param {string} [options.after] - Only items published after this date
+ * @param {string} [options.before] - Only items published before this date
+ * @param {string} [options.category] - Category name, slug or ID (posts only)
+ * @param {string} [options.tag] - Tag name, slug or ID (posts only)
+ * @param {string} [options.author] - Author name, slug or ID
+ * @param {boolean} [options.hierarchical=true] - Use posts/YYYY/MM/DD-slug/index.md layout
+ * @param {boolean} [options.images=true] - Download images locally
+ * @param {boolean} [options.force=false] - Overwrite existing files (default: skip them)
+ * @param {boolean} [options.incremental=false] - Only fetch items modified since the last incremental pull
+ *   (files edited since they were pulled or synced are skipped unless forced)
+ * @param {boolean} [options.silent=false] - Suppress console output
+ * @param {WpClient} [options.client] - Pre-configured client (overrides site)
+ * @returns {Promise<Object>} Pull result with counts, articles, skipped, changes and errors
+ *
+ * @example
+ * const result = await pullSite('./content', { site: 'myblog', status: 'publish' });
+ * console.log(`${result.success} pulled, ${result.skipped.length} already local`);
+ *
+ * @example
+ * // Nightly sync: only what changed since the previous incremental pull
+ * const { changes } = await pullSite('./content', { site: 'myblog', incremental: true });
+ * changes.forEach(c => console.log(c.change, c.slug, c.fields.join(', ')));
+ */
+async function pullSite(outputDir, options = {}) {
+  const {
+    types = ['posts', 'pages'],
+    hierarchical = true,
+    force = false,
+    incremental = false,
+    silent = false
+  } = options;
+
+  let client = options.client;
+  let siteUrl = client ? client.url : null;
+  if (!client) {
+    const siteConfig = resolveSiteConfig(options.site);
+    client = new WpClient({
+      url: siteConfig.url,
+      username: siteConfig.username,
+      appPassword: siteConfig.appPassword,
+      customFields: siteConfig.customFields,
+      retries: siteConfig.retries,
+      rateLimit: siteConfig.rateLimit
+    });
+    siteUrl = siteConfig.url;
+  }
+
+  const params = await buildPullParams(client, options);
+
+  // Custom post types must be registered on the site; slugs resolve to REST bases
+  const collections = [];
+  for (const type of types) {
+    collections.push((await client.resolvePostType(type)).restBase);
+  }
+
+  const results = {
+    site: siteUrl,
+    total: 0,
+    success: 0,
+    failed: 0,
+    articles: [],
+    skipped: [],
+    changes: [],
+    watermarks: {},
+    errors: []
+  };
+
+  const state = incremental ? loadPullState(outputDir) : null;
+  const stateKey = getStateKey(siteUrl, params);
+  const siteState = state ? (state.sites[stateKey] || {}) : null;
+  const localIndex = incremental ? indexLocalSidecars(outputDir) : null;
+
+  for (const type of collections) {
+    // Only posts have categories and tags, so a taxonomy filter excludes other types
+    if (type !== 'posts' && (params.categories || params.tags)) {
+      continue;
+    }
+
+    const typeParams = { ...params };
+    if (type !== 'posts') {
+      delete typeParams.categories;
+      delete typeParams.tags;
+    }
+
+    // modified_after compares against the site-local post_modified column,
+    // so query with the local time and filter precisely on modified_gmt below
+    const watermark = siteState ? siteState[type] : null;
+    if (watermark && watermark.modified) {
+      typeParams.modified_after = watermark.modified;
+    }
+
+    if (!silent) {
+      console.log(`Listing ${type} on ${siteUrl}${watermark ? ` modified since ${watermark.modifiedGmt} UTC` : ''}...`);
+    }
+
+    let items = await client.getAllPosts(type, typeParams, {
+      onPage: (page, totalPages, pageItems) => {
+        if (!silent) {
+          console.log(`  Page ${page}/${totalPages}: ${pageItems.length} ${type}`);
+        }
+      }
+    });
+
+    // Parent paths need every ancestor, so build them before narrowing the list
+    // (hierarchical custom post types have parents too)
+    let parentPaths = new Map();
+    if (type !== 'posts') {
+      const ancestors = await fetchMissingAncestors(client, type, items);
+      parentPaths = buildParentPaths([...items, ...ancestors]);
+    }
+    if (watermark && watermark.modifiedGmt) {
+      items = items.filter(item => (item.modified_gmt || '') > watermark.modifiedGmt);
+    }
+    results.total += items.length;
+
+    let highWater = watermark || null;
+    let typeFailed = false;
+
+    for (const raw of items) {
+      const normalized = client.normalizeEmbedResponse(raw);
+      if (!normalized.slug) {
+        // Drafts may not have a slug yet
+        normalized.slug = `${normalized.type || (type === 'pages' ? 'page' : 'post')}-${normalized.id}`;
+      }
+      normalized.parentSlug = parentPaths.get(normalized.id) || null;
+
+      const saveOptions = {
+        ...options,
+        type,
+        hierarchical,
+        parentSlug: normalized.parentSlug,
+        sourceUrl: normalized.link,
+        siteUrl,
+        customFields: client.customFields
+      };
+
+      try {
+        const { mdPath } = resolveOutputPath(normalized, outputDir, saveOptions);
+        const local = localIndex ? localIndex.get(normalized.id) : null;
+
+        // Incremental pulls only see remotely changed items, so they overwrite
+        // files unless they were edited since the last pull or sync
+        if (!force && fs.existsSync(mdPath) && (!incremental || hasLocalEdits(mdPath))) {
+          results.skipped.push({ slug: normalized.slug, type, mdPath });
+          if (incremental) {
+            // The sync base still records the old remote version, so `sync` merges this change
+            highWater = advanceWatermark(highWater, normalized);
+            if (!silent) {
+              console.log(`Skipping: ${normalized.slug} (${type}) - edited locally, run 'ownwords sync ${mdPath}'`);
+            }
+          }
+          continue;
+        }
+
+        if (!silent) {
+          console.log(`Pulling: ${normalized.slug} (${type})`);
+        }
+
+        const result = await saveNormalizedPost(normalized, raw, outputDir, { ...saveOptions, force: force || incremental });
+        results.articles.push(result);
+        results.success++;
+
+        if (incremental) {
+          results.changes.push({
+            change: local ? 'updated' : 'new',
+            type,
+            id: normalized.id,
+            slug: normalized.slug,
+            title: normalized.title,
+            modifiedGmt: normalized.modifiedGmt,
+            fields: local ? diffNormalized(local.normalized, normalized) : [],
+            mdPath: result.mdPath,
+            previousPath: local && path.resolve(local.mdPath) !== path.resolve(result.mdPath) ? local.mdPath : null
+          });
+        }
+
+        highWater = advanceWatermark(highWater, normalized);
+      } catch (error) {
+        typeFailed = true;
+        results.errors.push({
+          input: normalized.slug,
+          error: error.message
+        });
+        results.failed++;
+        if (!silent) {
+          console.error(`  Error: ${normalized.slug} - ${error.message}`);
+        }
+      }
+    }
+
+    // Only advance the watermark when every item made it, so failures are retried
+    if (incremental && highWater && !typeFailed) {
+      siteState[type] = { ...highWater, pulledAt: new Date().toISOString() };
+    }
+    if (siteState && siteState[type]) {
+      results.watermarks[type] = siteState[type];
+    }
+  }
+
+  if (incremental) {
+    state.sites[stateKey] = siteState;
+    savePullState(outputDir, state);
+  }
+
+  return results;
+}
+
+module.exports = {
+  pullSite,
+  loadPullState,
+  savePullState,
+  indexLocalSidecars,
+  diffNormalized,
+  buildPullParams,
+  buildParentPaths,
+  toApiDate
+};
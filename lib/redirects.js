@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Redirect maps from old WordPress URLs to static site paths
+ * @module ownwords/redirects
+ *
+ * Collects the URLs each entry used to live at and writes redirect rules to
+ * where it lives now (its corpus permalink):
+ *
+ *   - the WordPress `link` recorded in the JSON sidecar by fetch and
+ *     import-wxr (e.g., posts/2025/01/15-slug/index.json)
+ *   - any paths or URLs listed in a `redirect_from` front matter key
+ *   - optionally, WordPress feed URLs to the files feeds.js writes
+ *
+ * Rules are written for Netlify and Cloudflare Pages (_redirects), nginx
+ * (a map block) and Apache (mod_alias RedirectMatch lines).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadCorpus, termSlug, termNames } = require('./corpus');
+const { FEED_FORMATS } = require('./feeds');
+
+/**
+ * Redirect file formats: file written and renderer
+ */
+const REDIRECT_FORMATS = {
+  netlify: { file: '_redirects', render: renderNetlifyRedirects },
+  nginx: { file: 'redirects.nginx.conf', render: renderNginxMap },
+  apache: { file: 'redirects.htaccess', render: renderApacheRules }
+};
+
+/**
+ * Get the path of a URL (or keep a path as is), or null if it is neither
+ *
+ * URLs with a query string (e.g., the ?p=123 shortlink) are skipped: the
+ * redirect formats match paths only, so they would redirect the bare path.
+ * @private
+ */
+function pathOf(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const text = value.trim().split('#')[0];
+  if (text.includes('?')) return null;
+  if (text.startsWith('/')) return text;
+  try {
+    return new URL(text).pathname;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the WordPress link recorded in an entry's JSON sidecar
+ * @private
+ */
+function sidecarLink(entry) {
+  const sidecarPath = entry.sourcePath.replace(/\.md$/i, '.json');
+  if (!fs.existsSync(sidecarPath)) return null;
+  try {
+    const sidecar = JSON.parse(fs.readFileSync(sidecarPath, 'utf-8'));
+    return sidecar.normalized?.link || sidecar.raw?.link || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Collect redirects for corpus entries
+ *
+ * A redirect is only recorded where the old path differs from the new one.
+ * When two entries claim the same old path, the first keeps it and the
+ * clash is reported.
+ *
+ * @param {Object[]} entries - Corpus entries (see readCorpusEntry)
+ * @param {Object} [options] - Redirect options
+ * @param {boolean} [options.feeds=false] - Redirect WordPress feed URLs to feed files
+ * @param {boolean} [options.termFeeds=false] - Also redirect per-category and per-tag feeds
+ * @returns {{redirects: Array<{from: string, to: string}>, errors: Array<{sourcePath: string, error: string}>}}
+ *   Redirects sorted by old path, and clashes
+ */
+function collectRedirects(entries, options = {}) {
+  const { feeds = false, termFeeds = false } = options;
+  const targets = new Map();
+  const errors = [];
+
+  const add = (from, to, sourcePath) => {
+    if (!from || from === to) return;
+    if (targets.has(from) && targets.get(from).to !== to) {
+      errors.push({ sourcePath, error: `${from} already redirects to ${targets.get(from).to}` });
+      return;
+    }
+    targets.set(from, { to, sourcePath });
+  };
+
+  for (const entry of entries) {
+    if (entry.draft) continue;
+    const redirectFrom = Array.isArray(entry.data.redirect_from) ? entry.data.redirect_from : [entry.data.redirect_from];
+    for (const old of [sidecarLink(entry), ...redirectFrom]) {
+      add(pathOf(old), entry.permalink, entry.sourcePath);
+    }
+  }
+
+  if (feeds || termFeeds) {
+    const dirs = [''];
+    if (termFeeds) {
+      for (const [key, prefix] of [['categories', 'category'], ['tags', 'tag']]) {
+        const slugs = new Set(entries
+          .filter(entry => entry.type === 'post' && !entry.draft)
+          .flatMap(entry => termNames(entry.data[key]).map(termSlug)));
+        dirs.push(...[...slugs].sort().map(slug => `${prefix}/${slug}/`));
+      }
+    }
+    for (const dir of dirs) {
+      for (const { file, wordpressPath } of Object.values(FEED_FORMATS)) {
+        if (wordpressPath) add(`/${dir}${wordpressPath}`, `/${dir}${file}`, null);
+      }
+    }
+  }
+
+  const redirects = [...targets.entries()]
+    .map(([from, { to }]) => ({ from, to }))
+    .sort((a, b) => a.from.localeCompare(b.from));
+
+  return { redirects, errors };
+}
+
+/**
+ * Render a Netlify / Cloudflare Pages _redirects file
+ *
+ * @param {Array<{from: string, to: string}>} redirects - Redirects
+ * @returns {string} _redirects content
+ * @private
+ */
+function renderNetlifyRedirects(redirects) {
+  return redirects.map(({ from, to }) => `${from} ${to} 301\n`).join('');
+}
+
+/**
+ * Render an nginx map from old paths to new ones
+ *
+ * The map goes in the `http` block; the server block then needs:
+ * `if ($ownwords_redirect) { return 301 $ownwords_redirect; }`
+ *
+ * @param {Array<{from: string, to: string}>} redirects - Redirects
+ * @returns {string} nginx configuration
+ * @private
+ */
+function renderNginxMap(redirects) {
+  const quote = value => `"${value.replace(/["\\]/g, '\\$&')}"`;
+  return [
+    '# Include in the http block, then add to the server block:',
+    '#   if ($ownwords_redirect) { return 301 $ownwords_redirect; }',
+    'map $uri $ownwords_redirect {',
+    '  default "";',
+    ...redirects.map(({ from, to }) => `  ${quote(from)} ${quote(to)};`),
+    '}',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render Apache RedirectMatch rules (mod_alias)
+ *
+ * Rules match whole paths with or without a trailing slash; plain
+ * `Redirect` would also match everything below the old path.
+ *
+ * @param {Array<{from: string, to: string}>} redirects - Redirects
+ * @returns {string} Apache configuration (.htaccess or virtual host)
+ * @private
+ */
+function renderApacheRules(redirects) {
+  const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return redirects.map(({ from, to }) => {
+    const pattern = `^${escapeRegex(from.replace(/\/$/, ''))}/?$`;
+    return `RedirectMatch 301 "${pattern}" "${to}"\n`;
+  }).join('');
+}
+
+/**
+ * Write redirect files for corpus entries
+ *
+ * @param {Object[]} entries - Corpus entries (see readCorpusEntry)
+ * @param {string} outDir - Site output directory
+ * @param {Object} [options] - Redirect options (see collectRedirects)
+ * @param {string[]} [options.formats=['netlify', 'nginx', 'apache']] - Formats to write
+ * @returns {{files: string[], redirects: Array<{from: string, to: string}>, errors: Array<{sourcePath: string, error: string}>}}
+ *   Files written, redirects, and clashes
+ * @throws {Error} If a format is unknown
+ */
+function writeRedirects(entries, outDir, options = {}) {
+  const { formats = Object.keys(REDIRECT_FORMATS) } = options;
+
+  for (const format of formats) {
+    if (!REDIRECT_FORMATS[format]) {
+      throw new Error(`Unknown redirect format "${format}". Supported: ${Object.keys(REDIRECT_FORMATS).join(', ')}`);
+    }
+  }
+
+  const { redirects, errors } = collectRedirects(entries, options);
+  const files = [];
+
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const format of formats) {
+    const { file, render } = REDIRECT_FORMATS[format];
+    fs.writeFileSync(path.join(outDir, file), render(redirects));
+    files.push(path.join(outDir, file));
+  }
+
+  return { files, redirects, errors };
+}
+
+/**
+ * Generate redirect files from a content directory
+ *
+ * @param {string} contentDir - Canonical content directory (flat or hierarchical)
+ * @param {string} outDir - Site output directory
+ * @param {Object} [options] - Redirect options (see writeRedirects)
+ * @returns {{files: string[], redirects: Array<{from: string, to: string}>, errors: Array<{sourcePath: string, error: string}>}}
+ *   Files written, redirects, and clashes or files that failed to parse
+ * @throws {Error} If the content directory does not exist or a format is unknown
+ */
+function generateRedirects(contentDir, outDir, options = {}) {
+  const { entries, errors } = loadCorpus(contentDir);
+  const result = writeRedirects(entries, outDir, options);
+  return { ...result, errors: [...errors, ...result.errors] };
+}
+
+module.exports = {
+  generateRedirects,
+  writeRedirects,
+  collectRedirects,
+  REDIRECT_FORMATS
+};
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Retries, backoff and rate limiting for WordPress requests
+ * @module ownwords/retry
+ *
+ * Hosts answer bursts of requests with 429s, restarting PHP workers give
+ * 502s and 503s, and connections reset. Failed requests are retried with
+ * exponential backoff and full jitter, waiting as long as a `Retry-After`
+ * header asks, and requests to one site are spaced by a shared limiter.
+ *
+ * Retrying is only safe when repeating the request can't do the work twice.
+ * Reads, deletes and updates of an existing object (POST to `/wp/v2/posts/42`)
+ * are retried on any transient failure. Requests that create something
+ * (POST to a collection, media uploads) are retried only when the server
+ * certainly didn't act on them: a 429, or a connection that was refused.
+ */
+
+/**
+ * HTTP statuses worth retrying
+ */
+const RETRYABLE_STATUS = [429, 502, 503, 504];
+
+/**
+ * Socket error codes worth retrying
+ */
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * Default retry settings
+ */
+const DEFAULT_RETRY = {
+  retries: 3,
+  retryDelay: 500,
+  maxRetryDelay: 30000
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @private
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a Retry-After header
+ *
+ * @param {string} [value] - Header value: seconds, or an HTTP date
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number|null} Milliseconds to wait, or null if absent or unreadable
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 1000);
+  }
+  const date = Date.parse(text);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Check whether a failed request may be retried
+ *
+ * @param {Error} error - Request error (`statusCode` for HTTP errors, `code` for socket errors)
+ * @param {boolean} idempotent - Whether repeating the request is harmless
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetryable(error, idempotent) {
+  if (error.statusCode) {
+    if (error.statusCode === 429) return true;
+    return idempotent && RETRYABLE_STATUS.includes(error.statusCode);
+  }
+  if (error.code === 'ECONNREFUSED') return true;
+  return idempotent && RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Delay before a retry: exponential backoff with full jitter
+ *
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} [options] - Delay options
+ * @param {number} [options.retryDelay=500] - Base delay in milliseconds
+ * @param {number} [options.maxRetryDelay=30000] - Upper bound in milliseconds
+ * @param {function(): number} [options.random=Math.random] - Random source in [0, 1)
+ * @returns {number} Milliseconds to wait
+ */
+function backoffDelay(attempt, options = {}) {
+  const {
+    retryDelay = DEFAULT_RETRY.retryDelay,
+    maxRetryDelay = DEFAULT_RETRY.maxRetryDelay,
+    random = Math.random
+  } = options;
+  const ceiling = Math.min(maxRetryDelay, retryDelay * 2 ** (attempt - 1));
+  return Math.round(ceiling * random());
+}
+
+/**
+ * Run a request, retrying transient failures
+ *
+ * A `retryAfter` (milliseconds) on the error takes the place of the backoff
+ * delay; one longer than `maxRetryDelay` isn't waited for, and the error is
+ * thrown. The final error gets an `attempts` count.
+ *
+ * @param {function(): Promise<*>} request - Makes one attempt
+ * @param {Object} [options] - Retry options
+ * @param {boolean} [options.idempotent=true] - Whether repeating the request is harmless (see isRetryable)
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.retryDelay=500] - Base backoff delay in milliseconds
+ * @param {number} [options.maxRetryDelay=30000] - Longest wait in milliseconds
+ * @param {function(Object): void} [options.onRetry] - Called with
+ *   { attempt, delay, error } before each retry
+ * @returns {Promise<*>} The request's result
+ * @throws {Error} The last error, once retries run out or it isn't retryable
+ *
+ * @example
+ * const post = await withRetry(() => client._send('GET', '/wp/v2/posts/42'), { retries: 5 });
+ */
+async function withRetry(request, options = {}) {
+  const {
+    idempotent = true,
+    retries = DEFAULT_RETRY.retries,
+    maxRetryDelay = DEFAULT_RETRY.maxRetryDelay,
+    onRetry
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const retryAfter = typeof error.retryAfter === 'number' ? error.retryAfter : null;
+      if (attempt > retries || !isRetryable(error, idempotent) || (retryAfter !== null && retryAfter > maxRetryDelay)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, options);
+      if (onRetry) {
+        onRetry({ attempt, delay, error });
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Create a limiter that spaces out request starts
+ *
+ * @param {number} [requestsPerSecond] - Rate; unlimited when omitted or 0
+ * @returns {{wait: function(): Promise<void>, pause: function(number): void, setRate: function(number): void}}
+ *   `wait()` resolves when the next request may start; `pause(ms)` holds
+ *   every request back, as after a 429 with Retry-After
+ */
+function createRateLimiter(requestsPerSecond) {
+  let interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  let next = 0;
+
+  return {
+    async wait() {
+      const now = Date.now();
+      const start = Math.max(now, next);
+      next = start + interval;
+      if (start > now) {
+        await sleep(start - now);
+      }
+    },
+    pause(ms) {
+      next = Math.max(next, Date.now() + ms);
+    },
+    setRate(rate) {
+      interval = rate > 0 ? 1000 / rate : 0;
+    }
+  };
+}
+
+/**
+ * Rate limiters by site URL, shared by every client of a site
+ * @private
+ */
+const siteLimiters = new Map();
+
+/**
+ * Get the shared rate limiter for a site
+ *
+ * @param {string} siteUrl - Site URL
+ * @param {number} [requestsPerSecond] - Rate; when given, replaces the site's current rate
+ * @returns {Object} Limiter (see createRateLimiter)
+ */
+function getSiteRateLimiter(siteUrl, requestsPerSecond) {
+  let limiter = siteLimiters.get(siteUrl);
+  if (!limiter) {
+    limiter = createRateLimiter(requestsPerSecond);
+    siteLimiters.set(siteUrl, limiter);
+  } else if (requestsPerSecond !== undefined) {
+    limiter.setRate(requestsPerSecond);
+  }
+  return limiter;
+}
+
+module.exports = {
+  RETRYABLE_STATUS,
+  RETRYABLE_NETWORK_CODES,
+  DEFAULT_RETRY,
+  parseRetryAfter,
+  isRetryable,
+  backoffDelay,
+  withRetry,
+  createRateLimiter,
+  getSiteRateLimiter
+};
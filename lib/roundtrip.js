@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Round-trip fidelity checks for convert → export
+ * @module ownwords/roundtrip
+ *
+ * Runs content through a full fetch-edit-publish cycle
+ * (HTML → htmlToMarkdown → markdownToHtml → htmlToMarkdown) and reports
+ * every structural difference between the two HTML snapshots and between
+ * the two markdown snapshots: headings, links, images, code, lists, tables
+ * and embeds. A lossless cycle means publishing and re-fetching a post does
+ * not degrade it.
+ *
+ * Extraction reuses the independent extractors in verify.js, so the check
+ * does not depend on the conversion code it is testing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { htmlToMarkdown, extractArticleContent } = require('./convert');
+const { markdownToHtml } = require('./export');
+const {
+  extractHeadingsFromHtml,
+  extractHeadingsFromMarkdown,
+  extractUrlsFromHtml,
+  extractUrlsFromMarkdown,
+  extractImagesFromHtml,
+  extractImagesFromMarkdown,
+  extractCodeFromHtml,
+  extractCodeFromMarkdown,
+  extractListItemsFromHtml,
+  extractListItemsFromMarkdown,
+  extractTablesFromHtml,
+  extractTablesFromMarkdown,
+  extractEmbedsFromHtml,
+  extractEmbedsFromMarkdown
+} = require('./verify');
+
+/**
+ * Constructs compared by the round trip, in report order
+ */
+const CONSTRUCTS = ['headings', 'links', 'images', 'code', 'lists', 'tables', 'embeds'];
+
+const describeHeading = h => `h${h.level} ${h.text}`;
+const describeTable = t => `${t.rows}x${t.columns} table (${t.header.join(' | ')})`;
+
+/**
+ * Extractors per snapshot format, each returning comparable strings
+ * @private
+ */
+const EXTRACTORS = {
+  html: {
+    headings: html => extractHeadingsFromHtml(html).map(describeHeading),
+    links: html => [...extractUrlsFromHtml(html).keys()],
+    images: extractImagesFromHtml,
+    code: extractCodeFromHtml,
+    lists: extractListItemsFromHtml,
+    tables: html => extractTablesFromHtml(html).map(describeTable),
+    embeds: extractEmbedsFromHtml
+  },
+  markdown: {
+    headings: md => extractHeadingsFromMarkdown(md).map(describeHeading),
+    links: md => [...extractUrlsFromMarkdown(md).keys()],
+    images: extractImagesFromMarkdown,
+    code: extractCodeFromMarkdown,
+    lists: extractListItemsFromMarkdown,
+    tables: md => extractTablesFromMarkdown(md).map(describeTable),
+    embeds: extractEmbedsFromMarkdown
+  }
+};
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+/**
+ * Compare two lists of items as multisets
+ *
+ * @param {string[]} before - Items in the earlier snapshot
+ * @param {string[]} after - Items in the later snapshot
+ * @returns {{lost: string[], added: string[]}} Items missing from `after` and new in `after`
+ */
+function diffItems(before, after) {
+  const remaining = new Map();
+  for (const item of after) {
+    remaining.set(item, (remaining.get(item) || 0) + 1);
+  }
+
+  const lost = [];
+  for (const item of before) {
+    const count = remaining.get(item) || 0;
+    if (count > 0) {
+      remaining.set(item, count - 1);
+    } else {
+      lost.push(item);
+    }
+  }
+
+  const added = [];
+  for (const [item, count] of remaining) {
+    for (let i = 0; i < count; i++) added.push(item);
+  }
+
+  return { lost, added };
+}
+
+/**
+ * Compare the structure of two snapshots in the same format
+ *
+ * @param {string} before - Earlier snapshot
+ * @param {string} after - Later snapshot
+ * @param {'html'|'markdown'} format - Snapshot format
+ * @returns {Object<string, {before: number, after: number, lost: string[], added: string[]}>}
+ *   Comparison per construct
+ */
+function compareSnapshots(before, after, format) {
+  const comparison = {};
+  for (const construct of CONSTRUCTS) {
+    const extract = EXTRACTORS[format][construct];
+    const beforeItems = extract(before);
+    const afterItems = extract(after);
+    comparison[construct] = {
+      before: beforeItems.length,
+      after: afterItems.length,
+      ...diffItems(beforeItems, afterItems)
+    };
+  }
+  return comparison;
+}
+
+// ============================================================================
+// ROUND TRIP
+// ============================================================================
+
+/**
+ * Run content through a full conversion cycle and report structural differences
+ *
+ * HTML input runs HTML → markdown → HTML → markdown; markdown input runs
+ * markdown → HTML → markdown → HTML. The first and third snapshots and the
+ * second and fourth snapshots are compared, so both formats are checked.
+ *
+ * @param {string} content - HTML or markdown content
+ * @param {Object} [options] - Round-trip options
+ * @param {'html'|'markdown'} [options.format='html'] - Format of `content`
+ * @returns {Object} Result with snapshots, per-format comparisons,
+ *   a flat `differences` list and `lossless`
+ *
+ * @example
+ * const result = roundtrip('<h2>Intro</h2><p>Hello</p>');
+ * if (!result.lossless) console.log(result.differences);
+ */
+function roundtrip(content, options = {}) {
+  const { format = 'html' } = options;
+  let source = content;
+
+  if (format === 'html') {
+    // Full pages carry theme markup; only the article round-trips
+    if (/<body[\s>]/i.test(source)) {
+      source = extractArticleContent(source);
+    }
+  } else {
+    source = matter(source, {}).content;
+  }
+
+  const snapshots = [{ format, content: source }];
+  for (let i = 1; i < 4; i++) {
+    const previous = snapshots[i - 1];
+    snapshots.push(previous.format === 'html'
+      ? { format: 'markdown', content: htmlToMarkdown(previous.content) }
+      : { format: 'html', content: markdownToHtml(previous.content) });
+  }
+
+  const comparisons = {};
+  const differences = [];
+  for (const [first, second] of [[0, 2], [1, 3]]) {
+    const snapshotFormat = snapshots[first].format;
+    const comparison = compareSnapshots(snapshots[first].content, snapshots[second].content, snapshotFormat);
+    comparisons[snapshotFormat] = comparison;
+
+    for (const construct of CONSTRUCTS) {
+      const { lost, added } = comparison[construct];
+      if (lost.length > 0 || added.length > 0) {
+        differences.push({ format: snapshotFormat, construct, lost, added });
+      }
+    }
+  }
+
+  return {
+    format,
+    snapshots,
+    comparisons,
+    differences,
+    lossless: differences.length === 0
+  };
+}
+
+/**
+ * Round-trip a file, detecting the format from its extension
+ *
+ * @param {string} filePath - Path to an .html/.htm or .md file
+ * @returns {Object} Round-trip result (see roundtrip) with `filePath`
+ */
+function roundtripFile(filePath) {
+  const format = /\.html?$/i.test(filePath) ? 'html' : 'markdown';
+  const content = fs.readFileSync(filePath, 'utf-8');
+  return { filePath, ...roundtrip(content, { format }) };
+}
+
+/**
+ * Find HTML and markdown files under a directory
+ * @private
+ */
+function findRoundtripFiles(dir) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+      continue;
+    }
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findRoundtripFiles(fullPath));
+    } else if (/\.(html?|md)$/i.test(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Round-trip every HTML and markdown file under a directory
+ *
+ * The summary aggregates differences per construct across the corpus, so
+ * it shows which constructs are lossy and how often.
+ *
+ * @param {string} dir - Corpus directory
+ * @returns {{results: Object[], errors: Array<{filePath: string, error: string}>, summary: Object}}
+ *   Per-file results, failures, and a summary with `files`, `lossless`,
+ *   `lossy` and per-construct `constructs[name] = {files, lost, added, examples}`
+ */
+function roundtripCorpus(dir) {
+  const results = [];
+  const errors = [];
+
+  for (const filePath of findRoundtripFiles(dir)) {
+    try {
+      results.push(roundtripFile(filePath));
+    } catch (error) {
+      errors.push({ filePath, error: error.message });
+    }
+  }
+
+  const constructs = {};
+  for (const construct of CONSTRUCTS) {
+    constructs[construct] = { files: 0, lost: 0, added: 0, examples: [] };
+  }
+
+  for (const result of results) {
+    const affected = new Set();
+    for (const difference of result.differences) {
+      const stats = constructs[difference.construct];
+      stats.lost += difference.lost.length;
+      stats.added += difference.added.length;
+      affected.add(difference.construct);
+
+      if (stats.examples.length < 5) {
+        const item = difference.lost[0] !== undefined ? `lost: ${difference.lost[0]}` : `added: ${difference.added[0]}`;
+        stats.examples.push({ filePath: result.filePath, format: difference.format, item });
+      }
+    }
+    for (const construct of affected) {
+      constructs[construct].files++;
+    }
+  }
+
+  const lossless = results.filter(r => r.lossless).length;
+
+  return {
+    results,
+    errors,
+    summary: {
+      files: results.length,
+      lossless,
+      lossy: results.length - lossless,
+      constructs
+    }
+  };
+}
+
+module.exports = {
+  roundtrip,
+  roundtripFile,
+  roundtripCorpus,
+  compareSnapshots,
+  diffItems,
+  CONSTRUCTS
+};
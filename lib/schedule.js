@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Scheduled publishing queue
+ * @module ownwords/schedule
+ *
+ * Articles with a `publish_at:` timestamp in front matter form the queue;
+ * timestamps without an offset or timezone name are read in the site's
+ * timezone. Each upcoming article is compared with its WordPress post and
+ * pushed as a `future` post with `date_gmt` set, so WordPress publishes it
+ * at that instant:
+ *
+ * - new:        no wordpress.post_id yet; the post is created
+ * - pending:    the post exists but isn't scheduled; it is scheduled
+ * - mismatch:   the post is scheduled for another time; it is rescheduled
+ * - scheduled:  the post is scheduled for publish_at; nothing to do
+ * - published:  the post is already live; left alone
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WpClient } = require('./wp-api');
+const { resolveSiteConfig } = require('./fetch-api');
+const { loadCorpus, readCorpusEntry } = require('./corpus');
+const { parseDateTime, toGmtString } = require('./dates');
+const {
+  readFrontMatterType,
+  updateFrontMatterWithWordPress
+} = require('./image-utils');
+
+/**
+ * Find the articles scheduled after a given time
+ *
+ * @param {string} target - Markdown file or content directory
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - Only articles with publish_at after this are upcoming
+ * @param {string} [options.timeZone] - Timezone for publish_at values without one (see parseDateTime)
+ * @returns {{items: Object[], errors: Array<{input: string, error: string}>}} Upcoming articles
+ *   ({ mdPath, title, publishAt, dateGmt, postId }) in publishing order, and files whose
+ *   publish_at can't be read
+ * @throws {Error} If the target does not exist
+ */
+function findScheduled(target, options = {}) {
+  const { now = new Date(), timeZone } = options;
+
+  if (!fs.existsSync(target)) {
+    throw new Error(`Not found: ${target}`);
+  }
+
+  const { entries, errors: loadErrors } = fs.statSync(target).isDirectory()
+    ? loadCorpus(target)
+    : { entries: [readCorpusEntry(target, path.dirname(target))], errors: [] };
+
+  const items = [];
+  const errors = loadErrors.map(e => ({ input: e.sourcePath, error: e.error }));
+
+  for (const entry of entries) {
+    const { publishAt } = entry;
+    if (!publishAt) continue;
+
+    let time;
+    try {
+      time = parseDateTime(publishAt, timeZone);
+    } catch (error) {
+      errors.push({ input: entry.sourcePath, error: `publish_at: ${error.message}` });
+      continue;
+    }
+    if (time <= now) continue;
+
+    items.push({
+      mdPath: entry.sourcePath,
+      title: entry.data.title || entry.slug,
+      publishAt,
+      time,
+      dateGmt: toGmtString(time),
+      postId: entry.data.wordpress?.post_id || null
+    });
+  }
+
+  items.sort((a, b) => a.time - b.time);
+  return { items, errors };
+}
+
+/**
+ * Compare an upcoming article with its WordPress post
+ * @private
+ */
+async function checkScheduledItem(item, client, type) {
+  if (!item.postId) {
+    return { state: 'new', remoteDateGmt: null };
+  }
+
+  const remote = await client.getPostById(item.postId, type);
+  if (remote.status === 'publish') {
+    return { state: 'published', remoteDateGmt: remote.date_gmt };
+  }
+  if (remote.status !== 'future') {
+    return { state: 'pending', remoteDateGmt: null };
+  }
+  return {
+    state: remote.date_gmt === item.dateGmt ? 'scheduled' : 'mismatch',
+    remoteDateGmt: remote.date_gmt
+  };
+}
+
+/**
+ * List upcoming articles and push them to WordPress as scheduled posts
+ *
+ * publish_at values without a timezone are read in the site's timezone
+ * (WpClient#getSiteTimezone).
+ *
+ * @param {string} target - Markdown file or content directory
+ * @param {Object} [options] - Schedule options
+ * @param {WpClient} [options.client] - WordPress client (default: built from the site config)
+ * @param {string} [options.site] - Site name from config (default site if omitted)
+ * @param {string} [options.type] - Content type REST base (default: from front matter type)
+ * @param {boolean} [options.dryRun=false] - Compare with WordPress without pushing
+ * @param {boolean} [options.force=false] - Push even if the post was edited in WordPress since the last sync
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<{total: number, results: Object[], errors: Array<{input: string, error: string}>}>}
+ *   Results ({ mdPath, title, publishAt, dateGmt, postId, state, remoteDateGmt, pushed })
+ *   in publishing order
+ *
+ * @example
+ * const { results } = await scheduleArticles('./content', { site: 'myblog', dryRun: true });
+ * results.filter(r => r.state === 'mismatch').forEach(r => console.log(r.mdPath));
+ */
+async function scheduleArticles(target, options = {}) {
+  const { dryRun = false, force = false } = options;
+
+  if (!fs.existsSync(target)) {
+    throw new Error(`Not found: ${target}`);
+  }
+
+  let client = options.client;
+  if (!client) {
+    const siteConfig = resolveSiteConfig(options.site);
+    client = new WpClient({
+      url: siteConfig.url,
+      username: siteConfig.username,
+      appPassword: siteConfig.appPassword,
+      customFields: siteConfig.customFields,
+      retries: siteConfig.retries,
+      rateLimit: siteConfig.rateLimit
+    });
+  }
+
+  const timeZone = await client.getSiteTimezone();
+  const { items, errors } = findScheduled(target, { ...options, timeZone });
+  const summary = { total: items.length, results: [], errors };
+
+  for (const item of items) {
+    try {
+      // Front matter records the post type slug ('page', 'talk', ...); the API wants the REST base
+      const frontMatterType = readFrontMatterType(item.mdPath);
+      const type = options.type ||
+        (frontMatterType && frontMatterType !== 'post' ? (await client.resolvePostType(frontMatterType)).restBase : 'posts');
+
+      const { state, remoteDateGmt } = await checkScheduledItem(item, client, type);
+      const result = {
+        mdPath: item.mdPath,
+        title: item.title,
+        publishAt: item.publishAt,
+        dateGmt: item.dateGmt,
+        postId: item.postId,
+        state,
+        remoteDateGmt,
+        pushed: false
+      };
+
+      if (!dryRun && state !== 'scheduled' && state !== 'published') {
+        const published = await client.publishMarkdown(item.mdPath, {
+          status: 'future',
+          update: Boolean(item.postId),
+          type,
+          force,
+          siteName: options.site || client.url,
+          silent: true
+        });
+        updateFrontMatterWithWordPress(item.mdPath, published);
+        result.postId = published.postId;
+        result.pushed = true;
+      }
+
+      summary.results.push(result);
+    } catch (error) {
+      summary.errors.push({ input: item.mdPath, error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  findScheduled,
+  scheduleArticles
+};
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview SEO metadata mapping for Yoast SEO and Rank Math
+ * @module ownwords/seo
+ *
+ * Front matter keeps SEO overrides in an `seo:` section, separate from
+ * `description` (which is the WordPress excerpt):
+ *
+ *   seo:
+ *     plugin: yoast
+ *     title: "Hand-tuned title"
+ *     description: "Meta description"
+ *     focus_keyphrase: "keyword"
+ *     canonical: "https://example.com/original/"
+ *     noindex: false
+ *     og_title: "Title for Facebook"
+ *     twitter_image: "https://example.com/card.png"
+ *
+ * Yoast stores overrides in `_yoast_wpseo_*` post meta and exposes the
+ * rendered values in `yoast_head_json`. Rank Math stores them in
+ * `rank_math_*` post meta and accepts writes at `/rankmath/v1/updateMeta`.
+ */
+
+/**
+ * SEO plugins this module maps, by REST namespace
+ */
+const SEO_PLUGINS = {
+  yoast: 'yoast/v1',
+  rankmath: 'rankmath/v1'
+};
+
+/**
+ * Front matter `seo:` keys, in the order they are written
+ */
+const SEO_FIELDS = [
+  'title',
+  'description',
+  'focus_keyphrase',
+  'canonical',
+  'noindex',
+  'nofollow',
+  'og_title',
+  'og_description',
+  'og_image',
+  'twitter_title',
+  'twitter_description',
+  'twitter_image'
+];
+
+/**
+ * Post meta keys for the text fields, by plugin
+ * (robots flags are encoded differently by each plugin)
+ */
+const META_KEYS = {
+  yoast: {
+    title: '_yoast_wpseo_title',
+    description: '_yoast_wpseo_metadesc',
+    focus_keyphrase: '_yoast_wpseo_focuskw',
+    canonical: '_yoast_wpseo_canonical',
+    og_title: '_yoast_wpseo_opengraph-title',
+    og_description: '_yoast_wpseo_opengraph-description',
+    og_image: '_yoast_wpseo_opengraph-image',
+    twitter_title: '_yoast_wpseo_twitter-title',
+    twitter_description: '_yoast_wpseo_twitter-description',
+    twitter_image: '_yoast_wpseo_twitter-image'
+  },
+  rankmath: {
+    title: 'rank_math_title',
+    description: 'rank_math_description',
+    focus_keyphrase: 'rank_math_focus_keyword',
+    canonical: 'rank_math_canonical_url',
+    og_title: 'rank_math_facebook_title',
+    og_description: 'rank_math_facebook_description',
+    og_image: 'rank_math_facebook_image',
+    twitter_title: 'rank_math_twitter_title',
+    twitter_description: 'rank_math_twitter_description',
+    twitter_image: 'rank_math_twitter_image'
+  }
+};
+
+const YOAST_NOINDEX = '_yoast_wpseo_meta-robots-noindex';
+const YOAST_NOFOLLOW = '_yoast_wpseo_meta-robots-nofollow';
+const RANK_MATH_ROBOTS = 'rank_math_robots';
+
+/**
+ * Check whether a post meta key belongs to an SEO plugin
+ *
+ * @param {string} key - Post meta key
+ * @returns {boolean} True for Yoast and Rank Math keys
+ */
+function isSeoMetaKey(key) {
+  return key.startsWith('_yoast_wpseo_') || key.startsWith('rank_math_');
+}
+
+/**
+ * Check whether a value is worth recording
+ * @private
+ */
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Read SEO fields from post meta written by one plugin
+ * @private
+ */
+function seoFromMeta(meta, plugin) {
+  const seo = {};
+
+  for (const [field, key] of Object.entries(META_KEYS[plugin])) {
+    if (hasValue(meta[key])) seo[field] = meta[key];
+  }
+
+  if (plugin === 'yoast') {
+    // Yoast: noindex '1' = noindex, '2' = index, '0' = site default; nofollow '1' = nofollow
+    if (meta[YOAST_NOINDEX] === '1') seo.noindex = true;
+    if (meta[YOAST_NOINDEX] === '2') seo.noindex = false;
+    if (meta[YOAST_NOFOLLOW] === '1') seo.nofollow = true;
+  } else if (Array.isArray(meta[RANK_MATH_ROBOTS]) && meta[RANK_MATH_ROBOTS].length > 0) {
+    const robots = meta[RANK_MATH_ROBOTS];
+    seo.noindex = robots.includes('noindex');
+    seo.nofollow = robots.includes('nofollow');
+  }
+
+  return seo;
+}
+
+/**
+ * Read SEO fields from Yoast's rendered `yoast_head_json`
+ *
+ * These are the values Yoast outputs, so anything equal to what WordPress
+ * would produce anyway (the permalink as canonical, the featured image as
+ * og:image, index/follow robots) is left out rather than pinned as an override.
+ * The title and meta description are always rendered from the site's
+ * templates, so they are only taken from the `_yoast_wpseo_*` override meta.
+ * @private
+ */
+function seoFromYoastHead(head, post) {
+  const seo = {};
+  const featured = post._embedded?.['wp:featuredmedia']?.[0]?.source_url;
+  const ogImage = Array.isArray(head.og_image) && head.og_image[0] ? head.og_image[0].url : undefined;
+
+  if (hasValue(head.canonical) && head.canonical !== post.link) seo.canonical = head.canonical;
+  if (head.robots?.index === 'noindex') seo.noindex = true;
+  if (head.robots?.follow === 'nofollow') seo.nofollow = true;
+  if (hasValue(head.og_title) && head.og_title !== head.title) seo.og_title = head.og_title;
+  if (hasValue(head.og_description) && head.og_description !== head.description) {
+    seo.og_description = head.og_description;
+  }
+  if (hasValue(ogImage) && ogImage !== featured) seo.og_image = ogImage;
+  if (hasValue(head.twitter_title)) seo.twitter_title = head.twitter_title;
+  if (hasValue(head.twitter_description)) seo.twitter_description = head.twitter_description;
+  if (hasValue(head.twitter_image) && head.twitter_image !== featured) seo.twitter_image = head.twitter_image;
+
+  return seo;
+}
+
+/**
+ * Extract SEO fields from a WordPress REST post
+ *
+ * Override meta (when the site registers it in REST) takes precedence.
+ * For Yoast, remaining fields come from `yoast_head_json`. Rank Math fields
+ * are read from `meta` or from top-level `rank_math_*` REST fields.
+ *
+ * @param {Object} post - Raw WordPress REST post
+ * @returns {Object|null} `seo` front matter section with `plugin`, or null when
+ *   the post has no SEO data
+ */
+function extractSeo(post) {
+  if (!post) return null;
+
+  const meta = post.meta && !Array.isArray(post.meta) ? post.meta : {};
+  const rankMathFields = Object.fromEntries(
+    Object.entries(post).filter(([key]) => key.startsWith('rank_math_'))
+  );
+
+  let plugin = null;
+  let seo = {};
+
+  if (post.yoast_head_json || Object.keys(meta).some(key => key.startsWith('_yoast_wpseo_'))) {
+    plugin = 'yoast';
+    seo = {
+      ...(post.yoast_head_json ? seoFromYoastHead(post.yoast_head_json, post) : {}),
+      ...seoFromMeta(meta, 'yoast')
+    };
+  } else if (Object.keys(rankMathFields).length > 0 || Object.keys(meta).some(key => key.startsWith('rank_math_'))) {
+    plugin = 'rankmath';
+    seo = seoFromMeta({ ...rankMathFields, ...meta }, 'rankmath');
+  }
+
+  if (!plugin || Object.keys(seo).length === 0) return null;
+
+  const ordered = { plugin };
+  for (const field of SEO_FIELDS) {
+    if (seo[field] !== undefined) ordered[field] = seo[field];
+  }
+  return ordered;
+}
+
+/**
+ * Build the plugin post meta for a front matter `seo` section
+ *
+ * Only fields present in front matter are written, so fields set in
+ * WordPress but not recorded locally are left alone.
+ *
+ * @param {Object} seo - Front matter `seo` value
+ * @param {string} plugin - 'yoast' or 'rankmath'
+ * @returns {Object|null} Post meta to write, or null when there is nothing to write
+ * @throws {Error} If the plugin is not supported
+ */
+function buildSeoMeta(seo, plugin) {
+  if (!META_KEYS[plugin]) {
+    throw new Error(`Unsupported SEO plugin "${plugin}". Supported: ${Object.keys(SEO_PLUGINS).join(', ')}`);
+  }
+  if (!seo || typeof seo !== 'object') return null;
+
+  const meta = {};
+
+  for (const [field, key] of Object.entries(META_KEYS[plugin])) {
+    if (seo[field] !== undefined && seo[field] !== null) meta[key] = String(seo[field]);
+  }
+
+  const hasRobots = typeof seo.noindex === 'boolean' || typeof seo.nofollow === 'boolean';
+  if (plugin === 'yoast') {
+    if (typeof seo.noindex === 'boolean') meta[YOAST_NOINDEX] = seo.noindex ? '1' : '2';
+    if (typeof seo.nofollow === 'boolean') meta[YOAST_NOFOLLOW] = seo.nofollow ? '1' : '0';
+  } else {
+    if (hasRobots) {
+      meta[RANK_MATH_ROBOTS] = [seo.noindex ? 'noindex' : 'index'];
+      if (seo.nofollow) meta[RANK_MATH_ROBOTS].push('nofollow');
+    }
+    // Rank Math copies the Facebook fields to Twitter unless told otherwise
+    if (['twitter_title', 'twitter_description', 'twitter_image'].some(field => hasValue(seo[field]))) {
+      meta.rank_math_twitter_use_facebook = 'off';
+    }
+  }
+
+  return Object.keys(meta).length > 0 ? meta : null;
+}
+
+module.exports = {
+  extractSeo,
+  buildSeoMeta,
+  isSeoMetaKey,
+  SEO_FIELDS,
+  SEO_PLUGINS
+};
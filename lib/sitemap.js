@@ -0,0 +1,191 @@
+/**
+ * @fileoverview XML sitemap generation
+ * @module ownwords/sitemap
+ *
+ * Writes sitemap.xml for the entries in a content directory (see corpus.js),
+ * at the paths the site builder and static site exports publish them under.
+ * Sitemaps are limited to 50,000 URLs, so larger sites get numbered
+ * sitemap-N.xml files listed by a sitemap.xml index.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadCorpus } = require('./corpus');
+
+/**
+ * URLs allowed in one sitemap file by the sitemaps.org protocol
+ */
+const MAX_SITEMAP_URLS = 50000;
+
+/**
+ * Escape text for XML
+ * @private
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a front matter date for <lastmod>
+ *
+ * W3C datetimes need a zone when they carry a time, so dates without one
+ * are reduced to the day.
+ * @private
+ */
+function lastmodOf(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(text)) return text;
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.substring(0, 10) : null;
+}
+
+/**
+ * Check whether an entry asks search engines not to index it
+ * @private
+ */
+function isNoindex(entry) {
+  return Boolean(entry.data.seo && typeof entry.data.seo === 'object' && entry.data.seo.noindex === true);
+}
+
+/**
+ * List the sitemap URLs for corpus entries
+ *
+ * Drafts and entries with `seo.noindex: true` are left out. The home page
+ * comes first, dated by the newest entry.
+ *
+ * @param {Object[]} entries - Corpus entries (see readCorpusEntry)
+ * @param {string} siteUrl - Absolute site URL (e.g., https://example.com)
+ * @returns {Array<{loc: string, lastmod: string|null}>} Sitemap URLs
+ */
+function sitemapUrls(entries, siteUrl) {
+  const baseUrl = siteUrl.replace(/\/+$/, '');
+  const seen = new Set();
+  const urls = [];
+
+  for (const entry of entries) {
+    if (entry.draft || isNoindex(entry) || seen.has(entry.permalink)) continue;
+    seen.add(entry.permalink);
+    urls.push({ loc: `${baseUrl}${entry.permalink}`, lastmod: lastmodOf(entry.modified || entry.date) });
+  }
+
+  const newest = urls.reduce((latest, url) => (url.lastmod && (!latest || url.lastmod > latest) ? url.lastmod : latest), null);
+  if (!seen.has('/')) {
+    urls.unshift({ loc: `${baseUrl}/`, lastmod: newest });
+  }
+
+  return urls;
+}
+
+/**
+ * Render a sitemap <urlset>
+ *
+ * @param {Array<{loc: string, lastmod: string|null}>} urls - Sitemap URLs
+ * @returns {string} Sitemap XML
+ * @private
+ */
+function renderSitemap(urls) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+  ];
+  for (const url of urls) {
+    lines.push(url.lastmod
+      ? `  <url><loc>${escapeXml(url.loc)}</loc><lastmod>${escapeXml(url.lastmod)}</lastmod></url>`
+      : `  <url><loc>${escapeXml(url.loc)}</loc></url>`);
+  }
+  lines.push('</urlset>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Render a sitemap index
+ *
+ * @param {Array<{loc: string, lastmod: string|null}>} sitemaps - Sitemap files
+ * @returns {string} Sitemap index XML
+ * @private
+ */
+function renderSitemapIndex(sitemaps) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+  ];
+  for (const sitemap of sitemaps) {
+    lines.push(sitemap.lastmod
+      ? `  <sitemap><loc>${escapeXml(sitemap.loc)}</loc><lastmod>${escapeXml(sitemap.lastmod)}</lastmod></sitemap>`
+      : `  <sitemap><loc>${escapeXml(sitemap.loc)}</loc></sitemap>`);
+  }
+  lines.push('</sitemapindex>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Write the sitemap for corpus entries
+ *
+ * @param {Object[]} entries - Corpus entries (see readCorpusEntry)
+ * @param {string} outDir - Site output directory
+ * @param {Object} options - Sitemap options
+ * @param {string} options.siteUrl - Absolute site URL
+ * @param {number} [options.maxUrls=50000] - URLs per sitemap file
+ * @returns {{files: string[], urls: number}} Files written (sitemap.xml first) and URLs listed
+ * @throws {Error} If `siteUrl` is missing
+ */
+function writeSitemap(entries, outDir, options = {}) {
+  const { siteUrl, maxUrls = MAX_SITEMAP_URLS } = options;
+
+  if (!siteUrl) {
+    throw new Error('A sitemap needs a site URL (siteUrl) for absolute links');
+  }
+
+  const baseUrl = siteUrl.replace(/\/+$/, '');
+  const urls = sitemapUrls(entries, baseUrl);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  if (urls.length <= maxUrls) {
+    const file = path.join(outDir, 'sitemap.xml');
+    fs.writeFileSync(file, renderSitemap(urls));
+    return { files: [file], urls: urls.length };
+  }
+
+  const files = [path.join(outDir, 'sitemap.xml')];
+  const sitemaps = [];
+  for (let i = 0; i < urls.length; i += maxUrls) {
+    const chunk = urls.slice(i, i + maxUrls);
+    const name = `sitemap-${sitemaps.length + 1}.xml`;
+    fs.writeFileSync(path.join(outDir, name), renderSitemap(chunk));
+    files.push(path.join(outDir, name));
+    sitemaps.push({
+      loc: `${baseUrl}/${name}`,
+      lastmod: chunk.reduce((latest, url) => (url.lastmod && (!latest || url.lastmod > latest) ? url.lastmod : latest), null)
+    });
+  }
+  fs.writeFileSync(files[0], renderSitemapIndex(sitemaps));
+
+  return { files, urls: urls.length };
+}
+
+/**
+ * Generate sitemap.xml from a content directory
+ *
+ * @param {string} contentDir - Canonical content directory (flat or hierarchical)
+ * @param {string} outDir - Site output directory
+ * @param {Object} options - Sitemap options (see writeSitemap)
+ * @returns {{files: string[], urls: number, errors: Array<{sourcePath: string, error: string}>}}
+ *   Files written, URLs listed, and files that failed to parse
+ * @throws {Error} If the content directory does not exist or `siteUrl` is missing
+ */
+function generateSitemap(contentDir, outDir, options = {}) {
+  const { entries, errors } = loadCorpus(contentDir);
+  return { ...writeSitemap(entries, outDir, options), errors };
+}
+
+module.exports = {
+  generateSitemap,
+  writeSitemap,
+  sitemapUrls,
+  MAX_SITEMAP_URLS
+};
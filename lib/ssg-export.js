@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Static site generator export
+ * @module ownwords/ssg-export
+ *
+ * Turns the canonical markdown corpus (see corpus.js) into the directory
+ * layout, front matter keys, date format, permalinks and image placement a
+ * static site generator expects:
+ *
+ *   hugo      content/<collection>/<name>/index.md, images in the page bundle
+ *   jekyll    _posts/YYYY-MM-DD-<slug>.md, images under assets/images/<name>/
+ *   eleventy  <collection>/<name>.md, images under img/<name>/
+ *   astro     src/content/<collection>/<name>/index.md, images next to the entry
+ *
+ * Every entry keeps its WordPress URL as its permalink, so a site can move
+ * between WordPress and a generator without breaking links.
+ *
+ * Front matter is mapped key by key. Each target has a default mapping
+ * (source key → target key, or null to drop it) that callers can override;
+ * unmapped keys pass through unchanged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { loadCorpus } = require('./corpus');
+const { escapeRegex } = require('./image-utils');
+
+/**
+ * Front matter keys every target drops: ownwords sync state, and keys
+ * replaced by the target's own permalink and draft conventions
+ */
+const COMMON_FRONT_MATTER = {
+  wordpress: null,
+  type: null,
+  status: null,
+  parent: null,
+  draft: null,
+  published: null
+};
+
+/**
+ * Directory-safe name for an entry: its slug, prefixed by its parents for child pages
+ * @private
+ */
+function entryName(entry) {
+  return entry.parentPath ? `${entry.parentPath.split('/').join('-')}-${entry.slug}` : entry.slug;
+}
+
+/**
+ * Format an ISO 8601 date for Jekyll: `YYYY-MM-DD HH:MM:SS +hhmm`
+ * @private
+ */
+function formatJekyllDate(date) {
+  const match = date.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2})?)(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (!match) return date;
+
+  const [, day, time, zone] = match;
+  if (!time) return day;
+
+  const seconds = time.length === 5 ? `${time}:00` : time;
+  if (!zone) return `${day} ${seconds}`;
+  return `${day} ${seconds} ${zone === 'Z' ? '+0000' : zone.replace(':', '')}`;
+}
+
+/**
+ * Supported targets
+ *
+ * - `bundles` - images are copied next to the markdown and keep relative references
+ * - `contentPath(entry)` - markdown path relative to the site directory
+ * - `assetDir(entry)` - image directory for non-bundle targets (served from the site root)
+ * - `frontMatter` - default key mapping, applied over COMMON_FRONT_MATTER
+ * - `formatDate(date)` - date format for `date` and `modified`
+ * - `permalink(entry)` - value of the synthetic `permalink` key
+ * - `listKeys` - target keys whose value is a list
+ * - `extra(entry)` - target-only keys (draft flags, layouts)
+ */
+const SSG_TARGETS = {
+  hugo: {
+    bundles: true,
+    contentPath: entry => path.join('content', entry.collection, entryName(entry), 'index.md'),
+    frontMatter: { modified: 'lastmod', featured_image: 'images', permalink: 'url' },
+    formatDate: date => date,
+    permalink: entry => entry.permalink,
+    listKeys: ['images'],
+    extra: entry => (entry.draft ? { draft: true } : {})
+  },
+  jekyll: {
+    bundles: false,
+    contentPath: entry => {
+      if (entry.type === 'post') {
+        return path.join('_posts', `${entry.date.substring(0, 10)}-${entry.slug}.md`);
+      }
+      if (entry.type === 'page') {
+        return path.join(...entry.parentPath.split('/').filter(Boolean), `${entry.slug}.md`);
+      }
+      // Jekyll collections live in underscore directories
+      return path.join(`_${entry.collection}`, `${entry.slug}.md`);
+    },
+    assetDir: entry => path.join('assets', 'images', entryName(entry)),
+    frontMatter: { modified: 'last_modified_at', featured_image: 'image' },
+    formatDate: formatJekyllDate,
+    permalink: entry => entry.permalink,
+    listKeys: [],
+    extra: entry => ({
+      layout: entry.type,
+      ...(entry.draft ? { published: false } : {})
+    })
+  },
+  eleventy: {
+    bundles: false,
+    contentPath: entry => path.join(entry.collection, `${entryName(entry)}.md`),
+    assetDir: entry => path.join('img', entryName(entry)),
+    frontMatter: { featured_image: 'image' },
+    formatDate: date => date,
+    permalink: entry => entry.permalink,
+    listKeys: [],
+    extra: entry => (entry.draft ? { draft: true } : {})
+  },
+  astro: {
+    bundles: true,
+    contentPath: entry => path.join('src', 'content', entry.collection, entryName(entry), 'index.md'),
+    // The content collection id comes from `slug`, so it carries the WordPress path
+    frontMatter: { date: 'pubDate', modified: 'updatedDate', featured_image: 'heroImage', slug: null, permalink: 'slug' },
+    formatDate: date => date,
+    permalink: entry => entry.permalink.replace(/^\/+|\/+$/g, ''),
+    listKeys: [],
+    extra: entry => (entry.draft ? { draft: true } : {})
+  }
+};
+
+/**
+ * Get a target definition
+ * @private
+ */
+function getTarget(target) {
+  const definition = SSG_TARGETS[target];
+  if (!definition) {
+    throw new Error(`Unknown static site target "${target}". Supported: ${Object.keys(SSG_TARGETS).join(', ')}`);
+  }
+  return definition;
+}
+
+/**
+ * Map an entry's front matter to a target's keys and formats
+ *
+ * @param {Object} entry - Corpus entry (see corpus.js)
+ * @param {string} target - 'hugo', 'jekyll', 'eleventy' or 'astro'
+ * @param {Object} [options] - Mapping options
+ * @param {Object<string, string|null>} [options.frontMatter] - Key mapping overrides
+ *   (source key → target key, or null to drop)
+ * @param {string} [options.featuredImage] - Featured image reference to write
+ *   (defaults to the front matter value)
+ * @returns {Object} Target front matter
+ * @throws {Error} If the target is unknown
+ */
+function mapFrontMatter(entry, target, options = {}) {
+  const definition = getTarget(target);
+  const mapping = { ...COMMON_FRONT_MATTER, ...definition.frontMatter, ...(options.frontMatter || {}) };
+
+  const source = { ...entry.data };
+  if (entry.date) source.date = definition.formatDate(entry.date);
+  if (entry.modified) source.modified = definition.formatDate(entry.modified);
+  if (options.featuredImage) source.featured_image = options.featuredImage;
+  source.permalink = definition.permalink(entry);
+
+  const data = {};
+  for (const [key, value] of Object.entries(source)) {
+    const targetKey = Object.prototype.hasOwnProperty.call(mapping, key) ? mapping[key] : key;
+    if (!targetKey || value === undefined || value === null) continue;
+    data[targetKey] = definition.listKeys.includes(targetKey) && !Array.isArray(value) ? [value] : value;
+  }
+
+  return { ...data, ...definition.extra(entry) };
+}
+
+/**
+ * Plan where an entry's local images go and how the markdown refers to them
+ *
+ * Bundle targets (`definition.bundles`) copy images next to `outputPath`;
+ * others copy them to `definition.assetDir(entry)` under the site root.
+ *
+ * @param {Object} entry - Corpus entry (see corpus.js)
+ * @param {Object} definition - Target definition (see SSG_TARGETS)
+ * @param {string} siteDir - Site root
+ * @param {string} outputPath - Where the entry is written
+ * @returns {{copies: Array<{from: string, to: string}>, references: Object<string, string>}}
+ *   Files to copy, and new references by original markdown path
+ */
+function planImages(entry, definition, siteDir, outputPath) {
+  const images = [...entry.images];
+  if (entry.featuredImage && !images.some(img => img.markdownPath === entry.featuredImage.markdownPath)) {
+    images.push(entry.featuredImage);
+  }
+
+  const copies = [];
+  const references = {};
+
+  for (const image of images) {
+    if (references[image.markdownPath]) continue;
+
+    if (definition.bundles) {
+      // Keep the relative path when it stays inside the bundle
+      const relative = path.normalize(image.markdownPath);
+      const inside = !relative.startsWith('..') && !path.isAbsolute(relative);
+      const dest = path.join(path.dirname(outputPath), inside ? relative : image.filename);
+      references[image.markdownPath] = inside ? image.markdownPath : `./${image.filename}`;
+      copies.push({ from: image.absolutePath, to: dest });
+    } else {
+      const assetDir = definition.assetDir(entry);
+      references[image.markdownPath] = `/${path.join(assetDir, image.filename).split(path.sep).join('/')}`;
+      copies.push({ from: image.absolutePath, to: path.join(siteDir, assetDir, image.filename) });
+    }
+  }
+
+  return { copies, references };
+}
+
+/**
+ * Replace image references in a markdown body
+ *
+ * @param {string} body - Markdown body
+ * @param {Object<string, string>} references - New references by original path (see planImages)
+ * @returns {string} Markdown with image references replaced
+ */
+function rewriteImageReferences(body, references) {
+  let result = body;
+
+  for (const [from, to] of Object.entries(references)) {
+    if (from === to) continue;
+    const escaped = escapeRegex(from);
+    result = result.replace(new RegExp(`\\]\\(${escaped}(?=[\\s)])`, 'g'), `](${to}`);
+    result = result.replace(new RegExp(`src=(["'])${escaped}\\1`, 'g'), `src="${to}"`);
+  }
+
+  return result;
+}
+
+/**
+ * Export one corpus entry to a static site directory
+ *
+ * @param {Object} entry - Corpus entry (see corpus.js)
+ * @param {string} siteDir - Static site root
+ * @param {Object} options - Export options
+ * @param {string} options.target - 'hugo', 'jekyll', 'eleventy' or 'astro'
+ * @param {Object<string, string|null>} [options.frontMatter] - Key mapping overrides
+ * @param {boolean} [options.dryRun=false] - Plan without writing
+ * @returns {{sourcePath: string, outputPath: string, images: number, missingImages: string[]}}
+ *   Export result
+ * @throws {Error} If the target is unknown or the entry can't be placed (Jekyll posts need a date)
+ */
+function exportEntryToSsg(entry, siteDir, options) {
+  const definition = getTarget(options.target);
+
+  if (options.target === 'jekyll' && entry.type === 'post' && !entry.date) {
+    throw new Error('Jekyll posts need a date (front matter or file name)');
+  }
+
+  const outputPath = path.join(siteDir, definition.contentPath(entry));
+  const { copies, references } = planImages(entry, definition, siteDir, outputPath);
+  const featuredImage = entry.featuredImage ? references[entry.featuredImage.markdownPath] : undefined;
+
+  const data = mapFrontMatter(entry, options.target, { frontMatter: options.frontMatter, featuredImage });
+  const body = rewriteImageReferences(entry.body, references);
+  const missingImages = copies.filter(copy => !fs.existsSync(copy.from)).map(copy => copy.from);
+
+  if (!options.dryRun) {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, matter.stringify(body, data, { lineWidth: -1 }));
+
+    for (const copy of copies) {
+      if (!fs.existsSync(copy.from)) continue;
+      fs.mkdirSync(path.dirname(copy.to), { recursive: true });
+      fs.copyFileSync(copy.from, copy.to);
+    }
+  }
+
+  return {
+    sourcePath: entry.sourcePath,
+    outputPath,
+    images: copies.length - missingImages.length,
+    missingImages
+  };
+}
+
+/**
+ * Export a content directory to a static site generator's layout
+ *
+ * @param {string} contentDir - Canonical content directory (flat or hierarchical)
+ * @param {string} siteDir - Static site root
+ * @param {Object} options - Export options
+ * @param {string} options.target - 'hugo', 'jekyll', 'eleventy' or 'astro'
+ * @param {Object<string, string|null>} [options.frontMatter] - Key mapping overrides
+ *   (source key → target key, or null to drop)
+ * @param {boolean} [options.dryRun=false] - Plan without writing
+ * @returns {{target: string, exported: Object[], errors: Array<{sourcePath: string, error: string}>}}
+ *   Per-entry results (see exportEntryToSsg) and failures
+ * @throws {Error} If the target is unknown or the content directory does not exist
+ */
+function exportToSsg(contentDir, siteDir, options) {
+  getTarget(options.target);
+
+  const { entries, errors } = loadCorpus(contentDir);
+  const exported = [];
+  const outputs = new Map();
+
+  for (const entry of entries) {
+    try {
+      const result = exportEntryToSsg(entry, siteDir, { ...options, dryRun: true });
+      if (outputs.has(result.outputPath)) {
+        throw new Error(`Same output path as ${outputs.get(result.outputPath)}: ${result.outputPath}`);
+      }
+      outputs.set(result.outputPath, entry.sourcePath);
+      exported.push(options.dryRun ? result : exportEntryToSsg(entry, siteDir, options));
+    } catch (error) {
+      errors.push({ sourcePath: entry.sourcePath, error: error.message });
+    }
+  }
+
+  return { target: options.target, exported, errors };
+}
+
+module.exports = {
+  exportToSsg,
+  exportEntryToSsg,
+  mapFrontMatter,
+  planImages,
+  rewriteImageReferences,
+  SSG_TARGETS
+};
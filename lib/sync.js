@@ -0,0 +1,493 @@
+/**
+ * @fileoverview Two-way sync between local markdown and WordPress
+ * @module ownwords/sync
+ *
+ * Keeps a copy of the remote content as it was at the last sync (the base,
+ * stored next to index.json as index.base.json) and uses it as the common
+ * ancestor for a three-way merge when both the local markdown and the
+ * WordPress post have changed:
+ *
+ * - Only WordPress changed: the local file is updated to match
+ * - Only the local file changed: it is published with --update
+ * - Both changed: front matter is merged field by field and the body line
+ *   by line; non-overlapping edits merge automatically, overlapping edits
+ *   are written with git-style conflict markers and nothing is pushed
+ *
+ * Remote content is rendered exactly as fetch does (htmlToMarkdown plus
+ * enriched front matter, image URLs rewritten to the local copies), so an
+ * untouched article compares equal to its base.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const matter = require('gray-matter');
+const { WpClient } = require('./wp-api');
+const { htmlToMarkdown } = require('./convert');
+const { merge3, hasConflictMarkers } = require('./merge');
+const {
+  resolveSiteConfig,
+  generateEnrichedFrontMatter,
+  saveJsonSidecar,
+  saveBaseSidecar,
+  loadBaseSidecar,
+  extractImageUrls,
+  extractImageUrlsFromMarkdown,
+  rewriteImageUrls,
+  urlToFilename
+} = require('./fetch-api');
+const {
+  loadSidecar,
+  readWordPressMetadata,
+  readFrontMatterType,
+  updateFrontMatterWithWordPress
+} = require('./image-utils');
+
+/**
+ * Front matter fields that record WordPress state rather than content.
+ * They always take the remote value and are ignored when comparing content.
+ */
+const REMOTE_OWNED_FIELDS = ['wordpress', 'modified'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * MD5 of a string, used to tell whether the local file changed since the last sync
+ *
+ * @param {string} content - File content
+ * @returns {string} Hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+/**
+ * Parse markdown without going through gray-matter's cache
+ *
+ * gray-matter shares cached results for identical input unless options are
+ * passed; the merge deletes and reassigns fields, so it needs fresh objects.
+ *
+ * @param {string} markdown - Markdown with front matter
+ * @returns {{data: Object, content: string}} Front matter data and body
+ */
+function parseMarkdown(markdown) {
+  const parsed = matter(markdown, {});
+  return { data: parsed.data, content: parsed.content };
+}
+
+/**
+ * Compare two markdown documents, ignoring remote-owned front matter
+ *
+ * @param {string} a - First document
+ * @param {string} b - Second document
+ * @returns {boolean} True if front matter (minus wordpress, modified) and body match
+ */
+function sameContent(a, b) {
+  const pa = parseMarkdown(a);
+  const pb = parseMarkdown(b);
+  for (const field of REMOTE_OWNED_FIELDS) {
+    delete pa.data[field];
+    delete pb.data[field];
+  }
+  return pa.content === pb.content && isDeepStrictEqual(pa.data, pb.data);
+}
+
+/**
+ * Build a map of remote image URLs to local filenames
+ *
+ * Uses the images sidecar (local path → WordPress URL) and falls back to the
+ * filename fetch would have downloaded the URL to, if that file exists.
+ * Images that are not available locally keep their remote URL.
+ *
+ * @param {string} mdPath - Path to markdown file
+ * @param {string[]} imageUrls - Image URLs referenced by the remote content
+ * @returns {Object<string, string>} Map of URL to local filename
+ */
+function buildLocalImageMap(mdPath, imageUrls) {
+  const dir = path.dirname(mdPath);
+  const urlToLocal = {};
+
+  const sidecar = loadSidecar(mdPath);
+  for (const [localPath, entry] of Object.entries(sidecar?.uploaded || {})) {
+    if (entry.url && fs.existsSync(path.join(dir, localPath))) {
+      urlToLocal[entry.url] = localPath.replace(/^\.\//, '');
+    }
+  }
+
+  for (const url of imageUrls) {
+    const filename = urlToFilename(url);
+    if (fs.existsSync(path.join(dir, filename))) {
+      urlToLocal[url] = filename;
+    }
+  }
+
+  return urlToLocal;
+}
+
+/**
+ * Render a normalized WordPress post as local markdown
+ *
+ * Produces the same text fetch writes, without downloading anything.
+ *
+ * @param {Object} normalized - Normalized post data
+ * @param {string} type - Content type REST base ('posts', 'pages' or a custom post type)
+ * @param {string} mdPath - Path of the local markdown file (for image lookup)
+ * @param {Object} [customFields] - Site allowlist for `custom_fields`
+ * @returns {string} Markdown with front matter
+ */
+function renderRemoteMarkdown(normalized, type, mdPath, customFields) {
+  let markdownContent = htmlToMarkdown(normalized.content);
+  let frontMatter = generateEnrichedFrontMatter(normalized, type, { customFields });
+
+  const imageUrls = [...extractImageUrls(normalized.content), ...extractImageUrlsFromMarkdown(markdownContent)];
+  if (normalized.featuredImage && normalized.featuredImage.url) {
+    imageUrls.push(normalized.featuredImage.url);
+  }
+
+  const urlToLocal = buildLocalImageMap(mdPath, imageUrls);
+  if (Object.keys(urlToLocal).length > 0) {
+    markdownContent = rewriteImageUrls(markdownContent, urlToLocal);
+    frontMatter = rewriteImageUrls(frontMatter, urlToLocal);
+  }
+
+  return `${frontMatter}\n\n${markdownContent}\n`;
+}
+
+// ============================================================================
+// MERGE
+// ============================================================================
+
+/**
+ * Merge front matter field by field
+ *
+ * A field changed on one side only takes that side's value. A field changed
+ * differently on both sides keeps the local value and is reported as a
+ * conflict. The wordpress block and modified date always come from the
+ * remote side, since they record WordPress state (IDs, synced_at).
+ *
+ * @param {Object} local - Local front matter
+ * @param {Object} base - Base front matter
+ * @param {Object} remote - Remote front matter
+ * @returns {{data: Object, conflicts: Array<{field: string, local: *, remote: *}>}}
+ */
+function mergeFrontMatter(local, base, remote) {
+  const data = {};
+  const conflicts = [];
+  const keys = [...new Set([...Object.keys(local), ...Object.keys(remote)])];
+
+  for (const key of keys) {
+    const lv = local[key];
+    const bv = base[key];
+    const rv = remote[key];
+    let value;
+
+    if (REMOTE_OWNED_FIELDS.includes(key)) {
+      value = rv !== undefined ? rv : lv;
+    } else if (isDeepStrictEqual(lv, rv) || isDeepStrictEqual(rv, bv)) {
+      value = lv;
+    } else if (isDeepStrictEqual(lv, bv)) {
+      value = rv;
+    } else {
+      conflicts.push({ field: key, local: lv, remote: rv });
+      value = lv;
+    }
+
+    if (value !== undefined) {
+      data[key] = value;
+    }
+  }
+
+  return { data, conflicts };
+}
+
+/**
+ * Three-way merge of local markdown with remote markdown
+ *
+ * @param {string} local - Local markdown (with front matter)
+ * @param {string} base - Base markdown from the last sync
+ * @param {string} remote - Remote markdown rendered from WordPress
+ * @returns {{markdown: string, conflicts: Object[]}} Merged markdown and conflicts.
+ *   Body conflicts are `{type: 'content', line, local, base, remote}`, front matter
+ *   conflicts are `{type: 'field', field, local, remote}`.
+ */
+function mergeMarkdown(local, base, remote) {
+  const l = parseMarkdown(local);
+  const b = parseMarkdown(base);
+  const r = parseMarkdown(remote);
+
+  const fields = mergeFrontMatter(l.data, b.data, r.data);
+  const body = merge3(l.content, b.content, r.content);
+
+  // Use lineWidth: -1 to match updateFrontMatterWithWordPress (no folded scalars)
+  const markdown = matter.stringify(body.text, fields.data, { lineWidth: -1 });
+
+  return {
+    markdown,
+    conflicts: [
+      ...fields.conflicts.map(c => ({ type: 'field', ...c })),
+      ...body.conflicts.map(c => ({ type: 'content', ...c }))
+    ]
+  };
+}
+
+// ============================================================================
+// SYNC
+// ============================================================================
+
+/**
+ * Find the WordPress post ID for a local article
+ *
+ * @param {string} mdPath - Path to markdown file
+ * @returns {number|null} Post ID from front matter or the JSON sidecar
+ */
+function findPostId(mdPath) {
+  const wordpress = readWordPressMetadata(mdPath);
+  if (wordpress?.post_id) {
+    return wordpress.post_id;
+  }
+
+  const jsonPath = mdPath.replace(/\.md$/, '.json');
+  if (fs.existsSync(jsonPath)) {
+    try {
+      return JSON.parse(fs.readFileSync(jsonPath, 'utf-8')).normalized?.id || null;
+    } catch {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Sync one local markdown article with its WordPress post
+ *
+ * @param {string} mdPath - Path to markdown file
+ * @param {Object} [options] - Sync options
+ * @param {string} [options.site] - Site alias from config (default: default site)
+ * @param {WpClient} [options.client] - Pre-built client (overrides site)
+ * @param {string} [options.type] - Content type (default: from front matter, else posts)
+ * @param {boolean} [options.push=true] - Publish local and merged changes to WordPress
+ * @param {boolean} [options.dryRun=false] - Report what would happen without writing anything
+ * @param {boolean} [options.init=false] - Record the current remote content as the base
+ * @param {boolean} [options.blocks=false] - Publish native Gutenberg block markup
+ * @param {boolean} [options.silent=false] - Suppress console output
+ * @returns {Promise<Object>} Sync result: `{mdPath, postId, status, pushed, conflicts}` where status is
+ *   'unchanged', 'pulled', 'pushed', 'ahead' (local changes, push disabled), 'merged',
+ *   'conflict' or 'initialized'
+ */
+async function syncArticle(mdPath, options = {}) {
+  const { push = true, dryRun = false, init = false, silent = false } = options;
+
+  if (!fs.existsSync(mdPath)) {
+    throw new Error(`File not found: ${mdPath}`);
+  }
+
+  const local = fs.readFileSync(mdPath, 'utf-8');
+  if (hasConflictMarkers(local)) {
+    throw new Error(`Unresolved conflict markers in ${mdPath}. Resolve them, then run sync again.`);
+  }
+
+  const postId = findPostId(mdPath);
+  if (!postId) {
+    throw new Error(`No WordPress post_id for ${mdPath}. Publish or fetch it first.`);
+  }
+
+  let client = options.client;
+  if (!client) {
+    const siteConfig = resolveSiteConfig(options.site);
+    client = new WpClient({
+      url: siteConfig.url,
+      username: siteConfig.username,
+      appPassword: siteConfig.appPassword,
+      customFields: siteConfig.customFields,
+      retries: siteConfig.retries,
+      rateLimit: siteConfig.rateLimit
+    });
+  }
+
+  // Front matter records the post type slug ('page', 'talk', ...); the API wants the REST base
+  const frontMatterType = readFrontMatterType(mdPath);
+  const type = options.type ||
+    (frontMatterType && frontMatterType !== 'post' ? (await client.resolvePostType(frontMatterType)).restBase : 'posts');
+
+  const raw = await client.getPostByIdWithEmbed(postId, type);
+  const normalized = client.normalizeEmbedResponse(raw);
+
+  // Keep the parent page path from the local file; the API only returns the parent ID
+  const localData = parseMarkdown(local).data;
+  const localParentPath = localData.parent_path || (typeof localData.parent === 'string' ? localData.parent : null);
+  if (type !== 'posts' && normalized.parent && localParentPath) {
+    normalized.parentSlug = localParentPath;
+  }
+
+  const remote = renderRemoteMarkdown(normalized, type, mdPath, client.customFields);
+  const result = { mdPath, postId, status: null, pushed: false, conflicts: [] };
+
+  const base = loadBaseSidecar(mdPath);
+
+  if (init) {
+    // The local file is treated as changed, so the next sync merges it against this base
+    if (!dryRun) {
+      saveBaseSidecar(mdPath, remote, normalized, null);
+    }
+    result.status = 'initialized';
+    return result;
+  }
+
+  if (!base) {
+    throw new Error(`No sync base for ${mdPath}. Run 'ownwords sync ${mdPath} --init' to record the current WordPress version as the base.`);
+  }
+
+  const localChanged = hashContent(local) !== base._meta.localHash;
+  const remoteChanged = normalized.modifiedGmt !== base._meta.modifiedGmt && !sameContent(remote, base.markdown);
+
+  if (!localChanged && !remoteChanged) {
+    result.status = 'unchanged';
+    return result;
+  }
+
+  // Fast-forward: nothing to merge when only WordPress changed
+  if (!localChanged) {
+    result.status = 'pulled';
+    if (!dryRun) {
+      fs.writeFileSync(mdPath, remote);
+      saveJsonSidecar(mdPath, raw, normalized, normalized.link);
+      saveBaseSidecar(mdPath, remote, normalized, hashContent(remote));
+    }
+    return result;
+  }
+
+  let merged = local;
+  if (remoteChanged) {
+    const mergeResult = mergeMarkdown(local, base.markdown, remote);
+    merged = mergeResult.markdown;
+    result.conflicts = mergeResult.conflicts;
+  }
+
+  if (result.conflicts.length > 0) {
+    result.status = 'conflict';
+    if (!dryRun) {
+      // Remote changes are now part of the local file (or its markers),
+      // so the remote becomes the base; the resolved file is pushed next time
+      fs.writeFileSync(mdPath, merged);
+      saveJsonSidecar(mdPath, raw, normalized, normalized.link);
+      saveBaseSidecar(mdPath, remote, normalized, null);
+    }
+    return result;
+  }
+
+  if (remoteChanged && sameContent(merged, remote)) {
+    // Local edits were already on WordPress
+    result.status = 'pulled';
+    if (!dryRun) {
+      fs.writeFileSync(mdPath, remote);
+      saveJsonSidecar(mdPath, raw, normalized, normalized.link);
+      saveBaseSidecar(mdPath, remote, normalized, hashContent(remote));
+    }
+    return result;
+  }
+
+  result.status = remoteChanged ? 'merged' : (push ? 'pushed' : 'ahead');
+  if (dryRun) {
+    return result;
+  }
+
+  if (remoteChanged) {
+    fs.writeFileSync(mdPath, merged);
+    saveJsonSidecar(mdPath, raw, normalized, normalized.link);
+  }
+
+  if (!push) {
+    if (remoteChanged) {
+      saveBaseSidecar(mdPath, remote, normalized, null);
+    }
+    return result;
+  }
+
+  if (!silent) {
+    console.log(`  Publishing ${path.basename(mdPath)} (post ${postId})...`);
+  }
+
+  // Keep the post's current status; publishMarkdown would otherwise publish drafts.
+  // The drift guard is skipped because the remote version was just merged in.
+  const published = await client.publishMarkdown(mdPath, {
+    update: true,
+    force: true,
+    type,
+    status: normalized.status,
+    siteName: options.site || client.url,
+    blocks: options.blocks === true,
+    silent
+  });
+  updateFrontMatterWithWordPress(mdPath, published);
+  result.pushed = true;
+
+  // The base is what WordPress now has, matched to the local file as written
+  const freshRaw = await client.getPostByIdWithEmbed(postId, type);
+  const fresh = client.normalizeEmbedResponse(freshRaw);
+  if (normalized.parentSlug) {
+    fresh.parentSlug = normalized.parentSlug;
+  }
+  saveJsonSidecar(mdPath, freshRaw, fresh, fresh.link);
+  saveBaseSidecar(mdPath, renderRemoteMarkdown(fresh, type, mdPath, client.customFields), fresh, hashContent(fs.readFileSync(mdPath, 'utf-8')));
+
+  return result;
+}
+
+/**
+ * Find markdown articles linked to WordPress under a directory
+ *
+ * @param {string} dir - Directory to search recursively
+ * @returns {string[]} Paths of markdown files that have a wordpress.post_id or JSON sidecar
+ */
+function findSyncTargets(dir) {
+  const targets = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+      continue;
+    }
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      targets.push(...findSyncTargets(fullPath));
+    } else if (entry.name.endsWith('.md') && findPostId(fullPath)) {
+      targets.push(fullPath);
+    }
+  }
+
+  return targets.sort();
+}
+
+/**
+ * Sync every WordPress-linked article under a directory
+ *
+ * @param {string} dir - Content directory
+ * @param {Object} [options] - Same options as syncArticle
+ * @returns {Promise<{total: number, results: Object[], errors: Array<{input: string, error: string}>}>}
+ */
+async function syncDirectory(dir, options = {}) {
+  const targets = findSyncTargets(dir);
+  const summary = { total: targets.length, results: [], errors: [] };
+
+  for (const mdPath of targets) {
+    try {
+      summary.results.push(await syncArticle(mdPath, options));
+    } catch (error) {
+      summary.errors.push({ input: mdPath, error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  syncArticle,
+  syncDirectory,
+  findSyncTargets,
+  mergeMarkdown,
+  mergeFrontMatter,
+  renderRemoteMarkdown
+};
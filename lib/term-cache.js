@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Per-site cache of taxonomy terms
+ * @module ownwords/term-cache
+ *
+ * Publishing resolves every category and tag name to a term ID. Asking
+ * WordPress with `?search=` once per term per post wastes requests, and a
+ * search only sees the first 100 matches, so on sites with hundreds of tags
+ * an existing term can be missed and created again (WordPress answers
+ * `term_exists`). The cache loads every page of a taxonomy once and
+ * resolves names locally.
+ *
+ * Names match case-insensitively and with HTML entities decoded: WordPress
+ * returns "Tips &amp; Tricks" for a term created as "Tips & Tricks".
+ */
+
+/**
+ * Named entities WordPress puts in term names
+ * @private
+ */
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  hellip: '…'
+};
+
+/**
+ * Decode the HTML entities in a term name
+ *
+ * @param {string} text - Term name as WordPress returns it
+ * @returns {string} Decoded name
+ */
+function decodeTermName(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    }
+    const named = NAMED_ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : entity;
+  });
+}
+
+/**
+ * Normalize a term name for matching
+ *
+ * @param {string} name - Term name, with or without entities
+ * @returns {string} Decoded, trimmed, lowercased name with single spaces
+ *
+ * @example
+ * normalizeTermName('Tips &amp; Tricks'); // => 'tips & tricks'
+ */
+function normalizeTermName(name) {
+  return decodeTermName(name).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Decode a percent-encoded slug (non-ASCII slugs are stored encoded)
+ * @private
+ */
+function decodeSlug(slug) {
+  try {
+    return decodeURIComponent(slug);
+  } catch {
+    return slug;
+  }
+}
+
+/**
+ * All terms of one taxonomy on one site, loaded once
+ *
+ * @class TermCache
+ * @example
+ * const tags = client.getTermCache('tags');
+ * const id = await tags.resolve('Tips & Tricks'); // created if missing
+ */
+class TermCache {
+  /**
+   * @param {Object} client - WpClient for the site
+   * @param {string} taxonomy - Taxonomy REST base (e.g., 'categories', 'tags', 'venues')
+   */
+  constructor(client, taxonomy) {
+    this.client = client;
+    this.taxonomy = taxonomy;
+    this._terms = null;
+    this._loading = null;
+    this._creating = new Map();
+  }
+
+  /**
+   * Load every page of terms (once; concurrent callers share the request)
+   *
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.refresh=false] - Reload even if already loaded
+   * @returns {Promise<Object[]>} All terms ({ id, name, slug, count, ... })
+   */
+  async load(options = {}) {
+    if (this._terms && !options.refresh) {
+      return this._terms;
+    }
+    if (!this._loading) {
+      // Terms are a paginated collection like posts; ordering by ID keeps pages stable
+      this._loading = this.client.getAllPosts(this.taxonomy, { orderby: 'id', order: 'asc' })
+        .then(terms => {
+          this._terms = terms;
+          return terms;
+        })
+        .finally(() => {
+          this._loading = null;
+        });
+    }
+    return this._loading;
+  }
+
+  /**
+   * Find a term by ID
+   *
+   * @param {number|string} id - Term ID
+   * @returns {Promise<Object|null>} The term, or null if the site doesn't have it
+   */
+  async get(id) {
+    const terms = await this.load();
+    return terms.find(t => t.id === Number(id)) || null;
+  }
+
+  /**
+   * Find a term by name or slug without creating it
+   *
+   * All-digit text is a name too (a tag called "2024"); look IDs up with get().
+   *
+   * @param {string} nameOrSlug - Term name or slug
+   * @returns {Promise<Object|null>} The term, or null if the site doesn't have it
+   */
+  async find(nameOrSlug) {
+    const terms = await this.load();
+    const text = String(nameOrSlug);
+    const needle = normalizeTermName(text);
+    const slug = text.trim().toLowerCase();
+    return terms.find(t => normalizeTermName(t.name) === needle) ||
+      terms.find(t => t.slug === slug || decodeSlug(t.slug) === slug) ||
+      null;
+  }
+
+  /**
+   * Get a term ID by name or slug, creating the term if the site doesn't have it
+   *
+   * A term created elsewhere since the cache loaded (WordPress answers
+   * `term_exists`) reloads the cache.
+   *
+   * @param {string} name - Term name (or slug of an existing term)
+   * @returns {Promise<number>} Term ID
+   * @throws {Error} If the term can't be created
+   */
+  async resolve(name) {
+    const existing = await this.find(name);
+    if (existing) {
+      return existing.id;
+    }
+
+    // Concurrent publishes asking for the same new term create it once
+    const key = normalizeTermName(name);
+    if (!this._creating.has(key)) {
+      this._creating.set(key, this._create(name).finally(() => this._creating.delete(key)));
+    }
+    return this._creating.get(key);
+  }
+
+  /**
+   * Forget the loaded terms; the next lookup loads them again
+   */
+  invalidate() {
+    this._terms = null;
+  }
+
+  /**
+   * Create a term and add it to the cache
+   * @private
+   */
+  async _create(name) {
+    try {
+      const term = await this.client._request('POST', `/wp/v2/${this.taxonomy}`, { name });
+      this.add(term);
+      return term.id;
+    } catch (error) {
+      if (error.code === 'term_exists' && error.data && error.data.term_id) {
+        await this.load({ refresh: true });
+        return error.data.term_id;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add or replace a term in the loaded cache
+   *
+   * @param {Object} term - Term from the REST API
+   */
+  add(term) {
+    if (!this._terms || !term || !term.id) return;
+    this._terms = this._terms.filter(t => t.id !== term.id).concat(term);
+  }
+
+  /**
+   * Remove a term from the loaded cache
+   *
+   * @param {number} termId - Term ID
+   */
+  remove(termId) {
+    if (!this._terms) return;
+    this._terms = this._terms.filter(t => t.id !== termId);
+  }
+}
+
+module.exports = {
+  TermCache,
+  decodeTermName,
+  normalizeTermName
+};
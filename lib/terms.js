@@ -0,0 +1,496 @@
+/**
+ * @fileoverview Category and tag management on a WordPress site
+ * @module ownwords/terms
+ *
+ * Cleaning up a taxonomy (for example after `apply-tags`) means renaming,
+ * merging and deleting terms in WordPress as well as locally. Each change
+ * is made on the site and then in the front matter of a content directory,
+ * so the next publish doesn't bring the old terms back:
+ *
+ * - rename:   the term keeps its ID; front matter names change
+ * - merge:    every post with the source term gets the target term, then
+ *             the source is deleted; front matter names and IDs change
+ * - delete:   the term is removed from the site and from front matter
+ * - describe: the term's description is shown or set
+ *
+ * Front matter is edited in place, as `apply-tags` does, so dates, quoting
+ * and key order elsewhere in the file stay as written.
+ */
+
+const fs = require('fs');
+const { WpClient } = require('./wp-api');
+const { resolveSiteConfig } = require('./fetch-api');
+const { loadCorpus, termNames } = require('./corpus');
+const { mapConcurrent } = require('./pool');
+const { decodeTermName, normalizeTermName } = require('./term-cache');
+
+/**
+ * Taxonomies managed by the terms commands, and where front matter records them
+ * @private
+ */
+const TERM_TAXONOMIES = {
+  categories: { restBase: 'categories', slug: 'category', label: 'category', keys: ['categories', 'category'], idsKey: 'category_ids' },
+  tags: { restBase: 'tags', slug: 'post_tag', label: 'tag', keys: ['tags'], idsKey: 'tag_ids' }
+};
+
+/**
+ * Resolve 'categories', 'category', 'tags' or 'tag'
+ * @private
+ */
+function resolveTermTaxonomy(taxonomy) {
+  const key = { category: 'categories', categories: 'categories', tag: 'tags', tags: 'tags' }[String(taxonomy).toLowerCase()];
+  if (!key) {
+    throw new Error(`Unknown taxonomy "${taxonomy}" (expected categories or tags)`);
+  }
+  return TERM_TAXONOMIES[key];
+}
+
+/**
+ * Use the given client or build one from the site config
+ * @private
+ */
+function createClient(options) {
+  if (options.client) {
+    return options.client;
+  }
+  const siteConfig = resolveSiteConfig(options.site);
+  return new WpClient({
+    url: siteConfig.url,
+    username: siteConfig.username,
+    appPassword: siteConfig.appPassword,
+    retries: siteConfig.retries,
+    rateLimit: siteConfig.rateLimit
+  });
+}
+
+/**
+ * Find a term by ID, name or slug, or fail
+ *
+ * All-digit arguments are IDs first, then names (a tag called "2024").
+ * @private
+ */
+async function findTerm(client, tax, nameOrSlug) {
+  const cache = client.getTermCache(tax.restBase);
+  const term = (/^\d+$/.test(String(nameOrSlug)) && await cache.get(nameOrSlug)) || await cache.find(nameOrSlug);
+  if (!term) {
+    throw new Error(`No ${tax.label} "${nameOrSlug}" on ${client.url}`);
+  }
+  return term;
+}
+
+/**
+ * The fields of a term worth reporting, with its name decoded
+ * @private
+ */
+function summarizeTerm(term) {
+  return {
+    id: term.id,
+    name: decodeTermName(term.name),
+    slug: term.slug,
+    count: term.count || 0,
+    parent: term.parent || 0,
+    description: term.description || ''
+  };
+}
+
+/**
+ * Find every post (of any post type using the taxonomy, in any status) with a term
+ * @private
+ */
+async function findPostsWithTerm(client, tax, termId) {
+  const types = (await client.getPostTypes()).filter(t => t.taxonomies.includes(tax.slug));
+  const restBases = types.length > 0 ? types.map(t => t.restBase) : ['posts'];
+  const posts = [];
+
+  for (const type of restBases) {
+    const items = await client.getAllPosts(type, { [tax.restBase]: termId, status: 'any', _fields: `id,${tax.restBase}` });
+    posts.push(...items.map(post => ({ type, post })));
+  }
+
+  return posts;
+}
+
+/**
+ * Replace the value of a front matter key with a list, keeping its style
+ *
+ * Block lists stay block lists, inline lists stay inline and a single
+ * value (`category: News`) stays a single value, removed when the list is
+ * empty. Nested keys (`wordpress.tag_ids`) are found by indentation.
+ *
+ * @private
+ * @param {string} markdown - Markdown file content
+ * @param {string} key - Front matter key
+ * @param {Array<string|number>} values - New values
+ * @param {boolean} nested - Whether the key is inside a section
+ * @returns {string} Updated content (unchanged if the key isn't there)
+ */
+function replaceFrontMatterList(markdown, key, values, nested) {
+  const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  if (!match) return markdown;
+
+  const lines = match[1].split('\n');
+  const keyLine = /^(\s*)([\w-]+):(.*)$/;
+  const start = lines.findIndex(line => {
+    const m = line.match(keyLine);
+    return m && m[2] === key && (nested ? m[1].length > 0 : m[1].length === 0);
+  });
+  if (start === -1) return markdown;
+
+  const [, indent, , rest] = lines[start].match(keyLine);
+  const indentOf = line => line.match(/^\s*/)[0].length;
+
+  // The value runs on while lines are indented deeper, or are `- ` items at the key's indent
+  let end = start + 1;
+  while (end < lines.length && lines[end].trim() !== '' &&
+    (indentOf(lines[end]) > indent.length || (indentOf(lines[end]) === indent.length && /^\s*-(\s|$)/.test(lines[end])))) {
+    end++;
+  }
+
+  const format = value => typeof value === 'number' ? String(value) : JSON.stringify(value);
+  const value = rest.trim();
+  let replacement;
+  if (value !== '' && !value.startsWith('[')) {
+    replacement = values.length > 0 ? [`${indent}${key}: ${format(values[0])}`] : [];
+  } else if (value.startsWith('[') || values.length === 0) {
+    replacement = [`${indent}${key}: [${values.map(format).join(', ')}]`];
+  } else {
+    const itemIndent = end > start + 1 ? lines[start + 1].match(/^\s*/)[0] : `${indent}  `;
+    replacement = [`${indent}${key}:`, ...values.map(v => `${itemIndent}- ${format(v)}`)];
+  }
+
+  lines.splice(start, end - start, ...replacement);
+  const offset = match[0].indexOf(match[1]);
+  return markdown.slice(0, offset) + lines.join('\n') + markdown.slice(offset + match[1].length);
+}
+
+/**
+ * Set a key in the front matter's `wordpress:` section, adding it if missing
+ *
+ * @private
+ * @param {string} markdown - Markdown file content
+ * @param {string} key - Key inside `wordpress:`
+ * @param {string} value - New value (written quoted)
+ * @returns {string} Updated content (unchanged without a `wordpress:` section)
+ */
+function setWordPressValue(markdown, key, value) {
+  const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  if (!match) return markdown;
+
+  const lines = match[1].split('\n');
+  const section = lines.findIndex(line => /^wordpress:\s*$/.test(line));
+  if (section === -1) return markdown;
+
+  let end = section + 1;
+  while (end < lines.length && /^\s+\S/.test(lines[end])) {
+    end++;
+  }
+  const indent = end > section + 1 ? lines[section + 1].match(/^\s*/)[0] : '  ';
+  const line = `${indent}${key}: ${JSON.stringify(value)}`;
+  const existing = lines.slice(section + 1, end).findIndex(l => l.startsWith(`${indent}${key}:`));
+  if (existing === -1) {
+    lines.splice(end, 0, line);
+  } else {
+    lines[section + 1 + existing] = line;
+  }
+
+  const offset = match[0].indexOf(match[1]);
+  return markdown.slice(0, offset) + lines.join('\n') + markdown.slice(offset + match[1].length);
+}
+
+/**
+ * Apply a term change to the front matter of every file in a content directory
+ *
+ * Names under `categories:`/`category:` or `tags:` that match the old term
+ * (by name, case- and entity-insensitively, or by slug) are replaced with
+ * the new name or dropped, and the term's ID in `wordpress.category_ids` or
+ * `wordpress.tag_ids` is replaced or dropped the same way. Posts the change
+ * updated on WordPress get their new `wordpress.modified_gmt`, so the next
+ * `publish --update` doesn't take the change for a remote edit.
+ *
+ * @param {string} contentDir - Content directory (flat or hierarchical)
+ * @param {string} taxonomy - 'categories' or 'tags'
+ * @param {Object} change - The change
+ * @param {Object} change.from - Old term ({ id, name, slug })
+ * @param {Object|null} change.to - New term ({ id, name }), or null to remove the term
+ * @param {Map<number, string>} [change.modified] - New `modified_gmt` of the posts updated, by post ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun=false] - Report the files without writing them
+ * @returns {string[]} Files changed (or that would change)
+ * @throws {Error} If the taxonomy is unknown or the directory does not exist
+ *
+ * @example
+ * updateLocalTerms('./content', 'tags', { from: { id: 12, name: 'JS', slug: 'js' }, to: { id: 3, name: 'JavaScript' } });
+ */
+function updateLocalTerms(contentDir, taxonomy, change, options = {}) {
+  const tax = resolveTermTaxonomy(taxonomy);
+  const { from, to } = change;
+  const fromName = normalizeTermName(from.name);
+  const matches = name => normalizeTermName(name) === fromName || (Boolean(from.slug) && name.trim().toLowerCase() === from.slug);
+  const sameName = (a, b) => normalizeTermName(a) === normalizeTermName(b);
+
+  const changed = [];
+  for (const entry of loadCorpus(contentDir).entries) {
+    const original = fs.readFileSync(entry.sourcePath, 'utf-8');
+    let markdown = original;
+
+    for (const key of tax.keys) {
+      const names = termNames(entry.data[key]);
+      if (!names.some(matches)) continue;
+
+      const updated = [];
+      for (const name of names) {
+        const next = matches(name) ? (to ? decodeTermName(to.name) : null) : name;
+        if (next !== null && !updated.some(n => sameName(n, next))) {
+          updated.push(next);
+        }
+      }
+      markdown = replaceFrontMatterList(markdown, key, updated, false);
+    }
+
+    const ids = entry.data.wordpress && entry.data.wordpress[tax.idsKey];
+    if (Array.isArray(ids) && ids.includes(from.id) && (!to || to.id !== from.id)) {
+      const updatedIds = [];
+      for (const id of ids) {
+        const next = id === from.id ? (to ? to.id : null) : id;
+        if (next !== null && !updatedIds.includes(next)) {
+          updatedIds.push(next);
+        }
+      }
+      markdown = replaceFrontMatterList(markdown, tax.idsKey, updatedIds, true);
+    }
+
+    const postId = entry.data.wordpress && entry.data.wordpress.post_id;
+    if (change.modified && change.modified.has(postId)) {
+      markdown = setWordPressValue(markdown, 'modified_gmt', change.modified.get(postId));
+    }
+
+    if (markdown !== original) {
+      if (!options.dryRun) {
+        fs.writeFileSync(entry.sourcePath, markdown);
+      }
+      changed.push(entry.sourcePath);
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * List a site's categories or tags
+ *
+ * @param {string} taxonomy - 'categories' or 'tags'
+ * @param {Object} [options] - Options
+ * @param {WpClient} [options.client] - WordPress client (default: built from the site config)
+ * @param {string} [options.site] - Site name from config (default site if omitted)
+ * @param {string} [options.sort='name'] - 'name', or 'count' for the most used first
+ * @returns {Promise<Object[]>} Terms ({ id, name, slug, count, parent, description })
+ *
+ * @example
+ * const unused = (await listTerms('tags', { site: 'myblog' })).filter(t => t.count === 0);
+ */
+async function listTerms(taxonomy, options = {}) {
+  const tax = resolveTermTaxonomy(taxonomy);
+  const client = createClient(options);
+  const terms = (await client.getTermCache(tax.restBase).load()).map(summarizeTerm);
+
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+  return terms.sort(options.sort === 'count' ? (a, b) => b.count - a.count || byName(a, b) : byName);
+}
+
+/**
+ * Rename a category or tag on the site and in local front matter
+ *
+ * @param {string} taxonomy - 'categories' or 'tags'
+ * @param {string|number} nameOrSlug - Term name, slug or ID
+ * @param {string} newName - New name
+ * @param {Object} [options] - Options
+ * @param {WpClient} [options.client] - WordPress client (default: built from the site config)
+ * @param {string} [options.site] - Site name from config (default site if omitted)
+ * @param {string} [options.slug] - New slug (default: WordPress keeps the old one)
+ * @param {string} [options.contentDir] - Content directory whose front matter to update
+ * @param {boolean} [options.dryRun=false] - Report without changing anything
+ * @returns {Promise<{term: Object, previous: Object, files: string[]}>} Renamed term,
+ *   the term before, and the files changed
+ * @throws {Error} If the term doesn't exist or another term already has the name
+ */
+async function renameTerm(taxonomy, nameOrSlug, newName, options = {}) {
+  const tax = resolveTermTaxonomy(taxonomy);
+  if (typeof newName !== 'string' || !newName.trim()) {
+    throw new Error('New name required');
+  }
+
+  const client = createClient(options);
+  const term = await findTerm(client, tax, nameOrSlug);
+  const taken = (await client.getTermCache(tax.restBase).load())
+    .find(t => t.id !== term.id && normalizeTermName(t.name) === normalizeTermName(newName));
+  if (taken) {
+    throw new Error(`A ${tax.label} named "${decodeTermName(taken.name)}" already exists (ID ${taken.id}); merge into it instead`);
+  }
+
+  const data = { name: newName.trim() };
+  if (options.slug) {
+    data.slug = options.slug;
+  }
+  const renamed = options.dryRun ? { ...term, ...data } : await client.updateTerm(tax.restBase, term.id, data);
+
+  return {
+    term: summarizeTerm(renamed),
+    previous: summarizeTerm(term),
+    files: options.contentDir
+      ? updateLocalTerms(options.contentDir, tax.restBase, { from: term, to: renamed }, { dryRun: options.dryRun })
+      : []
+  };
+}
+
+/**
+ * Merge one category or tag into another
+ *
+ * Every post with the source term (drafts and private posts included, in
+ * every post type that uses the taxonomy) is given the target term in its
+ * place, then the source term is deleted. If any post can't be updated the
+ * source is kept, so running the merge again finishes the job.
+ *
+ * @param {string} taxonomy - 'categories' or 'tags'
+ * @param {string|number} source - Name, slug or ID of the term to merge away
+ * @param {string|number} target - Name, slug or ID of the term to keep
+ * @param {Object} [options] - Options
+ * @param {WpClient} [options.client] - WordPress client (default: built from the site config)
+ * @param {string} [options.site] - Site name from config (default site if omitted)
+ * @param {string} [options.contentDir] - Content directory whose front matter to update
+ * @param {number} [options.concurrency=1] - Posts updated at once
+ * @param {boolean} [options.dryRun=false] - Report without changing anything
+ * @returns {Promise<{source: Object, target: Object, posts: number, reassigned: number,
+ *   deleted: boolean, errors: Array<{postId: number, error: string}>, files: string[]}>}
+ *   Merge results
+ * @throws {Error} If either term doesn't exist or they are the same term
+ *
+ * @example
+ * await mergeTerms('tags', 'JS', 'JavaScript', { site: 'myblog', contentDir: './content' });
+ */
+async function mergeTerms(taxonomy, source, target, options = {}) {
+  const tax = resolveTermTaxonomy(taxonomy);
+  const client = createClient(options);
+  const from = await findTerm(client, tax, source);
+  const to = await findTerm(client, tax, target);
+  if (from.id === to.id) {
+    throw new Error(`"${source}" and "${target}" are the same ${tax.label}`);
+  }
+
+  const posts = await findPostsWithTerm(client, tax, from.id);
+  const summary = {
+    source: summarizeTerm(from),
+    target: summarizeTerm(to),
+    posts: posts.length,
+    reassigned: 0,
+    deleted: false,
+    errors: [],
+    files: []
+  };
+
+  if (options.dryRun) {
+    if (options.contentDir) {
+      summary.files = updateLocalTerms(options.contentDir, tax.restBase, { from, to }, { dryRun: true });
+    }
+    return summary;
+  }
+
+  const results = await mapConcurrent(posts, ({ type, post }) => {
+    const ids = (post[tax.restBase] || []).filter(id => id !== from.id);
+    if (!ids.includes(to.id)) {
+      ids.push(to.id);
+    }
+    return client.updatePost(post.id, { terms: { [tax.restBase]: ids } }, type);
+  }, { concurrency: options.concurrency });
+
+  // Reassigning touches each post's modified_gmt, which local files must record
+  const modified = new Map();
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      summary.reassigned++;
+      modified.set(result.value.id, result.value.modified_gmt);
+    } else {
+      summary.errors.push({ postId: posts[index].post.id, error: result.reason.message });
+    }
+  });
+  if (summary.errors.length > 0) {
+    return summary;
+  }
+
+  await client.deleteTerm(tax.restBase, from.id);
+  summary.deleted = true;
+  // Post counts changed on the target as well
+  client.getTermCache(tax.restBase).invalidate();
+
+  if (options.contentDir) {
+    summary.files = updateLocalTerms(options.contentDir, tax.restBase, { from, to, modified });
+  }
+  return summary;
+}
+
+/**
+ * Delete a category or tag from the site and from local front matter
+ *
+ * @param {string} taxonomy - 'categories' or 'tags'
+ * @param {string|number} nameOrSlug - Term name, slug or ID
+ * @param {Object} [options] - Options
+ * @param {WpClient} [options.client] - WordPress client (default: built from the site config)
+ * @param {string} [options.site] - Site name from config (default site if omitted)
+ * @param {string} [options.contentDir] - Content directory whose front matter to update
+ * @param {boolean} [options.dryRun=false] - Report without changing anything
+ * @returns {Promise<{term: Object, files: string[]}>} Deleted term and the files changed
+ * @throws {Error} If the term doesn't exist or WordPress refuses (e.g., the default category)
+ */
+async function deleteTerm(taxonomy, nameOrSlug, options = {}) {
+  const tax = resolveTermTaxonomy(taxonomy);
+  const client = createClient(options);
+  const term = await findTerm(client, tax, nameOrSlug);
+
+  if (!options.dryRun) {
+    await client.deleteTerm(tax.restBase, term.id);
+  }
+
+  return {
+    term: summarizeTerm(term),
+    files: options.contentDir
+      ? updateLocalTerms(options.contentDir, tax.restBase, { from: term, to: null }, { dryRun: options.dryRun })
+      : []
+  };
+}
+
+/**
+ * Show or set a category or tag description
+ *
+ * @param {string} taxonomy - 'categories' or 'tags'
+ * @param {string|number} nameOrSlug - Term name, slug or ID
+ * @param {string} [description] - New description (omit to only read it)
+ * @param {Object} [options] - Options
+ * @param {WpClient} [options.client] - WordPress client (default: built from the site config)
+ * @param {string} [options.site] - Site name from config (default site if omitted)
+ * @param {boolean} [options.dryRun=false] - Report without changing anything
+ * @returns {Promise<{term: Object, updated: boolean}>} The term (with the new description when set)
+ * @throws {Error} If the term doesn't exist
+ */
+async function describeTerm(taxonomy, nameOrSlug, description, options = {}) {
+  const tax = resolveTermTaxonomy(taxonomy);
+  const client = createClient(options);
+  const term = await findTerm(client, tax, nameOrSlug);
+
+  if (description === undefined || description === null) {
+    return { term: summarizeTerm(term), updated: false };
+  }
+  if (options.dryRun) {
+    return { term: summarizeTerm({ ...term, description }), updated: false };
+  }
+
+  const updated = await client.updateTerm(tax.restBase, term.id, { description });
+  return { term: summarizeTerm(updated), updated: true };
+}
+
+module.exports = {
+  listTerms,
+  renameTerm,
+  mergeTerms,
+  deleteTerm,
+  describeTerm,
+  updateLocalTerms
+};
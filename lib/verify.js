@@ -365,6 +365,136 @@ function extractListItemsFromMarkdown(markdown) {
   return items;
 }
 
+/**
+ * Extract tables from HTML
+ *
+ * @param {string} html - HTML content
+ * @returns {Array<{rows: number, columns: number, header: string[]}>} Table shapes
+ */
+function extractTablesFromHtml(html) {
+  const tables = [];
+  const tablePattern = /<table[^>]*>([\s\S]*?)<\/table>/gi;
+  let match;
+  while ((match = tablePattern.exec(html)) !== null) {
+    const rows = match[1].match(/<tr[^>]*>[\s\S]*?<\/tr>/gi) || [];
+    const cells = rows.map(row => row.match(/<t[hd][^>]*>[\s\S]*?<\/t[hd]>/gi) || []);
+    const header = (cells[0] || []).map(cell => decodeHtmlEntities(cell.replace(/<[^>]+>/g, '')).trim());
+    tables.push({
+      rows: rows.length,
+      columns: Math.max(0, ...cells.map(c => c.length)),
+      header
+    });
+  }
+  return tables;
+}
+
+/**
+ * Extract tables from Markdown (GFM pipe tables and raw HTML tables)
+ *
+ * @param {string} markdown - Markdown content
+ * @returns {Array<{rows: number, columns: number, header: string[]}>} Table shapes
+ */
+function extractTablesFromMarkdown(markdown) {
+  const content = markdown.replace(/^---[\s\S]*?---\n*/m, '');
+  const tables = extractTablesFromHtml(content);
+  const lines = content.split('\n');
+  const splitRow = line => line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+
+  for (let i = 1; i < lines.length; i++) {
+    // A delimiter row (| --- | :-: |) below a header row starts a table
+    if (!lines[i].includes('|') || !lines[i - 1].includes('|') ||
+        !/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i])) {
+      continue;
+    }
+    const header = splitRow(lines[i - 1]);
+    let rows = 1;
+    let j = i + 1;
+    while (j < lines.length && lines[j].includes('|') && lines[j].trim() !== '') {
+      rows++;
+      j++;
+    }
+    tables.push({ rows, columns: header.length, header });
+    i = j;
+  }
+  return tables;
+}
+
+/**
+ * Normalize an embed URL so different forms of the same media compare equal
+ * @private
+ */
+function normalizeEmbedUrl(url) {
+  const youtube = url.match(/(?:youtube(?:-nocookie)?\.com\/(?:embed\/|watch\?(?:[^#]*&)?v=|shorts\/)|youtu\.be\/)([\w-]+)/i);
+  if (youtube) return `youtube:${youtube[1]}`;
+  const vimeo = url.match(/vimeo\.com\/(?:video\/)?(\d+)/i);
+  if (vimeo) return `vimeo:${vimeo[1]}`;
+  return decodeHtmlEntities(url).replace(/^https?:\/\//, '').replace(/\/$/, '');
+}
+
+/**
+ * Embed providers whose URLs WordPress turns into embeds
+ * @private
+ */
+const EMBED_URL_PATTERN = /^https?:\/\/(?:(?:www|m)\.)?(?:youtube\.com|youtu\.be|vimeo\.com|twitter\.com|x\.com|open\.spotify\.com|soundcloud\.com|tiktok\.com)\/\S+$/i;
+
+/**
+ * Extract embeds (iframes, embed blocks, tweets) from HTML
+ *
+ * @param {string} html - HTML content
+ * @returns {string[]} Normalized embed identifiers (e.g., "youtube:VIDEO_ID")
+ */
+function extractEmbedsFromHtml(html) {
+  const embeds = [];
+  let match;
+
+  const iframePattern = /<iframe[^>]*src="([^"]+)"[^>]*>/gi;
+  while ((match = iframePattern.exec(html)) !== null) {
+    embeds.push(normalizeEmbedUrl(match[1]));
+  }
+
+  // Block editor embeds before oEmbed rendering: the URL sits in the wrapper div
+  const blockPattern = /<div class="wp-block-embed__wrapper">\s*(https?:\/\/[^\s<]+)\s*<\/div>/gi;
+  while ((match = blockPattern.exec(html)) !== null) {
+    embeds.push(normalizeEmbedUrl(match[1]));
+  }
+
+  const tweetPattern = /<blockquote[^>]*class="[^"]*twitter-tweet[^"]*"[^>]*>[\s\S]*?<a[^>]*href="(https?:\/\/(?:twitter|x)\.com\/[^"]*\/status\/[^"]+)"[^>]*>[^<]*<\/a>\s*<\/blockquote>/gi;
+  while ((match = tweetPattern.exec(html)) !== null) {
+    embeds.push(normalizeEmbedUrl(match[1].split('?')[0]));
+  }
+
+  return embeds;
+}
+
+/**
+ * Extract embeds from Markdown
+ *
+ * Counts raw iframes, provider URLs on their own line and the linked
+ * thumbnail that conversion substitutes for YouTube iframes.
+ *
+ * @param {string} markdown - Markdown content
+ * @returns {string[]} Normalized embed identifiers (e.g., "youtube:VIDEO_ID")
+ */
+function extractEmbedsFromMarkdown(markdown) {
+  const content = markdown.replace(/^---[\s\S]*?---\n*/m, '');
+  const embeds = extractEmbedsFromHtml(content);
+
+  for (const line of content.split('\n')) {
+    const trimmed = line.trim().replace(/^<(.+)>$/, '$1');
+    if (EMBED_URL_PATTERN.test(trimmed)) {
+      embeds.push(normalizeEmbedUrl(trimmed));
+    }
+  }
+
+  const thumbnailPattern = /\[!\[[^\]]*\]\(https?:\/\/img\.youtube\.com\/vi\/[^)]+\)\]\(([^)]+)\)/g;
+  let match;
+  while ((match = thumbnailPattern.exec(content)) !== null) {
+    embeds.push(normalizeEmbedUrl(match[1]));
+  }
+
+  return embeds;
+}
+
 // ============================================================================
 // VALIDATION FUNCTIONS
 // ============================================================================
@@ -835,5 +965,9 @@ module.exports = {
   extractCodeFromMarkdown,
   extractListItemsFromHtml,
   extractListItemsFromMarkdown,
+  extractTablesFromHtml,
+  extractTablesFromMarkdown,
+  extractEmbedsFromHtml,
+  extractEmbedsFromMarkdown,
   decodeHtmlEntities
 };
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Watch mode: re-publish articles to WordPress on save
+ * @module ownwords/watch
+ *
+ * Watches markdown files and their co-located images and re-runs
+ * publishMarkdown with update for each article that changed, so editors
+ * reviewing in wp-admin always see the latest draft. Publishes run one at a
+ * time; the `.images.json` sidecar means only new or changed images are
+ * uploaded again.
+ *
+ * Safeguards:
+ * - Articles without a wordpress.post_id are skipped unless `create` is set
+ * - A published post is never moved back to draft (or any other status)
+ *   unless the watch status is 'publish'
+ * - Edits made in WordPress since the last sync stop the update (REMOTE_DRIFT)
+ *   unless `force` is set
+ * - The front matter written after each publish does not trigger another one
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WpClient } = require('./wp-api');
+const { resolveSiteConfig } = require('./fetch-api');
+const { watchFiles } = require('./watcher');
+const {
+  extractLocalImages,
+  getFeaturedImage,
+  readWordPressMetadata,
+  readFrontMatterType,
+  updateFrontMatterWithWordPress
+} = require('./image-utils');
+
+/**
+ * Check whether a markdown file references an image, in the body or as featured_image
+ * @private
+ */
+function referencesImage(mdPath, imagePath) {
+  const content = fs.readFileSync(mdPath, 'utf-8');
+  const mdDir = path.dirname(mdPath);
+  const images = extractLocalImages(content, mdDir);
+  const featured = getFeaturedImage(content, mdDir);
+  if (featured) images.push(featured);
+  return images.some(img => path.resolve(img.absolutePath) === imagePath);
+}
+
+/**
+ * Find the articles that reference an image
+ *
+ * Images are co-located, so only markdown files in the image's directory
+ * and its parents (up to the watched root) are checked.
+ *
+ * @param {string} imagePath - Absolute path to the image
+ * @param {string} root - Watched root directory
+ * @returns {string[]} Absolute paths of the referencing markdown files
+ */
+function findArticlesForImage(imagePath, root) {
+  const articles = [];
+  let dir = path.dirname(imagePath);
+
+  while (dir === root || dir.startsWith(root + path.sep)) {
+    for (const name of fs.readdirSync(dir).sort()) {
+      const mdPath = path.join(dir, name);
+      if (name.endsWith('.md') && fs.statSync(mdPath).isFile() && referencesImage(mdPath, imagePath)) {
+        articles.push(mdPath);
+      }
+    }
+    if (dir === root) break;
+    dir = path.dirname(dir);
+  }
+
+  return articles;
+}
+
+/**
+ * Publish one article with update, recording the result in its front matter
+ * @private
+ */
+async function publishArticle(mdPath, client, options) {
+  const { status, create, force, blocks, siteName } = options;
+  const wpMeta = readWordPressMetadata(mdPath);
+  const postId = wpMeta?.post_id;
+
+  if (!postId && !create) {
+    return { mdPath, action: 'skipped', reason: 'No wordpress.post_id; publish it first or watch with --create' };
+  }
+
+  // Front matter records the post type slug ('page', 'talk', ...); the API wants the REST base
+  const frontMatterType = readFrontMatterType(mdPath);
+  const type = options.type ||
+    (frontMatterType && frontMatterType !== 'post' ? (await client.resolvePostType(frontMatterType)).restBase : 'posts');
+
+  // SAFEGUARD: Saving a draft must not take a live post offline
+  if (postId) {
+    const existing = await client.getPostById(postId, type);
+    if (existing.status === 'publish' && status !== 'publish') {
+      return {
+        mdPath,
+        action: 'skipped',
+        postId,
+        reason: `Post ${postId} is published; watch with --status=publish to update it live`
+      };
+    }
+  }
+
+  const result = await client.publishMarkdown(mdPath, {
+    status,
+    update: Boolean(postId),
+    type,
+    force,
+    blocks,
+    siteName,
+    silent: true
+  });
+  updateFrontMatterWithWordPress(mdPath, result);
+
+  return {
+    mdPath,
+    action: result.action,
+    postId: result.postId,
+    link: result.link,
+    imagesUploaded: result.imagesUploaded
+  };
+}
+
+/**
+ * Watch a markdown file or directory and re-publish articles on save
+ *
+ * A saved markdown file is published when its content changed since the
+ * last publish; a saved image publishes every article that references it.
+ * Results (including failures) are reported through `onResult`.
+ *
+ * @param {string} target - Markdown file or content directory
+ * @param {Object} [options] - Watch options
+ * @param {WpClient} [options.client] - WordPress client (default: built from the site config)
+ * @param {string} [options.site] - Site name from config (default site if omitted)
+ * @param {string} [options.status='draft'] - Post status to publish with
+ * @param {string} [options.type] - Content type REST base (default: from front matter type)
+ * @param {boolean} [options.create=false] - Create posts for articles without a wordpress.post_id
+ * @param {boolean} [options.force=false] - Update even if the post was edited in WordPress since the last sync
+ * @param {boolean} [options.blocks=false] - Publish native Gutenberg block markup
+ * @param {number} [options.debounce=1000] - Quiet period in milliseconds before publishing
+ * @param {function(Object): void} [options.onResult] - Called after each article with
+ *   { mdPath, action: 'created'|'updated'|'skipped'|'failed', postId, link, imagesUploaded, reason, error }
+ * @returns {{close: function(): Promise<void>}} Watch handle; close() resolves once in-flight publishes finish
+ * @throws {Error} If the target does not exist or no site is configured
+ *
+ * @example
+ * const watch = watchAndPublish('./content/posts', {
+ *   site: 'myblog',
+ *   onResult: r => console.log(r.action, r.mdPath)
+ * });
+ * // later
+ * await watch.close();
+ */
+function watchAndPublish(target, options = {}) {
+  const {
+    status = 'draft',
+    create = false,
+    force = false,
+    blocks = false,
+    debounce = 1000,
+    onResult = () => {}
+  } = options;
+
+  if (!fs.existsSync(target)) {
+    throw new Error(`Not found: ${target}`);
+  }
+
+  let client = options.client;
+  if (!client) {
+    const siteConfig = resolveSiteConfig(options.site);
+    client = new WpClient({
+      url: siteConfig.url,
+      username: siteConfig.username,
+      appPassword: siteConfig.appPassword,
+      customFields: siteConfig.customFields,
+      retries: siteConfig.retries,
+      rateLimit: siteConfig.rateLimit
+    });
+  }
+
+  const single = fs.statSync(target).isFile() ? path.resolve(target) : null;
+  const root = single ? path.dirname(single) : path.resolve(target);
+  const publishOptions = {
+    status,
+    create,
+    force,
+    blocks,
+    type: options.type,
+    siteName: options.site || client.url
+  };
+
+  // Content of each article as last published (after the front matter update)
+  const published = new Map();
+  let queue = Promise.resolve();
+  let closed = false;
+
+  const publishChanged = async files => {
+    const articles = new Set();
+    for (const file of files) {
+      if (!fs.existsSync(file)) continue;
+
+      if (file.endsWith('.md')) {
+        // Unchanged content is our own front matter write or a no-op save
+        if (fs.readFileSync(file, 'utf-8') !== published.get(file)) {
+          articles.add(file);
+        }
+      } else {
+        for (const mdPath of findArticlesForImage(file, root)) {
+          articles.add(mdPath);
+        }
+      }
+    }
+
+    for (const mdPath of articles) {
+      if (closed) return;
+      if (single && mdPath !== single) continue;
+
+      let result;
+      try {
+        result = await publishArticle(mdPath, client, publishOptions);
+        if (result.action !== 'skipped') {
+          published.set(mdPath, fs.readFileSync(mdPath, 'utf-8'));
+        }
+      } catch (error) {
+        result = { mdPath, action: 'failed', error };
+      }
+      onResult(result);
+    }
+  };
+
+  const watcher = watchFiles(target, files => {
+    queue = queue.then(() => publishChanged(files)).catch(error => {
+      onResult({ mdPath: null, action: 'failed', error });
+    });
+  }, { debounce });
+
+  return {
+    close() {
+      closed = true;
+      watcher.close();
+      return queue;
+    }
+  };
+}
+
+module.exports = {
+  watchAndPublish,
+  findArticlesForImage
+};
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Debounced file watching for markdown and co-located images
+ * @module ownwords/watcher
+ *
+ * Editors save in bursts (write, rename, touch), so changes are collected
+ * until the files have been quiet for the debounce interval, then reported
+ * together. Used by the preview server and watch mode.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File extensions watched: markdown and the images articles reference
+ */
+const WATCHED_EXTENSIONS = ['.md', '.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.avif'];
+
+/**
+ * Check whether a changed file is worth reporting
+ * @private
+ */
+function isWatchedFile(filePath, root) {
+  const relative = path.relative(root, filePath);
+  if (relative.split(path.sep).some(segment => segment.startsWith('.') || segment === 'node_modules')) {
+    return false;
+  }
+  return WATCHED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Watch a markdown file or directory for changes
+ *
+ * A single file is watched together with its directory, so co-located
+ * images are picked up too. Changed paths may no longer exist (deletes and
+ * the temporary files of atomic saves); callers should check.
+ *
+ * @param {string} target - Markdown file or content directory
+ * @param {function(string[]): void} onChange - Called with the changed paths after each burst
+ * @param {Object} [options] - Watch options
+ * @param {number} [options.debounce=300] - Quiet period in milliseconds before reporting
+ * @returns {{close: function(): void}} Watcher handle
+ * @throws {Error} If the target does not exist
+ *
+ * @example
+ * const watcher = watchFiles('./content', files => console.log('Changed:', files));
+ * // later
+ * watcher.close();
+ */
+function watchFiles(target, onChange, options = {}) {
+  const { debounce = 300 } = options;
+
+  if (!fs.existsSync(target)) {
+    throw new Error(`Not found: ${target}`);
+  }
+
+  const root = path.resolve(fs.statSync(target).isDirectory() ? target : path.dirname(target));
+  const pending = new Set();
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    const files = [...pending].sort();
+    pending.clear();
+    if (files.length > 0) onChange(files);
+  };
+
+  const watcher = fs.watch(root, { recursive: true }, (eventType, filename) => {
+    if (!filename) return;
+    const filePath = path.join(root, filename.toString());
+    if (!isWatchedFile(filePath, root)) return;
+
+    pending.add(filePath);
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  });
+
+  return {
+    close() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      pending.clear();
+      watcher.close();
+    }
+  };
+}
+
+module.exports = {
+  watchFiles,
+  WATCHED_EXTENSIONS
+};
@@ -10,8 +10,18 @@ const https = require('https');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const { URL } = require('url');
+const { URL, URLSearchParams } = require('url');
+const matter = require('gray-matter');
 const { exportToWordPress } = require('./export');
+const { htmlToMarkdown } = require('./convert');
+const { compareContent, extractBody } = require('./compare');
+const { splitLines, diffLines } = require('./merge');
+const { buildCustomFieldsPayload } = require('./custom-fields');
+const { extractSeo, buildSeoMeta, SEO_PLUGINS } = require('./seo');
+const { parseDateTime, hasTimezone, toGmtString, formatOffset } = require('./dates');
+const { DEFAULT_RETRY, parseRetryAfter, withRetry, getSiteRateLimiter } = require('./retry');
+const { mapConcurrent } = require('./pool');
+const { TermCache } = require('./term-cache');
 const {
   extractLocalImages,
   rewriteImageUrls,
@@ -19,9 +29,30 @@ const {
   saveSidecar,
   getImagesToUpload,
   buildUrlMapFromSidecar,
-  updateSidecar
+  updateSidecar,
+  getFeaturedImage
 } = require('./image-utils');
 
+/**
+ * Built-in post types, resolved without asking the site
+ * @private
+ */
+const BUILTIN_POST_TYPES = [
+  { slug: 'post', restBase: 'posts', name: 'Posts', hierarchical: false, taxonomies: ['category', 'post_tag'] },
+  { slug: 'page', restBase: 'pages', name: 'Pages', hierarchical: true, taxonomies: [] }
+];
+
+/**
+ * Check whether repeating a request is harmless
+ *
+ * POST creates, except on an object's own endpoint (`/wp/v2/posts/42`),
+ * where WordPress uses it to update.
+ * @private
+ */
+function isIdempotent(method, pathname) {
+  return method !== 'POST' || /\/\d+$/.test(pathname);
+}
+
 /**
  * WordPress REST API client
  *
@@ -47,6 +78,16 @@ class WpClient {
    * @param {string} options.url - WordPress site URL
    * @param {string} options.username - WordPress username
    * @param {string} options.appPassword - WordPress application password
+   * @param {{meta?: string[], acf?: string[]}} [options.customFields] - Custom field keys
+   *   this client may write (see custom-fields.js); none when omitted
+   * @param {number} [options.retries=3] - Retries after a transient failure (429, 502-504,
+   *   connection resets); 0 disables them
+   * @param {number} [options.retryDelay=500] - Base backoff delay in milliseconds
+   * @param {number} [options.maxRetryDelay=30000] - Longest wait before a retry in milliseconds
+   * @param {number} [options.rateLimit] - Requests per second to this site, shared by all
+   *   clients of the site (default: unlimited)
+   * @param {function(Object): void} [options.onRetry] - Called with { attempt, delay, error }
+   *   before each retry
    */
   constructor(options) {
     if (!options.url) {
@@ -62,6 +103,15 @@ class WpClient {
     this.url = options.url.replace(/\/$/, '');
     this.username = options.username;
     this.appPassword = options.appPassword;
+    this.customFields = options.customFields || null;
+
+    this.retry = {
+      retries: options.retries !== undefined && options.retries !== null ? options.retries : DEFAULT_RETRY.retries,
+      retryDelay: options.retryDelay || DEFAULT_RETRY.retryDelay,
+      maxRetryDelay: options.maxRetryDelay || DEFAULT_RETRY.maxRetryDelay,
+      onRetry: options.onRetry
+    };
+    this.rateLimiter = getSiteRateLimiter(this.url, options.rateLimit);
 
     // Create Basic Auth header
     const credentials = Buffer.from(`${this.username}:${this.appPassword}`).toString('base64');
@@ -78,7 +128,79 @@ class WpClient {
    * @returns {Promise<Object>} Response data
    */
   async _request(method, endpoint, data = null) {
+    const response = await this._requestWithHeaders(method, endpoint, data);
+    return response.data;
+  }
+
+  /**
+   * Make an HTTP request and keep the response headers
+   *
+   * Collection endpoints report pagination in headers (X-WP-Total,
+   * X-WP-TotalPages), which `_request` discards. Transient failures are
+   * retried (see _withRetry).
+   *
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint (e.g., '/wp/v2/posts')
+   * @param {Object} [data] - Request body data
+   * @returns {Promise<{data: Object, headers: Object, statusCode: number}>} Response
+   */
+  async _requestWithHeaders(method, endpoint, data = null) {
     const apiUrl = new URL(`${this.url}/wp-json${endpoint}`);
+
+    return this._withRetry(isIdempotent(method, apiUrl.pathname), () => this._send(apiUrl, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: data ? JSON.stringify(data) : null,
+      timeout: 30000,
+      label: 'Request'
+    }));
+  }
+
+  /**
+   * Run one request attempt at a time through the site's rate limiter,
+   * retrying transient failures (see retry.js)
+   *
+   * A 429 with Retry-After holds back every request to the site, not just
+   * this one.
+   *
+   * @private
+   * @param {boolean} idempotent - Whether repeating the request is harmless
+   * @param {function(): Promise<Object>} attempt - Makes one attempt
+   * @returns {Promise<Object>} The attempt's result
+   */
+  async _withRetry(idempotent, attempt) {
+    return withRetry(async () => {
+      await this.rateLimiter.wait();
+      try {
+        return await attempt();
+      } catch (error) {
+        if (error.statusCode === 429 && error.retryAfter) {
+          this.rateLimiter.pause(error.retryAfter);
+        }
+        throw error;
+      }
+    }, { ...this.retry, idempotent });
+  }
+
+  /**
+   * Send one HTTP request
+   *
+   * HTTP errors carry `statusCode`, WordPress's error `code` and `data`, and
+   * `retryAfter` (milliseconds) when the server sent Retry-After. Socket
+   * errors carry the socket error `code` (e.g., 'ECONNRESET').
+   *
+   * @private
+   * @param {URL} apiUrl - Request URL
+   * @param {Object} request - Request details
+   * @param {string} request.method - HTTP method
+   * @param {Object} request.headers - Headers besides Authorization and Accept
+   * @param {string|Buffer|null} request.body - Request body
+   * @param {number} request.timeout - Timeout in milliseconds
+   * @param {string} request.label - Error message prefix ('Request', 'Upload')
+   * @returns {Promise<{data: Object, headers: Object, statusCode: number}>} Response
+   */
+  _send(apiUrl, request) {
     const isHttps = apiUrl.protocol === 'https:';
     const httpModule = isHttps ? https : http;
 
@@ -86,10 +208,10 @@ class WpClient {
       hostname: apiUrl.hostname,
       port: apiUrl.port || (isHttps ? 443 : 80),
       path: apiUrl.pathname + apiUrl.search,
-      method: method,
+      method: request.method,
       headers: {
         'Authorization': this.authHeader,
-        'Content-Type': 'application/json',
+        ...request.headers,
         'Accept': 'application/json'
       }
     };
@@ -103,36 +225,46 @@ class WpClient {
         });
 
         res.on('end', () => {
+          let response;
           try {
-            const response = body ? JSON.parse(body) : {};
-
-            if (res.statusCode >= 400) {
-              const error = new Error(response.message || `HTTP ${res.statusCode}`);
-              error.statusCode = res.statusCode;
-              error.code = response.code;
-              error.data = response.data;
-              reject(error);
-            } else {
-              resolve(response);
-            }
+            response = body ? JSON.parse(body) : {};
           } catch (parseError) {
-            reject(new Error(`Failed to parse response: ${parseError.message}`));
+            if (res.statusCode < 400) {
+              reject(new Error(`Failed to parse response: ${parseError.message}`));
+              return;
+            }
+            // Proxies and overloaded hosts answer errors with HTML pages
+            response = {};
+          }
+
+          if (res.statusCode >= 400) {
+            const error = new Error(response.message || `HTTP ${res.statusCode}`);
+            error.statusCode = res.statusCode;
+            error.code = response.code;
+            error.data = response.data;
+            error.retryAfter = parseRetryAfter(res.headers['retry-after']);
+            reject(error);
+          } else {
+            resolve({ data: response, headers: res.headers, statusCode: res.statusCode });
           }
         });
       });
 
       req.on('error', (error) => {
-        reject(new Error(`Request failed: ${error.message}`));
+        const failure = new Error(`${request.label} failed: ${error.message}`);
+        failure.code = error.code;
+        reject(failure);
       });
 
-      // Set timeout
-      req.setTimeout(30000, () => {
+      req.setTimeout(request.timeout, () => {
+        const failure = new Error(`${request.label} timed out`);
+        failure.code = 'ETIMEDOUT';
+        reject(failure);
         req.destroy();
-        reject(new Error('Request timed out'));
       });
 
-      if (data) {
-        req.write(JSON.stringify(data));
+      if (request.body) {
+        req.write(request.body);
       }
 
       req.end();
@@ -172,15 +304,19 @@ class WpClient {
    * @param {string} [postData.slug] - URL slug
    * @param {string} [postData.status='publish'] - Post status (publish, draft, future, private)
    * @param {string} [postData.excerpt] - Post excerpt
-   * @param {number[]} [postData.categories] - Category IDs (posts only)
-   * @param {number[]} [postData.tags] - Tag IDs (posts only)
-   * @param {string} [postData.date] - Publish date (ISO 8601)
-   * @param {number} [postData.parent] - Parent page ID (pages only)
-   * @param {string} [type='posts'] - Content type ('posts' or 'pages')
+   * @param {number[]} [postData.categories] - Category IDs (post types with categories)
+   * @param {number[]} [postData.tags] - Tag IDs (post types with tags)
+   * @param {string} [postData.date] - Publish date (ISO 8601, read in the site's timezone)
+   * @param {string} [postData.date_gmt] - Publish date in UTC (ISO 8601); takes precedence over date
+   * @param {number} [postData.parent] - Parent ID (hierarchical post types)
+   * @param {number} [postData.featured_media] - Featured image attachment ID
+   * @param {Object<string, number[]>} [postData.terms] - Custom taxonomy term IDs by taxonomy REST base
+   * @param {Object} [postData.meta] - Registered post meta to set
+   * @param {Object} [postData.acf] - ACF fields to set (when ACF is exposed in REST)
+   * @param {string} [type='posts'] - Content type REST base ('posts', 'pages' or a custom post type)
    * @returns {Promise<Object>} Created post/page
    */
   async createPost(postData, type = 'posts') {
-    const endpoint = type === 'pages' ? 'pages' : 'posts';
     const data = {
       title: postData.title,
       content: postData.content,
@@ -189,20 +325,27 @@ class WpClient {
 
     if (postData.slug) data.slug = postData.slug;
     if (postData.excerpt) data.excerpt = postData.excerpt;
-    if (postData.date) data.date = postData.date;
-
-    // Posts have categories and tags; pages don't
-    if (type === 'posts') {
-      if (postData.categories) data.categories = postData.categories;
-      if (postData.tags) data.tags = postData.tags;
+    // WordPress ignores date_gmt when date is also sent
+    if (postData.date_gmt) {
+      data.date_gmt = postData.date_gmt;
+    } else if (postData.date) {
+      data.date = postData.date;
     }
-
-    // Pages can have a parent
-    if (type === 'pages' && postData.parent) {
-      data.parent = postData.parent;
+    if (postData.featured_media) data.featured_media = postData.featured_media;
+    if (postData.meta) data.meta = postData.meta;
+    if (postData.acf) data.acf = postData.acf;
+
+    // Callers send categories, tags and parent only for post types that have them
+    if (postData.categories) data.categories = postData.categories;
+    if (postData.tags) data.tags = postData.tags;
+    if (postData.parent) data.parent = postData.parent;
+
+    // Custom taxonomies are assigned through their REST base
+    for (const [taxonomy, termIds] of Object.entries(postData.terms || {})) {
+      data[taxonomy] = termIds;
     }
 
-    return this._request('POST', `/wp/v2/${endpoint}`, data);
+    return this._request('POST', `/wp/v2/${type}`, data);
   }
 
   /**
@@ -210,11 +353,10 @@ class WpClient {
    *
    * @param {number} postId - Post/Page ID
    * @param {Object} postData - Data to update
-   * @param {string} [type='posts'] - Content type ('posts' or 'pages')
+   * @param {string} [type='posts'] - Content type REST base ('posts', 'pages' or a custom post type)
    * @returns {Promise<Object>} Updated post/page
    */
   async updatePost(postId, postData, type = 'posts') {
-    const endpoint = type === 'pages' ? 'pages' : 'posts';
     const data = {};
 
     if (postData.title !== undefined) data.title = postData.title;
@@ -222,44 +364,49 @@ class WpClient {
     if (postData.slug !== undefined) data.slug = postData.slug;
     if (postData.status !== undefined) data.status = postData.status;
     if (postData.excerpt !== undefined) data.excerpt = postData.excerpt;
-    if (postData.date !== undefined) data.date = postData.date;
-
-    // Posts have categories and tags; pages don't
-    if (type === 'posts') {
-      if (postData.categories !== undefined) data.categories = postData.categories;
-      if (postData.tags !== undefined) data.tags = postData.tags;
+    // WordPress ignores date_gmt when date is also sent
+    if (postData.date_gmt !== undefined) {
+      data.date_gmt = postData.date_gmt;
+    } else if (postData.date !== undefined) {
+      data.date = postData.date;
     }
-
-    // Pages can have a parent
-    if (type === 'pages' && postData.parent !== undefined) {
-      data.parent = postData.parent;
+    if (postData.featured_media !== undefined) data.featured_media = postData.featured_media;
+    if (postData.meta !== undefined) data.meta = postData.meta;
+    if (postData.acf !== undefined) data.acf = postData.acf;
+
+    // Callers send categories, tags and parent only for post types that have them
+    if (postData.categories !== undefined) data.categories = postData.categories;
+    if (postData.tags !== undefined) data.tags = postData.tags;
+    if (postData.parent !== undefined) data.parent = postData.parent;
+
+    // Custom taxonomies are assigned through their REST base
+    for (const [taxonomy, termIds] of Object.entries(postData.terms || {})) {
+      data[taxonomy] = termIds;
     }
 
-    return this._request('POST', `/wp/v2/${endpoint}/${postId}`, data);
+    return this._request('POST', `/wp/v2/${type}/${postId}`, data);
   }
 
   /**
    * Get a post or page by ID
    *
    * @param {number} postId - Post/Page ID
-   * @param {string} [type='posts'] - Content type ('posts' or 'pages')
+   * @param {string} [type='posts'] - Content type REST base ('posts', 'pages' or a custom post type)
    * @returns {Promise<Object>} Post/page data
    */
   async getPostById(postId, type = 'posts') {
-    const endpoint = type === 'pages' ? 'pages' : 'posts';
-    return this._request('GET', `/wp/v2/${endpoint}/${postId}`);
+    return this._request('GET', `/wp/v2/${type}/${postId}`);
   }
 
   /**
    * Get a post or page by slug
    *
    * @param {string} slug - Post/page slug
-   * @param {string} [type='posts'] - Content type ('posts' or 'pages')
+   * @param {string} [type='posts'] - Content type REST base ('posts', 'pages' or a custom post type)
    * @returns {Promise<Object|null>} Post/page data or null if not found
    */
   async getPostBySlug(slug, type = 'posts') {
-    const endpoint = type === 'pages' ? 'pages' : 'posts';
-    const items = await this._request('GET', `/wp/v2/${endpoint}?slug=${encodeURIComponent(slug)}&status=any`);
+    const items = await this._request('GET', `/wp/v2/${type}?slug=${encodeURIComponent(slug)}&status=any`);
 
     if (Array.isArray(items) && items.length > 0) {
       if (items.length > 1) {
@@ -283,71 +430,320 @@ class WpClient {
   }
 
   /**
-   * Get all categories
+   * Get the term cache for a taxonomy (one per taxonomy per client)
+   *
+   * @param {string} taxonomy - Taxonomy REST base (e.g., 'categories', 'tags', 'venues')
+   * @returns {TermCache} Cache of every term in the taxonomy (see term-cache.js)
+   */
+  getTermCache(taxonomy) {
+    if (!this._termCaches) {
+      this._termCaches = new Map();
+    }
+    if (!this._termCaches.has(taxonomy)) {
+      this._termCaches.set(taxonomy, new TermCache(this, taxonomy));
+    }
+    return this._termCaches.get(taxonomy);
+  }
+
+  /**
+   * Get all categories (every page, cached)
    *
    * @returns {Promise<Array>} List of categories
    */
   async getCategories() {
-    return this._request('GET', '/wp/v2/categories?per_page=100');
+    return this.getTermCache('categories').load();
   }
 
   /**
    * Get category ID by name (creates if not exists)
    *
-   * @param {string} name - Category name
+   * @param {string} name - Category name or slug
    * @returns {Promise<number|null>} Category ID or null if creation fails
    */
   async getCategoryId(name) {
-    const categories = await this._request('GET', `/wp/v2/categories?search=${encodeURIComponent(name)}`);
-
-    const exact = categories.find(c => c.name.toLowerCase() === name.toLowerCase());
-    if (exact) {
-      return exact.id;
-    }
-
-    // Category not found - create it
-    try {
-      const newCategory = await this._request('POST', '/wp/v2/categories', { name });
-      return newCategory.id;
-    } catch (error) {
-      // If creation fails (e.g., duplicate or permission issue), return null
-      console.error(`Failed to create category "${name}": ${error.message}`);
-      return null;
-    }
+    return this._resolveTerm('categories', name, 'category');
   }
 
   /**
-   * Get all tags
+   * Get all tags (every page, cached)
    *
    * @returns {Promise<Array>} List of tags
    */
   async getTags() {
-    return this._request('GET', '/wp/v2/tags?per_page=100');
+    return this.getTermCache('tags').load();
   }
 
   /**
    * Get tag ID by name (creates if not exists)
    *
-   * @param {string} name - Tag name
+   * @param {string} name - Tag name or slug
    * @returns {Promise<number|null>} Tag ID or null if creation fails
    */
   async getTagId(name) {
-    const tags = await this._request('GET', `/wp/v2/tags?search=${encodeURIComponent(name)}`);
+    return this._resolveTerm('tags', name, 'tag');
+  }
 
-    const exact = tags.find(t => t.name.toLowerCase() === name.toLowerCase());
-    if (exact) {
-      return exact.id;
-    }
+  /**
+   * Get a term ID by name in any taxonomy (creates if not exists)
+   *
+   * Names match case-insensitively with HTML entities decoded, so "Tips &
+   * Tricks" finds the term WordPress returns as "Tips &amp; Tricks".
+   *
+   * @param {string} taxonomy - Taxonomy REST base (e.g., 'venues')
+   * @param {string} name - Term name or slug
+   * @returns {Promise<number|null>} Term ID or null if creation fails
+   */
+  async getTermId(taxonomy, name) {
+    return this._resolveTerm(taxonomy, name, `${taxonomy} term`);
+  }
+
+  /**
+   * Update a term and its cached copy
+   *
+   * @param {string} taxonomy - Taxonomy REST base (e.g., 'categories', 'tags')
+   * @param {number} termId - Term ID
+   * @param {Object} data - Fields to change (name, slug, description, parent)
+   * @returns {Promise<Object>} Updated term
+   */
+  async updateTerm(taxonomy, termId, data) {
+    const term = await this._request('POST', `/wp/v2/${taxonomy}/${termId}`, data);
+    this.getTermCache(taxonomy).add(term);
+    return term;
+  }
+
+  /**
+   * Delete a term and drop it from the cache
+   *
+   * Posts keep their other terms; WordPress moves posts left without a
+   * category to the default category.
+   *
+   * @param {string} taxonomy - Taxonomy REST base (e.g., 'categories', 'tags')
+   * @param {number} termId - Term ID
+   * @returns {Promise<Object>} Deletion result ({ deleted, previous })
+   */
+  async deleteTerm(taxonomy, termId) {
+    // Terms have no trash, so WordPress refuses the delete without force
+    const result = await this._request('DELETE', `/wp/v2/${taxonomy}/${termId}?force=true`);
+    this.getTermCache(taxonomy).remove(termId);
+    return result;
+  }
+
+  /**
+   * Resolve a term through the taxonomy's cache, creating it if missing
+   *
+   * @private
+   * @param {string} taxonomy - Taxonomy REST base
+   * @param {string} name - Term name or slug
+   * @param {string} label - Term kind for the failure message
+   * @returns {Promise<number|null>} Term ID or null if creation fails
+   */
+  async _resolveTerm(taxonomy, name, label) {
+    const cache = this.getTermCache(taxonomy);
+    await cache.load();
 
-    // Tag not found - create it
     try {
-      const newTag = await this._request('POST', '/wp/v2/tags', { name });
-      return newTag.id;
+      return await cache.resolve(name);
     } catch (error) {
-      // If creation fails (e.g., duplicate or permission issue), return null
-      console.error(`Failed to create tag "${name}": ${error.message}`);
+      // If creation fails (e.g., permission issue), return null
+      console.error(`Failed to create ${label} "${name}": ${error.message}`);
+      return null;
+    }
+  }
+
+  // ============================================================
+  // Post Types and Taxonomies
+  // Discovered from /wp/v2/types and /wp/v2/taxonomies, cached per client
+  // ============================================================
+
+  /**
+   * Get the post types registered with the REST API
+   *
+   * @returns {Promise<Array<{slug: string, restBase: string, name: string, hierarchical: boolean, taxonomies: string[]}>>}
+   *   Post types
+   */
+  async getPostTypes() {
+    if (!this._postTypes) {
+      const types = await this._request('GET', '/wp/v2/types');
+      this._postTypes = Object.values(types || {}).map(t => ({
+        slug: t.slug,
+        restBase: t.rest_base || t.slug,
+        name: t.name || t.slug,
+        hierarchical: Boolean(t.hierarchical),
+        taxonomies: t.taxonomies || []
+      }));
+    }
+    return this._postTypes;
+  }
+
+  /**
+   * Get the taxonomies registered with the REST API
+   *
+   * @returns {Promise<Array<{slug: string, restBase: string, name: string, hierarchical: boolean, types: string[]}>>}
+   *   Taxonomies
+   */
+  async getTaxonomies() {
+    if (!this._taxonomies) {
+      const taxonomies = await this._request('GET', '/wp/v2/taxonomies');
+      this._taxonomies = Object.values(taxonomies || {}).map(t => ({
+        slug: t.slug,
+        restBase: t.rest_base || t.slug,
+        name: t.name || t.slug,
+        hierarchical: Boolean(t.hierarchical),
+        types: t.types || []
+      }));
+    }
+    return this._taxonomies;
+  }
+
+  /**
+   * Resolve a post type by REST base or slug
+   *
+   * Posts and pages resolve without a request; anything else is looked
+   * up in /wp/v2/types.
+   *
+   * @param {string} type - REST base (e.g., 'talks') or post type slug (e.g., 'talk')
+   * @returns {Promise<Object>} Post type (see getPostTypes)
+   * @throws {Error} If the site has no such post type
+   */
+  async resolvePostType(type) {
+    const builtin = BUILTIN_POST_TYPES.find(t => t.restBase === type || t.slug === type);
+    if (builtin) {
+      return builtin;
+    }
+
+    const types = await this.getPostTypes();
+    const match = types.find(t => t.restBase === type || t.slug === type);
+    if (!match) {
+      throw new Error(`Unknown post type "${type}". Registered types: ${types.map(t => t.restBase).join(', ')}`);
+    }
+    return match;
+  }
+
+  /**
+   * Resolve a taxonomy by slug or REST base
+   *
+   * @param {string} taxonomy - Taxonomy slug (e.g., 'venue') or REST base
+   * @returns {Promise<Object>} Taxonomy (see getTaxonomies)
+   * @throws {Error} If the site has no such taxonomy
+   */
+  async resolveTaxonomy(taxonomy) {
+    const taxonomies = await this.getTaxonomies();
+    const match = taxonomies.find(t => t.slug === taxonomy || t.restBase === taxonomy);
+    if (!match) {
+      throw new Error(`Unknown taxonomy "${taxonomy}". Registered taxonomies: ${taxonomies.map(t => t.slug).join(', ')}`);
+    }
+    return match;
+  }
+
+  /**
+   * Resolve a front matter `taxonomies` block to term IDs
+   *
+   * @param {Object<string, string[]|string>} taxonomies - Term names by taxonomy slug
+   * @returns {Promise<Object<string, number[]>>} Term IDs by taxonomy REST base
+   * @throws {Error} If a taxonomy is not registered on the site
+   */
+  async resolveTaxonomyTerms(taxonomies) {
+    const terms = {};
+
+    for (const [slug, names] of Object.entries(taxonomies || {})) {
+      const taxonomy = await this.resolveTaxonomy(slug);
+      const list = (Array.isArray(names) ? names : [names]).filter(name => name !== null && name !== undefined && name !== '');
+      const ids = await Promise.all(list.map(name => this.getTermId(taxonomy.restBase, String(name))));
+      terms[taxonomy.restBase] = ids.filter(id => id !== null);
+    }
+
+    return terms;
+  }
+
+  /**
+   * Get the site's timezone from the REST API index (Settings → General)
+   *
+   * @returns {Promise<string|null>} IANA timezone name, a fixed offset such as
+   *   '+05:30' for sites set to a manual UTC offset, or null if the index
+   *   doesn't expose it
+   */
+  async getSiteTimezone() {
+    if (this._siteTimezone === undefined) {
+      try {
+        const index = await this._request('GET', '/');
+        if (index && index.timezone_string) {
+          this._siteTimezone = index.timezone_string;
+        } else if (index && index.gmt_offset !== undefined && index.gmt_offset !== null && index.gmt_offset !== '') {
+          this._siteTimezone = formatOffset(Math.round(Number(index.gmt_offset) * 60));
+        } else {
+          this._siteTimezone = null;
+        }
+      } catch {
+        this._siteTimezone = null;
+      }
+    }
+    return this._siteTimezone;
+  }
+
+  // ============================================================
+  // SEO Metadata
+  // Yoast SEO and Rank Math overrides (see seo.js)
+  // ============================================================
+
+  /**
+   * Detect the SEO plugin active on the site from its REST namespaces
+   *
+   * @returns {Promise<string|null>} 'yoast', 'rankmath' or null
+   */
+  async detectSeoPlugin() {
+    if (this._seoPlugin === undefined) {
+      try {
+        const index = await this._request('GET', '/');
+        const namespaces = (index && index.namespaces) || [];
+        this._seoPlugin = Object.keys(SEO_PLUGINS).find(plugin => namespaces.includes(SEO_PLUGINS[plugin])) || null;
+      } catch {
+        this._seoPlugin = null;
+      }
+    }
+    return this._seoPlugin;
+  }
+
+  /**
+   * Build the plugin meta for a front matter `seo` section
+   *
+   * Uses `seo.plugin` when present, otherwise the plugin detected on the site.
+   *
+   * @param {Object} seo - Front matter `seo` value
+   * @returns {Promise<{plugin: string, meta: Object}|null>} Update, or null when there is nothing to write
+   * @throws {Error} If the site has no supported SEO plugin
+   */
+  async buildSeoUpdate(seo) {
+    if (!seo || typeof seo !== 'object') {
       return null;
     }
+
+    const plugin = seo.plugin || await this.detectSeoPlugin();
+    if (!plugin) {
+      throw new Error('Front matter has an seo section but no SEO plugin (Yoast or Rank Math) was found on the site. Set seo.plugin to write it anyway.');
+    }
+
+    const meta = buildSeoMeta(seo, plugin);
+    return meta ? { plugin, meta } : null;
+  }
+
+  /**
+   * Write SEO meta that can't travel with the post update
+   *
+   * Yoast meta is sent as post `meta` with the post itself. Rank Math
+   * meta goes through its own endpoint after the post exists.
+   *
+   * @param {number} postId - Post or page ID
+   * @param {{plugin: string, meta: Object}} update - Update from buildSeoUpdate
+   * @returns {Promise<void>}
+   */
+  async writeSeoMeta(postId, update) {
+    if (update.plugin === 'rankmath') {
+      await this._request('POST', '/rankmath/v1/updateMeta', {
+        objectType: 'post',
+        objectID: postId,
+        meta: update.meta
+      });
+    }
   }
 
   // ============================================================
@@ -400,82 +796,38 @@ class WpClient {
     const fileData = fs.readFileSync(filePath);
 
     const apiUrl = new URL(`${this.url}/wp-json/wp/v2/media`);
-    const isHttps = apiUrl.protocol === 'https:';
-    const httpModule = isHttps ? https : http;
 
-    const requestOptions = {
-      hostname: apiUrl.hostname,
-      port: apiUrl.port || (isHttps ? 443 : 80),
-      path: apiUrl.pathname,
+    // Each attempt creates an attachment, so only refused or rate-limited uploads are retried
+    const { data: media } = await this._withRetry(false, () => this._send(apiUrl, {
       method: 'POST',
       headers: {
-        'Authorization': this.authHeader,
         'Content-Type': mimeType,
         'Content-Disposition': `attachment; filename="${encodeURIComponent(filename)}"`,
-        'Content-Length': fileData.length,
-        'Accept': 'application/json'
-      }
-    };
-
-    return new Promise((resolve, reject) => {
-      const req = httpModule.request(requestOptions, (res) => {
-        let body = '';
-
-        res.on('data', (chunk) => {
-          body += chunk;
-        });
-
-        res.on('end', async () => {
-          try {
-            const response = body ? JSON.parse(body) : {};
-
-            if (res.statusCode >= 400) {
-              const error = new Error(response.message || `HTTP ${res.statusCode}`);
-              error.statusCode = res.statusCode;
-              error.code = response.code;
-              error.data = response.data;
-              reject(error);
-              return;
-            }
-
-            // If we have metadata to update (alt text, caption, etc.), do it now
-            if (options.altText || options.caption || options.description || options.title) {
-              try {
-                const updateData = {};
-                if (options.title) updateData.title = options.title;
-                if (options.altText) updateData.alt_text = options.altText;
-                if (options.caption) updateData.caption = options.caption;
-                if (options.description) updateData.description = options.description;
-
-                const updated = await this._request('POST', `/wp/v2/media/${response.id}`, updateData);
-                resolve(updated);
-              } catch (updateError) {
-                // Media uploaded but metadata update failed - still return success
-                console.error(`Warning: Media uploaded but metadata update failed: ${updateError.message}`);
-                resolve(response);
-              }
-            } else {
-              resolve(response);
-            }
-          } catch (parseError) {
-            reject(new Error(`Failed to parse response: ${parseError.message}`));
-          }
-        });
-      });
-
-      req.on('error', (error) => {
-        reject(new Error(`Upload failed: ${error.message}`));
-      });
-
+        'Content-Length': fileData.length
+      },
+      body: fileData,
       // Longer timeout for file uploads (2 minutes)
-      req.setTimeout(120000, () => {
-        req.destroy();
-        reject(new Error('Upload timed out'));
-      });
+      timeout: 120000,
+      label: 'Upload'
+    }));
 
-      req.write(fileData);
-      req.end();
-    });
+    // If we have metadata to update (alt text, caption, etc.), do it now
+    if (options.altText || options.caption || options.description || options.title) {
+      try {
+        const updateData = {};
+        if (options.title) updateData.title = options.title;
+        if (options.altText) updateData.alt_text = options.altText;
+        if (options.caption) updateData.caption = options.caption;
+        if (options.description) updateData.description = options.description;
+
+        return await this._request('POST', `/wp/v2/media/${media.id}`, updateData);
+      } catch (updateError) {
+        // Media uploaded but metadata update failed - still return success
+        console.error(`Warning: Media uploaded but metadata update failed: ${updateError.message}`);
+      }
+    }
+
+    return media;
   }
 
   /**
@@ -483,42 +835,39 @@ class WpClient {
    *
    * @param {string[]} filePaths - Array of paths to local files
    * @param {Object} [options] - Upload options passed to each upload
-   * @returns {Promise<Object[]>} Array of uploaded media objects
+   * @param {number} [options.concurrency=1] - Uploads in flight at once
+   * @returns {Promise<Object[]>} Array of uploaded media objects, in the order of `filePaths`
    */
   async uploadMediaBatch(filePaths, options = {}) {
-    const results = [];
-    for (const filePath of filePaths) {
-      try {
-        const result = await this.uploadMedia(filePath, options);
-        results.push({
-          success: true,
-          filePath,
-          media: result
-        });
-      } catch (error) {
-        results.push({
-          success: false,
-          filePath,
-          error: error.message
-        });
-      }
-    }
-    return results;
+    const { concurrency, ...uploadOptions } = options;
+    const settled = await mapConcurrent(filePaths, filePath => this.uploadMedia(filePath, uploadOptions), { concurrency });
+
+    return settled.map(({ status, value, reason }, index) => (status === 'fulfilled'
+      ? { success: true, filePath: filePaths[index], media: value }
+      : { success: false, filePath: filePaths[index], error: reason.message }));
   }
 
   /**
    * Publish a markdown file to WordPress
    *
+   * The publish date (`date`, else front matter `publish_at`, else `date`) is
+   * sent as `date_gmt`. Dates without an offset or timezone name are read in
+   * the site's timezone (see getSiteTimezone).
+   *
    * @param {string} mdPath - Path to markdown file
    * @param {Object} [options] - Publish options
    * @param {string} [options.status='publish'] - Post status
    * @param {boolean} [options.update=false] - Update existing post if found by slug
    * @param {string} [options.date] - Publish date in ISO 8601 format (e.g., "2025-12-07T23:00:00")
-   * @param {boolean} [options.uploadImages=true] - Upload local images to WordPress
+   * @param {boolean} [options.uploadImages=true] - Upload local images (and the local featured_image) to WordPress
    * @param {string} [options.siteName] - Site name for image tracking
    * @param {boolean} [options.silent=false] - Suppress progress output
-   * @param {string} [options.type='posts'] - Content type ('posts' or 'pages')
+   * @param {string} [options.type='posts'] - Content type REST base ('posts', 'pages' or a custom post type)
+   * @param {boolean} [options.force=false] - Update even if the post was edited in WordPress since the last sync
+   * @param {boolean} [options.blocks=false] - Publish native Gutenberg block markup instead of classic HTML
    * @returns {Promise<Object>} Publish result
+   * @throws {Error} With code 'REMOTE_DRIFT' and a `drift` report (see detectRemoteDrift)
+   *   when updating a post that changed remotely since the last sync
    */
   async publishMarkdown(mdPath, options = {}) {
     const {
@@ -528,26 +877,65 @@ class WpClient {
       uploadImages = true,
       siteName = 'default',
       silent = false,
-      type = 'posts'
+      type = 'posts',
+      force = false,
+      blocks = false
     } = options;
 
     // Read the markdown file to extract images
     const mdContent = fs.readFileSync(mdPath, 'utf-8');
     const mdDir = path.dirname(mdPath);
 
-    // Export markdown to HTML (without block wrappers to avoid escaping issues in code blocks)
+    // Export markdown to HTML (block markup is serialized after image uploads, below)
     const exported = exportToWordPress(mdPath, null, {
-      includeWrapper: false,
       outputToFile: false
     });
 
     let { title, slug, html, metadata } = exported;
 
+    // Custom post types must be registered on the site; categories, tags and
+    // parents go only to post types that have them
+    const postType = await this.resolvePostType(type);
+
+    // Check if post/page exists
+    let existingPost = null;
+    if (update && slug) {
+      existingPost = await this.getPostBySlug(slug, type);
+    }
+
+    // SAFEGUARD: Refuse to silently overwrite edits made in WordPress since the last sync
+    if (existingPost && !force) {
+      const drift = detectRemoteDrift(mdPath, metadata, existingPost);
+      if (drift) {
+        const error = new Error(
+          `${type === 'pages' ? 'Page' : 'Post'} ${existingPost.id} was modified in WordPress ` +
+          `(${drift.remoteModifiedGmt} UTC) after the last sync (${drift.lastSyncedAt}). Use --force to overwrite.`
+        );
+        error.code = 'REMOTE_DRIFT';
+        error.drift = drift;
+        throw error;
+      }
+    }
+
     // Handle image uploads
     let uploadedCount = 0;
+    let urlMap = {};
+    const mediaIds = {};
+    let featuredImage = null;
     if (uploadImages) {
       const images = extractLocalImages(mdContent, mdDir);
 
+      // The featured image is tracked in the sidecar like body images
+      featuredImage = getFeaturedImage(mdContent, mdDir);
+      if (featuredImage) {
+        const inBody = images.find(img => img.markdownPath === featuredImage.markdownPath);
+        if (inBody) {
+          featuredImage = inBody;
+        } else {
+          images.push(featuredImage);
+        }
+      }
+
       if (images.length > 0) {
         // Load existing sidecar
         const sidecar = loadSidecar(mdPath);
@@ -556,7 +944,18 @@ class WpClient {
         const toUpload = getImagesToUpload(images, sidecar, siteName);
 
         // Build URL map from existing sidecar
-        let urlMap = buildUrlMapFromSidecar(images, sidecar);
+        urlMap = buildUrlMapFromSidecar(images, sidecar);
+        if (sidecar?.site === siteName) {
+          for (const img of images) {
+            const mediaId = sidecar.uploaded?.[img.markdownPath]?.mediaId;
+            if (mediaId) mediaIds[img.markdownPath] = mediaId;
+          }
+        }
+
+        // featured_media needs an attachment ID; upload again if the sidecar has none
+        if (featuredImage && !mediaIds[featuredImage.markdownPath] && !toUpload.includes(featuredImage)) {
+          toUpload.push(featuredImage);
+        }
 
         // Upload new/changed images
         if (toUpload.length > 0) {
@@ -581,6 +980,7 @@ class WpClient {
               });
 
               urlMap[img.markdownPath] = result.source_url;
+              mediaIds[img.markdownPath] = result.id;
               uploadedImages.push({
                 localPath: img.markdownPath,
                 absolutePath: img.absolutePath,
@@ -606,22 +1006,22 @@ class WpClient {
           }
         }
 
-        // Rewrite image URLs in HTML
-        html = rewriteImageUrls(html, urlMap);
       }
     }
 
-    // Check if post/page exists
-    let existingPost = null;
-    if (update && slug) {
-      existingPost = await this.getPostBySlug(slug, type);
+    if (blocks) {
+      // Serialize blocks now that image blocks can reference their attachment IDs
+      html = exportToWordPress(mdPath, null, { blocks: true, images: urlMap, mediaIds }).html;
+    } else {
+      // Rewrite image URLs in HTML
+      html = rewriteImageUrls(html, urlMap);
     }
 
-    // Resolve category and tag IDs (posts only - pages don't have categories/tags)
+    // Resolve category and tag IDs (for post types with the category and post_tag taxonomies)
     let categoryIds = [];
     let tagIds = [];
 
-    if (type === 'posts') {
+    if (postType.taxonomies.includes('category')) {
       // Resolve category IDs
       // Priority: categories (array) > category (string) > wordpress.categories (names) > wordpress.category_ids (numeric)
       // We prefer names because they're the source of truth; IDs are cached and may be stale
@@ -642,7 +1042,9 @@ class WpClient {
       } else if (metadata.wordpress?.category_ids && Array.isArray(metadata.wordpress.category_ids)) {
         categoryIds = metadata.wordpress.category_ids;
       }
+    }
 
+    if (postType.taxonomies.includes('post_tag')) {
       // Resolve tag IDs
       // Priority: tags (names) > wordpress.tags (names) > wordpress.tag_ids (numeric)
       // We prefer names because they're the source of truth; IDs are cached and may be stale
@@ -661,42 +1063,88 @@ class WpClient {
       }
     }
 
+    // Resolve custom taxonomy terms by name (front matter `taxonomies:` block)
+    const terms = metadata.taxonomies && typeof metadata.taxonomies === 'object'
+      ? await this.resolveTaxonomyTerms(metadata.taxonomies)
+      : undefined;
+
+    // Custom fields are written only when the site allowlists them
+    // (nested three levels deep, beyond what the export front matter parser reads)
+    const frontMatter = matter(mdContent, {}).data;
+    const customFields = buildCustomFieldsPayload(frontMatter.custom_fields, this.customFields);
+    if (customFields.skipped.length > 0 && !silent) {
+      console.warn(`  Skipping custom fields not in the site allowlist: ${customFields.skipped.join(', ')}`);
+    }
+
+    // SEO overrides: Yoast meta travels with the post, Rank Math is written after it
+    const seo = await this.buildSeoUpdate(frontMatter.seo);
+    const meta = seo && seo.plugin === 'yoast' ? { ...customFields.meta, ...seo.meta } : customFields.meta;
+
+    // Dates are sent in UTC so the site's timezone can't shift them. Dates without
+    // an offset are wall times in the site's timezone; if the site doesn't expose
+    // it, they are sent as `date` for WordPress to read (publish_at needs one)
+    const scheduled = !date && metadata.publish_at;
+    const when = date || metadata.publish_at || metadata.date;
+    let dateGmt;
+    if (when) {
+      const timeZone = hasTimezone(when) ? undefined : await this.getSiteTimezone();
+      if (timeZone || hasTimezone(when) || scheduled) {
+        dateGmt = toGmtString(parseDateTime(when, timeZone));
+      }
+    }
+
+    // WordPress takes the parent page's ID; `parent_path` only places the local file
+    const parentId = metadata.wordpress?.parent_id !== undefined ? metadata.wordpress.parent_id : metadata.parent;
+
     const postData = {
       title,
       content: html,
       slug,
       status,
+      featured_media: featuredImage ? mediaIds[featuredImage.markdownPath] : undefined,
       excerpt: metadata.description || metadata.wordpress?.excerpt,
       categories: categoryIds.length > 0 ? categoryIds : undefined,
       tags: tagIds.length > 0 ? tagIds : undefined,
+      terms,
+      meta,
+      acf: customFields.acf,
       // Use CLI date option, or fall back to front matter date
       // This preserves timestamps when updating existing posts/pages
-      date: date || metadata.date || undefined,
-      // Pages can have a parent
-      parent: type === 'pages' ? metadata.parent : undefined
+      date: dateGmt ? undefined : (date || metadata.date || undefined),
+      date_gmt: dateGmt,
+      // Pages and other hierarchical post types can have a parent
+      parent: postType.hierarchical && /^\d+$/.test(String(parentId)) ? Number(parentId) : undefined
     };
 
     let result;
     if (existingPost) {
       result = await this.updatePost(existingPost.id, postData, type);
+      if (seo) await this.writeSeoMeta(result.id, seo);
       return {
         action: 'updated',
         postId: result.id,
         slug: result.slug,
         link: result.link,
         status: result.status,
+        modifiedGmt: result.modified_gmt,
+        featuredMedia: result.featured_media,
+        seo: seo ? seo.plugin : null,
         imagesUploaded: uploadedCount,
         categories: result.categories,
         tags: result.tags
       };
     } else {
       result = await this.createPost(postData, type);
+      if (seo) await this.writeSeoMeta(result.id, seo);
       return {
         action: 'created',
         postId: result.id,
         slug: result.slug,
         link: result.link,
         status: result.status,
+        modifiedGmt: result.modified_gmt,
+        featuredMedia: result.featured_media,
+        seo: seo ? seo.plugin : null,
         imagesUploaded: uploadedCount,
         categories: result.categories,
         tags: result.tags
@@ -717,18 +1165,20 @@ class WpClient {
   }
 
   /**
-   * Update only metadata (categories, tags, excerpt) for a post or page
+   * Update only metadata (categories, tags, excerpt, custom fields, SEO) for a post or page
    * Does NOT touch title, content, featured_media, date, or slug
-   * Note: Pages only support excerpt updates (no categories/tags)
+   * Note: Pages only support excerpt, custom field and SEO updates (no categories/tags)
    *
    * @param {string} mdPath - Path to markdown file
    * @param {Object} [options] - Update options
    * @param {boolean} [options.categoriesOnly=false] - Only update categories (posts only)
    * @param {boolean} [options.tagsOnly=false] - Only update tags (posts only)
    * @param {boolean} [options.excerptOnly=false] - Only update excerpt
+   * @param {boolean} [options.customFieldsOnly=false] - Only update allowlisted custom fields
+   * @param {boolean} [options.seoOnly=false] - Only update SEO plugin fields (front matter `seo:`)
    * @param {boolean} [options.silent=false] - Suppress progress output
    * @param {boolean} [options.useSingularCategory=false] - Use 'category:' field instead of 'categories:'
-   * @param {string} [options.type='posts'] - Content type ('posts' or 'pages')
+   * @param {string} [options.type='posts'] - Content type REST base ('posts', 'pages' or a custom post type)
    * @returns {Promise<Object>} Update result
    */
   async updateMetadataOnly(mdPath, options = {}) {
@@ -736,6 +1186,8 @@ class WpClient {
       categoriesOnly = false,
       tagsOnly = false,
       excerptOnly = false,
+      customFieldsOnly = false,
+      seoOnly = false,
       silent = false,
       useSingularCategory = false,
       type = 'posts'
@@ -831,10 +1283,11 @@ class WpClient {
     // Build update payload - ONLY metadata fields
     const updateData = {};
 
-    // Resolve categories (posts only - pages don't have categories)
+    // Resolve categories (post types with the category taxonomy; pages have none)
     // Use singular 'category:' field for site-specific categories (synthesis sites)
     // Use plural 'categories:' field for generic categories (rajiv.com)
-    if (type === 'posts' && !tagsOnly && !excerptOnly) {
+    const postType = await this.resolvePostType(type);
+    if (postType.taxonomies.includes('category') && !tagsOnly && !excerptOnly && !customFieldsOnly && !seoOnly) {
       if (useSingularCategory && metadata.category) {
         // Use singular category field (for synthesis sites)
         const catId = await this.getCategoryId(metadata.category);
@@ -850,8 +1303,8 @@ class WpClient {
       }
     }
 
-    // Resolve tags (posts only - pages don't have tags)
-    if (type === 'posts' && !categoriesOnly && !excerptOnly) {
+    // Resolve tags (post types with the post_tag taxonomy; pages have none)
+    if (postType.taxonomies.includes('post_tag') && !categoriesOnly && !excerptOnly && !customFieldsOnly && !seoOnly) {
       if (metadata.tags !== undefined) {
         if (metadata.tags.length > 0) {
           const tagIds = await Promise.all(
@@ -866,13 +1319,34 @@ class WpClient {
     }
 
     // Set excerpt (both posts and pages support excerpts)
-    if (!categoriesOnly && !tagsOnly) {
+    if (!categoriesOnly && !tagsOnly && !customFieldsOnly && !seoOnly) {
       if (metadata.description) {
         updateData.excerpt = metadata.description;
       }
     }
 
-    if (Object.keys(updateData).length === 0) {
+    const frontMatterData = matter(mdContent, {}).data;
+
+    // Set allowlisted custom fields (post meta and ACF)
+    if (!categoriesOnly && !tagsOnly && !excerptOnly && !seoOnly) {
+      const customFields = buildCustomFieldsPayload(frontMatterData.custom_fields, this.customFields);
+      if (customFields.meta) updateData.meta = customFields.meta;
+      if (customFields.acf) updateData.acf = customFields.acf;
+      if (customFields.skipped.length > 0 && !silent) {
+        console.warn(`  Skipping custom fields not in the site allowlist: ${customFields.skipped.join(', ')}`);
+      }
+    }
+
+    // Set SEO overrides (Yoast as post meta, Rank Math through its own endpoint)
+    let seo = null;
+    if (!categoriesOnly && !tagsOnly && !excerptOnly && !customFieldsOnly) {
+      seo = await this.buildSeoUpdate(frontMatterData.seo);
+      if (seo && seo.plugin === 'yoast') {
+        updateData.meta = { ...updateData.meta, ...seo.meta };
+      }
+    }
+
+    if (Object.keys(updateData).length === 0 && !seo) {
       return {
         action: 'no-changes',
         postId,
@@ -882,7 +1356,10 @@ class WpClient {
     }
 
     // Perform the update
-    const result = await this.updatePost(postId, updateData, type);
+    const result = Object.keys(updateData).length > 0
+      ? await this.updatePost(postId, updateData, type)
+      : await this.getPostById(postId, type);
+    if (seo) await this.writeSeoMeta(postId, seo);
 
     // Update the index.json sidecar with sync timestamp
     if (fs.existsSync(jsonPath)) {
@@ -902,7 +1379,7 @@ class WpClient {
       postId: result.id,
       slug: result.slug,
       link: result.link,
-      updatedFields: Object.keys(updateData),
+      updatedFields: [...Object.keys(updateData), ...(seo ? ['seo'] : [])],
       categories: result.categories,
       tags: result.tags
     };
@@ -922,14 +1399,13 @@ class WpClient {
    * - Featured image (wp:featuredmedia)
    *
    * @param {string} slug - Post slug
-   * @param {string} [type='posts'] - Content type ('posts' or 'pages')
+   * @param {string} [type='posts'] - Content type REST base ('posts', 'pages' or a custom post type)
    * @returns {Promise<Object|null>} Post with embedded data or null if not found
    */
   async getPostBySlugWithEmbed(slug, type = 'posts') {
-    const endpoint = type === 'pages' ? 'pages' : 'posts';
     const posts = await this._request(
       'GET',
-      `/wp/v2/${endpoint}?slug=${encodeURIComponent(slug)}&status=any&_embed`
+      `/wp/v2/${type}?slug=${encodeURIComponent(slug)}&status=any&_embed`
     );
 
     if (Array.isArray(posts) && posts.length > 0) {
@@ -943,12 +1419,96 @@ class WpClient {
    * Get a post by ID with embedded data
    *
    * @param {number} postId - Post ID
-   * @param {string} [type='posts'] - Content type ('posts' or 'pages')
+   * @param {string} [type='posts'] - Content type REST base ('posts', 'pages' or a custom post type)
    * @returns {Promise<Object>} Post with embedded data
    */
   async getPostByIdWithEmbed(postId, type = 'posts') {
-    const endpoint = type === 'pages' ? 'pages' : 'posts';
-    return this._request('GET', `/wp/v2/${endpoint}/${postId}?_embed`);
+    return this._request('GET', `/wp/v2/${type}/${postId}?_embed`);
+  }
+
+  /**
+   * Get one page of a post or page collection
+   *
+   * @param {string} [type='posts'] - Content type REST base ('posts', 'pages' or a custom post type)
+   * @param {Object} [params] - Collection query parameters (status, after, categories, ...)
+   * @param {number} [page=1] - Page number (1-based)
+   * @returns {Promise<{items: Object[], total: number, totalPages: number}>} Page of results
+   */
+  async getPostsPage(type = 'posts', params = {}, page = 1) {
+    const query = new URLSearchParams();
+
+    for (const [key, value] of Object.entries({ per_page: 100, ...params, page })) {
+      if (value === undefined || value === null || value === false) continue;
+      query.set(key, value === true ? '' : Array.isArray(value) ? value.join(',') : String(value));
+    }
+
+    const { data, headers } = await this._requestWithHeaders('GET', `/wp/v2/${type}?${query.toString()}`);
+    const items = Array.isArray(data) ? data : [];
+
+    return {
+      items,
+      total: parseInt(headers['x-wp-total'], 10) || items.length,
+      totalPages: parseInt(headers['x-wp-totalpages'], 10) || 1
+    };
+  }
+
+  /**
+   * Get every item of a post or page collection, following X-WP-TotalPages
+   *
+   * @param {string} [type='posts'] - Content type REST base ('posts', 'pages' or a custom post type)
+   * @param {Object} [params] - Collection query parameters
+   * @param {Object} [options] - Listing options
+   * @param {Function} [options.onPage] - Called with (page, totalPages, items) after each page
+   * @returns {Promise<Object[]>} All items
+   */
+  async getAllPosts(type = 'posts', params = {}, options = {}) {
+    const all = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const result = await this.getPostsPage(type, params, page);
+      totalPages = result.totalPages;
+      all.push(...result.items);
+      if (options.onPage) {
+        options.onPage(page, totalPages, result.items);
+      }
+      page++;
+    } while (page <= totalPages);
+
+    return all;
+  }
+
+  /**
+   * Find an existing term ID by name or slug without creating it
+   *
+   * An all-digit argument is an ID if a term has it, otherwise a name.
+   *
+   * @param {string} taxonomy - Taxonomy endpoint ('categories' or 'tags')
+   * @param {string|number} nameOrSlug - Term name, slug, or numeric ID
+   * @returns {Promise<number|null>} Term ID or null if not found
+   */
+  async findTermId(taxonomy, nameOrSlug) {
+    const cache = this.getTermCache(taxonomy);
+    const term = (/^\d+$/.test(String(nameOrSlug)) && await cache.get(nameOrSlug)) || await cache.find(nameOrSlug);
+    return term ? term.id : null;
+  }
+
+  /**
+   * Find a user ID by name or slug
+   *
+   * @param {string|number} nameOrSlug - User display name, slug, or numeric ID
+   * @returns {Promise<number|null>} User ID or null if not found
+   */
+  async findUserId(nameOrSlug) {
+    if (/^\d+$/.test(String(nameOrSlug))) {
+      return parseInt(nameOrSlug, 10);
+    }
+
+    const needle = String(nameOrSlug).toLowerCase();
+    const users = await this._request('GET', `/wp/v2/users?search=${encodeURIComponent(nameOrSlug)}&per_page=100`);
+    const match = users.find(u => u.slug === needle || (u.name || '').toLowerCase() === needle);
+    return match ? match.id : null;
   }
 
   /**
@@ -980,12 +1540,17 @@ class WpClient {
       status: post.status,
       type: post.type,
       link: post.link,
+      parent: post.parent || 0,
       author: this._extractAuthor(embedded),
       categories: this._extractTerms(embedded, 'category'),
       tags: this._extractTerms(embedded, 'post_tag'),
+      taxonomies: this._extractCustomTerms(embedded),
       featuredImage: this._extractFeaturedImage(embedded),
       format: post.format || 'standard',
-      meta: post.meta || {}
+      meta: post.meta || {},
+      // ACF sends [] for posts without fields
+      acf: post.acf && !Array.isArray(post.acf) ? post.acf : {},
+      seo: extractSeo(post)
     };
   }
 
@@ -1057,6 +1622,41 @@ class WpClient {
     return terms;
   }
 
+  /**
+   * Extract terms of custom taxonomies (anything but categories, tags and
+   * post formats) from embedded data, grouped by taxonomy slug
+   *
+   * @private
+   * @param {Object} embedded - WordPress _embedded object
+   * @returns {Object<string, Array<{id: number, name: string, slug: string}>>} Terms by taxonomy
+   */
+  _extractCustomTerms(embedded) {
+    const wpTerms = embedded['wp:term'];
+    const builtin = ['category', 'post_tag', 'post_format'];
+    const taxonomies = {};
+    if (!wpTerms || !Array.isArray(wpTerms)) {
+      return taxonomies;
+    }
+
+    for (const termGroup of wpTerms) {
+      if (!Array.isArray(termGroup)) continue;
+
+      for (const term of termGroup) {
+        if (!term.taxonomy || builtin.includes(term.taxonomy)) continue;
+        if (!taxonomies[term.taxonomy]) {
+          taxonomies[term.taxonomy] = [];
+        }
+        taxonomies[term.taxonomy].push({
+          id: term.id,
+          name: term.name,
+          slug: term.slug
+        });
+      }
+    }
+
+    return taxonomies;
+  }
+
   /**
    * Extract featured image from embedded data
    *
@@ -1092,6 +1692,96 @@ class WpClient {
   }
 }
 
+// ============================================================================
+// REMOTE DRIFT DETECTION
+// ============================================================================
+
+/**
+ * Parse a timestamp from front matter or the API
+ *
+ * WordPress *_gmt fields have no zone designator, so they are read as UTC.
+ *
+ * @param {string|Date} value - Timestamp
+ * @returns {number} Milliseconds since epoch (NaN if unparseable)
+ */
+function parseTimestamp(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  const text = String(value);
+  return Date.parse(/(Z|[+-]\d{2}:?\d{2})$/.test(text) ? text : `${text}Z`);
+}
+
+/**
+ * Check whether a post was edited in WordPress since the local copy was last synced
+ *
+ * The last sync is the later of `wordpress.synced_at` in the front matter and
+ * `_meta.fetchedAt` in the JSON sidecar (index.json). A remote `modified_gmt`
+ * equal to a version recorded locally (`wordpress.modified_gmt` after publish,
+ * `normalized.modifiedGmt` in the sidecar) is never drift, which avoids false
+ * alarms from clock skew between this machine and the server.
+ *
+ * @param {string} mdPath - Path to markdown file
+ * @param {Object} metadata - Parsed front matter
+ * @param {Object} remotePost - Current post from the REST API
+ * @returns {Object|null} Null if safe to update, otherwise
+ *   `{postId, remoteModifiedGmt, lastSyncedAt, comparison, remoteOnlyLines}` where comparison is a
+ *   compareContent() result (local vs WordPress) and remoteOnlyLines are the WordPress lines the
+ *   update would overwrite
+ */
+function detectRemoteDrift(mdPath, metadata, remotePost) {
+  const remoteModifiedGmt = remotePost.modified_gmt;
+  if (!remoteModifiedGmt) {
+    return null;
+  }
+
+  const knownVersions = new Set();
+  const syncTimes = [];
+
+  const wordpress = metadata.wordpress || {};
+  if (wordpress.modified_gmt) knownVersions.add(String(wordpress.modified_gmt));
+  if (wordpress.synced_at) syncTimes.push(wordpress.synced_at);
+
+  const jsonPath = mdPath.replace(/\.md$/, '.json');
+  if (fs.existsSync(jsonPath)) {
+    try {
+      const sidecar = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+      if (sidecar.normalized?.id === remotePost.id) {
+        if (sidecar.normalized.modifiedGmt) knownVersions.add(sidecar.normalized.modifiedGmt);
+        if (sidecar._meta?.fetchedAt) syncTimes.push(sidecar._meta.fetchedAt);
+      }
+    } catch {
+      // Unreadable sidecar - fall back to front matter only
+    }
+  }
+
+  const times = syncTimes.map(parseTimestamp).filter(t => !isNaN(t));
+  if (times.length === 0 || knownVersions.has(remoteModifiedGmt)) {
+    // Nothing recorded to compare against, or this is the version we last saw
+    return null;
+  }
+
+  const lastSync = Math.max(...times);
+  if (parseTimestamp(remoteModifiedGmt) <= lastSync) {
+    return null;
+  }
+
+  const local = fs.readFileSync(mdPath, 'utf-8');
+  const remoteMarkdown = htmlToMarkdown(remotePost.content?.rendered || '');
+  const localLines = splitLines(extractBody(local));
+  const remoteLines = splitLines(remoteMarkdown.trim());
+  const matched = new Set(diffLines(localLines, remoteLines).map(([, j]) => j));
+
+  return {
+    postId: remotePost.id,
+    remoteModifiedGmt,
+    lastSyncedAt: new Date(lastSync).toISOString(),
+    comparison: compareContent(local, remoteMarkdown, { normalizeTypography: true }),
+    remoteOnlyLines: remoteLines.filter((line, j) => !matched.has(j) && line.trim() !== '')
+  };
+}
+
 module.exports = {
-  WpClient
+  WpClient,
+  detectRemoteDrift
 };
@@ -0,0 +1,567 @@
+/**
+ * @fileoverview WordPress WXR export import for ownwords
+ * @module ownwords/wxr-import
+ *
+ * Reads the XML file produced by WordPress Tools → Export (WXR) and writes
+ * every post and page to disk without touching the REST API. Output uses
+ * the same layout as `fetchViaApi` with `hierarchical` enabled:
+ *
+ *   posts/YYYY/MM/DD-slug/index.md + index.json
+ *   pages/parent-slug/child-slug/index.md + index.json
+ *   <post_type>/YYYY/MM/DD-slug/index.md + index.json (custom post types)
+ *
+ * Each item is mapped into the same normalized shape that
+ * `WpClient#normalizeEmbedResponse` returns, so front matter and sidecars
+ * are indistinguishable from API-fetched content.
+ */
+
+const fs = require('fs');
+const { saveNormalizedPost } = require('./fetch-api');
+const { extractSeo } = require('./seo');
+
+/**
+ * Post statuses that never represent real content
+ */
+const SKIPPED_STATUSES = ['auto-draft', 'trash', 'inherit'];
+
+/**
+ * Block-level tags that wpautop leaves unwrapped
+ */
+const AUTOP_BLOCK_TAGS = 'table|thead|tfoot|caption|col|colgroup|tbody|tr|td|th|div|dl|dd|dt|ul|ol|li|pre|form|map|area|blockquote|address|math|style|p|h[1-6]|hr|fieldset|legend|section|article|aside|hgroup|header|footer|nav|figure|figcaption|details|menu|summary|iframe|script';
+
+// ============================================================
+// XML Parsing
+// ============================================================
+
+/**
+ * Decode the predefined XML entities and numeric character references
+ *
+ * @param {string} text - Text containing XML entities
+ * @returns {string} Decoded text
+ */
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+    switch (entity) {
+      case 'amp': return '&';
+      case 'lt': return '<';
+      case 'gt': return '>';
+      case 'quot': return '"';
+      case 'apos': return "'";
+    }
+    const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  });
+}
+
+/**
+ * Find the closing '>' of a tag, skipping over quoted attribute values
+ *
+ * @private
+ */
+function findTagEnd(xml, start) {
+  let quote = null;
+  for (let i = start; i < xml.length; i++) {
+    const ch = xml[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse a minimal XML document into an element tree
+ *
+ * Supports what WXR files use: namespaced element names, attributes,
+ * CDATA sections, comments, processing instructions and entities.
+ * Mixed content is flattened into each element's `text` property.
+ *
+ * @param {string} xml - XML source
+ * @returns {Object} Root node ({ name, attributes, children, text })
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let pos = 0;
+
+  while (pos < xml.length) {
+    const current = stack[stack.length - 1];
+    const lt = xml.indexOf('<', pos);
+
+    if (lt === -1) {
+      current.text += decodeXmlEntities(xml.slice(pos));
+      break;
+    }
+    if (lt > pos) {
+      current.text += decodeXmlEntities(xml.slice(pos, lt));
+    }
+
+    if (xml.startsWith('<![CDATA[', lt)) {
+      const end = xml.indexOf(']]>', lt + 9);
+      if (end === -1) throw new Error('Invalid XML: unterminated CDATA section');
+      current.text += xml.slice(lt + 9, end);
+      pos = end + 3;
+    } else if (xml.startsWith('<!--', lt)) {
+      const end = xml.indexOf('-->', lt + 4);
+      if (end === -1) throw new Error('Invalid XML: unterminated comment');
+      pos = end + 3;
+    } else if (xml.startsWith('<?', lt)) {
+      const end = xml.indexOf('?>', lt + 2);
+      if (end === -1) throw new Error('Invalid XML: unterminated processing instruction');
+      pos = end + 2;
+    } else if (xml.startsWith('<!', lt)) {
+      const end = findTagEnd(xml, lt + 2);
+      if (end === -1) throw new Error('Invalid XML: unterminated declaration');
+      pos = end + 1;
+    } else if (xml[lt + 1] === '/') {
+      const end = xml.indexOf('>', lt);
+      if (end === -1) throw new Error('Invalid XML: unterminated closing tag');
+      const name = xml.slice(lt + 2, end).trim();
+      // Pop to the matching element (tolerates stray unclosed tags)
+      let depth = stack.length - 1;
+      while (depth > 0 && stack[depth].name !== name) depth--;
+      if (depth > 0) stack.length = depth;
+      pos = end + 1;
+    } else {
+      const end = findTagEnd(xml, lt + 1);
+      if (end === -1) throw new Error('Invalid XML: unterminated tag');
+      let inner = xml.slice(lt + 1, end);
+      const selfClosing = inner.endsWith('/');
+      if (selfClosing) inner = inner.slice(0, -1);
+
+      const nameMatch = inner.match(/^[^\s/>]+/);
+      const node = {
+        name: nameMatch ? nameMatch[0] : '',
+        attributes: {},
+        children: [],
+        text: ''
+      };
+      const attrSource = inner.slice(node.name.length);
+      const attrRegex = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attrMatch;
+      while ((attrMatch = attrRegex.exec(attrSource)) !== null) {
+        node.attributes[attrMatch[1]] = decodeXmlEntities(attrMatch[2] !== undefined ? attrMatch[2] : attrMatch[3]);
+      }
+
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+      pos = end + 1;
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Get direct children of a node with a given element name
+ *
+ * @private
+ */
+function childElements(node, name) {
+  return node.children.filter(child => child.name === name);
+}
+
+/**
+ * Get trimmed text of the first direct child with a given element name
+ *
+ * @private
+ */
+function childText(node, name) {
+  const child = node.children.find(c => c.name === name);
+  return child ? child.text.trim() : '';
+}
+
+// ============================================================
+// WXR Mapping
+// ============================================================
+
+/**
+ * Parse a WXR document into plain objects
+ *
+ * @param {string} xml - WXR file contents
+ * @returns {Object} { site, authors, categories, tags, items }
+ */
+function parseWxr(xml) {
+  const doc = parseXml(xml);
+  const rss = doc.children.find(c => c.name === 'rss');
+  const channel = rss && rss.children.find(c => c.name === 'channel');
+
+  if (!channel) {
+    throw new Error('Not a WordPress export file: missing <rss><channel>');
+  }
+
+  const site = {
+    title: childText(channel, 'title'),
+    link: childText(channel, 'link'),
+    wxrVersion: childText(channel, 'wp:wxr_version'),
+    baseSiteUrl: childText(channel, 'wp:base_site_url'),
+    baseBlogUrl: childText(channel, 'wp:base_blog_url')
+  };
+
+  const authors = childElements(channel, 'wp:author').map(node => ({
+    id: parseInt(childText(node, 'wp:author_id'), 10) || 0,
+    login: childText(node, 'wp:author_login'),
+    email: childText(node, 'wp:author_email'),
+    displayName: childText(node, 'wp:author_display_name')
+  }));
+
+  const categories = childElements(channel, 'wp:category').map(node => ({
+    id: parseInt(childText(node, 'wp:term_id'), 10) || 0,
+    slug: childText(node, 'wp:category_nicename'),
+    name: childText(node, 'wp:cat_name'),
+    parent: childText(node, 'wp:category_parent')
+  }));
+
+  const tags = childElements(channel, 'wp:tag').map(node => ({
+    id: parseInt(childText(node, 'wp:term_id'), 10) || 0,
+    slug: childText(node, 'wp:tag_slug'),
+    name: childText(node, 'wp:tag_name')
+  }));
+
+  const items = childElements(channel, 'item').map(node => {
+    const meta = {};
+    for (const metaNode of childElements(node, 'wp:postmeta')) {
+      const key = childText(metaNode, 'wp:meta_key');
+      if (key) {
+        const valueNode = metaNode.children.find(c => c.name === 'wp:meta_value');
+        meta[key] = valueNode ? valueNode.text : '';
+      }
+    }
+
+    return {
+      id: parseInt(childText(node, 'wp:post_id'), 10) || 0,
+      title: childText(node, 'title'),
+      link: childText(node, 'link'),
+      guid: childText(node, 'guid'),
+      creator: childText(node, 'dc:creator'),
+      content: (node.children.find(c => c.name === 'content:encoded') || { text: '' }).text,
+      excerpt: (node.children.find(c => c.name === 'excerpt:encoded') || { text: '' }).text,
+      postDate: childText(node, 'wp:post_date'),
+      postDateGmt: childText(node, 'wp:post_date_gmt'),
+      postModified: childText(node, 'wp:post_modified'),
+      postModifiedGmt: childText(node, 'wp:post_modified_gmt'),
+      slug: childText(node, 'wp:post_name'),
+      status: childText(node, 'wp:status'),
+      parent: parseInt(childText(node, 'wp:post_parent'), 10) || 0,
+      menuOrder: parseInt(childText(node, 'wp:menu_order'), 10) || 0,
+      postType: childText(node, 'wp:post_type'),
+      isSticky: childText(node, 'wp:is_sticky') === '1',
+      attachmentUrl: childText(node, 'wp:attachment_url'),
+      terms: childElements(node, 'category').map(cat => ({
+        domain: cat.attributes.domain || 'category',
+        slug: cat.attributes.nicename || '',
+        name: cat.text.trim()
+      })),
+      meta
+    };
+  });
+
+  return { site, authors, categories, tags, items };
+}
+
+/**
+ * Convert a WXR "YYYY-MM-DD HH:MM:SS" date to the REST API format
+ *
+ * @param {string} wxrDate - WXR date string
+ * @returns {string} ISO-style date ("YYYY-MM-DDTHH:MM:SS") or '' when unset
+ */
+function convertWxrDate(wxrDate) {
+  if (!wxrDate || wxrDate.startsWith('0000-00-00')) {
+    return '';
+  }
+  return wxrDate.trim().replace(' ', 'T');
+}
+
+/**
+ * Expand the shortcodes that the REST API would have rendered
+ *
+ * [caption] becomes a figure/figcaption pair (handled by the converter's
+ * figure rule) and [embed] becomes a bare URL paragraph.
+ *
+ * @param {string} content - Raw post_content
+ * @returns {string} Content with known shortcodes expanded
+ */
+function expandShortcodes(content) {
+  return content
+    .replace(/\[caption[^\]]*\]([\s\S]*?)\[\/caption\]/g, (match, inner) => {
+      const mediaMatch = inner.match(/^\s*((?:<a\b[^>]*>\s*)?<img\b[^>]*>(?:\s*<\/a>)?)([\s\S]*)$/i);
+      if (!mediaMatch) return inner;
+      const caption = mediaMatch[2].trim();
+      return `<figure>${mediaMatch[1]}${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+    })
+    .replace(/\[embed[^\]]*\]([\s\S]*?)\[\/embed\]/g, (match, url) => `\n\n${url.trim()}\n\n`);
+}
+
+/**
+ * Add paragraph markup to classic-editor content
+ *
+ * WXR stores post_content unfiltered, so classic posts use blank lines
+ * where the REST API would return <p> elements. This is a simplified
+ * port of WordPress's wpautop(). Block editor content already carries its
+ * own markup and is returned unchanged.
+ *
+ * @param {string} content - Raw post_content
+ * @returns {string} HTML with paragraphs
+ */
+function autop(content) {
+  if (!content || content.includes('<!-- wp:')) {
+    return content || '';
+  }
+
+  // Protect preformatted blocks from paragraph splitting
+  const preserved = [];
+  const text = content
+    .replace(/\r\n?/g, '\n')
+    .replace(/<pre[\s>][\s\S]*?<\/pre>/gi, (match) => {
+      preserved.push(match);
+      return `\n\n<pre data-ownwords-placeholder="${preserved.length - 1}"></pre>\n\n`;
+    });
+
+  const blockStart = new RegExp(`^</?(?:${AUTOP_BLOCK_TAGS})[\\s/>]`, 'i');
+
+  return text
+    .split(/\n\s*\n/)
+    .map(chunk => chunk.trim())
+    .filter(chunk => chunk.length > 0)
+    .map(chunk => {
+      if (blockStart.test(chunk)) return chunk;
+      return `<p>${chunk.replace(/\n/g, '<br />\n')}</p>`;
+    })
+    .join('\n')
+    .replace(/<pre data-ownwords-placeholder="(\d+)"><\/pre>/g, (match, index) => preserved[parseInt(index, 10)]);
+}
+
+/**
+ * Map a WXR item into the normalized post shape
+ *
+ * @param {Object} item - Parsed WXR item
+ * @param {Object} context - Lookup tables built from the whole export
+ * @returns {Object} Normalized post data
+ */
+function normalizeWxrItem(item, context) {
+  const author = context.authorsByLogin.get(item.creator);
+
+  const mapTerms = (domain, termsBySlug) => item.terms
+    .filter(term => term.domain === domain)
+    .map(term => {
+      const known = termsBySlug.get(term.slug);
+      return { id: known ? known.id : 0, name: term.name, slug: term.slug };
+    });
+
+  let featuredImage = null;
+  const thumbnailId = parseInt(item.meta._thumbnail_id, 10);
+  if (thumbnailId) {
+    const attachment = context.attachmentsById.get(thumbnailId);
+    if (attachment) {
+      featuredImage = {
+        id: attachment.id,
+        url: attachment.attachmentUrl,
+        alt: attachment.meta._wp_attachment_image_alt || '',
+        title: attachment.title,
+        width: null,
+        height: null
+      };
+    }
+  }
+
+  const formatTerm = item.terms.find(term => term.domain === 'post_format');
+  const meta = {};
+  for (const [key, value] of Object.entries(item.meta)) {
+    if (!key.startsWith('_')) meta[key] = value;
+  }
+
+  const date = convertWxrDate(item.postDate);
+  const modified = convertWxrDate(item.postModified);
+
+  return {
+    id: item.id,
+    slug: item.slug ? decodeSlug(item.slug) : `${item.postType}-${item.id}`,
+    title: item.title,
+    content: autop(expandShortcodes(item.content)),
+    excerpt: item.excerpt,
+    date,
+    dateGmt: convertWxrDate(item.postDateGmt),
+    modified: modified || date,
+    modifiedGmt: convertWxrDate(item.postModifiedGmt),
+    status: item.status,
+    type: item.postType,
+    link: item.link,
+    parent: item.parent,
+    parentSlug: item.postType !== 'post' ? getParentPath(item, context.itemsById) : null,
+    author: {
+      id: author ? author.id : 0,
+      name: author ? (author.displayName || author.login) : item.creator,
+      slug: author ? author.login : item.creator,
+      avatar: ''
+    },
+    categories: mapTerms('category', context.categoriesBySlug),
+    tags: mapTerms('post_tag', context.tagsBySlug),
+    featuredImage,
+    attachments: (context.attachmentsByParent.get(item.id) || []).map(attachment => ({
+      id: attachment.id,
+      url: attachment.attachmentUrl,
+      title: attachment.title,
+      alt: attachment.meta._wp_attachment_image_alt || ''
+    })),
+    format: formatTerm ? formatTerm.slug.replace(/^post-format-/, '') : 'standard',
+    meta,
+    // The export includes SEO plugin meta that REST usually hides
+    seo: extractSeo({ meta: item.meta, link: item.link })
+  };
+}
+
+/**
+ * Decode a percent-encoded post_name (non-ASCII slugs)
+ *
+ * @private
+ */
+function decodeSlug(slug) {
+  try {
+    return decodeURIComponent(slug);
+  } catch {
+    return slug;
+  }
+}
+
+/**
+ * Build the slash-separated ancestor path for a page or hierarchical custom post
+ *
+ * @private
+ */
+function getParentPath(item, itemsById) {
+  const ancestors = [];
+  const seen = new Set([item.id]);
+  let parent = itemsById.get(item.parent);
+
+  while (parent && !seen.has(parent.id)) {
+    ancestors.unshift(parent.slug ? decodeSlug(parent.slug) : `page-${parent.id}`);
+    seen.add(parent.id);
+    parent = itemsById.get(parent.parent);
+  }
+
+  return ancestors.length > 0 ? ancestors.join('/') : null;
+}
+
+// ============================================================
+// Import
+// ============================================================
+
+/**
+ * Import a WordPress WXR export file into local markdown
+ *
+ * @param {string} xmlPath - Path to the WXR export file
+ * @param {string} outputDir - Output directory (content root)
+ * @param {Object} [options] - Import options
+ * @param {string[]} [options.types=['post', 'page']] - WordPress post types to import
+ * @param {string[]} [options.statuses] - Only import these statuses (default: all real content)
+ * @param {boolean} [options.hierarchical=true] - Use posts/YYYY/MM/DD-slug/index.md layout
+ * @param {boolean} [options.images=false] - Download images (requires network access)
+ * @param {boolean} [options.force=false] - Overwrite existing files
+ * @param {boolean} [options.skipSidecar=false] - Don't create JSON sidecars
+ * @param {boolean} [options.silent=false] - Suppress console output
+ * @returns {Promise<Object>} Import result with success/failure counts
+ *
+ * @example
+ * const result = await importWxr('./export.xml', './content');
+ * console.log(`Imported ${result.success} of ${result.total}`);
+ */
+async function importWxr(xmlPath, outputDir, options = {}) {
+  const {
+    types = ['post', 'page'],
+    statuses = null,
+    hierarchical = true,
+    images = false,
+    silent = false
+  } = options;
+
+  if (!fs.existsSync(xmlPath)) {
+    throw new Error(`File not found: ${xmlPath}`);
+  }
+
+  const wxr = parseWxr(fs.readFileSync(xmlPath, 'utf-8'));
+  const siteUrl = wxr.site.baseBlogUrl || wxr.site.link;
+
+  const context = {
+    authorsByLogin: new Map(wxr.authors.map(a => [a.login, a])),
+    categoriesBySlug: new Map(wxr.categories.map(c => [c.slug, c])),
+    tagsBySlug: new Map(wxr.tags.map(t => [t.slug, t])),
+    itemsById: new Map(wxr.items.map(i => [i.id, i])),
+    attachmentsById: new Map(),
+    attachmentsByParent: new Map()
+  };
+
+  for (const item of wxr.items) {
+    if (item.postType !== 'attachment') continue;
+    context.attachmentsById.set(item.id, item);
+    if (item.parent) {
+      if (!context.attachmentsByParent.has(item.parent)) {
+        context.attachmentsByParent.set(item.parent, []);
+      }
+      context.attachmentsByParent.get(item.parent).push(item);
+    }
+  }
+
+  const selected = wxr.items.filter(item =>
+    types.includes(item.postType) &&
+    (statuses ? statuses.includes(item.status) : !SKIPPED_STATUSES.includes(item.status))
+  );
+
+  const results = {
+    site: wxr.site,
+    total: selected.length,
+    success: 0,
+    failed: 0,
+    articles: [],
+    errors: []
+  };
+
+  if (!silent) {
+    console.log(`Importing ${selected.length} items from ${xmlPath}${siteUrl ? ` (${siteUrl})` : ''}`);
+  }
+
+  for (const item of selected) {
+    try {
+      const normalized = normalizeWxrItem(item, context);
+      // WXR doesn't carry REST bases, so custom post types are stored under
+      // their post type slug (talk/YYYY/MM/DD-slug/) and keep it as `type:`
+      const type = item.postType === 'post' ? 'posts' : item.postType === 'page' ? 'pages' : item.postType;
+
+      const result = await saveNormalizedPost(normalized, item, outputDir, {
+        ...options,
+        type,
+        hierarchical,
+        images,
+        parentSlug: normalized.parentSlug,
+        sourceUrl: normalized.link,
+        siteUrl
+      });
+      results.articles.push(result);
+      results.success++;
+    } catch (error) {
+      results.errors.push({
+        input: item.slug || String(item.id),
+        error: error.message
+      });
+      results.failed++;
+      if (!silent) {
+        console.error(`  Error: ${item.slug || item.id} - ${error.message}`);
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  importWxr,
+  parseWxr,
+  parseXml,
+  normalizeWxrItem,
+  autop,
+  expandShortcodes,
+  convertWxrDate
+};
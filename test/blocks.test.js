@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Tests for blocks module
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { markdownToBlocks, serializeBlock } = require('../lib/blocks');
+const { exportToWordPress } = require('../lib/export');
+
+describe('serializeBlock', () => {
+  it('omits empty attributes', () => {
+    assert.strictEqual(serializeBlock('paragraph', {}, '<p>Hi</p>'), '<!-- wp:paragraph -->\n<p>Hi</p>\n<!-- /wp:paragraph -->');
+  });
+
+  it('escapes attribute characters the way the block editor does', () => {
+    const block = serializeBlock('embed', { url: 'https://a.test/?x=1&y=<2>--"' }, '');
+    assert.ok(block.startsWith('<!-- wp:embed {"url":"https://a.test/?x=1\\u0026y=\\u003c2\\u003e\\u002d\\u002d\\u0022"} -->'));
+  });
+});
+
+describe('markdownToBlocks', () => {
+  it('serializes headings of every level', () => {
+    const result = markdownToBlocks('# One\n\n## Two\n\n###### Six');
+    assert.ok(result.includes('<!-- wp:heading {"level":1} -->\n<h1 class="wp-block-heading">One</h1>\n<!-- /wp:heading -->'));
+    assert.ok(result.includes('<!-- wp:heading -->\n<h2 class="wp-block-heading">Two</h2>\n<!-- /wp:heading -->'));
+    assert.ok(result.includes('<!-- wp:heading {"level":6} -->\n<h6 class="wp-block-heading">Six</h6>'));
+  });
+
+  it('keeps nested inline markup in paragraphs without inline styles', () => {
+    const result = markdownToBlocks('Some **bold *and italic*** with `code` and a [link](https://example.com).');
+    assert.strictEqual(
+      result,
+      '<!-- wp:paragraph -->\n<p>Some <strong>bold <em>and italic</em></strong> with <code>code</code> and a <a href="https://example.com">link</a>.</p>\n<!-- /wp:paragraph -->'
+    );
+  });
+
+  it('serializes lists with list-item blocks and nested lists', () => {
+    const result = markdownToBlocks('- One\n  1. Sub\n- Two');
+    assert.strictEqual(result, [
+      '<!-- wp:list -->',
+      '<ul class="wp-block-list"><!-- wp:list-item -->',
+      '<li>One<!-- wp:list {"ordered":true} -->',
+      '<ol class="wp-block-list"><!-- wp:list-item -->',
+      '<li>Sub</li>',
+      '<!-- /wp:list-item --></ol>',
+      '<!-- /wp:list --></li>',
+      '<!-- /wp:list-item -->',
+      '',
+      '<!-- wp:list-item -->',
+      '<li>Two</li>',
+      '<!-- /wp:list-item --></ul>',
+      '<!-- /wp:list -->'
+    ].join('\n'));
+  });
+
+  it('keeps the start number of ordered lists', () => {
+    const result = markdownToBlocks('3. Three\n4. Four');
+    assert.ok(result.startsWith('<!-- wp:list {"ordered":true,"start":3} -->\n<ol start="3" class="wp-block-list">'));
+  });
+
+  it('serializes images with attachment IDs and captions', () => {
+    const result = markdownToBlocks('![A photo](./photo.jpg "On the beach")', {
+      images: { './photo.jpg': 'https://example.com/wp-content/uploads/photo.jpg' },
+      mediaIds: { './photo.jpg': 123 }
+    });
+    assert.strictEqual(result, [
+      '<!-- wp:image {"id":123,"sizeSlug":"large","linkDestination":"none","align":"center"} -->',
+      '<figure class="wp-block-image aligncenter size-large"><img src="https://example.com/wp-content/uploads/photo.jpg" alt="A photo" class="wp-image-123"/><figcaption class="wp-element-caption">On the beach</figcaption></figure>',
+      '<!-- /wp:image -->'
+    ].join('\n'));
+  });
+
+  it('keeps links around images', () => {
+    const result = markdownToBlocks('[![Full size](./a.jpg)](./a.jpg)', { images: { './a.jpg': 'https://cdn.test/a.jpg' } });
+    assert.ok(result.includes('"linkDestination":"custom"'));
+    assert.ok(result.includes('<a href="https://cdn.test/a.jpg"><img src="https://cdn.test/a.jpg" alt="Full size"/></a>'));
+  });
+
+  it('turns a paragraph of images into a gallery', () => {
+    const result = markdownToBlocks('![One](./1.jpg)\n![Two](./2.jpg)', { mediaIds: { './1.jpg': 1, './2.jpg': 2 } });
+    assert.ok(result.startsWith('<!-- wp:gallery {"linkTo":"none"} -->\n<figure class="wp-block-gallery has-nested-images columns-default is-cropped"><!-- wp:image {"id":1'));
+    assert.strictEqual(result.match(/<!-- wp:image /g).length, 2);
+    assert.ok(result.endsWith('<!-- /wp:image --></figure>\n<!-- /wp:gallery -->'));
+  });
+
+  it('keeps the captions of images in a gallery', () => {
+    const result = markdownToBlocks('![One](./1.jpg "First light")\n![Two](./2.jpg)', { mediaIds: { './1.jpg': 1, './2.jpg': 2 } });
+    assert.ok(result.includes('<img src="./1.jpg" alt="One" class="wp-image-1"/><figcaption class="wp-element-caption">First light</figcaption></figure>'));
+    assert.ok(result.includes('<img src="./2.jpg" alt="Two" class="wp-image-2"/></figure>'));
+  });
+
+  it('serializes tables with column alignment', () => {
+    const result = markdownToBlocks('| Name | Score |\n|------|:-----:|\n| Ann | 9 |');
+    assert.strictEqual(result, [
+      '<!-- wp:table -->',
+      '<figure class="wp-block-table"><table class="has-fixed-layout"><thead><tr><th>Name</th><th class="has-text-align-center" data-align="center">Score</th></tr></thead>' +
+        '<tbody><tr><td>Ann</td><td class="has-text-align-center" data-align="center">9</td></tr></tbody></table></figure>',
+      '<!-- /wp:table -->'
+    ].join('\n'));
+  });
+
+  it('serializes separators, quotes and code', () => {
+    const result = markdownToBlocks('---\n\n> Quoted\n\n```js\nconst list = [1] < 2;\n```');
+    assert.ok(result.includes('<!-- wp:separator -->\n<hr class="wp-block-separator has-alpha-channel-opacity"/>\n<!-- /wp:separator -->'));
+    assert.ok(result.includes('<!-- wp:quote -->\n<blockquote class="wp-block-quote"><!-- wp:paragraph -->\n<p>Quoted</p>\n<!-- /wp:paragraph --></blockquote>\n<!-- /wp:quote -->'));
+    assert.ok(result.includes('<!-- wp:code {"className":"language-js"} -->\n<pre class="wp-block-code language-js"><code>const list = &#91;1] &lt; 2;</code></pre>\n<!-- /wp:code -->'));
+  });
+
+  it('turns a provider URL on its own line into an embed', () => {
+    const result = markdownToBlocks('https://www.youtube.com/watch?v=abc123');
+    assert.strictEqual(result, [
+      '<!-- wp:embed {"url":"https://www.youtube.com/watch?v=abc123","type":"video","providerNameSlug":"youtube"} -->',
+      '<figure class="wp-block-embed is-type-video is-provider-youtube wp-block-embed-youtube"><div class="wp-block-embed__wrapper">',
+      'https://www.youtube.com/watch?v=abc123',
+      '</div></figure>',
+      '<!-- /wp:embed -->'
+    ].join('\n'));
+  });
+
+  it('leaves other bare URLs as paragraphs', () => {
+    assert.ok(markdownToBlocks('https://example.com/page').startsWith('<!-- wp:paragraph -->'));
+  });
+
+  it('wraps raw HTML in an html block and passes hand-written blocks through', () => {
+    const spacer = '<!-- wp:spacer {"height":"40px"} -->\n<div style="height:40px" aria-hidden="true" class="wp-block-spacer"></div>\n<!-- /wp:spacer -->';
+    const result = markdownToBlocks(`<div class="callout">Note</div>\n\n${spacer}\n\n<!-- wp:more /-->`);
+    assert.strictEqual(result, [
+      '<!-- wp:html -->\n<div class="callout">Note</div>\n<!-- /wp:html -->',
+      spacer,
+      '<!-- wp:more /-->'
+    ].join('\n\n'));
+  });
+
+  it('strips quote and list prefixes from hand-written blocks inside them', () => {
+    const spacer = '<!-- wp:spacer {"height":"40px"} -->\n<div style="height:40px" aria-hidden="true" class="wp-block-spacer"></div>\n<!-- /wp:spacer -->';
+
+    const quoted = markdownToBlocks(spacer.split('\n').map(line => `> ${line}`).join('\n'));
+    assert.strictEqual(quoted, `<!-- wp:quote -->\n<blockquote class="wp-block-quote">${spacer}</blockquote>\n<!-- /wp:quote -->`);
+
+    const listed = markdownToBlocks(`- Item\n\n  ${spacer.split('\n').join('\n  ')}`);
+    assert.ok(listed.includes(spacer));
+    assert.ok(!listed.includes('  <div'));
+  });
+});
+
+describe('exportToWordPress with blocks', () => {
+  it('emits block markup instead of styled HTML', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    try {
+      const mdPath = path.join(tmpDir, 'post.md');
+      fs.writeFileSync(mdPath, '---\ntitle: "Blocks"\n---\n\n## Intro\n\nUse `npm test`.\n');
+
+      const result = exportToWordPress(mdPath, null, { blocks: true });
+      assert.ok(result.html.startsWith('<!-- wp:heading -->'));
+      assert.ok(result.html.includes('<p>Use <code>npm test</code>.</p>'));
+      assert.ok(!result.html.includes('style='));
+
+      const alias = exportToWordPress(mdPath, null, { includeWrapper: true });
+      assert.strictEqual(alias.html, result.html);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Tests for build module
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { buildSite, loadTemplates, renderTemplate } = require('../lib/build');
+const { markdownToHtml } = require('../lib/export');
+
+describe('renderTemplate', () => {
+  it('escapes double-brace values and inserts triple-brace values raw', () => {
+    const html = renderTemplate('<h1>{{title}}</h1>{{{content}}}{{missing}}', {
+      title: 'Cats & <Dogs>',
+      content: '<p>Body</p>'
+    });
+
+    assert.strictEqual(html, '<h1>Cats &amp; &lt;Dogs&gt;</h1><p>Body</p>');
+  });
+
+  it('leaves template syntax inside inserted content alone', () => {
+    const content = markdownToHtml('```liquid\n{{ title }} and {{content}} and {{{ content }}}\n```');
+    const html = renderTemplate('<h1>{{title}}</h1>{{{content}}}', { title: 'T', content });
+
+    assert.strictEqual(html, `<h1>T</h1>${content}`);
+    assert.ok(html.includes('{{ title }} and {{content}} and {{{ content }}}'));
+  });
+});
+
+describe('loadTemplates', () => {
+  it('rejects a missing templates directory', () => {
+    assert.throws(() => loadTemplates('/nonexistent/templates'), /Templates directory not found/);
+  });
+});
+
+describe('buildSite', () => {
+  let tmpDir;
+  let contentDir;
+
+  function write(relativePath, content) {
+    const filePath = path.join(contentDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+
+  function post(day, slug, frontMatter = []) {
+    write(`posts/2025/01/${day}-${slug}/index.md`, [
+      '---',
+      `title: "Post ${slug}"`,
+      `date: "2025-01-${day}T10:00:00"`,
+      ...frontMatter,
+      '---',
+      '',
+      `Body of ${slug}.`,
+      ''
+    ].join('\n'));
+  }
+
+  function read(outDir, relativePath) {
+    return fs.readFileSync(path.join(outDir, relativePath), 'utf-8');
+  }
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    contentDir = path.join(tmpDir, 'content');
+    write('posts/2025/01/15-hello/index.md', [
+      '---',
+      'title: "Hello & Welcome"',
+      'date: "2025-01-15T10:30:00"',
+      'description: "Greeting"',
+      'author: "Jane"',
+      'canonical_url: "https://example.com/2025/01/15/hello/"',
+      'categories:',
+      '  - "Tech News"',
+      'tags:',
+      '  - "intro"',
+      '---',
+      '',
+      '# Hi',
+      '',
+      '![Photo](./photo.jpg)',
+      ''
+    ].join('\n'));
+    write('posts/2025/01/15-hello/photo.jpg', 'photo');
+    post('10', 'second', ['categories:', '  - "Tech News"']);
+    post('05', 'third');
+    post('01', 'hidden', ['draft: true']);
+    write('pages/about/index.md', '---\ntitle: "About"\ntype: page\n---\nAbout us.\n');
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('renders articles at their permalinks with canonical links and images', () => {
+    const outDir = path.join(tmpDir, 'site');
+    const result = buildSite(contentDir, outDir, { siteTitle: 'My Blog', siteUrl: 'https://mirror.example.com/' });
+
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.articles.length, 4);
+    assert.strictEqual(result.images, 1);
+
+    const hello = read(outDir, '2025/01/15/hello/index.html');
+    assert.ok(hello.includes('<title>Hello &amp; Welcome | My Blog</title>'));
+    assert.ok(hello.includes('<link rel="canonical" href="https://example.com/2025/01/15/hello/">'));
+    assert.ok(hello.includes('<meta name="description" content="Greeting">'));
+    assert.ok(hello.includes('January 15, 2025 · Jane'));
+    assert.ok(hello.includes('<img src="./photo.jpg" alt="Photo"'));
+    assert.ok(hello.includes('<a href="/category/tech-news/">Tech News</a>'));
+    assert.ok(hello.includes('<a href="/tag/intro/">#intro</a>'));
+    assert.ok(fs.existsSync(path.join(outDir, '2025/01/15/hello/photo.jpg')));
+
+    const about = read(outDir, 'about/index.html');
+    assert.ok(about.includes('<link rel="canonical" href="https://mirror.example.com/about/">'));
+  });
+
+  it('paginates the index newest first and leaves out pages and drafts', () => {
+    const outDir = path.join(tmpDir, 'paged');
+    buildSite(contentDir, outDir, { perPage: 2 });
+
+    const first = read(outDir, 'index.html');
+    assert.ok(first.indexOf('/2025/01/15/hello/') < first.indexOf('/2025/01/10/second/'));
+    assert.ok(!first.includes('/2025/01/05/third/'));
+    assert.ok(!first.includes('/about/'));
+    assert.ok(first.includes('<a href="/page/2/">Older →</a>'));
+
+    const second = read(outDir, 'page/2/index.html');
+    assert.ok(second.includes('/2025/01/05/third/'));
+    assert.ok(second.includes('<a href="/">← Newer</a>'));
+    assert.ok(!fs.existsSync(path.join(outDir, 'page/3')));
+    assert.ok(!fs.existsSync(path.join(outDir, '2025/01/01/hidden')));
+  });
+
+  it('includes drafts when asked', () => {
+    const outDir = path.join(tmpDir, 'drafts');
+    const result = buildSite(contentDir, outDir, { drafts: true });
+
+    assert.strictEqual(result.articles.length, 5);
+    assert.ok(fs.existsSync(path.join(outDir, '2025/01/01/hidden/index.html')));
+  });
+
+  it('writes category and tag archives', () => {
+    const outDir = path.join(tmpDir, 'archives');
+    buildSite(contentDir, outDir);
+
+    const category = read(outDir, 'category/tech-news/index.html');
+    assert.ok(category.includes('<h1>Category: Tech News</h1>'));
+    assert.ok(category.includes('/2025/01/15/hello/'));
+    assert.ok(category.includes('/2025/01/10/second/'));
+    assert.ok(!category.includes('/2025/01/05/third/'));
+
+    const tag = read(outDir, 'tag/intro/index.html');
+    assert.ok(tag.includes('/2025/01/15/hello/'));
+  });
+
+  it('uses override templates by file name', () => {
+    const templatesDir = path.join(tmpDir, 'templates');
+    fs.mkdirSync(templatesDir, { recursive: true });
+    fs.writeFileSync(path.join(templatesDir, 'article.html'), '<article class="custom">{{title}}{{{content}}}</article>');
+
+    const outDir = path.join(tmpDir, 'custom');
+    buildSite(contentDir, outDir, { templatesDir });
+
+    const hello = read(outDir, '2025/01/15/hello/index.html');
+    assert.ok(hello.includes('<article class="custom">Hello &amp; Welcome'));
+    // Templates not overridden fall back to the defaults
+    assert.ok(hello.includes('<!DOCTYPE html>'));
+  });
+
+  it('writes feeds and links them from every page when asked', () => {
+    const outDir = path.join(tmpDir, 'feeds');
+    const result = buildSite(contentDir, outDir, { siteUrl: 'https://mirror.example.com', feeds: true });
+
+    assert.deepStrictEqual(result.feeds.map(feed => path.relative(outDir, feed.outputPath)), ['feed.xml', 'atom.xml', 'feed.json']);
+    assert.ok(read(outDir, 'index.html').includes('<link rel="alternate" type="application/rss+xml" title="ownwords" href="/feed.xml">'));
+    assert.ok(!read(outDir, 'feed.xml').includes('Post hidden'));
+
+    assert.throws(() => buildSite(contentDir, outDir, { feeds: true }), /Feeds need a site URL/);
+  });
+
+  it('points feed images at the copies next to the page', () => {
+    const sharedDir = path.join(tmpDir, 'shared-content');
+    fs.mkdirSync(path.join(sharedDir, 'images'), { recursive: true });
+    fs.mkdirSync(path.join(sharedDir, 'posts'), { recursive: true });
+    fs.writeFileSync(path.join(sharedDir, 'images', 'chart.png'), 'chart');
+    fs.writeFileSync(path.join(sharedDir, 'posts', 'charts.md'),
+      '---\ntitle: "Charts"\nslug: "charts"\ndate: "2025-02-01T10:00:00"\n---\n\n![Chart](../images/chart.png)\n');
+
+    const outDir = path.join(tmpDir, 'shared');
+    const result = buildSite(sharedDir, outDir, { siteUrl: 'https://mirror.example.com', feeds: true });
+
+    assert.deepStrictEqual(result.errors, []);
+    const page = read(outDir, '2025/02/01/charts/index.html');
+    assert.ok(page.includes('<img src="./chart.png" alt="Chart"'));
+    assert.ok(fs.existsSync(path.join(outDir, '2025/02/01/charts/chart.png')));
+    const feed = JSON.parse(read(outDir, 'feed.json'));
+    assert.ok(feed.items[0].content_html.includes('src="https://mirror.example.com/2025/02/01/charts/chart.png"'));
+  });
+
+  it('reports entries that share a permalink', () => {
+    const dupDir = path.join(tmpDir, 'dup-content');
+    for (const name of ['a', 'b']) {
+      const filePath = path.join(dupDir, `${name}.md`);
+      fs.mkdirSync(dupDir, { recursive: true });
+      fs.writeFileSync(filePath, '---\ntitle: "Same"\ntype: page\nslug: "same"\n---\nText.\n');
+    }
+
+    const result = buildSite(dupDir, path.join(tmpDir, 'dup'));
+    assert.strictEqual(result.articles.length, 1);
+    assert.strictEqual(result.errors.length, 1);
+    assert.match(result.errors[0].error, /Same permalink as/);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Tests for corpus module
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { loadCorpus, readCorpusEntry } = require('../lib/corpus');
+
+describe('loadCorpus', () => {
+  let tmpDir;
+
+  function write(relativePath, content) {
+    const filePath = path.join(tmpDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    write('posts/2025/01/15-hello/index.md', [
+      '---',
+      'title: "Hello"',
+      'canonical_url: "https://example.com/blog/hello/"',
+      'featured_image: "./cover.jpg"',
+      '---',
+      '',
+      '![Photo](./photo.jpg)',
+      ''
+    ].join('\n'));
+    write('pages/about/team/index.md', '---\ntitle: "Team"\ntype: page\n---\nTeam.\n');
+    write('talks/2025/03/02-keynote/index.md', '---\ntitle: "Keynote"\ntype: talk\n---\nTalk.\n');
+    write('articles/2024-12-01-flat-post.md', '---\ntitle: Flat\ndate: 2024-12-01T09:00:00Z\ndraft: true\n---\nFlat.\n');
+    write('.drafts/ignored.md', '---\ntitle: Ignored\n---\n');
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reads every markdown file outside dot directories, sorted by path', () => {
+    const { entries, errors } = loadCorpus(tmpDir);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(entries.map(e => e.relativePath), [
+      'articles/2024-12-01-flat-post.md',
+      'pages/about/team/index.md',
+      'posts/2025/01/15-hello/index.md',
+      'talks/2025/03/02-keynote/index.md'
+    ]);
+  });
+
+  it('derives slug and date from a hierarchical post path', () => {
+    const entry = readCorpusEntry(path.join(tmpDir, 'posts/2025/01/15-hello/index.md'), tmpDir);
+    assert.strictEqual(entry.bundle, true);
+    assert.strictEqual(entry.type, 'post');
+    assert.strictEqual(entry.collection, 'posts');
+    assert.strictEqual(entry.slug, 'hello');
+    assert.strictEqual(entry.date, '2025-01-15');
+    assert.strictEqual(entry.permalink, '/blog/hello/');
+    assert.deepStrictEqual(entry.images.map(img => img.markdownPath), ['./photo.jpg']);
+    assert.strictEqual(entry.featuredImage.markdownPath, './cover.jpg');
+  });
+
+  it('derives parent paths for pages and collections for custom post types', () => {
+    const { entries } = loadCorpus(tmpDir);
+    const page = entries.find(e => e.slug === 'team');
+    assert.strictEqual(page.parentPath, 'about');
+    assert.strictEqual(page.permalink, '/about/team/');
+
+    const talk = entries.find(e => e.slug === 'keynote');
+    assert.strictEqual(talk.type, 'talk');
+    assert.strictEqual(talk.collection, 'talks');
+    assert.strictEqual(talk.date, '2025-03-02');
+    assert.strictEqual(talk.permalink, '/talks/keynote/');
+  });
+
+  it('reads flat files with dates parsed by YAML and draft flags', () => {
+    const entry = readCorpusEntry(path.join(tmpDir, 'articles/2024-12-01-flat-post.md'), tmpDir);
+    assert.strictEqual(entry.bundle, false);
+    assert.strictEqual(entry.slug, 'flat-post');
+    assert.strictEqual(entry.date, '2024-12-01T09:00:00Z');
+    assert.strictEqual(entry.draft, true);
+    assert.strictEqual(entry.permalink, '/2024/12/01/flat-post/');
+  });
+
+  it('keeps the calendar day of unquoted timestamps with offsets', () => {
+    write('articles/late.md', '---\ntitle: Late\ndate: 2025-01-15T23:30:00-08:00\npublish_at: 2030-01-15T23:30:00-08:00\n---\nLate.\n');
+    const entry = readCorpusEntry(path.join(tmpDir, 'articles/late.md'), tmpDir);
+    assert.strictEqual(entry.date, '2025-01-15T23:30:00-08:00');
+    assert.strictEqual(entry.publishAt, '2030-01-15T23:30:00-08:00');
+    assert.strictEqual(entry.permalink, '/2025/01/15/late/');
+    fs.rmSync(path.join(tmpDir, 'articles/late.md'));
+  });
+
+  it('rejects a missing directory', () => {
+    assert.throws(() => loadCorpus(path.join(tmpDir, 'missing')), /Content directory not found/);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Tests for custom-fields module
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { pickCustomFields, buildCustomFieldsPayload } = require('../lib/custom-fields');
+
+describe('pickCustomFields', () => {
+  const normalized = {
+    meta: { subtitle: 'The real story', _edit_lock: '1700000000:1', footnotes: '', rating: 4 },
+    acf: { speaker_bio: 'Writes things', slides_url: null }
+  };
+
+  it('keeps public meta and ACF fields without an allowlist', () => {
+    assert.deepStrictEqual(pickCustomFields(normalized), {
+      meta: { subtitle: 'The real story', rating: 4 },
+      acf: { speaker_bio: 'Writes things' }
+    });
+  });
+
+  it('keeps only allowlisted keys with an allowlist', () => {
+    assert.deepStrictEqual(pickCustomFields(normalized, { meta: ['rating', '_edit_lock'] }), {
+      meta: { _edit_lock: '1700000000:1', rating: 4 },
+      acf: {}
+    });
+  });
+
+  it('treats the empty array ACF sends for posts without fields as no fields', () => {
+    assert.deepStrictEqual(pickCustomFields({ meta: {}, acf: [] }), { meta: {}, acf: {} });
+  });
+});
+
+describe('buildCustomFieldsPayload', () => {
+  const allowlist = { meta: ['subtitle'], acf: ['speaker_bio'] };
+
+  it('writes allowlisted keys and reports the rest as skipped', () => {
+    const payload = buildCustomFieldsPayload({
+      meta: { subtitle: 'New subtitle', _yoast_wpseo_title: 'Clobbered' },
+      acf: { speaker_bio: 'Updated bio', internal_flag: true }
+    }, allowlist);
+
+    assert.deepStrictEqual(payload.meta, { subtitle: 'New subtitle' });
+    assert.deepStrictEqual(payload.acf, { speaker_bio: 'Updated bio' });
+    assert.deepStrictEqual(payload.skipped, ['meta._yoast_wpseo_title', 'acf.internal_flag']);
+  });
+
+  it('writes nothing without an allowlist', () => {
+    const payload = buildCustomFieldsPayload({ meta: { subtitle: 'x' } });
+    assert.strictEqual(payload.meta, undefined);
+    assert.deepStrictEqual(payload.skipped, ['meta.subtitle']);
+  });
+
+  it('keeps empty values so fields can be cleared', () => {
+    const payload = buildCustomFieldsPayload({ meta: { subtitle: '' } }, allowlist);
+    assert.deepStrictEqual(payload.meta, { subtitle: '' });
+  });
+
+  it('skips unknown sections and handles a missing section', () => {
+    assert.deepStrictEqual(buildCustomFieldsPayload({ pods: { a: 1 } }, allowlist).skipped, ['pods']);
+    assert.deepStrictEqual(buildCustomFieldsPayload(undefined, allowlist), { meta: undefined, acf: undefined, skipped: [] });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Tests for dates module
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseDateTime,
+  hasTimezone,
+  toGmtString,
+  formatInZone,
+  withUtcOffset,
+  calendarDate,
+  zoneOffset
+} = require('../lib/dates');
+
+describe('parseDateTime', () => {
+  it('reads ISO 8601 offsets and Z', () => {
+    assert.strictEqual(toGmtString(parseDateTime('2025-03-01T09:00:00-08:00')), '2025-03-01T17:00:00');
+    assert.strictEqual(toGmtString(parseDateTime('2025-03-01T09:00:00+0530')), '2025-03-01T03:30:00');
+    assert.strictEqual(toGmtString(parseDateTime('2025-03-01T09:00Z')), '2025-03-01T09:00:00');
+  });
+
+  it('reads wall times in IANA timezones, following daylight saving time', () => {
+    assert.strictEqual(toGmtString(parseDateTime('2025-03-01 09:00 America/Los_Angeles')), '2025-03-01T17:00:00');
+    assert.strictEqual(toGmtString(parseDateTime('2025-07-01 09:00 America/Los_Angeles')), '2025-07-01T16:00:00');
+    assert.strictEqual(toGmtString(parseDateTime('2025-07-01 09:00', 'Europe/London')), '2025-07-01T08:00:00');
+  });
+
+  it('reads wall times in a fixed default offset, as WordPress manual offsets give', () => {
+    assert.strictEqual(toGmtString(parseDateTime('2025-07-01 09:00', '+05:30')), '2025-07-01T03:30:00');
+    assert.strictEqual(hasTimezone('2025-07-01 09:00'), false);
+    assert.strictEqual(hasTimezone('2025-07-01 09:00 Asia/Kolkata'), true);
+  });
+
+  it('returns YAML-parsed dates as they are', () => {
+    const date = new Date('2025-03-01T17:00:00Z');
+    assert.strictEqual(parseDateTime(date), date);
+  });
+
+  it('rejects values without a timezone, unknown timezones and non-dates', () => {
+    assert.throws(() => parseDateTime('2025-03-01 09:00'), /No timezone in "2025-03-01 09:00"/);
+    assert.throws(() => parseDateTime('2025-03-01 09:00 Mars/Olympus_Mons'), /Unknown timezone "Mars\/Olympus_Mons"/);
+    assert.throws(() => parseDateTime('next Tuesday'), /Invalid date "next Tuesday"/);
+  });
+});
+
+describe('zoneOffset', () => {
+  it('returns the offset in minutes at an instant', () => {
+    assert.strictEqual(zoneOffset('America/New_York', new Date('2025-01-15T12:00:00Z')), -300);
+    assert.strictEqual(zoneOffset('America/New_York', new Date('2025-07-15T12:00:00Z')), -240);
+    assert.strictEqual(zoneOffset('Asia/Kolkata', new Date('2025-07-15T12:00:00Z')), 330);
+  });
+});
+
+describe('withUtcOffset', () => {
+  it('adds the offset between a WordPress local date and its GMT date', () => {
+    assert.strictEqual(withUtcOffset('2025-01-15T23:30:00', '2025-01-16T07:30:00'), '2025-01-15T23:30:00-08:00');
+    assert.strictEqual(withUtcOffset('2025-01-15 10:00:00', '2025-01-15 04:30:00'), '2025-01-15T10:00:00+05:30');
+  });
+
+  it('leaves the date alone without a usable GMT date', () => {
+    assert.strictEqual(withUtcOffset('2025-01-15T10:00:00', ''), '2025-01-15T10:00:00');
+    assert.strictEqual(withUtcOffset('2025-01-15T10:00:00', '0000-00-00T00:00:00'), '2025-01-15T10:00:00');
+    assert.strictEqual(withUtcOffset('2025-01-15', '2025-01-15'), '2025-01-15');
+  });
+});
+
+describe('calendarDate', () => {
+  it('keeps the day as written in strings', () => {
+    assert.strictEqual(calendarDate('2025-01-15T23:30:00-08:00', 'UTC'), '2025-01-15');
+  });
+
+  it('uses the timezone for instants', () => {
+    const lateInPacific = new Date('2025-01-16T07:30:00Z');
+    assert.strictEqual(calendarDate(lateInPacific, 'America/Los_Angeles'), '2025-01-15');
+    assert.strictEqual(formatInZone(lateInPacific, 'America/Los_Angeles'), '2025-01-15T23:30:00-08:00');
+  });
+});
@@ -58,7 +58,8 @@ describe('markdownToHtml', () => {
   it('converts bold italic text', () => {
     const md = 'This is ***bold italic*** text';
     const result = markdownToHtml(md);
-    assert.ok(result.includes('<strong><em>bold italic</em></strong>'));
+    // CommonMark nests strong inside em for ***text***
+    assert.ok(result.includes('<em><strong>bold italic</strong></em>'));
   });
 
   it('converts links', () => {
@@ -170,7 +171,7 @@ describe('markdownToHtml', () => {
   it('converts ordered lists', () => {
     const md = '1. First\n2. Second\n3. Third';
     const result = markdownToHtml(md);
-    assert.ok(result.includes('<ul>'));
+    assert.ok(result.includes('<ol>'));
     assert.ok(result.includes('<li>First</li>'));
     assert.ok(result.includes('<li>Second</li>'));
     assert.ok(result.includes('<li>Third</li>'));
@@ -185,6 +186,14 @@ describe('markdownToHtml', () => {
     assert.ok(result.includes('<!-- /wp:quote -->'));
   });
 
+  it('converts multi-line blockquotes into a single quote block', () => {
+    const md = '> First line\n> second line\n>\n> Second paragraph';
+    const result = markdownToHtml(md);
+    assert.strictEqual(result.match(/<!-- wp:quote -->/g).length, 1);
+    assert.ok(result.includes('<p>First line\nsecond line</p>'));
+    assert.ok(result.includes('<p>Second paragraph</p></blockquote>'));
+  });
+
   it('converts horizontal rules', () => {
     const md = 'Before\n\n---\n\nAfter';
     const result = markdownToHtml(md);
@@ -226,4 +235,118 @@ const x = 1;
     // Blockquotes are now WordPress Gutenberg quote blocks
     assert.ok(result.includes('<blockquote class="wp-block-quote"><p>A famous quote</p></blockquote>'));
   });
+
+  it('converts nested lists', () => {
+    const md = '1. First\n   - Nested a\n   - Nested b\n2. Second';
+    const result = markdownToHtml(md);
+    assert.ok(result.includes('<ol>\n<li>First\n<ul>\n<li>Nested a</li>\n<li>Nested b</li>\n</ul>\n</li>\n<li>Second</li>\n</ol>'));
+  });
+
+  it('resolves reference-style links', () => {
+    const md = 'See [the docs][docs].\n\n[docs]: https://example.com/docs "Docs"';
+    const result = markdownToHtml(md);
+    assert.ok(result.includes('<a href="https://example.com/docs" title="Docs">the docs</a>'));
+    assert.ok(!result.includes('[docs]'));
+  });
+
+  it('respects backslash escapes', () => {
+    const result = markdownToHtml('Not \\*emphasis\\* here');
+    assert.ok(result.includes('<p>Not *emphasis* here</p>'));
+  });
+
+  it('converts underscore emphasis but not intraword underscores', () => {
+    const result = markdownToHtml('Both _italic_ and __bold__ work in snake_case_names');
+    assert.ok(result.includes('<em>italic</em>'));
+    assert.ok(result.includes('<strong>bold</strong>'));
+    assert.ok(result.includes('snake_case_names'));
+  });
+
+  it('converts hard line breaks', () => {
+    const result = markdownToHtml('Line one  \nLine two\\\nLine three');
+    assert.ok(result.includes('<p>Line one<br />\nLine two<br />\nLine three</p>'));
+  });
+
+  it('passes HTML blocks through untouched', () => {
+    const md = '<div class="callout">\n<strong>Note</strong>\n</div>\n\nAfter';
+    const result = markdownToHtml(md);
+    assert.ok(result.includes('<div class="callout">\n<strong>Note</strong>\n</div>'));
+    assert.ok(!result.includes('<p><div'));
+  });
+
+  it('renders standalone images as WordPress figures with captions', () => {
+    const result = markdownToHtml('![A chart](./chart.png "Quarterly results")');
+    assert.strictEqual(
+      result,
+      '<figure class="wp-block-image size-large aligncenter"><img src="./chart.png" alt="A chart" style="max-width: 100%; height: auto;" loading="lazy" /><figcaption>Quarterly results</figcaption></figure>'
+    );
+  });
+
+  it('keeps the link around a linked standalone image inside the figure', () => {
+    const result = markdownToHtml('[![Logo](./logo.png)](https://example.com)');
+    assert.ok(result.startsWith('<figure class="wp-block-image size-large aligncenter"><a href="https://example.com"><img src="./logo.png"'));
+    assert.ok(result.endsWith('</a></figure>'));
+  });
+
+  it('gives each image on consecutive lines its own figure', () => {
+    const result = markdownToHtml('![A](a.jpg "Cap A")\n![B](b.jpg "Cap B")');
+    assert.strictEqual(result, [
+      '<figure class="wp-block-image size-large aligncenter"><img src="a.jpg" alt="A" style="max-width: 100%; height: auto;" loading="lazy" /><figcaption>Cap A</figcaption></figure>',
+      '<figure class="wp-block-image size-large aligncenter"><img src="b.jpg" alt="B" style="max-width: 100%; height: auto;" loading="lazy" /><figcaption>Cap B</figcaption></figure>'
+    ].join('\n'));
+  });
+
+  it('keeps images inside running text inline', () => {
+    const result = markdownToHtml('An icon ![x](./icon.png) in text');
+    assert.ok(result.startsWith('<p>An icon <img src="./icon.png"'));
+    assert.ok(!result.includes('<figure'));
+  });
+
+  it('converts GFM tables with alignment and inline styles', () => {
+    const md = '| Name | Score |\n|:-----|------:|\n| Ann | 9 |\n| Bob | 7 |';
+    const result = markdownToHtml(md);
+    assert.ok(result.includes('<table style="border-collapse:collapse;'));
+    assert.ok(result.includes('text-align:right;background-color:#f8f9fa;font-weight:600;">Score</th>'));
+    assert.ok(result.includes('text-align:left;background-color:#fafafa;">Ann</td>'));
+    assert.ok(result.includes('text-align:left;">Bob</td>'));
+  });
+
+  it('converts GFM strikethrough', () => {
+    const result = markdownToHtml('This is ~~gone~~ now');
+    assert.ok(result.includes('<del>gone</del>'));
+  });
+
+  it('converts GFM task lists', () => {
+    const result = markdownToHtml('- [ ] Todo\n- [x] Done\n- Plain');
+    assert.ok(result.includes('<ul class="contains-task-list">'));
+    assert.ok(result.includes('<li class="task-list-item"><input type="checkbox" disabled="disabled" /> Todo</li>'));
+    assert.ok(result.includes('<li class="task-list-item"><input type="checkbox" disabled="disabled" checked="checked" /> Done</li>'));
+    assert.ok(result.includes('<li>Plain</li>'));
+  });
+});
+
+describe('markdownToHtml CommonMark spec', () => {
+  // spec.json from https://spec.commonmark.org/0.31.2/
+  const examples = require('./fixtures/commonmark-spec.json');
+
+  // Examples whose structure differs on purpose: image-only paragraphs
+  // render as WordPress figures, with the image title as the figcaption
+  const FIGURE_EXAMPLES = [517, 520, 531, 572, 573, 574, 575, 576, 577, 578, 580, 581, 582, 583, 584, 585, 586, 588, 589, 591];
+
+  // Differences that apply to every example are normalized away: inline
+  // styles and lazy loading, wp:quote blockquotes, code blocks without their
+  // final newline, and whitespace around blockquote tags
+  const normalize = html => html
+    .replace(/<!-- \/?wp:quote -->\n?/g, '')
+    .replace(/<blockquote class="wp-block-quote">/g, '<blockquote>')
+    .replace(/\s*(<\/?blockquote>)\s*/g, '$1')
+    .trim();
+  const normalizeOutput = html => normalize(html.replace(/ style="[^"]*"| loading="lazy"/g, ''));
+  const normalizeExpected = html => normalize(html.replace(/(<pre><code(?: class="[^"]*")?>[^<]*)\n<\/code><\/pre>/g, '$1</code></pre>'));
+
+  for (const example of examples) {
+    const skip = FIGURE_EXAMPLES.includes(example.example) && 'renders image-only paragraphs as figures';
+    it(`example ${example.example} (${example.section})`, { skip }, () => {
+      assert.strictEqual(normalizeOutput(markdownToHtml(example.markdown)), normalizeExpected(example.html));
+    });
+  }
 });
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Tests for feeds module
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { generateFeeds, buildFeedItem, renderRss } = require('../lib/feeds');
+const { readCorpusEntry } = require('../lib/corpus');
+
+describe('buildFeedItem', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function entryFor(relativePath, content) {
+    const filePath = path.join(tmpDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return readCorpusEntry(filePath, tmpDir);
+  }
+
+  it('reuses the WordPress GUID and makes image URLs absolute', () => {
+    const entry = entryFor('posts/2025/01/15-hello/index.md', [
+      '---',
+      'title: "Hello"',
+      'date: "2025-01-15T10:30:00"',
+      'modified: "2025-01-16T08:00:00-05:00"',
+      'author: "Jane"',
+      'canonical_url: "https://example.com/2025/01/15/hello/"',
+      'categories:',
+      '  - "Tech"',
+      'tags:',
+      '  - "intro"',
+      'wordpress:',
+      '  post_id: 42',
+      '---',
+      '',
+      '![Photo](./photo.jpg) and [a link](/about/) and [elsewhere](https://other.example.org/)',
+      ''
+    ].join('\n'));
+
+    const item = buildFeedItem(entry, 'https://mirror.example.com/');
+
+    assert.strictEqual(item.id, 'https://example.com/?p=42');
+    assert.strictEqual(item.guidIsPermalink, false);
+    assert.strictEqual(item.url, 'https://example.com/2025/01/15/hello/');
+    assert.strictEqual(item.published.toISOString(), '2025-01-15T10:30:00.000Z');
+    assert.strictEqual(item.modified.toISOString(), '2025-01-16T13:00:00.000Z');
+    assert.ok(item.html.includes('src="https://mirror.example.com/2025/01/15/hello/photo.jpg"'));
+    assert.ok(item.html.includes('href="https://mirror.example.com/about/"'));
+    assert.ok(item.html.includes('href="https://other.example.org/"'));
+    assert.deepStrictEqual(item.categories, ['Tech']);
+    assert.deepStrictEqual(item.tags, ['intro']);
+  });
+
+  it('uses the page URL as a permalink GUID without a post ID', () => {
+    const entry = entryFor('articles/2025-02-01-new.md', '---\ntitle: "New"\n---\nText.\n');
+    const item = buildFeedItem(entry, 'https://example.com');
+
+    assert.strictEqual(item.id, 'https://example.com/2025/02/01/new/');
+    assert.strictEqual(item.guidIsPermalink, true);
+  });
+});
+
+describe('renderRss', () => {
+  it('escapes CDATA terminators in content', () => {
+    const xml = renderRss({
+      title: 'Site & Co',
+      siteUrl: 'https://example.com/',
+      feedUrl: 'https://example.com/feed.xml',
+      language: 'en-US',
+      updated: null,
+      items: [{
+        id: 'https://example.com/a/',
+        guidIsPermalink: true,
+        url: 'https://example.com/a/',
+        title: 'A',
+        summary: '',
+        html: '<p>x]]>y</p>',
+        published: null,
+        modified: null,
+        author: '',
+        categories: [],
+        tags: []
+      }]
+    });
+
+    assert.ok(xml.includes('<title>Site &amp; Co</title>'));
+    assert.ok(xml.includes('<content:encoded><![CDATA[<p>x]]]]><![CDATA[>y</p>]]></content:encoded>'));
+  });
+});
+
+describe('generateFeeds', () => {
+  let tmpDir;
+  let contentDir;
+
+  function write(relativePath, content) {
+    const filePath = path.join(contentDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    contentDir = path.join(tmpDir, 'content');
+    write('posts/2025/01/15-first/index.md', [
+      '---',
+      'title: "First"',
+      'date: "2025-01-15T10:30:00"',
+      'description: "The first post"',
+      'author: "Jane"',
+      'categories:',
+      '  - "Tech News"',
+      'tags:',
+      '  - "intro"',
+      '---',
+      '',
+      'First body.',
+      ''
+    ].join('\n'));
+    write('posts/2025/01/20-second/index.md', '---\ntitle: "Second"\ndate: "2025-01-20"\n---\nSecond body.\n');
+    write('posts/2025/01/25-draft/index.md', '---\ntitle: "Draft"\ndate: "2025-01-25"\ndraft: true\n---\nNot yet.\n');
+    write('pages/about/index.md', '---\ntitle: "About"\ntype: page\n---\nAbout.\n');
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes RSS, Atom and JSON feeds of posts, newest first', () => {
+    const outDir = path.join(tmpDir, 'site');
+    const result = generateFeeds(contentDir, outDir, { siteUrl: 'https://example.com', siteTitle: 'My Blog' });
+
+    assert.strictEqual(result.posts, 2);
+    assert.deepStrictEqual(result.feeds.map(feed => [feed.format, feed.url, feed.wordpressPath]), [
+      ['rss', 'https://example.com/feed.xml', '/feed/'],
+      ['atom', 'https://example.com/atom.xml', '/feed/atom/'],
+      ['json', 'https://example.com/feed.json', null]
+    ]);
+
+    const rss = fs.readFileSync(path.join(outDir, 'feed.xml'), 'utf-8');
+    assert.ok(rss.indexOf('<title>Second</title>') < rss.indexOf('<title>First</title>'));
+    assert.ok(!rss.includes('Draft'));
+    assert.ok(!rss.includes('About'));
+    assert.ok(rss.includes('<pubDate>Wed, 15 Jan 2025 10:30:00 +0000</pubDate>'));
+    assert.ok(rss.includes('<dc:creator><![CDATA[Jane]]></dc:creator>'));
+    assert.ok(rss.includes('<category><![CDATA[Tech News]]></category>'));
+    assert.ok(rss.includes('<description><![CDATA[The first post]]></description>'));
+    assert.ok(rss.includes('<content:encoded><![CDATA[<p>First body.</p>'));
+    assert.ok(rss.includes('<lastBuildDate>Mon, 20 Jan 2025 00:00:00 +0000</lastBuildDate>'));
+
+    const atom = fs.readFileSync(path.join(outDir, 'atom.xml'), 'utf-8');
+    assert.ok(atom.includes('<published>2025-01-15T10:30:00Z</published>'));
+    assert.ok(atom.includes('<category scheme="https://example.com/" term="intro" />'));
+
+    const json = JSON.parse(fs.readFileSync(path.join(outDir, 'feed.json'), 'utf-8'));
+    assert.strictEqual(json.version, 'https://jsonfeed.org/version/1.1');
+    assert.deepStrictEqual(json.items.map(item => item.title), ['Second', 'First']);
+    assert.deepStrictEqual(json.items[1].tags, ['Tech News', 'intro']);
+    assert.deepStrictEqual(json.items[1].authors, [{ name: 'Jane' }]);
+  });
+
+  it('writes per-category and per-tag feeds when asked', () => {
+    const outDir = path.join(tmpDir, 'terms');
+    const result = generateFeeds(contentDir, outDir, { siteUrl: 'https://example.com', formats: ['rss'], terms: true, limit: 1 });
+
+    assert.deepStrictEqual(result.feeds.map(feed => feed.wordpressPath), [
+      '/feed/',
+      '/category/tech-news/feed/',
+      '/tag/intro/feed/'
+    ]);
+    const category = fs.readFileSync(path.join(outDir, 'category/tech-news/feed.xml'), 'utf-8');
+    assert.ok(category.includes('<title>First</title>'));
+    assert.ok(!category.includes('<title>Second</title>'));
+
+    const site = fs.readFileSync(path.join(outDir, 'feed.xml'), 'utf-8');
+    assert.strictEqual(site.split('<item>').length - 1, 1);
+  });
+
+  it('requires a site URL and known formats', () => {
+    assert.throws(() => generateFeeds(contentDir, tmpDir, {}), /Feeds need a site URL/);
+    assert.throws(
+      () => generateFeeds(contentDir, tmpDir, { siteUrl: 'https://example.com', formats: ['rdf'] }),
+      /Unknown feed format "rdf"/
+    );
+  });
+});
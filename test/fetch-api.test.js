@@ -4,6 +4,8 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
+const path = require('path');
+const matter = require('gray-matter');
 
 const {
   extractSlugFromUrl,
@@ -65,15 +67,20 @@ describe('generateDatePrefixedFilename', () => {
     assert.strictEqual(result, '2025-12-07-my-article');
   });
 
-  it('uses current date when date is null', () => {
+  it('keeps the local day of a late-evening datetime with offset', () => {
+    const result = generateDatePrefixedFilename('my-article', '2025-01-15T23:30:00-08:00');
+    assert.strictEqual(result, '2025-01-15-my-article');
+  });
+
+  it('uses current local date when date is null', () => {
     const result = generateDatePrefixedFilename('my-article', null);
-    const today = new Date().toISOString().substring(0, 10);
+    const today = new Date().toLocaleDateString('en-CA');
     assert.strictEqual(result, `${today}-my-article`);
   });
 
-  it('uses current date when date is undefined', () => {
+  it('uses current local date when date is undefined', () => {
     const result = generateDatePrefixedFilename('my-article', undefined);
-    const today = new Date().toISOString().substring(0, 10);
+    const today = new Date().toLocaleDateString('en-CA');
     assert.strictEqual(result, `${today}-my-article`);
   });
 
@@ -256,6 +263,29 @@ describe('generateEnrichedFrontMatter', () => {
     assert.strictEqual(modifiedLines.length, 0);
   });
 
+  it('records dates with the site offset derived from the GMT dates', () => {
+    const normalized = {
+      id: 123,
+      slug: 'late-post',
+      title: 'Late Post',
+      date: '2025-01-15T23:30:00',
+      dateGmt: '2025-01-16T07:30:00',
+      modified: '2025-07-01T09:00:00',
+      modifiedGmt: '2025-07-01T16:00:00',
+      link: 'https://example.com/late-post/',
+      excerpt: '',
+      author: { id: 1, name: '', slug: '' },
+      categories: [],
+      tags: [],
+      featuredImage: null
+    };
+
+    const frontMatter = generateEnrichedFrontMatter(normalized);
+
+    assert.ok(frontMatter.includes('date: "2025-01-15T23:30:00-08:00"'));
+    assert.ok(frontMatter.includes('modified: "2025-07-01T09:00:00-07:00"'));
+  });
+
   it('includes synced_at timestamp', () => {
     const normalized = {
       id: 123,
@@ -275,6 +305,74 @@ describe('generateEnrichedFrontMatter', () => {
 
     assert.ok(frontMatter.includes('synced_at:'));
   });
+
+  it('records the post type slug and custom taxonomy terms by name', () => {
+    const normalized = {
+      id: 77,
+      slug: 'keynote',
+      title: 'Keynote',
+      date: '2025-03-12',
+      type: 'talk',
+      link: 'https://example.com/talks/keynote/',
+      excerpt: '',
+      author: { id: 1, name: 'John Doe', slug: 'john' },
+      categories: [],
+      tags: [],
+      taxonomies: { venue: [{ id: 8, name: 'Town "Hall"', slug: 'town-hall' }], series: [] },
+      featuredImage: null
+    };
+
+    const { data } = matter(`${generateEnrichedFrontMatter(normalized, 'talks')}\n`, {});
+
+    assert.strictEqual(data.type, 'talk');
+    assert.deepStrictEqual(data.taxonomies, { venue: ['Town "Hall"'] });
+  });
+
+  it('writes custom fields limited to the site allowlist', () => {
+    const normalized = {
+      id: 5,
+      slug: 'fields',
+      title: 'Fields',
+      date: '2025-03-12',
+      excerpt: '',
+      author: { id: 1, name: 'John Doe', slug: 'john' },
+      categories: [],
+      tags: [],
+      meta: { subtitle: 'The "real" story', _edit_lock: '1', footnotes: '[]' },
+      acf: { speaker_bio: 'Writes things', 'slide deck': { url: 'https://example.com/deck.pdf' } },
+      featuredImage: null
+    };
+
+    const all = matter(`${generateEnrichedFrontMatter(normalized)}\n`, {}).data;
+    assert.deepStrictEqual(all.custom_fields, {
+      meta: { subtitle: 'The "real" story', footnotes: '[]' },
+      acf: { speaker_bio: 'Writes things', 'slide deck': { url: 'https://example.com/deck.pdf' } }
+    });
+
+    const allowed = matter(`${generateEnrichedFrontMatter(normalized, 'posts', { customFields: { meta: ['subtitle'], acf: [] } })}\n`, {}).data;
+    assert.deepStrictEqual(allowed.custom_fields, { meta: { subtitle: 'The "real" story' } });
+  });
+
+  it('writes SEO overrides as an seo section', () => {
+    const normalized = {
+      id: 6,
+      slug: 'seo',
+      title: 'SEO',
+      date: '2025-03-12',
+      excerpt: 'The excerpt',
+      author: { id: 1, name: 'John Doe', slug: 'john' },
+      categories: [],
+      tags: [],
+      meta: { rank_math_title: 'Not a custom field' },
+      featuredImage: null,
+      seo: { plugin: 'yoast', title: 'Hand-tuned: "title"', noindex: true }
+    };
+
+    const data = matter(`${generateEnrichedFrontMatter(normalized)}\n`, {}).data;
+    assert.deepStrictEqual(data.seo, { plugin: 'yoast', title: 'Hand-tuned: "title"', noindex: true });
+    assert.strictEqual(data.description, 'The excerpt');
+    assert.strictEqual(data.custom_fields, undefined);
+  });
 });
 
 
@@ -296,6 +394,11 @@ describe('generateHierarchicalPath', () => {
     assert.ok(result.includes('15-my-article'));
   });
 
+  it('files a late-evening post under its local day', () => {
+    const result = generateHierarchicalPath('posts', 'my-article', '2025-01-15T23:30:00-08:00');
+    assert.strictEqual(result, path.join('posts', '2025', '01', '15-my-article'));
+  });
+
   it('uses current date when date is null for posts', () => {
     const result = generateHierarchicalPath('posts', 'my-article', null);
     const today = new Date();
@@ -327,6 +430,16 @@ describe('generateHierarchicalPath', () => {
     assert.ok(!result.includes('01'));
   });
 
+  it('organizes custom post types by date under their REST base', () => {
+    const result = generateHierarchicalPath('talks', 'keynote', '2025-03-12');
+    assert.strictEqual(result, path.join('talks', '2025', '03', '12-keynote'));
+  });
+
+  it('nests children of hierarchical custom post types under their parent', () => {
+    const result = generateHierarchicalPath('docs', 'install', null, 'guide');
+    assert.strictEqual(result, path.join('docs', 'guide', 'install'));
+  });
+
   it('handles slugs with special characters', () => {
     const result = generateHierarchicalPath('posts', 'my-article-2024-v2', '2025-03-20');
     assert.ok(result.includes('posts'));
@@ -482,6 +595,40 @@ describe('WpClient embed methods', () => {
     assert.strictEqual(normalized.tags[1].name, 'ml');
   });
 
+  it('normalizeEmbedResponse groups custom taxonomy terms by taxonomy', () => {
+    const client = new WpClient({
+      url: 'https://example.com',
+      username: 'test',
+      appPassword: 'test123'
+    });
+
+    const post = {
+      id: 77,
+      slug: 'keynote',
+      title: { rendered: 'Keynote' },
+      content: { rendered: '' },
+      excerpt: { rendered: '' },
+      date: '2025-03-12T09:00:00',
+      status: 'publish',
+      type: 'talk',
+      link: 'https://example.com/talks/keynote/',
+      _embedded: {
+        'wp:term': [
+          [{ id: 5, name: 'Programming', slug: 'programming', taxonomy: 'category' }],
+          [{ id: 8, name: 'Town Hall', slug: 'town-hall', taxonomy: 'venue' }],
+          [{ id: 9, name: 'post-format-video', slug: 'post-format-video', taxonomy: 'post_format' }]
+        ]
+      }
+    };
+
+    const normalized = client.normalizeEmbedResponse(post);
+
+    assert.strictEqual(normalized.type, 'talk');
+    assert.deepStrictEqual(normalized.taxonomies, {
+      venue: [{ id: 8, name: 'Town Hall', slug: 'town-hall' }]
+    });
+  });
+
   it('normalizeEmbedResponse extracts featured image', () => {
     const client = new WpClient({
       url: 'https://example.com',
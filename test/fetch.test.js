@@ -2,9 +2,22 @@
  * Tests for fetch module
  */
 
-const { describe, it } = require('node:test');
+const { describe, it, before, after } = require('node:test');
 const assert = require('node:assert');
-const { extractSlugFromUrl, extractDateFromUrl } = require('../lib/fetch');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const zlib = require('zlib');
+const {
+  extractSlugFromUrl,
+  extractDateFromUrl,
+  detectCharset,
+  fetchPage,
+  fetchArticle,
+  fetchMultiple,
+  USER_AGENT
+} = require('../lib/fetch');
 
 describe('extractSlugFromUrl', () => {
   it('extracts slug from /blog/YYYY/MM/DD/slug/ pattern', () => {
@@ -87,3 +100,133 @@ describe('extractDateFromUrl', () => {
     assert.strictEqual(result, null);
   });
 });
+
+describe('detectCharset', () => {
+  it('reads the byte order mark, then the header, then meta tags', () => {
+    assert.strictEqual(detectCharset(Buffer.from([0xEF, 0xBB, 0xBF, 0x3C]), 'text/html; charset=iso-8859-1'), 'utf-8');
+    assert.strictEqual(detectCharset(Buffer.from('<meta charset="utf-8">'), 'text/html; charset="Windows-1252"'), 'windows-1252');
+    assert.strictEqual(detectCharset(Buffer.from('<head><meta charset="ISO-8859-1">'), 'text/html'), 'iso-8859-1');
+    assert.strictEqual(
+      detectCharset(Buffer.from('<meta http-equiv="Content-Type" content="text/html; charset=shift_jis">')),
+      'shift_jis'
+    );
+    assert.strictEqual(detectCharset(Buffer.from('<html>'), undefined), 'utf-8');
+  });
+});
+
+describe('fetchPage', () => {
+  const article = `<html><body><article>${'Words. '.repeat(200)}</article></body></html>`;
+  let server;
+  let baseUrl;
+  let tmpDir;
+  const seen = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      seen.push({ url: req.url, userAgent: req.headers['user-agent'], acceptEncoding: req.headers['accept-encoding'] });
+
+      if (req.url === '/old/') {
+        res.writeHead(301, { Location: '../blog/2025/01/15/my-article/' });
+        res.end();
+      } else if (req.url === '/loop/') {
+        res.writeHead(302, { Location: '/loop/' });
+        res.end();
+      } else if (req.url === '/blog/2025/01/15/my-article/' || req.url.startsWith('/literal/')) {
+        res.setHeader('Content-Type', 'text/html; charset=UTF-8');
+        res.end(article);
+      } else if (req.url === '/gzip/') {
+        res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'gzip' });
+        res.end(zlib.gzipSync('<p>Compressed \u201cquotes\u201d</p>'));
+      } else if (req.url === '/brotli/') {
+        res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'br' });
+        res.end(zlib.brotliCompressSync('<p>Brotli</p>'));
+      } else if (req.url === '/windows-1252/') {
+        res.setHeader('Content-Type', 'text/html; charset=windows-1252');
+        res.end(Buffer.from([0x93, 0x48, 0x69, 0x94]));
+      } else if (req.url === '/latin1-meta/') {
+        res.setHeader('Content-Type', 'text/html');
+        res.end(Buffer.concat([Buffer.from('<meta charset="iso-8859-1"><p>Caf'), Buffer.from([0xE9]), Buffer.from('</p>')]));
+      } else if (req.url === '/slow/') {
+        // Never answers
+      } else if (req.url === '/short/') {
+        res.end('<p>Too short</p>');
+      } else {
+        res.statusCode = 404;
+        res.end('Not found');
+      }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('follows relative redirects and sends the User-Agent', async () => {
+    const page = await fetchPage(`${baseUrl}/old/`);
+
+    assert.strictEqual(page.success, true);
+    assert.strictEqual(page.url, `${baseUrl}/blog/2025/01/15/my-article/`);
+    assert.strictEqual(page.html, article);
+    assert.strictEqual(page.charset, 'utf-8');
+    assert.strictEqual(seen[seen.length - 1].userAgent, USER_AGENT);
+
+    const custom = await fetchPage(`${baseUrl}/blog/2025/01/15/my-article/`, { userAgent: 'my-archiver/2.0' });
+    assert.strictEqual(custom.success, true);
+    assert.strictEqual(seen[seen.length - 1].userAgent, 'my-archiver/2.0');
+  });
+
+  it('decodes gzip and brotli bodies', async () => {
+    assert.strictEqual((await fetchPage(`${baseUrl}/gzip/`)).html, '<p>Compressed \u201cquotes\u201d</p>');
+    assert.strictEqual((await fetchPage(`${baseUrl}/brotli/`)).html, '<p>Brotli</p>');
+    assert.strictEqual(seen[seen.length - 1].acceptEncoding, 'gzip, deflate, br');
+  });
+
+  it('decodes legacy charsets from the header or a meta tag', async () => {
+    assert.strictEqual((await fetchPage(`${baseUrl}/windows-1252/`)).html, '\u201cHi\u201d');
+
+    const page = await fetchPage(`${baseUrl}/latin1-meta/`);
+    assert.strictEqual(page.charset, 'iso-8859-1');
+    assert.match(page.html, /Café/);
+  });
+
+  it('resolves failures with the image downloader\'s error messages', async () => {
+    assert.deepStrictEqual(await fetchPage(`${baseUrl}/missing/`), { success: false, error: 'HTTP 404' });
+    assert.deepStrictEqual(await fetchPage(`${baseUrl}/loop/`, { maxRedirects: 3 }), { success: false, error: 'Too many redirects' });
+    assert.deepStrictEqual(await fetchPage(`${baseUrl}/slow/`, { timeout: 50 }), { success: false, error: 'Timeout' });
+    assert.deepStrictEqual(await fetchPage('file:///etc/passwd'), { success: false, error: 'Unsupported protocol: file:' });
+    assert.strictEqual((await fetchPage('not a url')).error, 'Invalid URL: not a url');
+  });
+
+  it('fetchArticle saves the page and passes shell characters through literally', async () => {
+    const outputPath = path.join(tmpDir, 'raw', 'my-article.html');
+    const html = await fetchArticle(`${baseUrl}/literal/?q=$(touch%20pwned)&x=\`id\``, outputPath, { silent: true });
+
+    assert.strictEqual(html, article);
+    assert.strictEqual(fs.readFileSync(outputPath, 'utf-8'), article);
+    assert.strictEqual(seen[seen.length - 1].url, '/literal/?q=$(touch%20pwned)&x=`id`');
+
+    await assert.rejects(fetchArticle(`${baseUrl}/missing/`, path.join(tmpDir, 'x.html'), { silent: true }), /^Error: HTTP 404$/);
+    await assert.rejects(fetchArticle(`${baseUrl}/short/`, path.join(tmpDir, 'x.html'), { silent: true }), /too short/);
+  });
+
+  it('fetchMultiple reports each URL', async () => {
+    const results = await fetchMultiple([
+      `${baseUrl}/blog/2025/01/15/my-article/`,
+      `${baseUrl}/blog/2025/01/16/gone/`,
+      `${baseUrl}/page.html`
+    ], path.join(tmpDir, 'batch'), { silent: true });
+
+    assert.deepStrictEqual(results.map(r => [r.slug, r.success, r.error]), [
+      ['my-article', true, undefined],
+      ['gone', false, 'HTTP 404'],
+      [null, false, 'Could not extract slug from URL']
+    ]);
+    assert.ok(fs.existsSync(path.join(tmpDir, 'batch', 'my-article.html')));
+  });
+});
@@ -11,6 +11,7 @@ const path = require('path');
 const os = require('os');
 const {
   extractLocalImages,
+  getFeaturedImage,
   escapeRegex,
   rewriteImageUrls,
   getFileHash,
@@ -132,6 +133,34 @@ Some text
     });
   });
 
+  describe('getFeaturedImage', () => {
+    it('returns the local featured image with its alt text', () => {
+      const markdown = '---\ntitle: "Post"\nfeatured_image: "./hero.jpg"\nfeatured_image_alt: "A hero"\n---\n\nBody\n';
+      const image = getFeaturedImage(markdown, '/test/dir');
+
+      assert.deepStrictEqual(image, {
+        markdownPath: './hero.jpg',
+        absolutePath: path.resolve('/test/dir', './hero.jpg'),
+        filename: 'hero.jpg',
+        altText: 'A hero'
+      });
+    });
+
+    it('defaults alt text to an empty string', () => {
+      const image = getFeaturedImage('---\nfeatured_image: "images/hero.png"\n---\n', '/test');
+      assert.strictEqual(image.altText, '');
+    });
+
+    it('ignores remote featured images', () => {
+      assert.strictEqual(getFeaturedImage('---\nfeatured_image: "https://example.com/hero.jpg"\n---\n', '/test'), null);
+      assert.strictEqual(getFeaturedImage('---\nfeatured_image: "//cdn.example.com/hero.jpg"\n---\n', '/test'), null);
+    });
+
+    it('returns null without featured_image', () => {
+      assert.strictEqual(getFeaturedImage('---\ntitle: "Post"\n---\n\nBody\n', '/test'), null);
+    });
+  });
+
   describe('escapeRegex', () => {
     it('escapes special regex characters', () => {
       const input = './path[1]/file.jpg';
@@ -421,6 +450,20 @@ Content.
       assert.ok(content.includes('author: Jane Doe'));
       assert.ok(content.includes('post_id: 999'));
     });
+
+    it('records the published modified_gmt for the drift guard', () => {
+      const mdPath = path.join(tempDir, 'article.md');
+      fs.writeFileSync(mdPath, '---\ntitle: Drift guard\n---\n\nContent.\n');
+
+      updateFrontMatterWithWordPress(mdPath, {
+        postId: 5,
+        slug: 'test',
+        link: 'https://example.com/test/',
+        modifiedGmt: '2025-03-05T09:00:00'
+      });
+
+      assert.strictEqual(readWordPressMetadata(mdPath).modified_gmt, '2025-03-05T09:00:00');
+    });
   });
 
   describe('readWordPressMetadata', () => {
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Tests for merge module
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { diffLines, merge3, hasConflictMarkers } = require('../lib/merge');
+
+describe('diffLines', () => {
+  it('matches the longest common subsequence of lines', () => {
+    const pairs = diffLines(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd', 'e']);
+    assert.deepStrictEqual(pairs, [[0, 0], [2, 2], [3, 3]]);
+  });
+
+  it('handles empty inputs', () => {
+    assert.deepStrictEqual(diffLines([], ['a']), []);
+    assert.deepStrictEqual(diffLines(['a'], []), []);
+  });
+});
+
+describe('merge3', () => {
+  const base = 'one\ntwo\nthree\nfour\nfive';
+
+  it('applies non-overlapping changes from both sides', () => {
+    const local = 'ONE\ntwo\nthree\nfour\nfive';
+    const remote = 'one\ntwo\nthree\nfour\nFIVE';
+    const result = merge3(local, base, remote);
+    assert.strictEqual(result.text, 'ONE\ntwo\nthree\nfour\nFIVE');
+    assert.strictEqual(result.conflicts.length, 0);
+  });
+
+  it('merges insertions and deletions', () => {
+    const local = 'one\nthree\nfour\nfive';
+    const remote = 'one\ntwo\nthree\nfour\nfive\nsix';
+    const result = merge3(local, base, remote);
+    assert.strictEqual(result.text, 'one\nthree\nfour\nfive\nsix');
+  });
+
+  it('accepts identical changes on both sides', () => {
+    const changed = 'one\n2\nthree\nfour\nfive';
+    const result = merge3(changed, base, changed);
+    assert.strictEqual(result.text, changed);
+    assert.strictEqual(result.conflicts.length, 0);
+  });
+
+  it('marks overlapping changes with git-style markers', () => {
+    const local = 'one\nlocal two\nthree\nfour\nfive';
+    const remote = 'one\nremote two\nthree\nfour\nfive';
+    const result = merge3(local, base, remote);
+
+    assert.strictEqual(
+      result.text,
+      'one\n<<<<<<< local\nlocal two\n=======\nremote two\n>>>>>>> wordpress\nthree\nfour\nfive'
+    );
+    assert.strictEqual(result.conflicts.length, 1);
+    assert.strictEqual(result.conflicts[0].line, 2);
+    assert.deepStrictEqual(result.conflicts[0].base, ['two']);
+    assert.ok(hasConflictMarkers(result.text));
+  });
+
+  it('supports custom labels', () => {
+    const result = merge3('a\nx', 'a\nb', 'a\ny', { localLabel: 'mine', remoteLabel: 'theirs' });
+    assert.ok(result.text.includes('<<<<<<< mine'));
+    assert.ok(result.text.includes('>>>>>>> theirs'));
+  });
+});
+
+describe('hasConflictMarkers', () => {
+  it('ignores a lone separator line (e.g., setext headings)', () => {
+    assert.strictEqual(hasConflictMarkers('Title\n=======\n\nBody'), false);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Tests for pool module
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+const { mapConcurrent, parseConcurrency } = require('../lib/pool');
+const { WpClient } = require('../lib/wp-api');
+const { downloadImages } = require('../lib/fetch-api');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapConcurrent', () => {
+  it('keeps at most `concurrency` items in flight and returns results in input order', async () => {
+    let running = 0;
+    let peak = 0;
+    const finished = [];
+
+    const results = await mapConcurrent([40, 10, 30, 0, 20], async (ms, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await wait(ms);
+      running--;
+      return index * 10;
+    }, { concurrency: 2, onSettled: (result, index) => finished.push(index) });
+
+    assert.strictEqual(peak, 2);
+    assert.deepStrictEqual(results.map(r => r.value), [0, 10, 20, 30, 40]);
+    assert.notDeepStrictEqual(finished, [0, 1, 2, 3, 4]);
+  });
+
+  it('isolates failures per item', async () => {
+    const results = await mapConcurrent(['a', 'bad', 'c'], async item => {
+      if (item === 'bad') throw new Error('Broken item');
+      return item.toUpperCase();
+    }, { concurrency: 3 });
+
+    assert.deepStrictEqual(results.map(r => r.status), ['fulfilled', 'rejected', 'fulfilled']);
+    assert.strictEqual(results[1].reason.message, 'Broken item');
+    assert.strictEqual(results[2].value, 'C');
+  });
+
+  it('runs one item at a time by default and handles empty lists', async () => {
+    let running = 0;
+    let peak = 0;
+    await mapConcurrent([1, 2, 3], async () => {
+      peak = Math.max(peak, ++running);
+      await wait(1);
+      running--;
+    });
+    assert.strictEqual(peak, 1);
+    assert.deepStrictEqual(await mapConcurrent([], async () => 1, { concurrency: 4 }), []);
+  });
+});
+
+describe('parseConcurrency', () => {
+  it('reads whole numbers of 1 or more', () => {
+    assert.strictEqual(parseConcurrency(undefined), 1);
+    assert.strictEqual(parseConcurrency('8'), 8);
+    assert.strictEqual(parseConcurrency(3), 3);
+  });
+
+  it('rejects anything else', () => {
+    for (const value of ['0', '-2', '1.5', 'many', true]) {
+      assert.throws(() => parseConcurrency(value), /Invalid concurrency/, String(value));
+    }
+  });
+});
+
+describe('concurrent batches', () => {
+  let server;
+  let baseUrl;
+  let tmpDir;
+  let inFlight = 0;
+  let peak = 0;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      req.resume();
+      req.on('end', () => {
+        // Later files answer sooner, so completion order differs from input order
+        const number = Number((req.url.match(/(\d+)/) || [])[1] || 0);
+        setTimeout(() => {
+          inFlight--;
+          if (req.url.startsWith('/missing')) {
+            res.statusCode = 404;
+            res.end();
+          } else if (req.url.startsWith('/wp-json/wp/v2/media')) {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ id: 100 + Number(req.headers['content-length']), source_url: 'https://example.com/x.png' }));
+          } else {
+            res.end(`image ${number}`);
+          }
+        }, 60 - number * 10);
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('downloads images concurrently, recording failures', async () => {
+    peak = 0;
+    const urls = [`${baseUrl}/photo-1.png`, `${baseUrl}/missing-2.png`, `${baseUrl}/photo-3.png`, `${baseUrl}/photo-4.png`];
+    const { urlToLocal, results } = await downloadImages(urls, path.join(tmpDir, 'images'), { silent: true, concurrency: 4 });
+
+    assert.ok(peak > 1, `peak ${peak}`);
+    assert.deepStrictEqual(Object.keys(urlToLocal), [urls[0], urls[2], urls[3]]);
+    assert.strictEqual(results.downloaded, 3);
+    assert.deepStrictEqual(results.errors, [{ url: urls[1], error: 'HTTP 404' }]);
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'images', 'photo-3.png'), 'utf-8'), 'image 3');
+  });
+
+  it('uploads media concurrently in file order', async () => {
+    peak = 0;
+    const files = ['a', 'bb', 'ccc'].map(name => {
+      const filePath = path.join(tmpDir, `${name}.png`);
+      fs.writeFileSync(filePath, name);
+      return filePath;
+    });
+    const client = new WpClient({ url: baseUrl, username: 'test', appPassword: 'secret' });
+
+    const results = await client.uploadMediaBatch([...files, path.join(tmpDir, 'none.png')], { concurrency: 3 });
+
+    assert.ok(peak > 1, `peak ${peak}`);
+    assert.deepStrictEqual(results.map(r => r.success), [true, true, true, false]);
+    assert.deepStrictEqual(results.slice(0, 3).map(r => r.media.id), [101, 102, 103]);
+    assert.match(results[3].error, /File not found/);
+  });
+});
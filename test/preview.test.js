@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Tests for preview module
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+const { startPreview, loadThemeCss } = require('../lib/preview');
+
+/**
+ * GET a URL, resolving with status, headers and body
+ */
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, response => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+describe('startPreview', () => {
+  let tmpDir;
+  let contentDir;
+  let preview;
+
+  function write(relativePath, content) {
+    const filePath = path.join(contentDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    contentDir = path.join(tmpDir, 'content');
+    write('posts/2025/01/15-hello/index.md', [
+      '---',
+      'title: "Hello <World>"',
+      'date: "2025-01-15"',
+      '---',
+      '',
+      '| A | B |',
+      '|---|---|',
+      '| 1 | 2 |',
+      '',
+      '![Photo](./photo.png)',
+      ''
+    ].join('\n'));
+    write('posts/2025/01/15-hello/photo.png', 'not really a png');
+    write('posts/2025/01/20-broken/index.md', '---\ntitle: "Broken\n---\nText.\n');
+    fs.writeFileSync(path.join(tmpDir, 'secret.txt'), 'secret');
+
+    preview = await startPreview(contentDir, { port: 0, debounce: 50 });
+  });
+
+  after(async () => {
+    await preview.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('lists the articles in a directory, skipping unreadable ones', async () => {
+    const response = await get(preview.url);
+
+    assert.strictEqual(response.status, 200);
+    assert.ok(!response.body.includes('20-broken'));
+    assert.ok(response.body.includes('<a href="/posts/2025/01/15-hello/index.md">Hello &lt;World&gt;</a>'));
+  });
+
+  it('renders articles as WordPress HTML with the reload script', async () => {
+    const response = await get(`${preview.url}posts/2025/01/15-hello/index.md`);
+
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers['content-type'], /text\/html/);
+    assert.ok(response.body.includes('<h1 class="entry-title">Hello &lt;World&gt;</h1>'));
+    assert.ok(response.body.includes('<table'));
+    assert.ok(response.body.includes('new EventSource(\'/__ownwords/events\')'));
+
+    // Bundle directories render their index.md
+    const bundle = await get(`${preview.url}posts/2025/01/15-hello/`);
+    assert.ok(bundle.body.includes('<h1 class="entry-title">Hello &lt;World&gt;</h1>'));
+  });
+
+  it('serves co-located images and nothing outside the directory', async () => {
+    const image = await get(`${preview.url}posts/2025/01/15-hello/photo.png`);
+    assert.strictEqual(image.status, 200);
+    assert.strictEqual(image.headers['content-type'], 'image/png');
+
+    const outside = await get(`${preview.url}..%2Fsecret.txt`);
+    assert.strictEqual(outside.status, 403);
+
+    const missing = await get(`${preview.url}nope.png`);
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('sends a reload event when a file is saved', async () => {
+    const event = await new Promise((resolve, reject) => {
+      const request = http.get(`${preview.url}__ownwords/events`, response => {
+        let buffer = '';
+        response.on('data', chunk => {
+          buffer += chunk;
+          if (buffer === ': connected\n\n') {
+            write('posts/2025/01/15-hello/index.md', '---\ntitle: "Hello again"\n---\nUpdated.\n');
+          }
+          const match = buffer.match(/event: reload\ndata: (.*)\n\n/);
+          if (match) {
+            request.destroy();
+            resolve(JSON.parse(match[1]));
+          }
+        });
+      });
+      request.on('error', reject);
+      setTimeout(() => reject(new Error('No reload event')), 5000).unref();
+    });
+
+    assert.deepStrictEqual(event, [path.join('posts', '2025', '01', '15-hello', 'index.md')]);
+  });
+});
+
+describe('loadThemeCss', () => {
+  let tmpDir;
+  let server;
+  let requests = 0;
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    server = http.createServer((request, response) => {
+      requests++;
+      response.writeHead(200, { 'Content-Type': 'text/css' });
+      response.end('@font-face { src: url("fonts/serif.woff2"); }\nbody { background: url(data:image/png;base64,AAAA); }\n');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('downloads once, caches, and makes url() references absolute', async () => {
+    const themeUrl = `http://127.0.0.1:${server.address().port}/wp-content/themes/mytheme/style.css`;
+
+    const css = await loadThemeCss(themeUrl, { cacheDir: tmpDir });
+    assert.ok(css.includes(`url("http://127.0.0.1:${server.address().port}/wp-content/themes/mytheme/fonts/serif.woff2")`));
+    assert.ok(css.includes('url(data:image/png;base64,AAAA)'));
+
+    await loadThemeCss(themeUrl, { cacheDir: tmpDir });
+    assert.strictEqual(requests, 1);
+
+    await loadThemeCss(themeUrl, { cacheDir: tmpDir, refresh: true });
+    assert.strictEqual(requests, 2);
+  });
+
+  it('rejects when the stylesheet cannot be downloaded', async () => {
+    await assert.rejects(
+      loadThemeCss('http://127.0.0.1:1/style.css', { cacheDir: tmpDir }),
+      /Failed to download theme stylesheet/
+    );
+  });
+});
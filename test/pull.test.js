@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Tests for pull module
+ *
+ * Runs against a local HTTP server that mimics the WordPress REST API
+ * collection endpoints, including X-WP-TotalPages pagination.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+const { WpClient } = require('../lib/wp-api');
+const { pullSite, buildParentPaths, toApiDate, loadPullState, diffNormalized } = require('../lib/pull');
+
+function makePost(id, slug, extra = {}) {
+  return {
+    id,
+    slug,
+    title: { rendered: `Post ${id}` },
+    content: { rendered: `<p>Body of ${slug}</p>` },
+    excerpt: { rendered: '' },
+    date: '2025-01-15T10:00:00',
+    date_gmt: '2025-01-15T18:00:00',
+    modified: '2025-01-15T10:00:00',
+    modified_gmt: '2025-01-15T18:00:00',
+    status: 'publish',
+    type: 'post',
+    link: `https://example.com/${slug}/`,
+    _embedded: {
+      author: [{ id: 1, name: 'Jane Doe', slug: 'jane' }],
+      'wp:term': [[{ id: 5, name: 'Engineering', slug: 'engineering', taxonomy: 'category' }], []]
+    },
+    ...extra
+  };
+}
+
+const POSTS = [makePost(1, 'first'), makePost(2, 'second'), makePost(3, 'third')];
+const PAGES = [
+  { ...makePost(10, 'about'), type: 'page', parent: 0 },
+  { ...makePost(11, 'team'), type: 'page', parent: 10 }
+];
+
+describe('toApiDate', () => {
+  it('expands date-only values', () => {
+    assert.strictEqual(toApiDate('2025-01-01'), '2025-01-01T00:00:00');
+    assert.strictEqual(toApiDate('2025-01-01', true), '2025-01-01T23:59:59');
+  });
+
+  it('passes datetimes through', () => {
+    assert.strictEqual(toApiDate('2025-01-01 08:30:00'), '2025-01-01T08:30:00');
+  });
+
+  it('rejects invalid dates', () => {
+    assert.throws(() => toApiDate('last week'), /Invalid date/);
+  });
+});
+
+describe('buildParentPaths', () => {
+  it('builds nested parent paths and ignores cycles', () => {
+    const paths = buildParentPaths([
+      { id: 1, slug: 'a', parent: 0 },
+      { id: 2, slug: 'b', parent: 1 },
+      { id: 3, slug: 'c', parent: 2 },
+      { id: 4, slug: 'x', parent: 4 }
+    ]);
+    assert.strictEqual(paths.get(1), null);
+    assert.strictEqual(paths.get(3), 'a/b');
+    assert.strictEqual(paths.get(4), null);
+  });
+});
+
+describe('pullSite', () => {
+  let server;
+  let client;
+  let tmpDir;
+  const requests = [];
+  const published = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(url);
+      const route = url.pathname.replace('/wp-json/wp/v2/', '');
+
+      if (req.method === 'POST') {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+          published.push({ route, body: JSON.parse(data) });
+          res.writeHead(201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ id: 99, slug: 'team', status: 'draft', link: 'https://example.com/about/team/' }));
+        });
+        return;
+      }
+
+      const page = parseInt(url.searchParams.get('page') || '1', 10);
+
+      let body;
+      const headers = { 'Content-Type': 'application/json' };
+
+      if (route === 'posts') {
+        // Two items per page to exercise X-WP-TotalPages
+        body = POSTS.slice((page - 1) * 2, page * 2);
+        headers['X-WP-Total'] = String(POSTS.length);
+        headers['X-WP-TotalPages'] = '2';
+      } else if (route === 'pages') {
+        body = PAGES;
+        headers['X-WP-Total'] = String(PAGES.length);
+        headers['X-WP-TotalPages'] = '1';
+      } else if (route === 'categories') {
+        body = [{ id: 5, name: 'Engineering', slug: 'engineering' }];
+      } else {
+        res.writeHead(404, headers);
+        res.end(JSON.stringify({ code: 'rest_no_route', message: 'No route' }));
+        return;
+      }
+
+      res.writeHead(200, headers);
+      res.end(JSON.stringify(body));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret'
+    });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('pages through posts and pages into the hierarchical layout', async () => {
+    const result = await pullSite(tmpDir, { client, silent: true, images: false });
+
+    assert.strictEqual(result.total, 5);
+    assert.strictEqual(result.success, 5);
+    assert.strictEqual(result.failed, 0);
+    assert.ok(fs.existsSync(path.join(tmpDir, 'posts', '2025', '01', '15-third', 'index.md')));
+    assert.ok(fs.existsSync(path.join(tmpDir, 'pages', 'about', 'team', 'index.md')));
+
+    const postRequests = requests.filter(u => u.pathname.endsWith('/posts'));
+    assert.deepStrictEqual(postRequests.map(u => u.searchParams.get('page')), ['1', '2']);
+    assert.strictEqual(postRequests[0].searchParams.get('status'), 'any');
+    assert.ok(postRequests[0].searchParams.has('_embed'));
+  });
+
+  it('writes the same front matter as a single-item fetch', () => {
+    const md = fs.readFileSync(path.join(tmpDir, 'posts', '2025', '01', '15-first', 'index.md'), 'utf-8');
+    assert.ok(md.includes('title: "Post 1"'));
+    assert.ok(md.includes('  - "Engineering"'));
+    assert.ok(md.includes('author: "Jane Doe"'));
+    assert.ok(md.includes('  post_id: 1'));
+  });
+
+  it('publishes a pulled child page with its parent ID', async () => {
+    const mdPath = path.join(tmpDir, 'pages', 'about', 'team', 'index.md');
+    assert.match(fs.readFileSync(mdPath, 'utf-8'), /^parent_path: "about"$/m);
+
+    await client.publishMarkdown(mdPath, { type: 'pages', status: 'draft', uploadImages: false, silent: true });
+
+    assert.strictEqual(published[0].route, 'pages');
+    assert.strictEqual(published[0].body.parent, 10);
+  });
+
+  it('skips files that already exist unless forced', async () => {
+    const again = await pullSite(tmpDir, { client, silent: true, images: false });
+    assert.strictEqual(again.success, 0);
+    assert.strictEqual(again.skipped.length, 5);
+
+    const forced = await pullSite(tmpDir, { client, silent: true, images: false, force: true, types: ['pages'] });
+    assert.strictEqual(forced.success, 2);
+  });
+
+  it('resolves filters into query parameters and excludes pages for taxonomy filters', async () => {
+    requests.length = 0;
+    await pullSite(tmpDir, {
+      client,
+      silent: true,
+      images: false,
+      status: 'publish',
+      category: 'engineering',
+      after: '2025-01-01'
+    });
+
+    const listed = requests.filter(u => u.pathname.endsWith('/posts') || u.pathname.endsWith('/pages'));
+    assert.ok(listed.every(u => u.pathname.endsWith('/posts')));
+    assert.strictEqual(listed[0].searchParams.get('categories'), '5');
+    assert.strictEqual(listed[0].searchParams.get('status'), 'publish');
+    assert.strictEqual(listed[0].searchParams.get('after'), '2025-01-01T00:00:00');
+  });
+
+  it('fails clearly on unknown filter terms', async () => {
+    await assert.rejects(
+      pullSite(tmpDir, { client, silent: true, images: false, category: 'Nope' }),
+      /Category not found: Nope/
+    );
+  });
+});
+
+describe('pullSite incremental', () => {
+  let server;
+  let client;
+  let tmpDir;
+  let posts;
+  let pages;
+  const requests = [];
+
+  before(async () => {
+    posts = [
+      makePost(1, 'first', { modified: '2025-01-15T10:00:00', modified_gmt: '2025-01-15T18:00:00' }),
+      makePost(2, 'second', { modified: '2025-01-16T10:00:00', modified_gmt: '2025-01-16T18:00:00' })
+    ];
+    pages = PAGES.map(p => ({ ...p }));
+
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(url);
+      const modifiedAfter = url.searchParams.get('modified_after');
+      const include = url.searchParams.get('include');
+      let body = [];
+      if (url.pathname.endsWith('/posts')) {
+        body = posts.filter(p => !modifiedAfter || p.modified > modifiedAfter);
+      } else if (url.pathname.endsWith('/pages')) {
+        body = include
+          ? pages.filter(p => include.split(',').includes(String(p.id)))
+          : pages.filter(p => !modifiedAfter || p.modified > modifiedAfter);
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json', 'X-WP-TotalPages': '1' });
+      res.end(JSON.stringify(body));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret'
+    });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('pulls everything on the first run and records a watermark', async () => {
+    const result = await pullSite(tmpDir, { client, silent: true, images: false, incremental: true, types: ['posts'] });
+
+    assert.strictEqual(result.success, 2);
+    assert.deepStrictEqual(result.changes.map(c => c.change), ['new', 'new']);
+    assert.strictEqual(result.watermarks.posts.modifiedGmt, '2025-01-16T18:00:00');
+
+    const state = loadPullState(tmpDir);
+    assert.strictEqual(state.sites[client.url].posts.modified, '2025-01-16T10:00:00');
+  });
+
+  it('only fetches and reports items modified since the watermark', async () => {
+    requests.length = 0;
+    posts[0] = {
+      ...posts[0],
+      title: { rendered: 'First, revised' },
+      modified: '2025-02-01T09:00:00',
+      modified_gmt: '2025-02-01T17:00:00'
+    };
+
+    const result = await pullSite(tmpDir, { client, silent: true, images: false, incremental: true, types: ['posts'] });
+
+    assert.strictEqual(requests[0].searchParams.get('modified_after'), '2025-01-16T10:00:00');
+    assert.strictEqual(result.total, 1);
+    assert.strictEqual(result.changes.length, 1);
+    assert.strictEqual(result.changes[0].change, 'updated');
+    assert.strictEqual(result.changes[0].slug, 'first');
+    assert.deepStrictEqual(result.changes[0].fields, ['title']);
+
+    const md = fs.readFileSync(path.join(tmpDir, 'posts', '2025', '01', '15-first', 'index.md'), 'utf-8');
+    assert.ok(md.includes('title: "First, revised"'));
+    assert.strictEqual(loadPullState(tmpDir).sites[client.url].posts.modifiedGmt, '2025-02-01T17:00:00');
+  });
+
+  it('reports nothing when the site has not changed', async () => {
+    const result = await pullSite(tmpDir, { client, silent: true, images: false, incremental: true, types: ['posts'] });
+    assert.strictEqual(result.changes.length, 0);
+    assert.strictEqual(result.watermarks.posts.modifiedGmt, '2025-02-01T17:00:00');
+  });
+
+  it('skips files edited locally instead of overwriting them', async () => {
+    const mdPath = path.join(tmpDir, 'posts', '2025', '01', '15-second', 'index.md');
+    const edited = fs.readFileSync(mdPath, 'utf-8').replace('Body of second', 'Edited locally');
+    fs.writeFileSync(mdPath, edited);
+    posts[1] = {
+      ...posts[1],
+      title: { rendered: 'Second, revised' },
+      modified: '2025-02-02T09:00:00',
+      modified_gmt: '2025-02-02T17:00:00'
+    };
+
+    const result = await pullSite(tmpDir, { client, silent: true, images: false, incremental: true, types: ['posts'] });
+
+    assert.strictEqual(result.success, 0);
+    assert.deepStrictEqual(result.skipped.map(s => s.mdPath), [mdPath]);
+    assert.strictEqual(fs.readFileSync(mdPath, 'utf-8'), edited);
+    assert.strictEqual(result.watermarks.posts.modifiedGmt, '2025-02-02T17:00:00');
+  });
+
+  it('keeps the parent path of a changed child page whose parent is unchanged', async () => {
+    await pullSite(tmpDir, { client, silent: true, images: false, incremental: true, types: ['pages'] });
+
+    pages[1] = {
+      ...pages[1],
+      title: { rendered: 'Our Team' },
+      modified: '2025-02-01T09:00:00',
+      modified_gmt: '2025-02-01T17:00:00'
+    };
+    requests.length = 0;
+
+    const result = await pullSite(tmpDir, { client, silent: true, images: false, incremental: true, types: ['pages'] });
+
+    assert.strictEqual(result.changes.length, 1);
+    assert.strictEqual(result.changes[0].previousPath, null);
+    assert.strictEqual(requests.find(u => u.searchParams.has('include')).searchParams.get('include'), '10');
+
+    const md = fs.readFileSync(path.join(tmpDir, 'pages', 'about', 'team', 'index.md'), 'utf-8');
+    assert.ok(md.includes('title: "Our Team"'));
+    assert.ok(md.includes('parent_path: "about"'));
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'pages', 'team')));
+  });
+});
+
+describe('diffNormalized', () => {
+  it('compares taxonomy by name and featured image by URL', () => {
+    const before = { title: 'A', categories: [{ id: 1, name: 'X' }], tags: [], featuredImage: { url: 'a.jpg' } };
+    const after = { title: 'A', categories: [{ id: 2, name: 'X' }], tags: [{ name: 'new' }], featuredImage: { url: 'b.jpg' } };
+    assert.deepStrictEqual(diffNormalized(before, after), ['tags', 'featuredImage']);
+  });
+});
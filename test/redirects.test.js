@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Tests for redirects module
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { generateRedirects } = require('../lib/redirects');
+
+describe('generateRedirects', () => {
+  let tmpDir;
+  let contentDir;
+
+  function write(relativePath, content) {
+    const filePath = path.join(contentDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    contentDir = path.join(tmpDir, 'content');
+
+    // Moved: the sidecar records the old WordPress link
+    write('posts/2025/01/15-hello/index.md', [
+      '---',
+      'title: "Hello"',
+      'canonical_url: "https://example.com/blog/hello/"',
+      'categories:',
+      '  - "Tech"',
+      'redirect_from:',
+      '  - "/hello-old/"',
+      '  - "https://example.com/?p=12"',
+      '---',
+      'Hello.',
+      ''
+    ].join('\n'));
+    write('posts/2025/01/15-hello/index.json', JSON.stringify({
+      _meta: { sourceUrl: 'https://example.com/2025/01/15/hello/' },
+      normalized: { link: 'https://example.com/2025/01/15/hello/' }
+    }));
+
+    // Unmoved: old and new paths match, so no redirect
+    write('posts/2025/01/20-same/index.md', '---\ntitle: "Same"\n---\nSame.\n');
+    write('posts/2025/01/20-same/index.json', JSON.stringify({ normalized: { link: 'https://example.com/2025/01/20/same/' } }));
+
+    // Clash: claims an old path that already redirects elsewhere
+    write('posts/2025/02/01-other/index.md', '---\ntitle: "Other"\nredirect_from: "/hello-old/"\n---\nOther.\n');
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('redirects old WordPress links and redirect_from paths to permalinks', () => {
+    const outDir = path.join(tmpDir, 'site');
+    const result = generateRedirects(contentDir, outDir);
+
+    // The ?p=12 shortlink can't be matched by path, so it is skipped
+    assert.deepStrictEqual(result.redirects, [
+      { from: '/2025/01/15/hello/', to: '/blog/hello/' },
+      { from: '/hello-old/', to: '/blog/hello/' }
+    ]);
+    assert.strictEqual(result.errors.length, 1);
+    assert.match(result.errors[0].error, /\/hello-old\/ already redirects to \/blog\/hello\//);
+    assert.deepStrictEqual(result.files.map(file => path.basename(file)), ['_redirects', 'redirects.nginx.conf', 'redirects.htaccess']);
+
+    assert.strictEqual(
+      fs.readFileSync(path.join(outDir, '_redirects'), 'utf-8'),
+      '/2025/01/15/hello/ /blog/hello/ 301\n/hello-old/ /blog/hello/ 301\n'
+    );
+
+    const nginx = fs.readFileSync(path.join(outDir, 'redirects.nginx.conf'), 'utf-8');
+    assert.ok(nginx.includes('map $uri $ownwords_redirect {'));
+    assert.ok(nginx.includes('  "/2025/01/15/hello/" "/blog/hello/";'));
+
+    const apache = fs.readFileSync(path.join(outDir, 'redirects.htaccess'), 'utf-8');
+    assert.ok(apache.includes('RedirectMatch 301 "^/2025/01/15/hello/?$" "/blog/hello/"'));
+  });
+
+  it('redirects WordPress feed URLs to feed files when asked', () => {
+    const outDir = path.join(tmpDir, 'feeds');
+    const result = generateRedirects(contentDir, outDir, { formats: ['netlify'], termFeeds: true });
+
+    const feedRedirects = result.redirects.filter(redirect => redirect.from.includes('/feed/'));
+    assert.deepStrictEqual(feedRedirects, [
+      { from: '/category/tech/feed/', to: '/category/tech/feed.xml' },
+      { from: '/category/tech/feed/atom/', to: '/category/tech/atom.xml' },
+      { from: '/feed/', to: '/feed.xml' },
+      { from: '/feed/atom/', to: '/atom.xml' }
+    ]);
+    assert.deepStrictEqual(result.files, [path.join(outDir, '_redirects')]);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => generateRedirects(contentDir, tmpDir, { formats: ['iis'] }), /Unknown redirect format "iis"/);
+  });
+});
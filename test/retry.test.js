@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Tests for retry module
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+const {
+  parseRetryAfter,
+  isRetryable,
+  backoffDelay,
+  withRetry,
+  createRateLimiter
+} = require('../lib/retry');
+const { WpClient } = require('../lib/wp-api');
+
+function httpError(statusCode, retryAfter = null) {
+  const error = new Error(`HTTP ${statusCode}`);
+  error.statusCode = statusCode;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+function socketError(code) {
+  const error = new Error(`Request failed: ${code}`);
+  error.code = code;
+  return error;
+}
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    const now = Date.parse('2025-01-15T12:00:00Z');
+    assert.strictEqual(parseRetryAfter('2', now), 2000);
+    assert.strictEqual(parseRetryAfter('Wed, 15 Jan 2025 12:00:05 GMT', now), 5000);
+    assert.strictEqual(parseRetryAfter('Wed, 15 Jan 2025 11:00:00 GMT', now), 0);
+    assert.strictEqual(parseRetryAfter(undefined, now), null);
+    assert.strictEqual(parseRetryAfter('soon', now), null);
+  });
+});
+
+describe('isRetryable', () => {
+  it('retries transient failures of idempotent requests', () => {
+    for (const error of [httpError(429), httpError(502), httpError(503), httpError(504), socketError('ECONNRESET'), socketError('ETIMEDOUT')]) {
+      assert.strictEqual(isRetryable(error, true), true, error.message);
+    }
+    assert.strictEqual(isRetryable(httpError(500), true), false);
+    assert.strictEqual(isRetryable(httpError(404), true), false);
+  });
+
+  it('retries creates only when the server did not act on them', () => {
+    assert.strictEqual(isRetryable(httpError(429), false), true);
+    assert.strictEqual(isRetryable(socketError('ECONNREFUSED'), false), true);
+    assert.strictEqual(isRetryable(httpError(502), false), false);
+    assert.strictEqual(isRetryable(httpError(503), false), false);
+    assert.strictEqual(isRetryable(socketError('ECONNRESET'), false), false);
+    assert.strictEqual(isRetryable(socketError('ETIMEDOUT'), false), false);
+  });
+});
+
+describe('backoffDelay', () => {
+  it('doubles the ceiling per attempt up to the maximum, with full jitter', () => {
+    const options = { retryDelay: 100, maxRetryDelay: 1000 };
+    assert.strictEqual(backoffDelay(1, { ...options, random: () => 0.999 }), 100);
+    assert.strictEqual(backoffDelay(3, { ...options, random: () => 0.999 }), 400);
+    assert.strictEqual(backoffDelay(10, { ...options, random: () => 0.999 }), 999);
+    assert.strictEqual(backoffDelay(3, { ...options, random: () => 0 }), 0);
+  });
+});
+
+describe('withRetry', () => {
+  it('retries until the request succeeds', async () => {
+    const retries = [];
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls < 3) throw httpError(503);
+      return 'ok';
+    }, { retryDelay: 1, onRetry: retry => retries.push(retry.attempt) });
+
+    assert.strictEqual(result, 'ok');
+    assert.deepStrictEqual(retries, [1, 2]);
+  });
+
+  it('gives up after the configured retries, recording the attempts', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw socketError('ECONNRESET');
+    }, { retries: 2, retryDelay: 1 }), error => error.attempts === 3);
+    assert.strictEqual(calls, 3);
+  });
+
+  it('waits as long as Retry-After asks, but not longer than the maximum', async () => {
+    const delays = [];
+    let calls = 0;
+    await withRetry(async () => {
+      if (++calls === 1) throw httpError(429, 20);
+      return 'ok';
+    }, { retryDelay: 1, onRetry: retry => delays.push(retry.delay) });
+    assert.deepStrictEqual(delays, [20]);
+
+    calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw httpError(429, 60000);
+    }, { retryDelay: 1, maxRetryDelay: 1000 }), /HTTP 429/);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('does not retry a failed create', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw httpError(502);
+    }, { idempotent: false, retryDelay: 1 }), /HTTP 502/);
+    assert.strictEqual(calls, 1);
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('spaces out request starts', async () => {
+    const limiter = createRateLimiter(20);
+    const started = Date.now();
+    for (let i = 0; i < 4; i++) {
+      await limiter.wait();
+    }
+    assert.ok(Date.now() - started >= 140, `took ${Date.now() - started}ms`);
+  });
+
+  it('holds every request back while paused', async () => {
+    const limiter = createRateLimiter();
+    limiter.pause(50);
+    const started = Date.now();
+    await limiter.wait();
+    assert.ok(Date.now() - started >= 40, `took ${Date.now() - started}ms`);
+  });
+});
+
+describe('WpClient retries', () => {
+  let server;
+  let client;
+  let tmpDir;
+  let failures;
+  const requests = [];
+
+  before(async () => {
+    failures = {};
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        const key = `${req.method} ${req.url}`;
+        requests.push(key);
+        const failure = failures[key] && failures[key].shift();
+        if (failure === 'reset') {
+          req.socket.destroy();
+          return;
+        }
+        if (failure) {
+          res.statusCode = failure.status;
+          if (failure.retryAfter) res.setHeader('Retry-After', failure.retryAfter);
+          res.setHeader('Content-Type', 'text/html');
+          res.end('<html><body>Service Unavailable</body></html>');
+          return;
+        }
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ id: 7, slug: 'retried', source_url: 'https://example.com/a.png' }));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret',
+      retryDelay: 1
+    });
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    fs.writeFileSync(path.join(tmpDir, 'a.png'), 'png');
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('retries reads and updates through 503s and connection resets', async () => {
+    failures['GET /wp-json/wp/v2/posts/7'] = [{ status: 503 }, 'reset'];
+    failures['POST /wp-json/wp/v2/posts/7'] = [{ status: 502 }];
+
+    assert.strictEqual((await client.getPostById(7)).id, 7);
+    assert.strictEqual((await client.updatePost(7, { title: 'Retried' })).id, 7);
+    assert.strictEqual(requests.filter(r => r === 'GET /wp-json/wp/v2/posts/7').length, 3);
+    assert.strictEqual(requests.filter(r => r === 'POST /wp-json/wp/v2/posts/7').length, 2);
+  });
+
+  it('retries a create after a 429, but never after a 502', async () => {
+    failures['POST /wp-json/wp/v2/posts'] = [{ status: 429, retryAfter: '0' }];
+    assert.strictEqual((await client.createPost({ title: 'Created' })).id, 7);
+    assert.strictEqual(requests.filter(r => r === 'POST /wp-json/wp/v2/posts').length, 2);
+
+    failures['POST /wp-json/wp/v2/posts'] = [{ status: 502 }];
+    await assert.rejects(client.createPost({ title: 'Maybe created' }), error => error.statusCode === 502);
+    assert.strictEqual(requests.filter(r => r === 'POST /wp-json/wp/v2/posts').length, 3);
+  });
+
+  it('does not retry a media upload that may have been stored', async () => {
+    failures['POST /wp-json/wp/v2/media'] = [{ status: 503 }];
+    await assert.rejects(client.uploadMedia(path.join(tmpDir, 'a.png')), /HTTP 503/);
+
+    failures['POST /wp-json/wp/v2/media'] = [{ status: 429, retryAfter: '0' }];
+    assert.strictEqual((await client.uploadMedia(path.join(tmpDir, 'a.png'))).id, 7);
+    assert.strictEqual(requests.filter(r => r === 'POST /wp-json/wp/v2/media').length, 3);
+  });
+
+  it('retries a refused connection and gives up after the configured retries', async () => {
+    const unreachable = new WpClient({ url: 'http://127.0.0.1:1', username: 'test', appPassword: 'secret', retries: 1, retryDelay: 1 });
+    await assert.rejects(unreachable.createPost({ title: 'x' }), error => error.code === 'ECONNREFUSED' && error.attempts === 2);
+  });
+});
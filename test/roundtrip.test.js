@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Tests for roundtrip module
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { roundtrip, roundtripCorpus, diffItems } = require('../lib/roundtrip');
+
+describe('diffItems', () => {
+  it('compares items as multisets', () => {
+    assert.deepStrictEqual(diffItems(['a', 'b', 'b'], ['b', 'c']), { lost: ['a', 'b'], added: ['c'] });
+  });
+});
+
+describe('roundtrip', () => {
+  it('reports a lossless cycle for common constructs', () => {
+    const html = [
+      '<h2>Intro</h2>',
+      '<p>Read <a href="https://example.com/docs">the docs</a>.</p>',
+      '<ul><li>First list item</li><li>Second list item<ul><li>Nested list item</li></ul></li></ul>',
+      '<figure><img src="https://example.com/photo.jpg" alt="Photo"></figure>',
+      '<table><thead><tr><th>Name</th><th>Score</th></tr></thead><tbody><tr><td>Ann</td><td>9</td></tr></tbody></table>',
+      '<pre class="wp-block-code"><code class="language-js">const answer = 42;</code></pre>'
+    ].join('\n');
+
+    const result = roundtrip(html);
+
+    assert.strictEqual(result.lossless, true, JSON.stringify(result.differences));
+    assert.deepStrictEqual(result.snapshots.map(s => s.format), ['html', 'markdown', 'html', 'markdown']);
+    assert.strictEqual(result.comparisons.html.tables.before, 1);
+    assert.strictEqual(result.comparisons.markdown.headings.after, 1);
+  });
+
+  it('reports embeds lost when iframes become thumbnails', () => {
+    const result = roundtrip('<p>Watch:</p><iframe src="https://www.youtube.com/embed/abc123"></iframe>');
+
+    assert.strictEqual(result.lossless, false);
+    const embeds = result.differences.find(d => d.construct === 'embeds');
+    assert.deepStrictEqual(embeds, { format: 'html', construct: 'embeds', lost: ['youtube:abc123'], added: [] });
+  });
+
+  it('starts markdown input at the render step and ignores front matter', () => {
+    const result = roundtrip('---\ntitle: "Post"\n---\n\n# Title\n\n1. One item here\n2. Two items here\n', { format: 'markdown' });
+
+    assert.strictEqual(result.snapshots[0].content.startsWith('---'), false);
+    assert.deepStrictEqual(result.snapshots.map(s => s.format), ['markdown', 'html', 'markdown', 'html']);
+    assert.strictEqual(result.lossless, true, JSON.stringify(result.differences));
+  });
+});
+
+describe('roundtripCorpus', () => {
+  it('aggregates differences per construct across files', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    try {
+      fs.mkdirSync(path.join(tmpDir, 'posts'));
+      fs.writeFileSync(path.join(tmpDir, 'video.html'), '<h2>Video</h2><iframe src="https://www.youtube.com/embed/abc123"></iframe>');
+      fs.writeFileSync(path.join(tmpDir, 'posts', 'index.md'), '# Fine\n\nJust text.\n');
+      fs.mkdirSync(path.join(tmpDir, '.git'));
+      fs.writeFileSync(path.join(tmpDir, '.git', 'skip.md'), '# Skipped\n');
+
+      const corpus = roundtripCorpus(tmpDir);
+
+      assert.strictEqual(corpus.summary.files, 2);
+      assert.strictEqual(corpus.summary.lossless, 1);
+      assert.strictEqual(corpus.summary.lossy, 1);
+      assert.strictEqual(corpus.summary.constructs.embeds.files, 1);
+      assert.strictEqual(corpus.summary.constructs.embeds.lost, 1);
+      assert.strictEqual(corpus.summary.constructs.headings.files, 0);
+      assert.strictEqual(corpus.summary.constructs.embeds.examples[0].item, 'lost: youtube:abc123');
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Tests for schedule module
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const matter = require('gray-matter');
+
+const { WpClient } = require('../lib/wp-api');
+const { findScheduled, scheduleArticles } = require('../lib/schedule');
+
+const NOW = new Date('2026-01-01T00:00:00Z');
+
+describe('scheduleArticles', () => {
+  let tmpDir;
+  let server;
+  let client;
+  let posts;
+  let writes;
+
+  function write(name, frontMatter) {
+    fs.writeFileSync(path.join(tmpDir, name), `---\n${frontMatter.join('\n')}\n---\n\nBody.\n`);
+  }
+
+  before(async () => {
+    posts = {
+      2: { id: 2, slug: 'on-time', status: 'future', date_gmt: '2030-01-01T00:00:00' },
+      3: { id: 3, slug: 'moved', status: 'future', date_gmt: '2030-02-01T00:00:00' },
+      5: { id: 5, slug: 'live', status: 'publish', date_gmt: '2025-06-01T00:00:00' }
+    };
+    writes = [];
+
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const route = url.pathname.replace('/wp-json/wp/v2/', '');
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        const match = route.match(/^posts\/(\d+)$/);
+        if (req.method === 'POST' && (route === 'posts' || match)) {
+          const data = JSON.parse(body);
+          const id = match ? Number(match[1]) : 10;
+          writes.push({ id, ...data });
+          posts[id] = { ...posts[id], id, slug: data.slug, status: data.status, date_gmt: data.date_gmt, link: `https://example.com/?p=${id}` };
+          res.end(JSON.stringify(posts[id]));
+        } else if (match) {
+          res.end(JSON.stringify(posts[match[1]]));
+        } else if (route === 'posts') {
+          const post = Object.values(posts).find(p => p.slug === url.searchParams.get('slug'));
+          res.end(JSON.stringify(post ? [post] : []));
+        } else {
+          res.end('[]');
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret'
+    });
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    write('new.md', ['title: "New"', 'slug: "new"', 'publish_at: "2030-03-01 09:00 America/Los_Angeles"']);
+    write('on-time.md', ['title: "On time"', 'slug: "on-time"', 'publish_at: "2030-01-01T00:00:00Z"', 'wordpress:', '  post_id: 2']);
+    write('moved.md', ['title: "Moved"', 'slug: "moved"', 'publish_at: "2030-02-01T10:00:00+09:00"', 'wordpress:', '  post_id: 3']);
+    write('live.md', ['title: "Live"', 'slug: "live"', 'publish_at: "2030-04-01T00:00:00Z"', 'wordpress:', '  post_id: 5']);
+    write('past.md', ['title: "Past"', 'publish_at: "2025-06-01T00:00:00Z"']);
+    write('unscheduled.md', ['title: "Unscheduled"']);
+    write('broken.md', ['title: "Broken"', 'publish_at: "2030-05-01 09:00"']);
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('lists upcoming articles in publishing order', () => {
+    const { items, errors } = findScheduled(tmpDir, { now: NOW });
+
+    assert.deepStrictEqual(items.map(item => [path.basename(item.mdPath), item.dateGmt]), [
+      ['on-time.md', '2030-01-01T00:00:00'],
+      ['moved.md', '2030-02-01T01:00:00'],
+      ['new.md', '2030-03-01T17:00:00'],
+      ['live.md', '2030-04-01T00:00:00']
+    ]);
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].error, /publish_at: No timezone/);
+  });
+
+  it('compares with WordPress without pushing on a dry run', async () => {
+    const { results } = await scheduleArticles(tmpDir, { client, now: NOW, dryRun: true });
+
+    assert.deepStrictEqual(results.map(r => r.state), ['scheduled', 'mismatch', 'new', 'published']);
+    assert.strictEqual(results[1].remoteDateGmt, '2030-02-01T00:00:00');
+    assert.strictEqual(writes.length, 0);
+  });
+
+  it('creates and reschedules future posts with date_gmt', async () => {
+    const { results, errors } = await scheduleArticles(tmpDir, { client, now: NOW });
+
+    assert.deepStrictEqual(results.map(r => [r.state, r.pushed]), [
+      ['scheduled', false],
+      ['mismatch', true],
+      ['new', true],
+      ['published', false]
+    ]);
+    assert.strictEqual(errors.length, 1);
+
+    assert.deepStrictEqual(writes.map(w => [w.id, w.status, w.date_gmt, w.date]), [
+      [3, 'future', '2030-02-01T01:00:00', undefined],
+      [10, 'future', '2030-03-01T17:00:00', undefined]
+    ]);
+
+    const created = matter(fs.readFileSync(path.join(tmpDir, 'new.md'), 'utf-8'), {}).data;
+    assert.strictEqual(created.wordpress.post_id, 10);
+
+    // Everything now matches, so a second run pushes nothing
+    const again = await scheduleArticles(tmpDir, { client, now: NOW });
+    assert.deepStrictEqual(again.results.map(r => r.state), ['scheduled', 'scheduled', 'scheduled', 'published']);
+    assert.strictEqual(writes.length, 2);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Tests for seo module
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { extractSeo, buildSeoMeta, isSeoMetaKey } = require('../lib/seo');
+
+describe('extractSeo', () => {
+  const yoastPost = {
+    link: 'https://example.com/my-post/',
+    yoast_head_json: {
+      title: 'Hand-tuned title | Example',
+      description: 'A meta description',
+      canonical: 'https://example.com/my-post/',
+      robots: { index: 'index', follow: 'follow' },
+      og_title: 'Hand-tuned title | Example',
+      og_description: 'Shared on Facebook',
+      og_image: [{ url: 'https://example.com/featured.jpg' }],
+      twitter_image: 'https://example.com/card.png'
+    },
+    _embedded: { 'wp:featuredmedia': [{ source_url: 'https://example.com/featured.jpg' }] }
+  };
+
+  it('reads yoast_head_json, leaving out values WordPress produces anyway', () => {
+    assert.deepStrictEqual(extractSeo(yoastPost), {
+      plugin: 'yoast',
+      og_description: 'Shared on Facebook',
+      twitter_image: 'https://example.com/card.png'
+    });
+  });
+
+  it('does not pin the rendered Yoast title and description', () => {
+    assert.strictEqual(extractSeo({
+      link: 'https://example.com/plain/',
+      yoast_head_json: {
+        title: 'Plain post - Example',
+        description: 'Plain post excerpt',
+        canonical: 'https://example.com/plain/',
+        og_title: 'Plain post - Example'
+      }
+    }), null);
+  });
+
+  it('prefers Yoast override meta and decodes robots flags', () => {
+    const seo = extractSeo({
+      ...yoastPost,
+      meta: {
+        _yoast_wpseo_title: 'Hand-tuned title',
+        _yoast_wpseo_focuskw: 'ownership',
+        '_yoast_wpseo_meta-robots-noindex': '1',
+        '_yoast_wpseo_meta-robots-nofollow': '0'
+      }
+    });
+
+    assert.strictEqual(seo.title, 'Hand-tuned title');
+    assert.strictEqual(seo.focus_keyphrase, 'ownership');
+    assert.strictEqual(seo.noindex, true);
+    assert.strictEqual(seo.nofollow, undefined);
+  });
+
+  it('reads Rank Math fields from meta or top-level REST fields', () => {
+    assert.deepStrictEqual(extractSeo({
+      rank_math_title: 'Rank title',
+      meta: {
+        rank_math_description: 'Rank description',
+        rank_math_focus_keyword: 'ranking',
+        rank_math_robots: ['noindex', 'nofollow']
+      }
+    }), {
+      plugin: 'rankmath',
+      title: 'Rank title',
+      description: 'Rank description',
+      focus_keyphrase: 'ranking',
+      noindex: true,
+      nofollow: true
+    });
+  });
+
+  it('returns null without SEO plugin data', () => {
+    assert.strictEqual(extractSeo({ meta: { subtitle: 'x' } }), null);
+    assert.strictEqual(extractSeo({ meta: [] }), null);
+    assert.strictEqual(extractSeo(null), null);
+  });
+});
+
+describe('buildSeoMeta', () => {
+  const seo = {
+    title: 'Hand-tuned title',
+    description: 'A meta description',
+    noindex: false,
+    nofollow: true,
+    twitter_title: 'Card title'
+  };
+
+  it('maps fields to Yoast meta keys', () => {
+    assert.deepStrictEqual(buildSeoMeta(seo, 'yoast'), {
+      _yoast_wpseo_title: 'Hand-tuned title',
+      _yoast_wpseo_metadesc: 'A meta description',
+      '_yoast_wpseo_twitter-title': 'Card title',
+      '_yoast_wpseo_meta-robots-noindex': '2',
+      '_yoast_wpseo_meta-robots-nofollow': '1'
+    });
+  });
+
+  it('maps fields to Rank Math meta keys', () => {
+    assert.deepStrictEqual(buildSeoMeta(seo, 'rankmath'), {
+      rank_math_title: 'Hand-tuned title',
+      rank_math_description: 'A meta description',
+      rank_math_twitter_title: 'Card title',
+      rank_math_robots: ['index', 'nofollow'],
+      rank_math_twitter_use_facebook: 'off'
+    });
+  });
+
+  it('returns null when there is nothing to write', () => {
+    assert.strictEqual(buildSeoMeta({ plugin: 'yoast' }, 'yoast'), null);
+    assert.strictEqual(buildSeoMeta(undefined, 'yoast'), null);
+  });
+
+  it('rejects unsupported plugins', () => {
+    assert.throws(() => buildSeoMeta(seo, 'aioseo'), /Unsupported SEO plugin "aioseo"/);
+  });
+});
+
+describe('isSeoMetaKey', () => {
+  it('recognizes Yoast and Rank Math keys', () => {
+    assert.strictEqual(isSeoMetaKey('_yoast_wpseo_title'), true);
+    assert.strictEqual(isSeoMetaKey('rank_math_robots'), true);
+    assert.strictEqual(isSeoMetaKey('subtitle'), false);
+  });
+});
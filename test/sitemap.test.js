@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Tests for sitemap module
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { generateSitemap } = require('../lib/sitemap');
+
+describe('generateSitemap', () => {
+  let tmpDir;
+  let contentDir;
+
+  function write(relativePath, content) {
+    const filePath = path.join(contentDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    contentDir = path.join(tmpDir, 'content');
+    write('posts/2025/01/15-hello/index.md', [
+      '---',
+      'title: "Hello"',
+      'date: "2025-01-15T10:30:00"',
+      'modified: "2025-02-01T09:00:00Z"',
+      'canonical_url: "https://example.com/hello-world/"',
+      '---',
+      'Hello.',
+      ''
+    ].join('\n'));
+    write('posts/2025/01/20-plain/index.md', '---\ntitle: "Plain"\ndate: "2025-01-20T08:00:00"\n---\nPlain.\n');
+    write('posts/2025/01/25-draft/index.md', '---\ntitle: "Draft"\ndraft: true\n---\nNot yet.\n');
+    write('pages/private/index.md', '---\ntitle: "Private"\ntype: page\nseo:\n  noindex: true\n---\nHidden.\n');
+    write('pages/about/index.md', '---\ntitle: "About"\ntype: page\n---\nAbout.\n');
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('lists the home page and entries at their permalinks', () => {
+    const outDir = path.join(tmpDir, 'site');
+    const result = generateSitemap(contentDir, outDir, { siteUrl: 'https://example.com/' });
+
+    assert.strictEqual(result.urls, 4);
+    assert.deepStrictEqual(result.files, [path.join(outDir, 'sitemap.xml')]);
+
+    const xml = fs.readFileSync(path.join(outDir, 'sitemap.xml'), 'utf-8');
+    assert.ok(xml.includes('<url><loc>https://example.com/</loc><lastmod>2025-02-01T09:00:00Z</lastmod></url>'));
+    assert.ok(xml.includes('<url><loc>https://example.com/hello-world/</loc><lastmod>2025-02-01T09:00:00Z</lastmod></url>'));
+    // Dates without a zone are reduced to the day
+    assert.ok(xml.includes('<url><loc>https://example.com/2025/01/20/plain/</loc><lastmod>2025-01-20</lastmod></url>'));
+    assert.ok(xml.includes('<url><loc>https://example.com/about/</loc></url>'));
+    assert.ok(!xml.includes('draft'));
+    assert.ok(!xml.includes('private'));
+  });
+
+  it('splits into a sitemap index past the URL limit', () => {
+    const outDir = path.join(tmpDir, 'split');
+    const result = generateSitemap(contentDir, outDir, { siteUrl: 'https://example.com', maxUrls: 3 });
+
+    assert.deepStrictEqual(result.files.map(file => path.basename(file)), ['sitemap.xml', 'sitemap-1.xml', 'sitemap-2.xml']);
+
+    const index = fs.readFileSync(path.join(outDir, 'sitemap.xml'), 'utf-8');
+    assert.ok(index.includes('<sitemapindex'));
+    assert.ok(index.includes('<loc>https://example.com/sitemap-2.xml</loc>'));
+
+    const second = fs.readFileSync(path.join(outDir, 'sitemap-2.xml'), 'utf-8');
+    assert.strictEqual(second.split('<url>').length - 1, 1);
+  });
+
+  it('requires a site URL', () => {
+    assert.throws(() => generateSitemap(contentDir, tmpDir, {}), /needs a site URL/);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Tests for ssg-export module
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const matter = require('gray-matter');
+
+const { exportToSsg, mapFrontMatter } = require('../lib/ssg-export');
+const { readCorpusEntry } = require('../lib/corpus');
+
+describe('exportToSsg', () => {
+  let tmpDir;
+  let contentDir;
+
+  function write(relativePath, content) {
+    const filePath = path.join(contentDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+
+  function readOutput(siteDir, relativePath) {
+    return matter(fs.readFileSync(path.join(siteDir, relativePath), 'utf-8'), {});
+  }
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    contentDir = path.join(tmpDir, 'content');
+    write('posts/2025/01/15-hello/index.md', [
+      '---',
+      'title: "Hello"',
+      'slug: "hello"',
+      'date: "2025-01-15T10:30:00"',
+      'modified: "2025-01-16T08:00:00"',
+      'description: "Greeting"',
+      'canonical_url: "https://example.com/2025/01/15/hello/"',
+      'tags:',
+      '  - "intro"',
+      'featured_image: "./cover.jpg"',
+      'wordpress:',
+      '  post_id: 12',
+      '---',
+      '',
+      '![Photo](./photo.jpg "A photo")',
+      ''
+    ].join('\n'));
+    write('posts/2025/01/15-hello/cover.jpg', 'cover');
+    write('posts/2025/01/15-hello/photo.jpg', 'photo');
+    write('pages/about/team/index.md', '---\ntitle: "Team"\ntype: page\n---\nTeam.\n');
+    write('articles/2024-12-01-flat-post.md', '---\ntitle: Flat\ndraft: true\n---\n![Missing](./images/flat.png)\n');
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes Hugo page bundles with images alongside', () => {
+    const siteDir = path.join(tmpDir, 'hugo');
+    const result = exportToSsg(contentDir, siteDir, { target: 'hugo' });
+
+    assert.deepStrictEqual(result.errors, []);
+    const post = readOutput(siteDir, 'content/posts/hello/index.md');
+    assert.strictEqual(post.data.lastmod, '2025-01-16T08:00:00');
+    assert.strictEqual(post.data.url, '/2025/01/15/hello/');
+    assert.deepStrictEqual(post.data.images, ['./cover.jpg']);
+    assert.strictEqual(post.data.wordpress, undefined);
+    assert.ok(post.content.includes('![Photo](./photo.jpg "A photo")'));
+    assert.ok(fs.existsSync(path.join(siteDir, 'content/posts/hello/photo.jpg')));
+
+    assert.strictEqual(readOutput(siteDir, 'content/pages/about-team/index.md').data.url, '/about/team/');
+    const draft = result.exported.find(item => item.outputPath.endsWith(path.join('flat-post', 'index.md')));
+    assert.strictEqual(draft.missingImages.length, 1);
+    assert.strictEqual(readOutput(siteDir, 'content/posts/flat-post/index.md').data.draft, true);
+  });
+
+  it('writes Jekyll posts with dated names, Jekyll dates and site-root images', () => {
+    const siteDir = path.join(tmpDir, 'jekyll');
+    exportToSsg(contentDir, siteDir, { target: 'jekyll' });
+
+    const post = readOutput(siteDir, '_posts/2025-01-15-hello.md');
+    assert.strictEqual(post.data.date, '2025-01-15 10:30:00');
+    assert.strictEqual(post.data.last_modified_at, '2025-01-16 08:00:00');
+    assert.strictEqual(post.data.permalink, '/2025/01/15/hello/');
+    assert.strictEqual(post.data.layout, 'post');
+    assert.strictEqual(post.data.image, '/assets/images/hello/cover.jpg');
+    assert.ok(post.content.includes('![Photo](/assets/images/hello/photo.jpg "A photo")'));
+    assert.ok(fs.existsSync(path.join(siteDir, 'assets/images/hello/photo.jpg')));
+
+    assert.strictEqual(readOutput(siteDir, 'about/team.md').data.layout, 'page');
+    assert.strictEqual(readOutput(siteDir, '_posts/2024-12-01-flat-post.md').data.published, false);
+  });
+
+  it('writes Eleventy templates with permalinks', () => {
+    const siteDir = path.join(tmpDir, 'eleventy');
+    exportToSsg(contentDir, siteDir, { target: 'eleventy' });
+
+    const post = readOutput(siteDir, 'posts/hello.md');
+    assert.strictEqual(post.data.permalink, '/2025/01/15/hello/');
+    assert.strictEqual(post.data.image, '/img/hello/cover.jpg');
+    assert.ok(fs.existsSync(path.join(siteDir, 'img/hello/cover.jpg')));
+  });
+
+  it('writes Astro content collection entries keyed by the WordPress path', () => {
+    const siteDir = path.join(tmpDir, 'astro');
+    exportToSsg(contentDir, siteDir, { target: 'astro' });
+
+    const post = readOutput(siteDir, 'src/content/posts/hello/index.md');
+    assert.strictEqual(post.data.pubDate, '2025-01-15T10:30:00');
+    assert.strictEqual(post.data.updatedDate, '2025-01-16T08:00:00');
+    assert.strictEqual(post.data.heroImage, './cover.jpg');
+    assert.strictEqual(post.data.slug, '2025/01/15/hello');
+    assert.strictEqual(post.data.date, undefined);
+  });
+
+  it('applies front matter mapping overrides', () => {
+    const entry = readCorpusEntry(path.join(contentDir, 'posts/2025/01/15-hello/index.md'), contentDir);
+    const data = mapFrontMatter(entry, 'hugo', { frontMatter: { description: 'summary', canonical_url: null, wordpress: 'wp' } });
+
+    assert.strictEqual(data.summary, 'Greeting');
+    assert.strictEqual(data.description, undefined);
+    assert.strictEqual(data.canonical_url, undefined);
+    assert.deepStrictEqual(data.wp, { post_id: 12 });
+  });
+
+  it('writes nothing in a dry run', () => {
+    const siteDir = path.join(tmpDir, 'dry');
+    const result = exportToSsg(contentDir, siteDir, { target: 'hugo', dryRun: true });
+
+    assert.strictEqual(result.exported.length, 3);
+    assert.strictEqual(fs.existsSync(siteDir), false);
+  });
+
+  it('reports entries that would overwrite each other', () => {
+    write('posts/2025/02/01-hello/index.md', '---\ntitle: "Hello again"\n---\nAgain.\n');
+    const result = exportToSsg(contentDir, path.join(tmpDir, 'clash'), { target: 'hugo', dryRun: true });
+    fs.rmSync(path.join(contentDir, 'posts/2025/02'), { recursive: true });
+
+    assert.strictEqual(result.errors.length, 1);
+    assert.match(result.errors[0].error, /Same output path/);
+  });
+
+  it('rejects unknown targets', () => {
+    assert.throws(() => exportToSsg(contentDir, tmpDir, { target: 'gatsby' }), /Unknown static site target "gatsby"/);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Tests for sync module
+ *
+ * Runs against a local HTTP server that mimics the WordPress REST API for a
+ * single post, applying updates so pushes can be observed.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+const { WpClient } = require('../lib/wp-api');
+const { saveNormalizedPost, getBasePath } = require('../lib/fetch-api');
+const { syncArticle, mergeMarkdown, findSyncTargets } = require('../lib/sync');
+
+describe('mergeMarkdown', () => {
+  const base = '---\ntitle: "Post"\ndescription: "Old"\nwordpress:\n  post_id: 1\n---\n\nOne\n\nTwo\n';
+
+  it('merges front matter fields changed on one side', () => {
+    const local = base.replace('title: "Post"', 'title: "Local title"');
+    const remote = base.replace('description: "Old"', 'description: "New"').replace('post_id: 1', 'post_id: 1\n  synced_at: "now"');
+    const result = mergeMarkdown(local, base, remote);
+
+    assert.strictEqual(result.conflicts.length, 0);
+    assert.ok(result.markdown.includes('title: Local title'));
+    assert.ok(result.markdown.includes('description: New'));
+    assert.ok(result.markdown.includes('synced_at: now'));
+  });
+
+  it('keeps the local value for conflicting fields and reports them', () => {
+    const local = base.replace('title: "Post"', 'title: "Mine"');
+    const remote = base.replace('title: "Post"', 'title: "Theirs"');
+    const result = mergeMarkdown(local, base, remote);
+
+    assert.deepStrictEqual(result.conflicts, [{ type: 'field', field: 'title', local: 'Mine', remote: 'Theirs' }]);
+    assert.ok(result.markdown.includes('title: Mine'));
+  });
+});
+
+describe('syncArticle', () => {
+  let server;
+  let client;
+  let tmpDir;
+  let post;
+  let mdPath;
+  const updates = [];
+
+  function setRemoteContent(html) {
+    post.content.rendered = html;
+    post.modified_gmt = new Date(Date.parse(post.modified_gmt + 'Z') + 60000).toISOString().slice(0, 19);
+    post.modified = post.modified_gmt;
+  }
+
+  before(async () => {
+    post = {
+      id: 1,
+      slug: 'first',
+      title: { rendered: 'First' },
+      content: { rendered: '<p>One</p>\n<p>Two</p>\n<p>Three</p>' },
+      excerpt: { rendered: '' },
+      date: '2025-01-15T10:00:00',
+      date_gmt: '2025-01-15T18:00:00',
+      modified: '2025-01-15T10:00:00',
+      modified_gmt: '2025-01-15T18:00:00',
+      status: 'draft',
+      type: 'post',
+      link: 'https://example.com/first/',
+      _embedded: { author: [{ id: 1, name: 'Jane Doe', slug: 'jane' }], 'wp:term': [[], []] }
+    };
+
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const route = url.pathname.replace('/wp-json/wp/v2/', '');
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (route === 'posts/1' && req.method === 'POST') {
+          const data = JSON.parse(body);
+          updates.push(data);
+          post.title.rendered = data.title;
+          post.status = data.status;
+          setRemoteContent(data.content);
+          res.end(JSON.stringify(post));
+        } else if (route === 'posts/1') {
+          res.end(JSON.stringify(post));
+        } else if (route === 'posts') {
+          res.end(JSON.stringify([post]));
+        } else {
+          res.end('[]');
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret'
+    });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+
+    const saved = await saveNormalizedPost(client.normalizeEmbedResponse(post), post, tmpDir, {
+      hierarchical: true,
+      images: false,
+      silent: true
+    });
+    mdPath = saved.mdPath;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('records the base when content is saved', () => {
+    const base = JSON.parse(fs.readFileSync(getBasePath(mdPath), 'utf-8'));
+    assert.strictEqual(base._meta.postId, 1);
+    assert.strictEqual(base._meta.modifiedGmt, '2025-01-15T18:00:00');
+    assert.strictEqual(base.markdown, fs.readFileSync(mdPath, 'utf-8'));
+  });
+
+  it('reports unchanged articles without writing', async () => {
+    const result = await syncArticle(mdPath, { client, silent: true });
+    assert.strictEqual(result.status, 'unchanged');
+    assert.strictEqual(updates.length, 0);
+  });
+
+  it('fast-forwards to remote changes when the local file is untouched', async () => {
+    setRemoteContent('<p>One</p>\n<p>Two</p>\n<p>Three, edited in wp-admin</p>');
+    const result = await syncArticle(mdPath, { client, silent: true });
+
+    assert.strictEqual(result.status, 'pulled');
+    assert.ok(fs.readFileSync(mdPath, 'utf-8').includes('Three, edited in wp-admin'));
+    assert.strictEqual(updates.length, 0);
+  });
+
+  it('merges non-overlapping edits and publishes the result', async () => {
+    fs.writeFileSync(mdPath, fs.readFileSync(mdPath, 'utf-8').replace('One', 'One, edited locally'));
+    setRemoteContent('<p>One</p>\n<p>Two</p>\n<p>Three, edited again</p>');
+
+    const result = await syncArticle(mdPath, { client, silent: true });
+
+    assert.strictEqual(result.status, 'merged');
+    assert.strictEqual(result.pushed, true);
+    const md = fs.readFileSync(mdPath, 'utf-8');
+    assert.ok(md.includes('One, edited locally'));
+    assert.ok(md.includes('Three, edited again'));
+
+    assert.strictEqual(updates.length, 1);
+    assert.ok(updates[0].content.includes('One, edited locally'));
+    assert.ok(updates[0].content.includes('Three, edited again'));
+    assert.strictEqual(updates[0].status, 'draft');
+
+    const again = await syncArticle(mdPath, { client, silent: true });
+    assert.strictEqual(again.status, 'unchanged');
+  });
+
+  it('writes conflict markers for overlapping edits and does not publish', async () => {
+    updates.length = 0;
+    fs.writeFileSync(mdPath, fs.readFileSync(mdPath, 'utf-8').replace('Two', 'Two (local)'));
+    setRemoteContent(post.content.rendered.replace('Two', 'Two (remote)'));
+
+    const result = await syncArticle(mdPath, { client, silent: true });
+
+    assert.strictEqual(result.status, 'conflict');
+    assert.strictEqual(result.conflicts[0].type, 'content');
+    const md = fs.readFileSync(mdPath, 'utf-8');
+    assert.ok(md.includes('<<<<<<< local\nTwo (local)\n=======\nTwo (remote)\n>>>>>>> wordpress'));
+    assert.strictEqual(updates.length, 0);
+
+    await assert.rejects(syncArticle(mdPath, { client, silent: true }), /Unresolved conflict markers/);
+  });
+
+  it('publishes the resolved file on the next sync', async () => {
+    const md = fs.readFileSync(mdPath, 'utf-8')
+      .replace(/<<<<<<< local\n[\s\S]*?>>>>>>> wordpress/, 'Two (resolved)');
+    fs.writeFileSync(mdPath, md);
+
+    const result = await syncArticle(mdPath, { client, silent: true });
+    assert.strictEqual(result.status, 'pushed');
+    assert.ok(updates[0].content.includes('Two (resolved)'));
+  });
+
+  it('requires a base, which --init records', async () => {
+    fs.unlinkSync(getBasePath(mdPath));
+    await assert.rejects(syncArticle(mdPath, { client, silent: true }), /--init/);
+
+    const result = await syncArticle(mdPath, { client, silent: true, init: true });
+    assert.strictEqual(result.status, 'initialized');
+    assert.ok(fs.existsSync(getBasePath(mdPath)));
+  });
+
+  it('finds articles linked to WordPress in a directory', () => {
+    fs.writeFileSync(path.join(tmpDir, 'draft.md'), '---\ntitle: "Not published"\n---\n\nHello\n');
+    assert.deepStrictEqual(findSyncTargets(tmpDir), [mdPath]);
+  });
+});
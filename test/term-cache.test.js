@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Tests for term-cache module
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { decodeTermName, normalizeTermName } = require('../lib/term-cache');
+const { WpClient } = require('../lib/wp-api');
+
+describe('normalizeTermName', () => {
+  it('decodes entities, case and spacing', () => {
+    assert.strictEqual(decodeTermName('Tips &amp; Tricks'), 'Tips & Tricks');
+    assert.strictEqual(decodeTermName('Rock &#038; Roll &#8217;n&#x2019; more'), 'Rock & Roll ’n’ more');
+    assert.strictEqual(decodeTermName('&unknown; stays'), '&unknown; stays');
+    assert.strictEqual(normalizeTermName('  Tips &amp;  TRICKS '), 'tips & tricks');
+  });
+});
+
+describe('TermCache', () => {
+  let server;
+  let client;
+  let tags;
+  let requests;
+  let nextId;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push(`${req.method} ${url.pathname}${url.search}`);
+        res.setHeader('Content-Type', 'application/json');
+
+        if (req.method === 'GET' && url.pathname === '/wp-json/wp/v2/tags') {
+          // Two tags per page to exercise pagination
+          const page = Number(url.searchParams.get('page'));
+          res.setHeader('X-WP-Total', String(tags.length));
+          res.setHeader('X-WP-TotalPages', String(Math.ceil(tags.length / 2)));
+          res.end(JSON.stringify(tags.slice((page - 1) * 2, page * 2)));
+        } else if (req.method === 'POST' && url.pathname === '/wp-json/wp/v2/tags') {
+          const { name } = JSON.parse(body);
+          if (name === 'Raced') {
+            // Created by someone else after the cache loaded
+            tags.push({ id: 99, name: 'Raced', slug: 'raced' });
+            res.statusCode = 400;
+            res.end(JSON.stringify({ code: 'term_exists', message: 'A term with the name provided already exists.', data: { status: 400, term_id: 99 } }));
+            return;
+          }
+          const term = { id: nextId++, name: name.replace(/&/g, '&amp;'), slug: name.toLowerCase().replace(/\W+/g, '-') };
+          tags.push(term);
+          res.end(JSON.stringify(term));
+        } else {
+          res.end('[]');
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  beforeEach(() => {
+    tags = [
+      { id: 1, name: 'JavaScript', slug: 'javascript' },
+      { id: 2, name: 'Node', slug: 'node' },
+      { id: 3, name: 'Tips &amp; Tricks', slug: 'tips-tricks' },
+      { id: 4, name: 'Café', slug: '%c3%a9-cafe' }
+    ];
+    requests = [];
+    nextId = 10;
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret'
+    });
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('loads every page once and resolves names, entities and slugs locally', async () => {
+    assert.strictEqual(await client.getTagId('tips & tricks'), 3);
+    assert.strictEqual(await client.getTagId('JAVASCRIPT'), 1);
+    assert.strictEqual(await client.getTagId('é-cafe'), 4);
+    assert.strictEqual(await client.findTermId('tags', 'tips-tricks'), 3);
+    assert.strictEqual((await client.getTags()).length, 4);
+
+    assert.deepStrictEqual(requests, [
+      'GET /wp-json/wp/v2/tags?per_page=100&orderby=id&order=asc&page=1',
+      'GET /wp-json/wp/v2/tags?per_page=100&orderby=id&order=asc&page=2'
+    ]);
+  });
+
+  it('creates a missing term once, even when asked for it concurrently', async () => {
+    const ids = await Promise.all([client.getTagId('Rust & Go'), client.getTagId('rust &amp; go'), client.getTagId('Rust & Go')]);
+
+    assert.deepStrictEqual(ids, [10, 10, 10]);
+    assert.strictEqual(requests.filter(r => r.startsWith('POST')).length, 1);
+
+    // The created term is in the cache without reloading
+    assert.strictEqual(await client.findTermId('tags', 'Rust & Go'), 10);
+    assert.strictEqual(requests.filter(r => r.startsWith('GET')).length, 2);
+  });
+
+  it('reloads after a term created elsewhere is reported as existing', async () => {
+    assert.strictEqual(await client.getTagId('Raced'), 99);
+    assert.strictEqual(await client.findTermId('tags', 'raced'), 99);
+    assert.strictEqual(requests.filter(r => r.startsWith('GET')).length, 5);
+  });
+
+  it('matches all-digit names as names, not IDs', async () => {
+    tags.push({ id: 2024, name: 'Retrospective', slug: 'retrospective' }, { id: 5, name: '2024', slug: '2024' });
+
+    assert.strictEqual(await client.getTagId('2024'), 5);
+    assert.strictEqual(await client.getTagId('1'), 10);
+    assert.strictEqual((await client.getTermCache('tags').get(2024)).name, 'Retrospective');
+    assert.strictEqual(await client.findTermId('tags', '2024'), 2024);
+  });
+
+  it('finds all-digit arguments by name when no term has that ID', async () => {
+    tags.push({ id: 6, name: '1999', slug: '1999' });
+
+    assert.strictEqual(await client.findTermId('tags', '1999'), 6);
+    assert.strictEqual(await client.findTermId('tags', '2'), 2);
+    assert.strictEqual(await client.findTermId('tags', '7777'), null);
+  });
+
+  it('finds nothing without creating', async () => {
+    assert.strictEqual(await client.findTermId('tags', 'Missing'), null);
+    assert.strictEqual(requests.filter(r => r.startsWith('POST')).length, 0);
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Tests for terms module
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+const {
+  listTerms,
+  renameTerm,
+  mergeTerms,
+  deleteTerm,
+  describeTerm,
+  updateLocalTerms
+} = require('../lib/terms');
+const matter = require('gray-matter');
+const { WpClient, detectRemoteDrift } = require('../lib/wp-api');
+
+const POST_ONE = `---
+title: "Post One"
+date: 2025-01-15T23:30:00-08:00
+categories:
+  - "News"
+tags:
+  - "JS"
+  - "Node"
+wordpress:
+  post_id: 1
+  synced_at: "2025-02-01T00:00:00.000Z"
+  tag_ids:
+    - 12
+    - 2
+---
+
+Body one.
+`;
+
+const POST_TWO = `---
+title: Post Two
+category: News
+tags: [JavaScript, js]
+wordpress:
+  post_id: 2
+  tag_ids: [1, 12]
+---
+
+Body two.
+`;
+
+describe('terms', () => {
+  let server;
+  let client;
+  let tmpDir;
+  let tags;
+  let posts;
+  let requests;
+  let failPost;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push(`${req.method} ${url.pathname}`);
+        res.setHeader('Content-Type', 'application/json');
+        const termMatch = url.pathname.match(/^\/wp-json\/wp\/v2\/tags\/(\d+)$/);
+        const postMatch = url.pathname.match(/^\/wp-json\/wp\/v2\/posts\/(\d+)$/);
+
+        if (url.pathname === '/wp-json/wp/v2/tags' && req.method === 'GET') {
+          res.end(JSON.stringify(tags));
+        } else if (termMatch && req.method === 'POST') {
+          const term = tags.find(t => t.id === Number(termMatch[1]));
+          Object.assign(term, JSON.parse(body));
+          res.end(JSON.stringify(term));
+        } else if (termMatch && req.method === 'DELETE') {
+          assert.strictEqual(url.searchParams.get('force'), 'true');
+          const term = tags.find(t => t.id === Number(termMatch[1]));
+          tags = tags.filter(t => t !== term);
+          posts.forEach(p => { p.tags = p.tags.filter(id => id !== term.id); });
+          res.end(JSON.stringify({ deleted: true, previous: term }));
+        } else if (url.pathname === '/wp-json/wp/v2/types') {
+          res.end(JSON.stringify({
+            post: { slug: 'post', rest_base: 'posts', taxonomies: ['category', 'post_tag'] },
+            page: { slug: 'page', rest_base: 'pages', taxonomies: [] }
+          }));
+        } else if (url.pathname === '/wp-json/wp/v2/posts' && req.method === 'GET') {
+          assert.strictEqual(url.searchParams.get('status'), 'any');
+          const tagId = Number(url.searchParams.get('tags'));
+          res.end(JSON.stringify(posts.filter(p => p.tags.includes(tagId)).map(p => ({ id: p.id, tags: [...p.tags] }))));
+        } else if (postMatch && req.method === 'POST') {
+          const post = posts.find(p => p.id === Number(postMatch[1]));
+          if (post.id === failPost) {
+            res.statusCode = 403;
+            res.end(JSON.stringify({ code: 'rest_cannot_edit', message: 'Sorry, you are not allowed to edit this post.' }));
+            return;
+          }
+          post.tags = JSON.parse(body).tags;
+          post.modified_gmt = `2025-03-0${post.id}T12:00:00`;
+          res.end(JSON.stringify(post));
+        } else {
+          res.end('[]');
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  beforeEach(() => {
+    tags = [
+      { id: 1, name: 'JavaScript', slug: 'javascript', count: 2, description: '' },
+      { id: 2, name: 'Node', slug: 'node', count: 1, description: '' },
+      { id: 12, name: 'JS', slug: 'js', count: 3, description: '' },
+      { id: 20, name: 'Tips &amp; Tricks', slug: 'tips-tricks', count: 0, description: '' }
+    ];
+    posts = [
+      { id: 1, tags: [12, 2] },
+      { id: 2, tags: [1, 12] },
+      { id: 3, tags: [12] }
+    ];
+    requests = [];
+    failPost = null;
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret'
+    });
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    fs.mkdirSync(path.join(tmpDir, 'posts'));
+    fs.writeFileSync(path.join(tmpDir, 'posts', 'one.md'), POST_ONE);
+    fs.writeFileSync(path.join(tmpDir, 'posts', 'two.md'), POST_TWO);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  const read = name => fs.readFileSync(path.join(tmpDir, 'posts', name), 'utf-8');
+
+  it('lists terms by name or by use, with names decoded', async () => {
+    const byName = await listTerms('tags', { client });
+    assert.deepStrictEqual(byName.map(t => t.name), ['JavaScript', 'JS', 'Node', 'Tips & Tricks']);
+
+    const byCount = await listTerms('tag', { client, sort: 'count' });
+    assert.deepStrictEqual(byCount.map(t => t.id), [12, 1, 2, 20]);
+
+    await assert.rejects(listTerms('venues', { client }), /Unknown taxonomy "venues"/);
+  });
+
+  it('renames a term on the site and in front matter, leaving other fields as written', async () => {
+    const result = await renameTerm('tags', 'node', 'Node.js', { client, contentDir: tmpDir });
+
+    assert.strictEqual(result.term.name, 'Node.js');
+    assert.strictEqual(result.previous.name, 'Node');
+    assert.strictEqual(tags.find(t => t.id === 2).name, 'Node.js');
+    assert.deepStrictEqual(result.files, [path.join(tmpDir, 'posts', 'one.md')]);
+    assert.strictEqual(read('one.md'), POST_ONE.replace('  - "Node"', '  - "Node.js"'));
+    assert.strictEqual(read('two.md'), POST_TWO);
+
+    await assert.rejects(renameTerm('tags', 'JS', 'javascript', { client }), /already exists \(ID 1\); merge into it instead/);
+  });
+
+  it('merges a term by reassigning every post, then deleting it', async () => {
+    const result = await mergeTerms('tags', 'JS', 'JavaScript', { client, contentDir: tmpDir, concurrency: 2 });
+
+    assert.strictEqual(result.posts, 3);
+    assert.strictEqual(result.reassigned, 3);
+    assert.strictEqual(result.deleted, true);
+    assert.deepStrictEqual(posts.map(p => p.tags), [[2, 1], [1], [1]]);
+    assert.ok(!tags.some(t => t.id === 12));
+
+    assert.match(read('one.md'), /tags:\n {2}- "JavaScript"\n {2}- "Node"\n/);
+    assert.match(read('one.md'), /tag_ids:\n {4}- 1\n {4}- 2\n/);
+    assert.match(read('one.md'), /^date: 2025-01-15T23:30:00-08:00$/m);
+    assert.match(read('two.md'), /^tags: \["JavaScript"\]$/m);
+    assert.match(read('two.md'), /^ {2}tag_ids: \[1\]$/m);
+    assert.strictEqual(result.files.length, 2);
+
+    // The reassignment is recorded as the version WordPress has
+    assert.match(read('one.md'), /tag_ids:\n {4}- 1\n {4}- 2\n {2}modified_gmt: "2025-03-01T12:00:00"\n---/);
+    assert.match(read('two.md'), /^ {2}modified_gmt: "2025-03-02T12:00:00"$/m);
+    const onePath = path.join(tmpDir, 'posts', 'one.md');
+    assert.strictEqual(detectRemoteDrift(onePath, matter(read('one.md')).data, { id: 1, modified_gmt: '2025-03-01T12:00:00' }), null);
+  });
+
+  it('keeps the source term when a post cannot be reassigned', async () => {
+    failPost = 3;
+    const result = await mergeTerms('tags', 'js', 'javascript', { client, contentDir: tmpDir });
+
+    assert.strictEqual(result.reassigned, 2);
+    assert.deepStrictEqual(result.errors.map(e => e.postId), [3]);
+    assert.strictEqual(result.deleted, false);
+    assert.ok(tags.some(t => t.id === 12));
+    assert.ok(!requests.includes('DELETE /wp-json/wp/v2/tags/12'));
+    assert.strictEqual(read('one.md'), POST_ONE);
+  });
+
+  it('changes nothing on a dry run', async () => {
+    const result = await mergeTerms('tags', 'JS', 'JavaScript', { client, contentDir: tmpDir, dryRun: true });
+
+    assert.strictEqual(result.posts, 3);
+    assert.strictEqual(result.files.length, 2);
+    assert.deepStrictEqual(requests.filter(r => !r.startsWith('GET')), []);
+    assert.strictEqual(read('one.md'), POST_ONE);
+  });
+
+  it('deletes a term from the site and from front matter', async () => {
+    const result = await deleteTerm('tags', 12, { client, contentDir: tmpDir });
+
+    assert.strictEqual(result.term.name, 'JS');
+    assert.ok(!tags.some(t => t.id === 12));
+    assert.match(read('one.md'), /tags:\n {2}- "Node"\nwordpress:/);
+    assert.match(read('one.md'), /tag_ids:\n {4}- 2\n---/);
+    assert.match(read('two.md'), /^tags: \["JavaScript"\]$/m);
+  });
+
+  it('shows and sets descriptions', async () => {
+    assert.deepStrictEqual(await describeTerm('tags', 'Tips & Tricks', undefined, { client }), {
+      term: { id: 20, name: 'Tips & Tricks', slug: 'tips-tricks', count: 0, parent: 0, description: '' },
+      updated: false
+    });
+
+    const result = await describeTerm('tags', 'tips-tricks', 'Small ways to work faster', { client });
+    assert.strictEqual(result.updated, true);
+    assert.strictEqual(tags.find(t => t.id === 20).description, 'Small ways to work faster');
+  });
+
+  it('takes all-digit arguments as IDs, then as names', async () => {
+    tags.push({ id: 30, name: '2024', slug: '2024', count: 0, description: '' });
+
+    assert.strictEqual((await describeTerm('tags', '12', undefined, { client })).term.name, 'JS');
+    assert.strictEqual((await describeTerm('tags', '2024', undefined, { client })).term.id, 30);
+  });
+});
+
+describe('updateLocalTerms', () => {
+  it('renames single-value categories and removes them when deleted', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    const file = path.join(tmpDir, 'two.md');
+    fs.writeFileSync(file, POST_TWO);
+
+    updateLocalTerms(tmpDir, 'categories', { from: { id: 5, name: 'News', slug: 'news' }, to: { id: 6, name: 'Updates &amp; News' } });
+    assert.match(fs.readFileSync(file, 'utf-8'), /^category: "Updates & News"$/m);
+
+    updateLocalTerms(tmpDir, 'categories', { from: { id: 6, name: 'Updates & News', slug: 'updates-news' }, to: null });
+    assert.doesNotMatch(fs.readFileSync(file, 'utf-8'), /category/);
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+});
@@ -12,7 +12,11 @@ const {
   extractHeadingsFromHtml,
   extractHeadingsFromMarkdown,
   extractUrlsFromHtml,
-  extractUrlsFromMarkdown
+  extractUrlsFromMarkdown,
+  extractTablesFromHtml,
+  extractTablesFromMarkdown,
+  extractEmbedsFromHtml,
+  extractEmbedsFromMarkdown
 } = require('../lib/verify');
 
 describe('validateFrontMatter', () => {
@@ -287,3 +291,36 @@ describe('extractUrlsFromMarkdown', () => {
     assert.strictEqual(result.size, 0);
   });
 });
+
+describe('extractTablesFromHtml', () => {
+  it('reports rows, columns and header cells', () => {
+    const html = '<table><thead><tr><th>Name</th><th>Score</th></tr></thead><tbody><tr><td>Ann</td><td>9</td></tr></tbody></table>';
+    assert.deepStrictEqual(extractTablesFromHtml(html), [{ rows: 2, columns: 2, header: ['Name', 'Score'] }]);
+  });
+});
+
+describe('extractTablesFromMarkdown', () => {
+  it('extracts pipe tables', () => {
+    const md = '| Name | Score |\n| --- | :-: |\n| Ann | 9 |\n| Bob | 7 |\n\nAfter';
+    assert.deepStrictEqual(extractTablesFromMarkdown(md), [{ rows: 3, columns: 2, header: ['Name', 'Score'] }]);
+  });
+
+  it('does not mistake horizontal rules for tables', () => {
+    assert.deepStrictEqual(extractTablesFromMarkdown('Some | text\n\n---\n'), []);
+  });
+});
+
+describe('extractEmbedsFromHtml', () => {
+  it('normalizes iframes and embed blocks to provider IDs', () => {
+    const html = '<iframe src="https://www.youtube.com/embed/abc123?feature=oembed"></iframe>' +
+      '<div class="wp-block-embed__wrapper">\nhttps://vimeo.com/42\n</div>';
+    assert.deepStrictEqual(extractEmbedsFromHtml(html), ['youtube:abc123', 'vimeo:42']);
+  });
+});
+
+describe('extractEmbedsFromMarkdown', () => {
+  it('counts YouTube thumbnails and provider URLs on their own line', () => {
+    const md = '[![Video](https://img.youtube.com/vi/abc123/maxresdefault.jpg)](https://www.youtube.com/watch?v=abc123)\n\nhttps://youtu.be/xyz\n\nSee https://youtu.be/inline in text';
+    assert.deepStrictEqual(extractEmbedsFromMarkdown(md).sort(), ['youtube:abc123', 'youtube:xyz']);
+  });
+});
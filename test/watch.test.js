@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Tests for watch module
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+const { WpClient } = require('../lib/wp-api');
+const { watchAndPublish, findArticlesForImage } = require('../lib/watch');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('watchAndPublish', () => {
+  let tmpDir;
+  let server;
+  let client;
+  let posts;
+  let updates;
+  let uploads;
+
+  function article(postId, body) {
+    return [
+      '---',
+      `title: "Post ${postId}"`,
+      `slug: "post-${postId}"`,
+      'wordpress:',
+      `  post_id: ${postId}`,
+      '  modified_gmt: "2025-01-15T18:00:00"',
+      '  synced_at: "2025-01-15T18:00:00.000Z"',
+      '---',
+      '',
+      body,
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Collect onResult calls, resolving once `count` have arrived
+   */
+  function collect(count) {
+    const results = [];
+    let done;
+    const finished = new Promise((resolve, reject) => {
+      done = resolve;
+      setTimeout(() => reject(new Error(`Expected ${count} result(s), got ${results.length}`)), 5000).unref();
+    });
+    return {
+      results,
+      finished,
+      onResult(result) {
+        results.push(result);
+        if (results.length === count) done(results);
+      }
+    };
+  }
+
+  before(async () => {
+    posts = {
+      1: { id: 1, slug: 'post-1', status: 'draft', modified_gmt: '2025-01-15T18:00:00', link: 'https://example.com/?p=1' },
+      2: { id: 2, slug: 'post-2', status: 'publish', modified_gmt: '2025-01-15T18:00:00', link: 'https://example.com/post-2/' }
+    };
+    updates = [];
+    uploads = 0;
+
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const route = url.pathname.replace('/wp-json/wp/v2/', '');
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        const match = route.match(/^posts\/(\d+)$/);
+        if (route === 'media') {
+          uploads++;
+          res.end(JSON.stringify({ id: 100 + uploads, source_url: `https://example.com/uploads/${uploads}.png` }));
+        } else if (route.startsWith('media/')) {
+          // Alt text update
+          const id = Number(route.slice('media/'.length));
+          res.end(JSON.stringify({ id, source_url: `https://example.com/uploads/${id - 100}.png` }));
+        } else if (match && req.method === 'POST') {
+          const data = JSON.parse(body);
+          updates.push({ id: Number(match[1]), ...data });
+          res.end(JSON.stringify({ ...posts[match[1]], status: data.status }));
+        } else if (match) {
+          res.end(JSON.stringify(posts[match[1]]));
+        } else if (route === 'posts') {
+          const post = Object.values(posts).find(p => p.slug === url.searchParams.get('slug'));
+          res.end(JSON.stringify(post ? [post] : []));
+        } else {
+          res.end('[]');
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret'
+    });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('re-publishes a saved draft once, uploading images only when they change', async () => {
+    const dir = path.join(tmpDir, 'draft');
+    const mdPath = path.join(dir, 'index.md');
+    const imagePath = path.join(dir, 'photo.png');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(imagePath, 'png one');
+    fs.writeFileSync(mdPath, article(1, 'First.\n\n![Photo](./photo.png)'));
+
+    let collector = collect(1);
+    const watch = watchAndPublish(dir, { client, debounce: 50, onResult: r => collector.onResult(r) });
+
+    try {
+      fs.writeFileSync(mdPath, article(1, 'Second.\n\n![Photo](./photo.png)'));
+      const [first] = await collector.finished;
+
+      assert.strictEqual(first.action, 'updated');
+      assert.strictEqual(first.postId, 1);
+      assert.strictEqual(first.imagesUploaded, 1);
+      assert.strictEqual(updates.length, 1);
+      assert.strictEqual(updates[0].status, 'draft');
+      assert.ok(updates[0].content.includes('https://example.com/uploads/1.png'));
+      assert.ok(fs.existsSync(path.join(dir, 'index.images.json')));
+
+      // The front matter update after publishing doesn't trigger another publish
+      await wait(300);
+      assert.strictEqual(updates.length, 1);
+
+      // Unchanged images are not uploaded again
+      collector = collect(1);
+      fs.writeFileSync(mdPath, fs.readFileSync(mdPath, 'utf-8').replace('Second.', 'Third.'));
+      const [second] = await collector.finished;
+      assert.strictEqual(second.imagesUploaded, 0);
+      assert.strictEqual(uploads, 1);
+
+      // A changed image re-publishes the article that references it
+      collector = collect(1);
+      fs.writeFileSync(imagePath, 'png two');
+      const [third] = await collector.finished;
+      assert.strictEqual(third.mdPath, mdPath);
+      assert.strictEqual(third.imagesUploaded, 1);
+      assert.strictEqual(updates.length, 3);
+    } finally {
+      await watch.close();
+    }
+  });
+
+  it('skips published posts and articles without a post ID', async () => {
+    const dir = path.join(tmpDir, 'skipped');
+    fs.mkdirSync(dir, { recursive: true });
+
+    const collector = collect(2);
+    const watch = watchAndPublish(dir, { client, debounce: 50, onResult: collector.onResult });
+
+    try {
+      fs.writeFileSync(path.join(dir, 'live.md'), article(2, 'Live.'));
+      fs.writeFileSync(path.join(dir, 'new.md'), '---\ntitle: "New"\n---\nNew.\n');
+      const results = await collector.finished;
+
+      assert.deepStrictEqual(results.map(r => [path.basename(r.mdPath), r.action]), [
+        ['live.md', 'skipped'],
+        ['new.md', 'skipped']
+      ]);
+      assert.match(results[0].reason, /Post 2 is published/);
+      assert.match(results[1].reason, /No wordpress\.post_id/);
+      assert.strictEqual(updates.filter(update => update.id === 2).length, 0);
+    } finally {
+      await watch.close();
+    }
+  });
+
+  it('rejects a missing target', () => {
+    assert.throws(() => watchAndPublish(path.join(tmpDir, 'missing'), { client }), /Not found/);
+  });
+});
+
+describe('findArticlesForImage', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    fs.mkdirSync(path.join(tmpDir, 'posts', 'images'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'posts', 'one.md'), '---\ntitle: "One"\n---\n![A](./images/a.png)\n');
+    fs.writeFileSync(path.join(tmpDir, 'posts', 'two.md'), '---\ntitle: "Two"\nfeatured_image: "./images/a.png"\n---\nText.\n');
+    fs.writeFileSync(path.join(tmpDir, 'posts', 'three.md'), '---\ntitle: "Three"\n---\n![B](./images/b.png)\n');
+    fs.writeFileSync(path.join(tmpDir, 'posts', 'images', 'a.png'), 'png');
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('finds articles in parent directories that reference the image', () => {
+    const articles = findArticlesForImage(path.join(tmpDir, 'posts', 'images', 'a.png'), tmpDir);
+    assert.deepStrictEqual(articles.map(mdPath => path.basename(mdPath)), ['one.md', 'two.md']);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Tests for watcher module
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { watchFiles } = require('../lib/watcher');
+
+describe('watchFiles', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    fs.mkdirSync(path.join(tmpDir, 'posts', 'hello'), { recursive: true });
+    fs.mkdirSync(path.join(tmpDir, '.git'), { recursive: true });
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reports a burst of saves once, skipping sidecars and dot directories', async () => {
+    const calls = [];
+    const watcher = watchFiles(tmpDir, files => calls.push(files), { debounce: 100 });
+
+    try {
+      const markdown = path.join(tmpDir, 'posts', 'hello', 'index.md');
+      const image = path.join(tmpDir, 'posts', 'hello', 'photo.jpg');
+      fs.writeFileSync(markdown, 'one');
+      fs.writeFileSync(markdown, 'two');
+      fs.writeFileSync(image, 'jpg');
+      fs.writeFileSync(path.join(tmpDir, 'posts', 'hello', 'index.json'), '{}');
+      fs.writeFileSync(path.join(tmpDir, '.git', 'index.md'), 'ignored');
+
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      assert.deepStrictEqual(calls, [[markdown, image]]);
+    } finally {
+      watcher.close();
+    }
+  });
+
+  it('rejects a missing target', () => {
+    assert.throws(() => watchFiles(path.join(tmpDir, 'missing'), () => {}), /Not found/);
+  });
+});
@@ -5,9 +5,13 @@
  * HTTP request tests would require mocking.
  */
 
-const { describe, it } = require('node:test');
+const { describe, it, before, after } = require('node:test');
 const assert = require('node:assert');
-const { WpClient } = require('../lib/wp-api');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const { WpClient, detectRemoteDrift } = require('../lib/wp-api');
 
 describe('WpClient', () => {
   describe('constructor', () => {
@@ -247,3 +251,632 @@ describe('WpClient', () => {
     });
   });
 });
+
+describe('detectRemoteDrift', () => {
+  let tmpDir;
+  let mdPath;
+  const remotePost = {
+    id: 7,
+    modified_gmt: '2025-03-01T12:00:00',
+    content: { rendered: '<p>Intro</p>\n<p>A paragraph added in wp-admin</p>' }
+  };
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    mdPath = path.join(tmpDir, 'index.md');
+    fs.writeFileSync(mdPath, '---\ntitle: "Drift"\n---\n\nIntro\n');
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reports remote edits made after synced_at', () => {
+    const drift = detectRemoteDrift(mdPath, { wordpress: { post_id: 7, synced_at: '2025-02-01T00:00:00.000Z' } }, remotePost);
+
+    assert.ok(drift);
+    assert.strictEqual(drift.postId, 7);
+    assert.strictEqual(drift.lastSyncedAt, '2025-02-01T00:00:00.000Z');
+    assert.strictEqual(drift.comparison.identicalAfterNormalization, false);
+    assert.deepStrictEqual(drift.remoteOnlyLines, ['A paragraph added in wp-admin']);
+  });
+
+  it('allows updates when synced after the remote edit', () => {
+    const metadata = { wordpress: { post_id: 7, synced_at: new Date('2025-03-02T00:00:00Z') } };
+    assert.strictEqual(detectRemoteDrift(mdPath, metadata, remotePost), null);
+  });
+
+  it('trusts the modified_gmt recorded at the last publish despite clock skew', () => {
+    const metadata = { wordpress: { post_id: 7, modified_gmt: '2025-03-01T12:00:00', synced_at: '2025-03-01T11:59:58Z' } };
+    assert.strictEqual(detectRemoteDrift(mdPath, metadata, remotePost), null);
+  });
+
+  it('uses the fetch time and version from the JSON sidecar', () => {
+    const jsonPath = path.join(tmpDir, 'index.json');
+    fs.writeFileSync(jsonPath, JSON.stringify({
+      _meta: { fetchedAt: '2025-02-15T00:00:00.000Z' },
+      normalized: { id: 7, modifiedGmt: '2025-02-14T00:00:00' }
+    }));
+
+    const drift = detectRemoteDrift(mdPath, { wordpress: { post_id: 7, synced_at: '2025-01-01T00:00:00Z' } }, remotePost);
+    assert.strictEqual(drift.lastSyncedAt, '2025-02-15T00:00:00.000Z');
+
+    fs.writeFileSync(jsonPath, JSON.stringify({
+      _meta: { fetchedAt: '2025-02-15T00:00:00.000Z' },
+      normalized: { id: 7, modifiedGmt: '2025-03-01T12:00:00' }
+    }));
+    assert.strictEqual(detectRemoteDrift(mdPath, {}, remotePost), null);
+    fs.unlinkSync(jsonPath);
+  });
+
+  it('does not guess when no sync has been recorded', () => {
+    assert.strictEqual(detectRemoteDrift(mdPath, { wordpress: { post_id: 7 } }, remotePost), null);
+  });
+});
+
+describe('publishMarkdown drift guard', () => {
+  let server;
+  let client;
+  let tmpDir;
+  let mdPath;
+  const updates = [];
+
+  before(async () => {
+    const post = {
+      id: 7,
+      slug: 'drift',
+      status: 'publish',
+      link: 'https://example.com/drift/',
+      modified_gmt: '2025-03-01T12:00:00',
+      content: { rendered: '<p>Edited in WordPress</p>' }
+    };
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.method === 'POST') {
+          updates.push(JSON.parse(body));
+          res.end(JSON.stringify({ ...post, modified_gmt: '2025-03-05T09:00:00' }));
+        } else {
+          res.end(JSON.stringify([post]));
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret'
+    });
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    mdPath = path.join(tmpDir, 'drift.md');
+    fs.writeFileSync(mdPath, [
+      '---',
+      'title: "Drift"',
+      'slug: "drift"',
+      'wordpress:',
+      '  post_id: 7',
+      '  synced_at: "2025-02-01T00:00:00.000Z"',
+      '---',
+      '',
+      'Local text',
+      ''
+    ].join('\n'));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('refuses to overwrite remote edits', async () => {
+    await assert.rejects(
+      client.publishMarkdown(mdPath, { update: true, silent: true }),
+      error => error.code === 'REMOTE_DRIFT' && error.drift.remoteOnlyLines[0] === 'Edited in WordPress'
+    );
+    assert.strictEqual(updates.length, 0);
+  });
+
+  it('overwrites with force and returns the new modified_gmt', async () => {
+    const result = await client.publishMarkdown(mdPath, { update: true, force: true, silent: true });
+    assert.strictEqual(result.action, 'updated');
+    assert.strictEqual(result.modifiedGmt, '2025-03-05T09:00:00');
+    assert.strictEqual(updates.length, 1);
+  });
+});
+
+describe('publishMarkdown block output', () => {
+  let server;
+  let client;
+  let tmpDir;
+  let mdPath;
+  const created = [];
+  let uploads = 0;
+
+  before(async () => {
+    const media = { id: 55, source_url: 'https://cdn.example.com/photo.png' };
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.method === 'POST' && req.url.startsWith('/wp-json/wp/v2/media')) {
+          if (req.url === '/wp-json/wp/v2/media') uploads++;
+          res.end(JSON.stringify(media));
+        } else if (req.method === 'POST') {
+          created.push(JSON.parse(body));
+          res.end(JSON.stringify({ id: 9, slug: 'blocks', status: 'draft', link: 'https://example.com/blocks/' }));
+        } else {
+          res.end('[]');
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret'
+    });
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    mdPath = path.join(tmpDir, 'blocks.md');
+    fs.writeFileSync(path.join(tmpDir, 'photo.png'), Buffer.from('not really a png'));
+    fs.writeFileSync(mdPath, '---\ntitle: "Blocks"\nslug: "blocks"\n---\n\n## Hello\n\n![Photo](./photo.png)\n');
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('uploads images first so image blocks reference their attachments', async () => {
+    await client.publishMarkdown(mdPath, { status: 'draft', blocks: true, silent: true });
+
+    assert.strictEqual(uploads, 1);
+    const content = created[0].content;
+    assert.ok(content.startsWith('<!-- wp:heading -->\n<h2 class="wp-block-heading">Hello</h2>'));
+    assert.ok(content.includes('<!-- wp:image {"id":55,'));
+    assert.ok(content.includes('<img src="https://cdn.example.com/photo.png" alt="Photo" class="wp-image-55"/>'));
+  });
+
+  it('reuses attachment IDs from the image sidecar', async () => {
+    await client.publishMarkdown(mdPath, { status: 'draft', blocks: true, silent: true });
+
+    assert.strictEqual(uploads, 1);
+    assert.ok(created[1].content.includes('class="wp-image-55"'));
+  });
+});
+
+describe('publishMarkdown featured image', () => {
+  let server;
+  let client;
+  let tmpDir;
+  let mdPath;
+  const posts = [];
+  const mediaRequests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.method === 'POST' && req.url.startsWith('/wp-json/wp/v2/media')) {
+          mediaRequests.push({ url: req.url, body: req.url === '/wp-json/wp/v2/media' ? null : JSON.parse(body) });
+          res.end(JSON.stringify({ id: 77, source_url: 'https://cdn.example.com/hero.jpg' }));
+        } else if (req.method === 'POST') {
+          const data = JSON.parse(body);
+          posts.push({ url: req.url, data });
+          res.end(JSON.stringify({ id: 12, slug: 'hero', status: 'draft', link: 'https://example.com/hero/', featured_media: data.featured_media || 0 }));
+        } else {
+          res.end('[]');
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret'
+    });
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    mdPath = path.join(tmpDir, 'hero.md');
+    fs.writeFileSync(path.join(tmpDir, 'hero.jpg'), Buffer.from('not really a jpeg'));
+    fs.writeFileSync(mdPath, '---\ntitle: "Hero"\nslug: "hero"\nfeatured_image: "./hero.jpg"\nfeatured_image_alt: "A hero shot"\n---\n\nNo body images.\n');
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('uploads the featured image with its alt text and sets featured_media', async () => {
+    const result = await client.publishMarkdown(mdPath, { status: 'draft', siteName: 'test', silent: true });
+
+    assert.deepStrictEqual(mediaRequests.map(r => r.url), ['/wp-json/wp/v2/media', '/wp-json/wp/v2/media/77']);
+    assert.strictEqual(mediaRequests[1].body.alt_text, 'A hero shot');
+    assert.strictEqual(posts[0].data.featured_media, 77);
+    assert.strictEqual(result.featuredMedia, 77);
+
+    const sidecar = JSON.parse(fs.readFileSync(path.join(tmpDir, 'hero.images.json'), 'utf-8'));
+    assert.strictEqual(sidecar.uploaded['./hero.jpg'].mediaId, 77);
+  });
+
+  it('reuses the media ID when the featured image is unchanged', async () => {
+    const result = await client.publishMarkdown(mdPath, { status: 'draft', siteName: 'test', update: true, silent: true });
+
+    assert.strictEqual(mediaRequests.length, 2);
+    assert.strictEqual(posts[1].data.featured_media, 77);
+    assert.strictEqual(result.featuredMedia, 77);
+  });
+});
+
+describe('custom post types and taxonomies', () => {
+  let server;
+  let client;
+  let tmpDir;
+  let mdPath;
+  const requests = [];
+
+  before(async () => {
+    const types = {
+      post: { slug: 'post', rest_base: 'posts', name: 'Posts', hierarchical: false, taxonomies: ['category', 'post_tag'] },
+      talk: { slug: 'talk', rest_base: 'talks', name: 'Talks', hierarchical: false, taxonomies: ['venue'] },
+      guide: { slug: 'guide', rest_base: 'guides', name: 'Guides', hierarchical: true, taxonomies: ['category', 'post_tag'] }
+    };
+    const taxonomies = {
+      category: { slug: 'category', rest_base: 'categories', name: 'Categories', types: ['post'] },
+      venue: { slug: 'venue', rest_base: 'venues', name: 'Venues', types: ['talk'] }
+    };
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url === '/wp-json/wp/v2/types') {
+          res.end(JSON.stringify(types));
+        } else if (req.url === '/wp-json/wp/v2/taxonomies') {
+          res.end(JSON.stringify(taxonomies));
+        } else if (req.method === 'GET' && req.url.startsWith('/wp-json/wp/v2/venues?')) {
+          res.end(JSON.stringify([{ id: 8, name: 'Town Hall', slug: 'town-hall' }]));
+        } else if (req.method === 'POST' && req.url === '/wp-json/wp/v2/venues') {
+          res.end(JSON.stringify({ id: 9, name: 'Pier 17', slug: 'pier-17' }));
+        } else if (req.method === 'POST' && req.url === '/wp-json/wp/v2/talks') {
+          res.end(JSON.stringify({ id: 40, slug: 'keynote', status: 'draft', link: 'https://example.com/talks/keynote/' }));
+        } else if (req.method === 'POST' && req.url === '/wp-json/wp/v2/guides') {
+          res.end(JSON.stringify({ id: 41, slug: 'setup', status: 'draft', link: 'https://example.com/guides/setup/' }));
+        } else {
+          res.end('[]');
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret'
+    });
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    mdPath = path.join(tmpDir, 'keynote.md');
+    fs.writeFileSync(mdPath, '---\ntitle: "Keynote"\nslug: "keynote"\ntype: talk\ntaxonomies:\n  venue:\n    - "Town Hall"\n    - "Pier 17"\n---\n\nSlides soon.\n');
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('resolves post types by REST base or slug without asking for built-ins', async () => {
+    assert.strictEqual((await client.resolvePostType('pages')).slug, 'page');
+    assert.strictEqual(requests.length, 0);
+
+    assert.strictEqual((await client.resolvePostType('talk')).restBase, 'talks');
+    assert.strictEqual((await client.resolvePostType('talks')).slug, 'talk');
+    assert.strictEqual(requests.filter(r => r.url === '/wp-json/wp/v2/types').length, 1);
+  });
+
+  it('rejects post types the site does not register', async () => {
+    await assert.rejects(client.resolvePostType('events'), /Unknown post type "events"\. Registered types: posts, talks, guides/);
+  });
+
+  it('publishes to the custom endpoint with taxonomy terms resolved by name', async () => {
+    const result = await client.publishMarkdown(mdPath, { status: 'draft', type: 'talks', uploadImages: false, silent: true });
+
+    assert.strictEqual(result.postId, 40);
+    const created = requests.find(r => r.method === 'POST' && r.url === '/wp-json/wp/v2/talks');
+    assert.deepStrictEqual(created.body.venues, [8, 9]);
+    assert.strictEqual(created.body.categories, undefined);
+    assert.ok(requests.some(r => r.method === 'POST' && r.url === '/wp-json/wp/v2/venues' && r.body.name === 'Pier 17'));
+  });
+
+  it('sends categories, tags and parent to custom post types that support them', async () => {
+    const guidePath = path.join(tmpDir, 'setup.md');
+    fs.writeFileSync(guidePath, '---\ntitle: "Setup"\nslug: "setup"\ntype: guide\nwordpress:\n  parent_id: 12\n  category_ids: [3]\n  tag_ids: [5, 6]\n---\n\nInstall it.\n');
+
+    const result = await client.publishMarkdown(guidePath, { status: 'draft', type: 'guides', uploadImages: false, silent: true });
+
+    assert.strictEqual(result.postId, 41);
+    const created = requests.find(r => r.method === 'POST' && r.url === '/wp-json/wp/v2/guides');
+    assert.deepStrictEqual(created.body.categories, [3]);
+    assert.deepStrictEqual(created.body.tags, [5, 6]);
+    assert.strictEqual(created.body.parent, 12);
+  });
+
+  it('rejects taxonomies the site does not register', async () => {
+    await assert.rejects(client.resolveTaxonomyTerms({ speaker: ['Ada'] }), /Unknown taxonomy "speaker"/);
+  });
+});
+
+describe('custom fields', () => {
+  let server;
+  let client;
+  let tmpDir;
+  let mdPath;
+  const writes = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.method === 'POST') {
+          writes.push({ url: req.url, body: JSON.parse(body) });
+          res.end(JSON.stringify({ id: 31, slug: 'fields', status: 'draft', link: 'https://example.com/fields/' }));
+        } else {
+          res.end('[]');
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret',
+      customFields: { meta: ['subtitle'], acf: ['speaker_bio'] }
+    });
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    mdPath = path.join(tmpDir, 'fields.md');
+    fs.writeFileSync(mdPath, [
+      '---',
+      'title: "Fields"',
+      'slug: "fields"',
+      'custom_fields:',
+      '  meta:',
+      '    subtitle: "The real story"',
+      '    _yoast_wpseo_title: "Plugin-owned"',
+      '  acf:',
+      '    speaker_bio: "Writes things"',
+      'wordpress:',
+      '  post_id: 31',
+      '---',
+      '',
+      'Body.',
+      ''
+    ].join('\n'));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('normalizes ACF fields, treating an empty array as none', () => {
+    const base = { id: 1, title: '', content: '', excerpt: '' };
+    assert.deepStrictEqual(client.normalizeEmbedResponse({ ...base, acf: { speaker_bio: 'x' } }).acf, { speaker_bio: 'x' });
+    assert.deepStrictEqual(client.normalizeEmbedResponse({ ...base, acf: [] }).acf, {});
+  });
+
+  it('publishes only allowlisted meta and ACF fields', async () => {
+    await client.publishMarkdown(mdPath, { status: 'draft', uploadImages: false, silent: true });
+
+    assert.deepStrictEqual(writes[0].body.meta, { subtitle: 'The real story' });
+    assert.deepStrictEqual(writes[0].body.acf, { speaker_bio: 'Writes things' });
+  });
+
+  it('writes custom fields back with update-metadata', async () => {
+    const result = await client.updateMetadataOnly(mdPath, { customFieldsOnly: true, silent: true });
+
+    const update = writes[writes.length - 1];
+    assert.strictEqual(update.url, '/wp-json/wp/v2/posts/31');
+    assert.deepStrictEqual(update.body, { meta: { subtitle: 'The real story' }, acf: { speaker_bio: 'Writes things' } });
+    assert.deepStrictEqual(result.updatedFields, ['meta', 'acf']);
+  });
+
+  it('sends no custom fields without an allowlist', async () => {
+    const plain = new WpClient({ url: client.url, username: 'test', appPassword: 'secret' });
+    await plain.publishMarkdown(mdPath, { status: 'draft', uploadImages: false, silent: true });
+
+    const created = writes[writes.length - 1];
+    assert.strictEqual(created.body.meta, undefined);
+    assert.strictEqual(created.body.acf, undefined);
+  });
+});
+
+describe('SEO metadata', () => {
+  let server;
+  let client;
+  let tmpDir;
+  let mdPath;
+  const writes = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.method === 'POST') {
+          writes.push({ url: req.url, body: JSON.parse(body) });
+          res.end(JSON.stringify({ id: 41, slug: 'seo', status: 'draft', link: 'https://example.com/seo/' }));
+        } else if (req.url === '/wp-json/') {
+          res.end(JSON.stringify({ namespaces: ['wp/v2', 'rankmath/v1'] }));
+        } else if (req.url === '/wp-json/wp/v2/posts/41') {
+          res.end(JSON.stringify({ id: 41, slug: 'seo', link: 'https://example.com/seo/' }));
+        } else {
+          res.end('[]');
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret'
+    });
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    mdPath = path.join(tmpDir, 'seo.md');
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeMarkdown(seoLines) {
+    fs.writeFileSync(mdPath, [
+      '---',
+      'title: "SEO"',
+      'slug: "seo"',
+      'description: "The excerpt"',
+      'seo:',
+      ...seoLines,
+      'wordpress:',
+      '  post_id: 41',
+      '---',
+      '',
+      'Body.',
+      ''
+    ].join('\n'));
+  }
+
+  it('normalizes SEO fields from yoast_head_json', () => {
+    const normalized = client.normalizeEmbedResponse({
+      id: 1, title: '', content: '', excerpt: '', link: 'https://example.com/a/',
+      meta: { _yoast_wpseo_title: 'Tuned' },
+      yoast_head_json: { title: 'Tuned - Example', canonical: 'https://example.com/a/', twitter_title: 'Card' }
+    });
+    assert.deepStrictEqual(normalized.seo, { plugin: 'yoast', title: 'Tuned', twitter_title: 'Card' });
+  });
+
+  it('publishes Yoast fields as post meta alongside the excerpt', async () => {
+    writeMarkdown(['  plugin: yoast', '  title: "Hand-tuned title"', '  description: "SEO description"']);
+    const result = await client.publishMarkdown(mdPath, { status: 'draft', uploadImages: false, silent: true });
+
+    const created = writes[writes.length - 1];
+    assert.strictEqual(created.url, '/wp-json/wp/v2/posts');
+    assert.strictEqual(created.body.excerpt, 'The excerpt');
+    assert.deepStrictEqual(created.body.meta, {
+      _yoast_wpseo_title: 'Hand-tuned title',
+      _yoast_wpseo_metadesc: 'SEO description'
+    });
+    assert.strictEqual(result.seo, 'yoast');
+  });
+
+  it('writes Rank Math fields through its endpoint with update-metadata', async () => {
+    writeMarkdown(['  title: "Hand-tuned title"', '  noindex: true']);
+    writes.length = 0;
+    const result = await client.updateMetadataOnly(mdPath, { seoOnly: true, silent: true });
+
+    assert.deepStrictEqual(writes, [{
+      url: '/wp-json/rankmath/v1/updateMeta',
+      body: {
+        objectType: 'post',
+        objectID: 41,
+        meta: { rank_math_title: 'Hand-tuned title', rank_math_robots: ['noindex'] }
+      }
+    }]);
+    assert.deepStrictEqual(result.updatedFields, ['seo']);
+  });
+
+  it('detects the SEO plugin from REST namespaces', async () => {
+    assert.strictEqual(await client.detectSeoPlugin(), 'rankmath');
+  });
+
+  it('refuses an seo section when no SEO plugin is found', async () => {
+    const unreachable = new WpClient({ url: 'http://127.0.0.1:1', username: 'test', appPassword: 'secret' });
+    await assert.rejects(unreachable.buildSeoUpdate({ title: 'x' }), /no SEO plugin/);
+  });
+});
+
+describe('site timezone', () => {
+  let server;
+  let tmpDir;
+  let index;
+  const writes = [];
+
+  function clientFor() {
+    return new WpClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      username: 'test',
+      appPassword: 'secret'
+    });
+  }
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.method === 'POST') {
+          writes.push({ url: req.url, body: JSON.parse(body) });
+          res.end(JSON.stringify({ id: 51, slug: 'late', status: 'draft', link: 'https://example.com/late/' }));
+        } else if (req.url === '/wp-json/') {
+          res.end(JSON.stringify(index));
+        } else {
+          res.end('[]');
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reads the timezone name, or the manual UTC offset, from the REST index', async () => {
+    index = { timezone_string: 'America/Los_Angeles', gmt_offset: -8 };
+    assert.strictEqual(await clientFor().getSiteTimezone(), 'America/Los_Angeles');
+
+    index = { timezone_string: '', gmt_offset: 5.5 };
+    assert.strictEqual(await clientFor().getSiteTimezone(), '+05:30');
+
+    index = { namespaces: ['wp/v2'] };
+    assert.strictEqual(await clientFor().getSiteTimezone(), null);
+  });
+
+  it('sends date_gmt for dates, reading zone-less ones in the site timezone', async () => {
+    index = { timezone_string: 'America/Los_Angeles', gmt_offset: -8 };
+    const mdPath = path.join(tmpDir, 'late.md');
+    fs.writeFileSync(mdPath, '---\ntitle: "Late"\nslug: "late"\ndate: "2025-01-15 23:30:00"\n---\n\nBody.\n');
+    const client = clientFor();
+
+    await client.publishMarkdown(mdPath, { status: 'draft', uploadImages: false, silent: true });
+    assert.strictEqual(writes[0].body.date_gmt, '2025-01-16T07:30:00');
+    assert.strictEqual(writes[0].body.date, undefined);
+
+    await client.publishMarkdown(mdPath, { status: 'draft', date: '2025-01-15T23:30:00-05:00', uploadImages: false, silent: true });
+    assert.strictEqual(writes[1].body.date_gmt, '2025-01-16T04:30:00');
+  });
+});
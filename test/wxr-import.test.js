@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Tests for wxr-import module
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  importWxr,
+  parseWxr,
+  parseXml,
+  autop,
+  expandShortcodes,
+  convertWxrDate
+} = require('../lib/wxr-import');
+
+const SAMPLE_WXR = `<?xml version="1.0" encoding="UTF-8" ?>
+<!-- This is a WordPress eXtended RSS file generated by WordPress as an export of your site. -->
+<rss version="2.0"
+  xmlns:excerpt="http://wordpress.org/export/1.2/excerpt/"
+  xmlns:content="http://purl.org/rss/1.0/modules/content/"
+  xmlns:dc="http://purl.org/dc/elements/1.1/"
+  xmlns:wp="http://wordpress.org/export/1.2/">
+<channel>
+  <title>Example Blog</title>
+  <link>https://example.com</link>
+  <wp:wxr_version>1.2</wp:wxr_version>
+  <wp:base_site_url>https://example.com</wp:base_site_url>
+  <wp:base_blog_url>https://example.com</wp:base_blog_url>
+  <wp:author><wp:author_id>7</wp:author_id><wp:author_login><![CDATA[jdoe]]></wp:author_login><wp:author_email><![CDATA[jdoe@example.com]]></wp:author_email><wp:author_display_name><![CDATA[Jane Doe]]></wp:author_display_name></wp:author>
+  <wp:category><wp:term_id>5</wp:term_id><wp:category_nicename><![CDATA[engineering]]></wp:category_nicename><wp:category_parent><![CDATA[]]></wp:category_parent><wp:cat_name><![CDATA[Engineering & Design]]></wp:cat_name></wp:category>
+  <wp:tag><wp:term_id>23</wp:term_id><wp:tag_slug><![CDATA[closures]]></wp:tag_slug><wp:tag_name><![CDATA[closures]]></wp:tag_name></wp:tag>
+  <item>
+    <title>A &amp; B</title>
+    <link>https://example.com/2025/01/15/a-and-b/</link>
+    <dc:creator><![CDATA[jdoe]]></dc:creator>
+    <content:encoded><![CDATA[First paragraph.
+
+Second line one
+second line two.
+
+[caption id="attachment_99" align="aligncenter" width="300"]<img src="https://example.com/wp-content/uploads/photo.jpg" alt="A photo" /> Photo caption[/caption]]]></content:encoded>
+    <excerpt:encoded><![CDATA[Short summary]]></excerpt:encoded>
+    <wp:post_id>101</wp:post_id>
+    <wp:post_date><![CDATA[2025-01-15 23:30:00]]></wp:post_date>
+    <wp:post_date_gmt><![CDATA[2025-01-16 07:30:00]]></wp:post_date_gmt>
+    <wp:post_name><![CDATA[a-and-b]]></wp:post_name>
+    <wp:status><![CDATA[publish]]></wp:status>
+    <wp:post_parent>0</wp:post_parent>
+    <wp:post_type><![CDATA[post]]></wp:post_type>
+    <category domain="category" nicename="engineering"><![CDATA[Engineering & Design]]></category>
+    <category domain="post_tag" nicename="closures"><![CDATA[closures]]></category>
+    <wp:postmeta><wp:meta_key><![CDATA[_thumbnail_id]]></wp:meta_key><wp:meta_value><![CDATA[99]]></wp:meta_value></wp:postmeta>
+    <wp:postmeta><wp:meta_key><![CDATA[subtitle]]></wp:meta_key><wp:meta_value><![CDATA[The "real" story]]></wp:meta_value></wp:postmeta>
+    <wp:postmeta><wp:meta_key><![CDATA[_yoast_wpseo_title]]></wp:meta_key><wp:meta_value><![CDATA[A and B, explained]]></wp:meta_value></wp:postmeta>
+  </item>
+  <item>
+    <title>photo</title>
+    <wp:post_id>99</wp:post_id>
+    <wp:post_parent>101</wp:post_parent>
+    <wp:post_type><![CDATA[attachment]]></wp:post_type>
+    <wp:status><![CDATA[inherit]]></wp:status>
+    <wp:attachment_url><![CDATA[https://example.com/wp-content/uploads/photo.jpg]]></wp:attachment_url>
+    <wp:postmeta><wp:meta_key><![CDATA[_wp_attachment_image_alt]]></wp:meta_key><wp:meta_value><![CDATA[A photo]]></wp:meta_value></wp:postmeta>
+  </item>
+  <item>
+    <title>About</title>
+    <link>https://example.com/about/</link>
+    <dc:creator><![CDATA[jdoe]]></dc:creator>
+    <content:encoded><![CDATA[<!-- wp:paragraph -->
+<p>About us.</p>
+<!-- /wp:paragraph -->]]></content:encoded>
+    <excerpt:encoded><![CDATA[]]></excerpt:encoded>
+    <wp:post_id>200</wp:post_id>
+    <wp:post_date><![CDATA[2024-06-01 12:00:00]]></wp:post_date>
+    <wp:post_name><![CDATA[about]]></wp:post_name>
+    <wp:status><![CDATA[publish]]></wp:status>
+    <wp:post_parent>0</wp:post_parent>
+    <wp:post_type><![CDATA[page]]></wp:post_type>
+  </item>
+  <item>
+    <title>Team</title>
+    <link>https://example.com/about/team/</link>
+    <dc:creator><![CDATA[jdoe]]></dc:creator>
+    <content:encoded><![CDATA[<p>Our team.</p>]]></content:encoded>
+    <wp:post_id>201</wp:post_id>
+    <wp:post_date><![CDATA[2024-06-02 12:00:00]]></wp:post_date>
+    <wp:post_name><![CDATA[team]]></wp:post_name>
+    <wp:status><![CDATA[publish]]></wp:status>
+    <wp:post_parent>200</wp:post_parent>
+    <wp:post_type><![CDATA[page]]></wp:post_type>
+  </item>
+  <item>
+    <title>Auto Draft</title>
+    <wp:post_id>300</wp:post_id>
+    <wp:post_date><![CDATA[0000-00-00 00:00:00]]></wp:post_date>
+    <wp:status><![CDATA[auto-draft]]></wp:status>
+    <wp:post_type><![CDATA[post]]></wp:post_type>
+  </item>
+</channel>
+</rss>
+`;
+
+describe('parseXml', () => {
+  it('parses nested elements, attributes and CDATA', () => {
+    const doc = parseXml('<root><a href="x&amp;y">one <![CDATA[<two>]]></a><b/></root>');
+    const root = doc.children[0];
+    assert.strictEqual(root.name, 'root');
+    assert.strictEqual(root.children.length, 2);
+    assert.strictEqual(root.children[0].attributes.href, 'x&y');
+    assert.strictEqual(root.children[0].text, 'one <two>');
+    assert.strictEqual(root.children[1].name, 'b');
+  });
+
+  it('concatenates split CDATA sections', () => {
+    const doc = parseXml('<a><![CDATA[x]]]]><![CDATA[>y]]></a>');
+    assert.strictEqual(doc.children[0].text, 'x]]>y');
+  });
+
+  it('throws on unterminated CDATA', () => {
+    assert.throws(() => parseXml('<a><![CDATA[oops</a>'), /unterminated CDATA/);
+  });
+});
+
+describe('parseWxr', () => {
+  it('reads site, authors, terms and items', () => {
+    const wxr = parseWxr(SAMPLE_WXR);
+    assert.strictEqual(wxr.site.baseBlogUrl, 'https://example.com');
+    assert.strictEqual(wxr.authors[0].displayName, 'Jane Doe');
+    assert.strictEqual(wxr.categories[0].name, 'Engineering & Design');
+    assert.strictEqual(wxr.tags[0].id, 23);
+    assert.strictEqual(wxr.items.length, 5);
+    assert.strictEqual(wxr.items[0].title, 'A & B');
+    assert.strictEqual(wxr.items[0].meta.subtitle, 'The "real" story');
+  });
+
+  it('rejects files without an RSS channel', () => {
+    assert.throws(() => parseWxr('<html></html>'), /Not a WordPress export file/);
+  });
+});
+
+describe('WXR content helpers', () => {
+  it('convertWxrDate uses REST API format and handles unset dates', () => {
+    assert.strictEqual(convertWxrDate('2025-01-15 23:30:00'), '2025-01-15T23:30:00');
+    assert.strictEqual(convertWxrDate('0000-00-00 00:00:00'), '');
+  });
+
+  it('autop wraps classic content in paragraphs', () => {
+    const html = autop('One\n\nTwo\nThree');
+    assert.strictEqual(html, '<p>One</p>\n<p>Two<br />\nThree</p>');
+  });
+
+  it('autop leaves block editor content and pre blocks alone', () => {
+    const blocks = '<!-- wp:paragraph -->\n<p>Hi</p>\n<!-- /wp:paragraph -->';
+    assert.strictEqual(autop(blocks), blocks);
+    assert.ok(autop('Text\n\n<pre>a\n\nb</pre>').includes('<pre>a\n\nb</pre>'));
+  });
+
+  it('expandShortcodes turns [caption] into a figure', () => {
+    const html = expandShortcodes('[caption id="x"]<img src="a.jpg" /> My caption[/caption]');
+    assert.strictEqual(html, '<figure><img src="a.jpg" /><figcaption>My caption</figcaption></figure>');
+  });
+});
+
+describe('importWxr', () => {
+  let tmpDir;
+  let xmlPath;
+  let result;
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ownwords-test-'));
+    xmlPath = path.join(tmpDir, 'export.xml');
+    fs.writeFileSync(xmlPath, SAMPLE_WXR);
+    result = await importWxr(xmlPath, path.join(tmpDir, 'content'), { silent: true });
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('imports posts and pages, skipping attachments and auto-drafts', () => {
+    assert.strictEqual(result.total, 3);
+    assert.strictEqual(result.success, 3);
+    assert.strictEqual(result.failed, 0);
+  });
+
+  it('writes posts in the hierarchical layout with a JSON sidecar', () => {
+    const postDir = path.join(tmpDir, 'content', 'posts', '2025', '01', '15-a-and-b');
+    assert.ok(fs.existsSync(path.join(postDir, 'index.md')));
+
+    const sidecar = JSON.parse(fs.readFileSync(path.join(postDir, 'index.json'), 'utf-8'));
+    assert.strictEqual(sidecar.normalized.id, 101);
+    assert.strictEqual(sidecar._meta.sourceUrl, 'https://example.com/2025/01/15/a-and-b/');
+  });
+
+  it('maps taxonomy, author, featured image and meta into front matter', () => {
+    const md = fs.readFileSync(path.join(tmpDir, 'content', 'posts', '2025', '01', '15-a-and-b', 'index.md'), 'utf-8');
+    assert.ok(md.includes('title: "A & B"'));
+    assert.ok(md.includes('date: "2025-01-15T23:30:00-08:00"'));
+    assert.ok(md.includes('  - "Engineering & Design"'));
+    assert.ok(md.includes('  - "closures"'));
+    assert.ok(md.includes('author: "Jane Doe"'));
+    assert.ok(md.includes('featured_image: "https://example.com/wp-content/uploads/photo.jpg"'));
+    assert.ok(md.includes('featured_image_alt: "A photo"'));
+    assert.ok(md.includes('  subtitle: "The \\"real\\" story"'));
+    assert.ok(!md.includes('_thumbnail_id'));
+    assert.ok(md.includes('seo:\n  plugin: yoast\n  title: "A and B, explained"'));
+    assert.ok(md.includes('  category_ids: [5]'));
+    assert.ok(md.includes('  tag_ids: [23]'));
+    assert.ok(md.includes('  author_id: 7'));
+  });
+
+  it('converts classic content with captions to markdown', () => {
+    const md = fs.readFileSync(path.join(tmpDir, 'content', 'posts', '2025', '01', '15-a-and-b', 'index.md'), 'utf-8');
+    assert.ok(md.includes('First paragraph.'));
+    assert.ok(md.includes('![A photo](https://example.com/wp-content/uploads/photo.jpg)'));
+    assert.ok(md.includes('*Photo caption*'));
+  });
+
+  it('nests child pages under their parent', () => {
+    const teamPath = path.join(tmpDir, 'content', 'pages', 'about', 'team', 'index.md');
+    assert.ok(fs.existsSync(path.join(tmpDir, 'content', 'pages', 'about', 'index.md')));
+    assert.ok(fs.existsSync(teamPath));
+
+    const md = fs.readFileSync(teamPath, 'utf-8');
+    assert.ok(md.includes('type: page'));
+    assert.ok(md.includes('parent_path: "about"'));
+    assert.ok(md.includes('  parent_id: 200'));
+  });
+
+  it('keeps custom post types instead of importing them as posts', async () => {
+    const talkXml = path.join(tmpDir, 'talks.xml');
+    fs.writeFileSync(talkXml, SAMPLE_WXR.replace('<wp:post_type><![CDATA[post]]></wp:post_type>\n    <category', '<wp:post_type><![CDATA[talk]]></wp:post_type>\n    <category'));
+
+    const talks = await importWxr(talkXml, path.join(tmpDir, 'talks-content'), { types: ['talk'], silent: true });
+    assert.strictEqual(talks.success, 1);
+
+    const talkPath = path.join(tmpDir, 'talks-content', 'talk', '2025', '01', '15-a-and-b', 'index.md');
+    assert.ok(fs.existsSync(talkPath));
+    assert.match(fs.readFileSync(talkPath, 'utf-8'), /^type: talk$/m);
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'talks-content', 'posts')));
+  });
+
+  it('refuses to overwrite without force', async () => {
+    const again = await importWxr(xmlPath, path.join(tmpDir, 'content'), { silent: true });
+    assert.strictEqual(again.failed, 3);
+    assert.match(again.errors[0].error, /File already exists/);
+  });
+});
@@ -16,17 +16,53 @@ declare module 'ownwords' {
    */
   export function extractSlugFromUrl(url: string): string | null;
 
+  export interface FetchPageOptions {
+    /** Time allowed for the whole fetch, redirects included, in milliseconds (default: 30000) */
+    timeout?: number;
+    /** User-Agent header (default: USER_AGENT) */
+    userAgent?: string;
+    /** Redirects to follow before failing (default: 10) */
+    maxRedirects?: number;
+  }
+
+  export interface FetchPageResult {
+    success: boolean;
+    /** Body decoded using the detected charset */
+    html?: string;
+    /** URL the page was served from, after redirects */
+    url?: string;
+    charset?: string;
+    contentType?: string | null;
+    /** Body size in bytes, after decompression */
+    size?: number;
+    /** 'HTTP <status>', 'Timeout', 'Too many redirects' or the socket error */
+    error?: string;
+  }
+
+  /** User-Agent sent when fetching pages and images */
+  export const USER_AGENT: string;
+
+  /**
+   * Fetch a page over http or https: redirects, gzip/deflate/brotli, charset from headers or meta tags.
+   * Resolves with success: false instead of rejecting
+   */
+  export function fetchPage(url: string, options?: FetchPageOptions): Promise<FetchPageResult>;
+
+  /**
+   * Work out a page's encoding from its byte order mark, Content-Type charset or meta tags (default utf-8)
+   */
+  export function detectCharset(buffer: Buffer, contentType?: string): string;
+
   /**
-   * Fetch a WordPress article and save the raw HTML
+   * Fetch a WordPress article and save the raw HTML (as UTF-8)
    */
   export function fetchArticle(
     url: string,
     outputPath: string,
-    options?: {
+    options?: FetchPageOptions & {
       silent?: boolean;
-      timeout?: number;
     }
-  ): string;
+  ): Promise<string>;
 
   /**
    * Fetch multiple WordPress articles
@@ -34,22 +70,27 @@ declare module 'ownwords' {
   export function fetchMultiple(
     urls: string[],
     outputDir: string,
-    options?: {
+    options?: FetchPageOptions & {
       silent?: boolean;
       continueOnError?: boolean;
     }
-  ): Array<{
+  ): Promise<Array<{
     url: string;
     slug: string | null;
     outputPath: string | null;
     success: boolean;
     error?: string;
-  }>;
+  }>>;
 
   // ============================================================================
   // Fetch API Module (REST API - v1.2.0)
   // ============================================================================
 
+  /**
+   * Content type REST base: 'posts', 'pages' or a custom post type (e.g., 'talks')
+   */
+  export type ContentType = 'posts' | 'pages' | (string & {});
+
   /**
    * Normalized WordPress post with embedded data
    */
@@ -66,6 +107,8 @@ declare module 'ownwords' {
     status: string;
     type: string;
     link: string;
+    parent?: number;
+    parentSlug?: string | null;
     author: {
       id: number;
       name: string;
@@ -74,6 +117,8 @@ declare module 'ownwords' {
     };
     categories: Array<{ id: number; name: string; slug: string }>;
     tags: Array<{ id: number; name: string; slug: string }>;
+    /** Custom taxonomy terms by taxonomy slug */
+    taxonomies: Record<string, Array<{ id: number; name: string; slug: string }>>;
     featuredImage: {
       id: number;
       url: string;
@@ -84,6 +129,10 @@ declare module 'ownwords' {
     } | null;
     format: string;
     meta: Record<string, unknown>;
+    /** ACF fields, when ACF is exposed in REST */
+    acf: Record<string, unknown>;
+    /** Yoast SEO or Rank Math overrides, when the site has either */
+    seo: SeoFields | null;
   }
 
   /**
@@ -106,9 +155,11 @@ declare module 'ownwords' {
    */
   export interface FetchApiOptions {
     site?: string;
-    type?: 'posts' | 'pages';
+    type?: ContentType;
     silent?: boolean;
     skipSidecar?: boolean;
+    /** Articles fetched at once by fetchViaApiMultiple, and images per article (default 1) */
+    concurrency?: number;
   }
 
   /**
@@ -138,239 +189,1197 @@ declare module 'ownwords' {
   /**
    * Generate enriched YAML front matter from normalized API response
    */
-  export function generateEnrichedFrontMatter(normalized: NormalizedPost): string;
+  export function generateEnrichedFrontMatter(
+    normalized: NormalizedPost,
+    type?: ContentType,
+    options?: { customFields?: CustomFieldAllowlist | null }
+  ): string;
+
+  /**
+   * Write a normalized post to disk as markdown with enriched front matter
+   */
+  export function saveNormalizedPost(
+    normalized: NormalizedPost,
+    raw: unknown,
+    outputDir: string,
+    options?: FetchApiOptions & {
+      force?: boolean;
+      hierarchical?: boolean;
+      noDatePrefix?: boolean;
+      images?: boolean;
+      parentSlug?: string | null;
+      sourceUrl?: string;
+      siteUrl?: string;
+    }
+  ): Promise<FetchApiResult>;
 
   // ============================================================================
-  // Convert Module
+  // Pull Module (whole-site mirror)
   // ============================================================================
 
-  export interface ConvertOptions {
-    slug?: string;
-    title?: string;
+  export interface PullOptions {
+    site?: string;
+    types?: Array<ContentType>;
+    status?: string;
+    after?: string;
+    before?: string;
     category?: string;
-    seriesOrder?: number;
-    description?: string;
-    canonicalUrl?: string;
-    date?: string;
+    tag?: string;
+    author?: string;
+    hierarchical?: boolean;
+    images?: boolean;
+    force?: boolean;
+    incremental?: boolean;
     silent?: boolean;
+    client?: WpClient;
   }
 
-  export interface ConvertResult {
-    title: string;
+  export interface PullWatermark {
+    modified: string;
+    modifiedGmt: string;
+    pulledAt: string;
+  }
+
+  export interface RemoteChange {
+    change: 'new' | 'updated';
+    type: ContentType;
+    id: number;
     slug: string;
-    date: string;
-    wordCount: number;
+    title: string;
+    modifiedGmt: string;
+    fields: string[];
+    mdPath: string;
+    previousPath: string | null;
+  }
+
+  export interface PullResult {
+    site: string;
+    total: number;
+    success: number;
+    failed: number;
+    articles: FetchApiResult[];
+    /** Existing files left alone (with `incremental`, files edited since the last pull or sync) */
+    skipped: Array<{ slug: string; type: string; mdPath: string }>;
+    changes: RemoteChange[];
+    watermarks: Partial<Record<ContentType, PullWatermark>>;
+    errors: Array<{ input: string; error: string }>;
+  }
+
+  /**
+   * Pull every post and page of a WordPress site into a local directory
+   */
+  export function pullSite(outputDir: string, options?: PullOptions): Promise<PullResult>;
+
+  /**
+   * Load the incremental pull state (watermarks) from a content directory
+   */
+  export function loadPullState(outputDir: string): {
+    sites: Record<string, Partial<Record<ContentType, PullWatermark>>>;
+  };
+
+  // ============================================================================
+  // Sync Module (three-way merge with WordPress)
+  // ============================================================================
+
+  export interface SyncOptions {
+    site?: string;
+    client?: WpClient;
+    type?: ContentType;
+    push?: boolean;
+    dryRun?: boolean;
+    init?: boolean;
+    /** Publish merged changes as native Gutenberg block markup */
+    blocks?: boolean;
+    silent?: boolean;
+  }
+
+  export type SyncConflict =
+    | { type: 'field'; field: string; local: unknown; remote: unknown }
+    | { type: 'content'; line: number; local: string[]; base: string[]; remote: string[] };
+
+  export interface SyncResult {
+    mdPath: string;
+    postId: number;
+    status: 'unchanged' | 'pulled' | 'pushed' | 'ahead' | 'merged' | 'conflict' | 'initialized';
+    pushed: boolean;
+    conflicts: SyncConflict[];
+  }
+
+  /**
+   * Sync one local markdown article with its WordPress post
+   */
+  export function syncArticle(mdPath: string, options?: SyncOptions): Promise<SyncResult>;
+
+  /**
+   * Sync every WordPress-linked article under a directory
+   */
+  export function syncDirectory(dir: string, options?: SyncOptions): Promise<{
+    total: number;
+    results: SyncResult[];
+    errors: Array<{ input: string; error: string }>;
+  }>;
+
+  /**
+   * Three-way merge of markdown documents (front matter by field, body by line)
+   */
+  export function mergeMarkdown(local: string, base: string, remote: string): {
     markdown: string;
+    conflicts: SyncConflict[];
+  };
+
+  /**
+   * Three-way line merge with git-style conflict markers
+   */
+  export function merge3(
+    local: string,
+    base: string,
+    remote: string,
+    options?: { localLabel?: string; remoteLabel?: string }
+  ): {
+    text: string;
+    conflicts: Array<{ line: number; local: string[]; base: string[]; remote: string[] }>;
+  };
+
+  // ============================================================================
+  // Watch Module (re-publish on save)
+  // ============================================================================
+
+  export interface WatchOptions {
+    site?: string;
+    client?: WpClient;
+    /** Post status to publish with (default: 'draft') */
+    status?: string;
+    type?: ContentType;
+    /** Create posts for articles without a wordpress.post_id */
+    create?: boolean;
+    force?: boolean;
+    blocks?: boolean;
+    /** Quiet period in milliseconds before publishing (default: 1000) */
+    debounce?: number;
+    onResult?: (result: WatchResult) => void;
   }
 
-  export interface Metadata {
+  export interface WatchResult {
+    mdPath: string | null;
+    action: 'created' | 'updated' | 'skipped' | 'failed';
+    postId?: number;
+    link?: string;
+    imagesUploaded?: number;
+    /** Why the article was skipped */
+    reason?: string;
+    /** Failure; REMOTE_DRIFT errors carry a `drift` report */
+    error?: Error & { code?: string; drift?: RemoteDrift };
+  }
+
+  /**
+   * Watch markdown and co-located images, re-publishing changed articles on save
+   */
+  export function watchAndPublish(target: string, options?: WatchOptions): { close(): Promise<void> };
+
+  /**
+   * Find the markdown files in an image's directory and its parents that reference it
+   */
+  export function findArticlesForImage(imagePath: string, root: string): string[];
+
+  // ============================================================================
+  // Schedule Module (publish_at queue)
+  // ============================================================================
+
+  export interface ScheduleOptions {
+    site?: string;
+    client?: WpClient;
+    type?: ContentType;
+    /** Compare with WordPress without pushing */
+    dryRun?: boolean;
+    force?: boolean;
+    /** Only articles with publish_at after this are upcoming (default: now) */
+    now?: Date;
+  }
+
+  export interface ScheduledItem {
+    mdPath: string;
     title: string;
-    date: string;
-    canonicalUrl: string;
+    /** publish_at as written in front matter */
+    publishAt: string;
+    time: Date;
+    /** publish_at in UTC, as WordPress date_gmt */
+    dateGmt: string;
+    postId: number | null;
+  }
+
+  export interface ScheduleResult {
+    mdPath: string;
+    title: string;
+    publishAt: string;
+    dateGmt: string;
+    postId: number | null;
+    state: 'new' | 'pending' | 'mismatch' | 'scheduled' | 'published';
+    /** WordPress date_gmt for scheduled and published posts */
+    remoteDateGmt: string | null;
+    pushed: boolean;
+  }
+
+  /**
+   * Find the articles with a publish_at after now, in publishing order
+   */
+  export function findScheduled(target: string, options?: { now?: Date; timeZone?: string }): {
+    items: ScheduledItem[];
+    errors: Array<{ input: string; error: string }>;
+  };
+
+  /**
+   * Compare upcoming articles with WordPress and push them as future posts with date_gmt
+   */
+  export function scheduleArticles(target: string, options?: ScheduleOptions): Promise<{
+    total: number;
+    results: ScheduleResult[];
+    errors: Array<{ input: string; error: string }>;
+  }>;
+
+  // ============================================================================
+  // Pool Module (bounded concurrency)
+  // ============================================================================
+
+  export type SettledResult<T> =
+    | { status: 'fulfilled'; value: T }
+    | { status: 'rejected'; reason: Error };
+
+  /**
+   * Run a worker over items with at most `concurrency` in flight; results in input order
+   */
+  export function mapConcurrent<T, R>(
+    items: T[],
+    worker: (item: T, index: number) => Promise<R>,
+    options?: { concurrency?: number; onSettled?: (result: SettledResult<R>, index: number) => void }
+  ): Promise<Array<SettledResult<R>>>;
+
+  /**
+   * Read a --concurrency value (default 1); throws unless a whole number of 1 or more
+   */
+  export function parseConcurrency(value?: number | string | boolean): number;
+
+  // ============================================================================
+  // Term Cache Module (taxonomy terms)
+  // ============================================================================
+
+  export interface WpTerm {
+    id: number;
+    name: string;
+    slug: string;
+    count?: number;
+    parent?: number;
+    [key: string]: unknown;
+  }
+
+  /**
+   * All terms of one taxonomy on one site, loaded once
+   */
+  export class TermCache {
+    constructor(client: WpClient, taxonomy: string);
+    client: WpClient;
+    taxonomy: string;
+
+    /**
+     * Load every page of terms (once; `refresh` reloads)
+     */
+    load(options?: { refresh?: boolean }): Promise<WpTerm[]>;
+
+    /**
+     * Find a term by ID
+     */
+    get(id: number | string): Promise<WpTerm | null>;
+
+    /**
+     * Find a term by name (case- and entity-insensitive) or slug without creating it;
+     * all-digit text is matched as a name, not an ID
+     */
+    find(nameOrSlug: string): Promise<WpTerm | null>;
+
+    /**
+     * Get a term ID, creating the term once if the site doesn't have it
+     */
+    resolve(name: string): Promise<number>;
+
+    /**
+     * Forget the loaded terms
+     */
+    invalidate(): void;
+
+    /**
+     * Add or replace a term in the loaded cache
+     */
+    add(term: WpTerm): void;
+
+    /**
+     * Remove a term from the loaded cache
+     */
+    remove(termId: number): void;
+  }
+
+  /**
+   * Decode the HTML entities WordPress puts in term names
+   */
+  export function decodeTermName(text: string): string;
+
+  /**
+   * Decoded, trimmed, lowercased term name for matching
+   */
+  export function normalizeTermName(name: string): string;
+
+  // ============================================================================
+  // Terms Module (category and tag management)
+  // ============================================================================
+
+  /** 'categories' or 'tags' ('category' and 'tag' are accepted too) */
+  export type TermTaxonomy = 'categories' | 'category' | 'tags' | 'tag';
+
+  export interface TermSummary {
+    id: number;
+    /** Name with HTML entities decoded */
+    name: string;
+    slug: string;
+    count: number;
+    parent: number;
     description: string;
   }
 
+  export interface TermsOptions {
+    site?: string;
+    client?: WpClient;
+    /** Content directory whose front matter follows the change */
+    contentDir?: string;
+    /** Report without changing anything */
+    dryRun?: boolean;
+  }
+
   /**
-   * Convert a WordPress HTML file to Markdown
+   * List a site's categories or tags, by name or (sort: 'count') most used first
    */
-  export function convertFile(
-    inputPath: string,
-    outputPath: string,
-    options?: ConvertOptions
-  ): ConvertResult;
+  export function listTerms(
+    taxonomy: TermTaxonomy,
+    options?: { site?: string; client?: WpClient; sort?: 'name' | 'count' }
+  ): Promise<TermSummary[]>;
 
   /**
-   * Convert HTML string directly to Markdown
+   * Rename a term on the site and in local front matter; refuses a name another term has
    */
-  export function convertHtml(
-    html: string,
-    options?: ConvertOptions
-  ): {
-    metadata: Metadata & ConvertOptions;
-    content: string;
-    fullMarkdown: string;
-    wordCount: number;
-  };
+  export function renameTerm(
+    taxonomy: TermTaxonomy,
+    nameOrSlug: string | number,
+    newName: string,
+    options?: TermsOptions & { slug?: string }
+  ): Promise<{ term: TermSummary; previous: TermSummary; files: string[] }>;
 
   /**
-   * Convert HTML to Markdown
+   * Give every post with the source term the target term, then delete the source
+   * (kept if any post fails, so the merge can be run again)
    */
-  export function htmlToMarkdown(html: string): string;
+  export function mergeTerms(
+    taxonomy: TermTaxonomy,
+    source: string | number,
+    target: string | number,
+    options?: TermsOptions & { concurrency?: number }
+  ): Promise<{
+    source: TermSummary;
+    target: TermSummary;
+    posts: number;
+    reassigned: number;
+    deleted: boolean;
+    errors: Array<{ postId: number; error: string }>;
+    files: string[];
+  }>;
 
   /**
-   * Extract article content from WordPress HTML
+   * Delete a term from the site and from local front matter
    */
-  export function extractArticleContent(html: string): string;
+  export function deleteTerm(
+    taxonomy: TermTaxonomy,
+    nameOrSlug: string | number,
+    options?: TermsOptions
+  ): Promise<{ term: TermSummary; files: string[] }>;
 
   /**
-   * Extract metadata from WordPress HTML
+   * Show a term, or set its description
    */
-  export function extractMetadata(html: string): Metadata;
+  export function describeTerm(
+    taxonomy: TermTaxonomy,
+    nameOrSlug: string | number,
+    description?: string,
+    options?: TermsOptions
+  ): Promise<{ term: TermSummary; updated: boolean }>;
+
+  /**
+   * Rename (to: term) or remove (to: null) a term in the front matter of a content directory
+   */
+  export function updateLocalTerms(
+    contentDir: string,
+    taxonomy: TermTaxonomy,
+    change: { from: { id: number; name: string; slug?: string }; to: { id: number; name: string } | null; modified?: Map<number, string> },
+    options?: { dryRun?: boolean }
+  ): string[];
+
+  // ============================================================================
+  // Dates Module (timezones)
+  // ============================================================================
+
+  /**
+   * Parse a timestamp with an offset or IANA timezone (or in `timeZone`) into an instant
+   */
+  export function parseDateTime(value: string | Date, timeZone?: string): Date;
+
+  /**
+   * Whether a timestamp carries its own offset, Z or timezone name
+   */
+  export function hasTimezone(value: string | Date): boolean;
+
+  /**
+   * Format an instant as a WordPress date_gmt ('YYYY-MM-DDTHH:mm:ss', UTC)
+   */
+  export function toGmtString(date: Date): string;
+
+  /**
+   * Format an instant as ISO 8601 wall time with offset in a timezone
+   */
+  export function formatInZone(date: Date, timeZone: string): string;
+
+  /**
+   * Format a UTC offset in minutes as ±HH:MM
+   */
+  export function formatOffset(minutes: number): string;
+
+  /**
+   * Add the UTC offset to a WordPress local date using its GMT counterpart
+   * ('2025-01-15T23:00:00', '2025-01-16T07:00:00' => '2025-01-15T23:00:00-08:00')
+   */
+  export function withUtcOffset(local: string, gmt?: string): string;
+
+  /**
+   * Calendar day ('YYYY-MM-DD') of a date as written, or of an instant (default: now) in a timezone
+   */
+  export function calendarDate(value?: string | Date, timeZone?: string): string;
+
+  /**
+   * IANA timezone of this machine
+   */
+  export function localTimeZone(): string;
+
+  /**
+   * Offset of an IANA timezone from UTC at an instant, in minutes
+   */
+  export function zoneOffset(timeZone: string, date: Date): number;
+
+  // ============================================================================
+  // WXR Import Module
+  // ============================================================================
+
+  export interface ImportWxrOptions {
+    types?: string[];
+    statuses?: string[] | null;
+    hierarchical?: boolean;
+    images?: boolean;
+    force?: boolean;
+    skipSidecar?: boolean;
+    silent?: boolean;
+  }
+
+  /**
+   * Import a WordPress WXR export file into local markdown
+   */
+  export function importWxr(
+    xmlPath: string,
+    outputDir: string,
+    options?: ImportWxrOptions
+  ): Promise<{
+    site: {
+      title: string;
+      link: string;
+      wxrVersion: string;
+      baseSiteUrl: string;
+      baseBlogUrl: string;
+    };
+    total: number;
+    success: number;
+    failed: number;
+    articles: FetchApiResult[];
+    errors: Array<{ input: string; error: string }>;
+  }>;
+
+  /**
+   * Parse a WXR document into plain objects
+   */
+  export function parseWxr(xml: string): {
+    site: Record<string, string>;
+    authors: Array<{ id: number; login: string; email: string; displayName: string }>;
+    categories: Array<{ id: number; slug: string; name: string; parent: string }>;
+    tags: Array<{ id: number; slug: string; name: string }>;
+    items: Array<Record<string, unknown>>;
+  };
+
+  // ============================================================================
+  // Convert Module
+  // ============================================================================
+
+  export interface ConvertOptions {
+    slug?: string;
+    title?: string;
+    category?: string;
+    seriesOrder?: number;
+    description?: string;
+    canonicalUrl?: string;
+    date?: string;
+    silent?: boolean;
+  }
+
+  export interface ConvertResult {
+    title: string;
+    slug: string;
+    date: string;
+    wordCount: number;
+    markdown: string;
+  }
+
+  export interface Metadata {
+    title: string;
+    date: string;
+    canonicalUrl: string;
+    description: string;
+  }
+
+  /**
+   * Convert a WordPress HTML file to Markdown
+   */
+  export function convertFile(
+    inputPath: string,
+    outputPath: string,
+    options?: ConvertOptions
+  ): ConvertResult;
+
+  /**
+   * Convert HTML string directly to Markdown
+   */
+  export function convertHtml(
+    html: string,
+    options?: ConvertOptions
+  ): {
+    metadata: Metadata & ConvertOptions;
+    content: string;
+    fullMarkdown: string;
+    wordCount: number;
+  };
+
+  /**
+   * Convert HTML to Markdown
+   */
+  export function htmlToMarkdown(html: string): string;
+
+  /**
+   * Extract article content from WordPress HTML
+   */
+  export function extractArticleContent(html: string): string;
+
+  /**
+   * Extract metadata from WordPress HTML
+   */
+  export function extractMetadata(html: string): Metadata;
+
+  /**
+   * Clean text by removing HTML entities and normalizing whitespace
+   */
+  export function cleanText(text: string): string;
+
+  /**
+   * Generate YAML front matter from metadata
+   */
+  export function generateFrontMatter(metadata: {
+    title?: string;
+    slug?: string;
+    date?: string;
+    canonicalUrl?: string;
+    description?: string;
+    category?: string;
+    seriesOrder?: number;
+  }): string;
+
+  // ============================================================================
+  // Verify Module
+  // ============================================================================
+
+  export interface ValidationResult {
+    issues: string[];
+    warnings: string[];
+  }
+
+  export interface VerificationResult {
+    htmlPath: string;
+    mdPath: string;
+    issues: string[];
+    warnings: string[];
+    stats: {
+      htmlSize: number;
+      mdSize: number;
+      wordComparison: {
+        htmlWords: number;
+        mdWords: number;
+        diff: number;
+        percentDiff: string;
+        status: 'OK' | 'WARNING' | 'ERROR';
+      };
+      htmlUrls: number;
+      mdUrls: number;
+    };
+    checks: Record<string, unknown>;
+    passed: boolean;
+  }
+
+  /**
+   * Verify a conversion from HTML to Markdown
+   */
+  export function verifyConversion(
+    htmlPath: string,
+    mdPath: string,
+    options?: { strict?: boolean }
+  ): VerificationResult;
+
+  /**
+   * Verify multiple conversions
+   */
+  export function verifyBatch(
+    htmlDir: string,
+    mdDir: string,
+    options?: { strict?: boolean }
+  ): {
+    htmlDir: string;
+    mdDir: string;
+    files: Array<VerificationResult & { slug: string; htmlFile: string; mdFile: string }>;
+    summary: {
+      total: number;
+      passed: number;
+      failed: number;
+      warnings: number;
+      totalIssues: number;
+      totalWarnings: number;
+    };
+    error?: string;
+  };
+
+  /**
+   * Validate front matter has required fields
+   */
+  export function validateFrontMatter(markdown: string): ValidationResult;
+
+  /**
+   * Check for malformed markdown structures
+   */
+  export function validateMarkdownStructure(markdown: string): ValidationResult;
+
+  /**
+   * Extract plain text from HTML
+   */
+  export function extractTextFromHtml(html: string): string;
+
+  /**
+   * Extract plain text from Markdown
+   */
+  export function extractTextFromMarkdown(markdown: string): string;
+
+  /**
+   * Extract headings from HTML
+   */
+  export function extractHeadingsFromHtml(html: string): Array<{ level: number; text: string }>;
+
+  /**
+   * Extract headings from Markdown
+   */
+  export function extractHeadingsFromMarkdown(markdown: string): Array<{ level: number; text: string }>;
+
+  /**
+   * Extract URLs from HTML
+   */
+  export function extractUrlsFromHtml(html: string): Map<string, string>;
+
+  /**
+   * Extract URLs from Markdown
+   */
+  export function extractUrlsFromMarkdown(markdown: string): Map<string, string>;
+
+  export interface TableShape {
+    rows: number;
+    columns: number;
+    header: string[];
+  }
+
+  /**
+   * Extract table shapes from HTML
+   */
+  export function extractTablesFromHtml(html: string): TableShape[];
+
+  /**
+   * Extract table shapes from Markdown (pipe tables and raw HTML tables)
+   */
+  export function extractTablesFromMarkdown(markdown: string): TableShape[];
+
+  /**
+   * Extract embeds from HTML as normalized identifiers (e.g., "youtube:VIDEO_ID")
+   */
+  export function extractEmbedsFromHtml(html: string): string[];
+
+  /**
+   * Extract embeds from Markdown as normalized identifiers
+   */
+  export function extractEmbedsFromMarkdown(markdown: string): string[];
+
+  // ============================================================================
+  // Export Module
+  // ============================================================================
+
+  export interface ExportOptions {
+    /** Emit native Gutenberg block markup */
+    blocks?: boolean;
+    /** Alias for blocks */
+    includeWrapper?: boolean;
+    /** Block mode: map of local image paths to uploaded URLs */
+    images?: Record<string, string>;
+    /** Block mode: map of local image paths to attachment IDs */
+    mediaIds?: Record<string, number>;
+    rewriteImages?: boolean;
+    imageBaseUrl?: string;
+    outputToFile?: boolean;
+  }
+
+  export interface ExportResult {
+    title: string;
+    slug: string;
+    date: string;
+    canonicalUrl: string;
+    html: string;
+    wordCount: number;
+    outputPath?: string;
+    metadata?: Record<string, unknown>;
+  }
+
+  /**
+   * Export a markdown file to WordPress-ready HTML
+   */
+  export function exportToWordPress(
+    mdPath: string,
+    outputPath?: string | null,
+    options?: ExportOptions
+  ): ExportResult;
+
+  /**
+   * Export multiple markdown files to WordPress HTML
+   */
+  export function exportBatch(
+    mdDir: string,
+    outputDir: string,
+    options?: ExportOptions
+  ): Array<ExportResult & { success: boolean; error?: string }>;
+
+  /**
+   * Convert markdown to HTML
+   */
+  export function markdownToHtml(markdown: string): string;
+
+  export interface BlockOptions {
+    /** Map of local image paths to uploaded URLs */
+    images?: Record<string, string>;
+    /** Map of local image paths to attachment IDs (adds wp-image-ID and the block id) */
+    mediaIds?: Record<string, number>;
+  }
+
+  /**
+   * Convert markdown to serialized Gutenberg block markup
+   */
+  export function markdownToBlocks(markdown: string, options?: BlockOptions): string;
+
+  /**
+   * Serialize a single core block: <!-- wp:name {attrs} -->html<!-- /wp:name -->
+   */
+  export function serializeBlock(name: string, attributes: Record<string, unknown>, innerHtml: string): string;
+
+  // ============================================================================
+  // Corpus and Static Site Export Modules
+  // ============================================================================
+
+  export interface LocalImage {
+    markdownPath: string;
+    absolutePath: string;
+    filename: string;
+    altText: string;
+  }
+
+  /**
+   * One markdown file of a local content directory
+   */
+  export interface CorpusEntry {
+    sourcePath: string;
+    /** Path relative to the content directory, with forward slashes */
+    relativePath: string;
+    /** True for an index.md in its own directory (hierarchical layout) */
+    bundle: boolean;
+    /** 'post', 'page' or a custom post type slug */
+    type: string;
+    /** 'posts', 'pages' or a custom post type's REST base */
+    collection: string;
+    slug: string;
+    /** Parent page path for child pages ('' otherwise) */
+    parentPath: string;
+    /** ISO 8601 date from front matter or the path */
+    date: string | null;
+    modified: string | null;
+    /** publish_at as written in front matter */
+    publishAt: string | null;
+    draft: boolean;
+    /** URL path: the canonical_url path, or a WordPress-style default */
+    permalink: string;
+    data: Record<string, unknown>;
+    body: string;
+    images: LocalImage[];
+    featuredImage: LocalImage | null;
+  }
+
+  /**
+   * Read every markdown file under a content directory (flat or hierarchical)
+   */
+  export function loadCorpus(contentDir: string): {
+    entries: CorpusEntry[];
+    errors: Array<{ sourcePath: string; error: string }>;
+  };
+
+  /**
+   * Read one markdown file as a corpus entry
+   */
+  export function readCorpusEntry(filePath: string, contentDir: string): CorpusEntry;
+
+  export type SsgTarget = 'hugo' | 'jekyll' | 'eleventy' | 'astro';
+
+  export interface SsgExportOptions {
+    target: SsgTarget;
+    /** Front matter key mapping overrides: source key → target key, or null to drop */
+    frontMatter?: Record<string, string | null>;
+    /** Plan without writing */
+    dryRun?: boolean;
+  }
+
+  export interface SsgExportEntryResult {
+    sourcePath: string;
+    outputPath: string;
+    /** Images copied */
+    images: number;
+    /** Referenced images that don't exist locally */
+    missingImages: string[];
+  }
+
+  /**
+   * Export a content directory to a static site generator's layout
+   */
+  export function exportToSsg(
+    contentDir: string,
+    siteDir: string,
+    options: SsgExportOptions
+  ): {
+    target: SsgTarget;
+    exported: SsgExportEntryResult[];
+    errors: Array<{ sourcePath: string; error: string }>;
+  };
+
+  /**
+   * Export one corpus entry to a static site directory
+   */
+  export function exportEntryToSsg(entry: CorpusEntry, siteDir: string, options: SsgExportOptions): SsgExportEntryResult;
+
+  /**
+   * Map an entry's front matter to a target's keys and formats
+   */
+  export function mapFrontMatter(
+    entry: CorpusEntry,
+    target: SsgTarget,
+    options?: { frontMatter?: Record<string, string | null>; featuredImage?: string }
+  ): Record<string, unknown>;
+
+  // ============================================================================
+  // Build Module
+  // ============================================================================
+
+  export interface BuildOptions {
+    /** Directory with templates overriding the built-in ones by file name */
+    templatesDir?: string;
+    siteTitle?: string;
+    /** Absolute site URL, for canonical links of articles without a canonical_url */
+    siteUrl?: string;
+    /** Posts per index and archive page (default: 10) */
+    perPage?: number;
+    /** Include drafts (default: false) */
+    drafts?: boolean;
+    /** Write RSS, Atom and JSON feeds (needs siteUrl) */
+    feeds?: boolean;
+    /** Also write per-category and per-tag feeds */
+    termFeeds?: boolean;
+  }
+
+  export interface BuildResult {
+    articles: Array<{ sourcePath: string; outputPath: string; url: string }>;
+    /** Index and archive pages written */
+    listings: string[];
+    /** Images copied */
+    images: number;
+    feeds: FeedFile[];
+    errors: Array<{ sourcePath: string; error: string }>;
+  }
+
+  /**
+   * Build a static HTML site: article pages, paginated index, category and tag archives
+   */
+  export function buildSite(contentDir: string, outDir: string, options?: BuildOptions): BuildResult;
+
+  /**
+   * Render a template: `{{name}}` is HTML-escaped, `{{{name}}}` is raw
+   */
+  export function renderTemplate(template: string, values: Record<string, unknown>): string;
+
+  // ============================================================================
+  // Feeds Module
+  // ============================================================================
+
+  export type FeedFormat = 'rss' | 'atom' | 'json';
+
+  export interface FeedOptions {
+    /** Absolute site URL (required) */
+    siteUrl: string;
+    siteTitle?: string;
+    description?: string;
+    /** Feed language (default: en-US) */
+    language?: string;
+    /** Items per feed, 0 for all (default: 10) */
+    limit?: number;
+    formats?: FeedFormat[];
+    /** Also write per-category and per-tag feeds */
+    terms?: boolean;
+    /** Include drafts (default: false) */
+    drafts?: boolean;
+  }
+
+  export interface FeedFile {
+    format: FeedFormat;
+    url: string;
+    outputPath: string;
+    /** WordPress feed path this file replaces (e.g., /feed/), null for JSON Feed */
+    wordpressPath: string | null;
+  }
+
+  export interface FeedItem {
+    /** GUID: WordPress's ?p=<id> form when the post ID is known */
+    id: string;
+    guidIsPermalink: boolean;
+    url: string;
+    title: string;
+    summary: string;
+    /** Full HTML with absolute image and link URLs */
+    html: string;
+    published: Date | null;
+    modified: Date | null;
+    author: string;
+    categories: string[];
+    tags: string[];
+  }
 
   /**
-   * Clean text by removing HTML entities and normalizing whitespace
+   * Generate RSS, Atom and JSON feeds from a content directory
    */
-  export function cleanText(text: string): string;
+  export function generateFeeds(
+    contentDir: string,
+    outDir: string,
+    options: FeedOptions
+  ): { feeds: FeedFile[]; posts: number; errors: Array<{ sourcePath: string; error: string }> };
 
   /**
-   * Generate YAML front matter from metadata
+   * Build a feed item from a corpus entry
    */
-  export function generateFrontMatter(metadata: {
-    title?: string;
-    slug?: string;
-    date?: string;
-    canonicalUrl?: string;
-    description?: string;
-    category?: string;
-    seriesOrder?: number;
-  }): string;
+  export function buildFeedItem(entry: CorpusEntry, siteUrl: string): FeedItem;
 
   // ============================================================================
-  // Verify Module
+  // Sitemap and Redirects Modules
   // ============================================================================
 
-  export interface ValidationResult {
-    issues: string[];
-    warnings: string[];
+  export interface SitemapUrl {
+    loc: string;
+    /** W3C datetime, or the day when the front matter date has no zone */
+    lastmod: string | null;
   }
 
-  export interface VerificationResult {
-    htmlPath: string;
-    mdPath: string;
-    issues: string[];
-    warnings: string[];
-    stats: {
-      htmlSize: number;
-      mdSize: number;
-      wordComparison: {
-        htmlWords: number;
-        mdWords: number;
-        diff: number;
-        percentDiff: string;
-        status: 'OK' | 'WARNING' | 'ERROR';
-      };
-      htmlUrls: number;
-      mdUrls: number;
-    };
-    checks: Record<string, unknown>;
-    passed: boolean;
-  }
+  /**
+   * Generate sitemap.xml (a sitemap index with sitemap-N.xml past 50,000 URLs)
+   */
+  export function generateSitemap(
+    contentDir: string,
+    outDir: string,
+    options: { siteUrl: string; maxUrls?: number }
+  ): { files: string[]; urls: number; errors: Array<{ sourcePath: string; error: string }> };
 
   /**
-   * Verify a conversion from HTML to Markdown
+   * List sitemap URLs for corpus entries (no drafts or noindex entries)
    */
-  export function verifyConversion(
-    htmlPath: string,
-    mdPath: string,
-    options?: { strict?: boolean }
-  ): VerificationResult;
+  export function sitemapUrls(entries: CorpusEntry[], siteUrl: string): SitemapUrl[];
+
+  export type RedirectFormat = 'netlify' | 'nginx' | 'apache';
+
+  export interface Redirect {
+    /** Old path (e.g., /2019/05/old-slug/) */
+    from: string;
+    /** New path */
+    to: string;
+  }
+
+  export interface RedirectOptions {
+    /** Redirect WordPress feed URLs to feed files */
+    feeds?: boolean;
+    /** Also redirect per-category and per-tag feed URLs */
+    termFeeds?: boolean;
+  }
 
   /**
-   * Verify multiple conversions
+   * Write redirect files from old WordPress URLs (sidecar links, redirect_from) to permalinks
    */
-  export function verifyBatch(
-    htmlDir: string,
-    mdDir: string,
-    options?: { strict?: boolean }
-  ): {
-    htmlDir: string;
-    mdDir: string;
-    files: Array<VerificationResult & { slug: string; htmlFile: string; mdFile: string }>;
-    summary: {
-      total: number;
-      passed: number;
-      failed: number;
-      warnings: number;
-      totalIssues: number;
-      totalWarnings: number;
-    };
-    error?: string;
-  };
+  export function generateRedirects(
+    contentDir: string,
+    outDir: string,
+    options?: RedirectOptions & { formats?: RedirectFormat[] }
+  ): { files: string[]; redirects: Redirect[]; errors: Array<{ sourcePath: string | null; error: string }> };
 
   /**
-   * Validate front matter has required fields
+   * Collect redirects for corpus entries
    */
-  export function validateFrontMatter(markdown: string): ValidationResult;
+  export function collectRedirects(
+    entries: CorpusEntry[],
+    options?: RedirectOptions
+  ): { redirects: Redirect[]; errors: Array<{ sourcePath: string | null; error: string }> };
+
+  // ============================================================================
+  // Preview and Watcher Modules
+  // ============================================================================
+
+  export interface PreviewOptions {
+    /** Port (default: 4000, 0 picks a free one) */
+    port?: number;
+    /** Interface to listen on (default: 127.0.0.1) */
+    host?: string;
+    /** Theme stylesheet URL to style pages with */
+    themeCss?: string;
+    /** Download the theme stylesheet again instead of using the cache */
+    refreshTheme?: boolean;
+    /** Cache directory for theme stylesheets (default: ~/.cache/ownwords) */
+    cacheDir?: string;
+    /** Quiet period before reloading, in milliseconds (default: 300) */
+    debounce?: number;
+    /** Called with the changed files on each reload */
+    onReload?: (files: string[]) => void;
+  }
+
+  export interface PreviewServer {
+    url: string;
+    server: import('http').Server;
+    /** Stop the server and the file watcher */
+    close(): Promise<void>;
+  }
 
   /**
-   * Check for malformed markdown structures
+   * Start a local preview server that renders markdown and reloads on save
    */
-  export function validateMarkdownStructure(markdown: string): ValidationResult;
+  export function startPreview(target: string, options?: PreviewOptions): Promise<PreviewServer>;
 
   /**
-   * Extract plain text from HTML
+   * Load a theme stylesheet, downloading and caching it on first use
    */
-  export function extractTextFromHtml(html: string): string;
+  export function loadThemeCss(
+    themeUrl: string,
+    options?: { refresh?: boolean; cacheDir?: string }
+  ): Promise<string>;
 
   /**
-   * Extract plain text from Markdown
+   * Watch a markdown file or directory, reporting changed files after each burst of saves
    */
-  export function extractTextFromMarkdown(markdown: string): string;
+  export function watchFiles(
+    target: string,
+    onChange: (files: string[]) => void,
+    options?: { debounce?: number }
+  ): { close(): void };
+
+  // ============================================================================
+  // Custom Fields Module
+  // ============================================================================
 
   /**
-   * Extract headings from HTML
+   * Post meta keys and ACF field names a site lets ownwords write
    */
-  export function extractHeadingsFromHtml(html: string): Array<{ level: number; text: string }>;
+  export interface CustomFieldAllowlist {
+    meta?: string[];
+    acf?: string[];
+  }
 
   /**
-   * Extract headings from Markdown
+   * Front matter `custom_fields:` section
    */
-  export function extractHeadingsFromMarkdown(markdown: string): Array<{ level: number; text: string }>;
+  export interface CustomFields {
+    meta?: Record<string, unknown>;
+    acf?: Record<string, unknown>;
+  }
 
   /**
-   * Extract URLs from HTML
+   * Select the custom fields of a normalized post to record in front matter
    */
-  export function extractUrlsFromHtml(html: string): Map<string, string>;
+  export function pickCustomFields(
+    normalized: Pick<NormalizedPost, 'meta'> & { acf?: Record<string, unknown> },
+    allowlist?: CustomFieldAllowlist | null
+  ): Required<CustomFields>;
 
   /**
-   * Extract URLs from Markdown
+   * Build the REST payload for front matter custom fields (allowlisted keys only)
    */
-  export function extractUrlsFromMarkdown(markdown: string): Map<string, string>;
+  export function buildCustomFieldsPayload(
+    customFields: CustomFields | undefined,
+    allowlist?: CustomFieldAllowlist | null
+  ): { meta?: Record<string, unknown>; acf?: Record<string, unknown>; skipped: string[] };
 
   // ============================================================================
-  // Export Module
+  // SEO Module
   // ============================================================================
 
-  export interface ExportOptions {
-    includeWrapper?: boolean;
-    rewriteImages?: boolean;
-    imageBaseUrl?: string;
-    outputToFile?: boolean;
-  }
+  export type SeoPlugin = 'yoast' | 'rankmath';
 
-  export interface ExportResult {
-    title: string;
-    slug: string;
-    date: string;
-    canonicalUrl: string;
-    html: string;
-    wordCount: number;
-    outputPath?: string;
-    metadata?: Record<string, unknown>;
+  /**
+   * Front matter `seo:` section
+   */
+  export interface SeoFields {
+    plugin?: SeoPlugin;
+    title?: string;
+    description?: string;
+    focus_keyphrase?: string;
+    canonical?: string;
+    noindex?: boolean;
+    nofollow?: boolean;
+    og_title?: string;
+    og_description?: string;
+    og_image?: string;
+    twitter_title?: string;
+    twitter_description?: string;
+    twitter_image?: string;
   }
 
   /**
-   * Export a markdown file to WordPress-ready HTML
+   * Extract SEO fields from a raw WordPress REST post (override meta,
+   * `yoast_head_json` or `rank_math_*` fields)
    */
-  export function exportToWordPress(
-    mdPath: string,
-    outputPath?: string | null,
-    options?: ExportOptions
-  ): ExportResult;
+  export function extractSeo(post: Record<string, unknown>): SeoFields | null;
 
   /**
-   * Export multiple markdown files to WordPress HTML
+   * Build the plugin post meta for a front matter `seo:` section
    */
-  export function exportBatch(
-    mdDir: string,
-    outputDir: string,
-    options?: ExportOptions
-  ): Array<ExportResult & { success: boolean; error?: string }>;
+  export function buildSeoMeta(seo: SeoFields | undefined, plugin: SeoPlugin): Record<string, string | string[]> | null;
 
   /**
-   * Convert markdown to HTML
+   * Check whether a post meta key belongs to Yoast or Rank Math
    */
-  export function markdownToHtml(markdown: string): string;
+  export function isSeoMetaKey(key: string): boolean;
 
   // ============================================================================
   // Config Module
@@ -381,6 +1390,12 @@ declare module 'ownwords' {
     url: string;
     username: string;
     appPassword: string;
+    /** Custom fields publish may write */
+    customFields?: CustomFieldAllowlist | null;
+    /** Retries after a transient failure (default 3) */
+    retries?: number;
+    /** Requests per second (default unlimited) */
+    rateLimit?: number;
     fromEnv?: boolean;
   }
 
@@ -417,6 +1432,24 @@ declare module 'ownwords' {
     isDefault: boolean;
   }>;
 
+  /**
+   * Set the custom field allowlist for a WordPress site
+   */
+  export function setCustomFields(name: string, customFields: CustomFieldAllowlist): boolean;
+
+  /**
+   * Set how requests to a WordPress site are retried and paced (null removes a setting)
+   */
+  export function setRequestLimits(
+    name: string,
+    limits: { retries?: number | null; rateLimit?: number | null }
+  ): boolean;
+
+  /**
+   * Get static site export settings for a target (config file `ssg.<target>`)
+   */
+  export function getSsgSettings(target: SsgTarget): { frontMatter: Record<string, string | null> };
+
   /**
    * Get the configuration file path
    */
@@ -430,8 +1463,80 @@ declare module 'ownwords' {
     url: string;
     username: string;
     appPassword: string;
+    /** Custom fields this client may write (none when omitted) */
+    customFields?: CustomFieldAllowlist | null;
+    /** Retries after a transient failure: 429, 502-504, connection resets (default 3) */
+    retries?: number;
+    /** Base backoff delay in milliseconds (default 500) */
+    retryDelay?: number;
+    /** Longest wait before a retry in milliseconds (default 30000) */
+    maxRetryDelay?: number;
+    /** Requests per second to the site, shared by all its clients (default unlimited) */
+    rateLimit?: number;
+    /** Called before each retry */
+    onRetry?: (retry: RetryInfo) => void;
+  }
+
+  export interface RetryInfo {
+    /** Retry number, starting at 1 */
+    attempt: number;
+    /** Milliseconds until the retry */
+    delay: number;
+    error: Error & { statusCode?: number; code?: string; retryAfter?: number | null };
   }
 
+  export interface RetryOptions {
+    /** Whether repeating the request is harmless (default true) */
+    idempotent?: boolean;
+    retries?: number;
+    retryDelay?: number;
+    maxRetryDelay?: number;
+    onRetry?: (retry: RetryInfo) => void;
+  }
+
+  export interface RateLimiter {
+    /** Resolves when the next request may start */
+    wait(): Promise<void>;
+    /** Hold back every request for a number of milliseconds */
+    pause(ms: number): void;
+    setRate(requestsPerSecond: number): void;
+  }
+
+  /**
+   * Run a request, retrying 429s, 502-504s and socket errors with exponential
+   * backoff and jitter (or Retry-After). Non-idempotent requests are retried
+   * only on 429 and ECONNREFUSED.
+   */
+  export function withRetry<T>(request: () => Promise<T>, options?: RetryOptions): Promise<T>;
+
+  /**
+   * Whether a failed request may be retried
+   */
+  export function isRetryable(error: Error & { statusCode?: number; code?: string }, idempotent: boolean): boolean;
+
+  /**
+   * Read a Retry-After header (seconds or HTTP date) as milliseconds
+   */
+  export function parseRetryAfter(value: string | undefined, now?: number): number | null;
+
+  /**
+   * Backoff delay before a retry, with full jitter
+   */
+  export function backoffDelay(
+    attempt: number,
+    options?: { retryDelay?: number; maxRetryDelay?: number; random?: () => number }
+  ): number;
+
+  /**
+   * Create a limiter that spaces out request starts
+   */
+  export function createRateLimiter(requestsPerSecond?: number): RateLimiter;
+
+  /**
+   * The rate limiter shared by every client of a site
+   */
+  export function getSiteRateLimiter(siteUrl: string, requestsPerSecond?: number): RateLimiter;
+
   export interface WpPost {
     id: number;
     slug: string;
@@ -449,7 +1554,34 @@ declare module 'ownwords' {
     excerpt?: string;
     categories?: number[];
     tags?: number[];
+    /** Publish date, read in the site's timezone */
     date?: string;
+    /** Publish date in UTC; sent instead of date when both are given */
+    date_gmt?: string;
+    /** Media ID of the featured image */
+    featured_media?: number;
+    /** Custom taxonomy term IDs by taxonomy REST base */
+    terms?: Record<string, number[]>;
+    /** Registered post meta */
+    meta?: Record<string, unknown>;
+    /** ACF fields */
+    acf?: Record<string, unknown>;
+  }
+
+  export interface PostType {
+    slug: string;
+    restBase: string;
+    name: string;
+    hierarchical: boolean;
+    taxonomies: string[];
+  }
+
+  export interface Taxonomy {
+    slug: string;
+    restBase: string;
+    name: string;
+    hierarchical: boolean;
+    types: string[];
   }
 
   export interface PublishResult {
@@ -458,8 +1590,30 @@ declare module 'ownwords' {
     slug: string;
     link: string;
     status: string;
+    modifiedGmt?: string;
+    /** Media ID set as the featured image (0 when none) */
+    featuredMedia?: number;
+    /** SEO plugin the front matter `seo:` section was written through */
+    seo?: SeoPlugin | null;
+  }
+
+  export interface RemoteDrift {
+    postId: number;
+    remoteModifiedGmt: string;
+    lastSyncedAt: string;
+    comparison: CompareResult;
+    remoteOnlyLines: string[];
   }
 
+  /**
+   * Check whether a post was edited in WordPress since the local copy was last synced
+   */
+  export function detectRemoteDrift(
+    mdPath: string,
+    metadata: Record<string, unknown>,
+    remotePost: Record<string, unknown>
+  ): RemoteDrift | null;
+
   /**
    * WordPress REST API client
    */
@@ -470,6 +1624,9 @@ declare module 'ownwords' {
     username: string;
     appPassword: string;
     authHeader: string;
+    customFields: CustomFieldAllowlist | null;
+    retry: { retries: number; retryDelay: number; maxRetryDelay: number; onRetry?: (retry: RetryInfo) => void };
+    rateLimiter: RateLimiter;
 
     /**
      * Test the connection to WordPress
@@ -508,7 +1665,7 @@ declare module 'ownwords' {
     /**
      * Get all categories
      */
-    getCategories(): Promise<Array<{ id: number; name: string; slug: string }>>;
+    getCategories(): Promise<WpTerm[]>;
 
     /**
      * Get category ID by name
@@ -518,13 +1675,84 @@ declare module 'ownwords' {
     /**
      * Get all tags
      */
-    getTags(): Promise<Array<{ id: number; name: string; slug: string }>>;
+    getTags(): Promise<WpTerm[]>;
 
     /**
      * Get tag ID by name
      */
     getTagId(name: string): Promise<number | null>;
 
+    /**
+     * Get term ID by name in any taxonomy (creates if not exists)
+     */
+    getTermId(taxonomy: string, name: string): Promise<number | null>;
+
+    /**
+     * Get the site's cached terms for a taxonomy (one cache per client and taxonomy)
+     */
+    getTermCache(taxonomy: string): TermCache;
+
+    /**
+     * Update a term (name, slug, description, parent) and its cached copy
+     */
+    updateTerm(
+      taxonomy: string,
+      termId: number,
+      data: { name?: string; slug?: string; description?: string; parent?: number }
+    ): Promise<WpTerm>;
+
+    /**
+     * Delete a term (terms have no trash) and drop it from the cache
+     */
+    deleteTerm(taxonomy: string, termId: number): Promise<{ deleted: boolean; previous: WpTerm }>;
+
+    /**
+     * Get the post types registered with the REST API (cached)
+     */
+    getPostTypes(): Promise<PostType[]>;
+
+    /**
+     * Get the taxonomies registered with the REST API (cached)
+     */
+    getTaxonomies(): Promise<Taxonomy[]>;
+
+    /**
+     * Resolve a post type by REST base or slug
+     */
+    resolvePostType(type: string): Promise<PostType>;
+
+    /**
+     * Resolve a taxonomy by slug or REST base
+     */
+    resolveTaxonomy(taxonomy: string): Promise<Taxonomy>;
+
+    /**
+     * Resolve a front matter `taxonomies` block (term names by taxonomy slug)
+     * to term IDs by taxonomy REST base
+     */
+    resolveTaxonomyTerms(taxonomies: Record<string, string[] | string>): Promise<Record<string, number[]>>;
+
+    /**
+     * Detect the SEO plugin active on the site from its REST namespaces (cached)
+     */
+    detectSeoPlugin(): Promise<SeoPlugin | null>;
+
+    /**
+     * The site's timezone from the REST index (cached): an IANA name, a
+     * fixed offset such as '+05:30', or null if the site doesn't say
+     */
+    getSiteTimezone(): Promise<string | null>;
+
+    /**
+     * Build the plugin meta for a front matter `seo:` section
+     */
+    buildSeoUpdate(seo: SeoFields | undefined): Promise<{ plugin: SeoPlugin; meta: Record<string, string | string[]> } | null>;
+
+    /**
+     * Write SEO meta that can't travel with the post update (Rank Math)
+     */
+    writeSeoMeta(postId: number, update: { plugin: SeoPlugin; meta: Record<string, string | string[]> }): Promise<void>;
+
     /**
      * Publish a markdown file to WordPress
      */
@@ -533,6 +1761,12 @@ declare module 'ownwords' {
       options?: {
         status?: 'draft' | 'publish';
         update?: boolean;
+        /** Content type REST base (custom post types must be registered on the site) */
+        type?: ContentType;
+        /** Update even if the post was edited in WordPress since the last sync */
+        force?: boolean;
+        /** Publish native Gutenberg block markup instead of classic HTML */
+        blocks?: boolean;
       }
     ): Promise<PublishResult>;
 
@@ -553,7 +1787,7 @@ declare module 'ownwords' {
      */
     getPostBySlugWithEmbed(
       slug: string,
-      type?: 'posts' | 'pages'
+      type?: ContentType
     ): Promise<WpPost | null>;
 
     /**
@@ -561,13 +1795,41 @@ declare module 'ownwords' {
      */
     getPostByIdWithEmbed(
       postId: number,
-      type?: 'posts' | 'pages'
+      type?: ContentType
     ): Promise<WpPost>;
 
     /**
      * Normalize a WordPress REST API response with _embed data
      */
     normalizeEmbedResponse(post: WpPost): NormalizedPost;
+
+    /**
+     * Get one page of a post or page collection
+     */
+    getPostsPage(
+      type?: ContentType,
+      params?: Record<string, string | number | boolean | Array<string | number>>,
+      page?: number
+    ): Promise<{ items: WpPost[]; total: number; totalPages: number }>;
+
+    /**
+     * Get every item of a post or page collection, following X-WP-TotalPages
+     */
+    getAllPosts(
+      type?: ContentType,
+      params?: Record<string, string | number | boolean | Array<string | number>>,
+      options?: { onPage?: (page: number, totalPages: number, items: WpPost[]) => void }
+    ): Promise<WpPost[]>;
+
+    /**
+     * Find an existing term ID by name, slug or ID without creating it
+     */
+    findTermId(taxonomy: string, nameOrSlug: string | number): Promise<number | null>;
+
+    /**
+     * Find a user ID by name, slug or ID
+     */
+    findUserId(nameOrSlug: string | number): Promise<number | null>;
   }
 
   // ============================================================================
@@ -793,4 +2055,66 @@ declare module 'ownwords' {
    * Analyze typography differences between two texts
    */
   export function analyzeTypography(text1: string, text2: string): TypographyAnalysis;
+
+  // ============================================================================
+  // Round-Trip Module
+  // ============================================================================
+
+  export type RoundtripConstruct = 'headings' | 'links' | 'images' | 'code' | 'lists' | 'tables' | 'embeds';
+  export type RoundtripFormat = 'html' | 'markdown';
+
+  export interface RoundtripComparison {
+    before: number;
+    after: number;
+    lost: string[];
+    added: string[];
+  }
+
+  export interface RoundtripDifference {
+    format: RoundtripFormat;
+    construct: RoundtripConstruct;
+    lost: string[];
+    added: string[];
+  }
+
+  export interface RoundtripResult {
+    format: RoundtripFormat;
+    filePath?: string;
+    /** Four snapshots: the input and three conversions */
+    snapshots: Array<{ format: RoundtripFormat; content: string }>;
+    comparisons: Record<RoundtripFormat, Record<RoundtripConstruct, RoundtripComparison>>;
+    differences: RoundtripDifference[];
+    lossless: boolean;
+  }
+
+  export interface RoundtripCorpusResult {
+    results: RoundtripResult[];
+    errors: Array<{ filePath: string; error: string }>;
+    summary: {
+      files: number;
+      lossless: number;
+      lossy: number;
+      constructs: Record<RoundtripConstruct, {
+        files: number;
+        lost: number;
+        added: number;
+        examples: Array<{ filePath: string; format: RoundtripFormat; item: string }>;
+      }>;
+    };
+  }
+
+  /**
+   * Run HTML or markdown through HTML → Markdown → HTML → Markdown and report structural differences
+   */
+  export function roundtrip(content: string, options?: { format?: RoundtripFormat }): RoundtripResult;
+
+  /**
+   * Round-trip a file (.html/.htm or .md)
+   */
+  export function roundtripFile(filePath: string): RoundtripResult;
+
+  /**
+   * Round-trip every HTML and markdown file under a directory, with a per-construct summary
+   */
+  export function roundtripCorpus(dir: string): RoundtripCorpusResult;
 }